@@ -1,7 +1,9 @@
-const { app, BrowserWindow, Menu, ipcMain, dialog, protocol, shell } = require('electron');
+const { app, BrowserWindow, Menu, ipcMain, dialog, protocol, shell, Notification } = require('electron');
 const path = require('path');
 const fs = require('fs').promises;
 const { autoUpdater } = require('electron-updater');
+const { WorkspaceRegistry, WorkspaceError } = require('./src/js/workspace-registry');
+const { SYNC_PROVIDERS, DEFAULT_SYNC_PROVIDER, getSyncProviderById, getSyncProviderError } = require('./src/js/sync-providers');
 
 // Keep a global reference of the window object
 let mainWindow;
@@ -10,6 +12,8 @@ let isQuittingAfterSync = false;
 let appQuittingRequested = false;
 // Global sync lock to prevent concurrent sync operations across IPC handlers
 let globalSyncInProgress = false;
+// Workspaces and which one is open (created in initApp)
+let workspaceRegistry = null;
 
 // Log version information for debugging
 console.log('Node.js version:', process.version);
@@ -106,7 +110,7 @@ function createWindow() {
       }
 
       // First, check if sync is already in progress - prevent closing during sync
-      if (globalSyncInProgress || (global.googleDriveSyncManager && global.googleDriveSyncManager.syncInProgress)) {
+      if (globalSyncInProgress || (global.syncManager && global.syncManager.syncInProgress)) {
         console.log('[Main] Sync in progress, preventing window close...');
         event.preventDefault();
         
@@ -117,7 +121,7 @@ function createWindow() {
         
         // Wait for sync to complete (with a reasonable timeout)
         let attempts = 0;
-        while ((globalSyncInProgress || (global.googleDriveSyncManager && global.googleDriveSyncManager.syncInProgress)) && attempts < 120) { // Wait up to 60 seconds
+        while ((globalSyncInProgress || (global.syncManager && global.syncManager.syncInProgress)) && attempts < 120) { // Wait up to 60 seconds
           await new Promise(resolve => setTimeout(resolve, 500));
           attempts++;
         }
@@ -127,7 +131,7 @@ function createWindow() {
           mainWindow.webContents.send('sync-closing-hide');
         }
         
-        if (globalSyncInProgress || (global.googleDriveSyncManager && global.googleDriveSyncManager.syncInProgress)) {
+        if (globalSyncInProgress || (global.syncManager && global.syncManager.syncInProgress)) {
           console.warn('[Main] Sync still in progress after timeout, but allowing close to prevent hang');
           // After timeout, allow close to prevent the app from hanging
           return;
@@ -264,33 +268,207 @@ function setupAutoUpdater() {
   }
 }
 
+// Directory of the open workspace (see workspace-registry.js)
+function getWorkspaceDirectory() {
+  return workspaceRegistry ? workspaceRegistry.getDirectory() : app.getPath('userData');
+}
+
+function getMediaDirectory() {
+  return path.join(getWorkspaceDirectory(), 'media');
+}
+
+// Each workspace syncs to its own folder of the sync provider's storage
+function getWorkspaceSyncOptions() {
+  const workspace = workspaceRegistry ? workspaceRegistry.getActive() : null;
+  return {
+    appFolderName: workspace ? workspace.syncFolder : undefined,
+    mediaDirectory: getMediaDirectory()
+  };
+}
+
+// A workspace syncs with one provider at a time (see sync-providers.js): the first connected one,
+// Google Drive while none is
+function getSyncProvider() {
+  const connected = SYNC_PROVIDERS.find(provider => {
+    const connection = getSyncConnection(provider.id);
+    return connection && connection.isAuthenticated;
+  });
+  return connected ? connected.id : DEFAULT_SYNC_PROVIDER;
+}
+
+// Google Drive's connection is also used by its OAuth and sharing handlers, so it keeps a global
+// of its own
+function getSyncConnection(providerId = getSyncProvider()) {
+  if (providerId === 'google-drive') return global.googleAuthManager;
+  return global.syncConnections ? global.syncConnections[providerId] : null;
+}
+
+function isSyncAuthenticated() {
+  const connection = getSyncConnection();
+  return !!(connection && connection.isAuthenticated);
+}
+
+// global.syncManager is the connected provider's sync manager; it is reset whenever the
+// provider, account or workspace changes
+function createSyncManager(encryptionSettings) {
+  const providerId = getSyncProvider();
+  return getSyncProviderById(providerId)
+    .createSyncManager(getSyncConnection(providerId), encryptionSettings, getWorkspaceSyncOptions());
+}
+
+// Connecting one provider disconnects the others
+async function disconnectOtherSyncProviders(providerId) {
+  for (const other of SYNC_PROVIDERS) {
+    const connection = getSyncConnection(other.id);
+    if (other.id !== providerId && connection && connection.isAuthenticated) {
+      await connection.disconnect();
+    }
+  }
+  global.syncManager = null;
+}
+
+// The sync providers' own settings of the open workspace; Google Drive's are loaded with the
+// Google Auth Manager
+async function initializeSyncConnections() {
+  global.syncConnections = {};
+  for (const provider of SYNC_PROVIDERS) {
+    if (provider.createConnection) {
+      global.syncConnections[provider.id] = provider.createConnection(getWorkspaceDirectory());
+    }
+  }
+  await Promise.all(Object.values(global.syncConnections).map(connection => connection._initPromise));
+}
+
+// Open the database, Google account and other sync providers of the open workspace
+async function initializeWorkspaceServices() {
+  // Initialize database manager for Google Drive sync
+  try {
+    console.log('[Main] Initializing database manager for sync...');
+    const { DatabaseManager } = require('./src/js/database.js');
+    global.databaseManager = new DatabaseManager({
+      workspace: { id: workspaceRegistry.activeId, directory: getWorkspaceDirectory() }
+    });
+    await global.databaseManager.initialize();
+    console.log('[Main] Database manager initialized successfully');
+  } catch (error) {
+    console.error('[Main] Failed to initialize database manager:', error);
+    // Continue without database - sync features will be disabled
+  }
+
+  // Initialize Google Auth Manager to ensure OAuth credentials are available on startup
+  try {
+    console.log('[Main] Initializing Google Auth Manager...');
+    const { GoogleAuthManager } = require('./src/js/google-auth.js');
+    global.googleAuthManager = new GoogleAuthManager(getWorkspaceDirectory());
+    await global.googleAuthManager._initPromise;
+    console.log('[Main] Google Auth Manager initialized successfully');
+  } catch (error) {
+    console.error('[Main] Failed to initialize Google Auth Manager:', error);
+    // Continue without Google Auth - OAuth features will be disabled
+  }
+
+  await initializeSyncConnections();
+}
+
+// How long the window gets to write and close its store before a workspace switch
+const RENDERER_STORE_CLOSE_TIMEOUT_MS = 10 * 1000;
+
+// The window keeps its own store of the workspace (see persistence-store.js) with the journal
+// open. Resolves once it has written and closed it; a window that does not answer cannot save
+// anything anyway, so that is only logged.
+function closeRendererStore() {
+  if (!mainWindow || mainWindow.isDestroyed()) return Promise.resolve();
+
+  return new Promise((resolve, reject) => {
+    const webContents = mainWindow.webContents;
+    const onClosed = (event, result = {}) => {
+      if (event.sender !== webContents) return;
+      finish();
+      if (result.success) resolve();
+      else reject(new WorkspaceError('saveFailed', { error: result.error }));
+    };
+    const timer = setTimeout(() => {
+      finish();
+      console.warn('[Main] The window did not close its store in time, switching anyway');
+      resolve();
+    }, RENDERER_STORE_CLOSE_TIMEOUT_MS);
+    const finish = () => {
+      clearTimeout(timer);
+      ipcMain.removeListener('store-closed', onClosed);
+    };
+
+    ipcMain.on('store-closed', onClosed);
+    webContents.send('close-store');
+  });
+}
+
+// Swap the main process over to another workspace and reload the renderer, which then opens
+// the workspace's store; the app keeps running
+async function switchWorkspace(id) {
+  if (globalSyncInProgress || (global.syncManager && global.syncManager.syncInProgress)) {
+    throw new WorkspaceError('syncInProgress');
+  }
+  if (!workspaceRegistry.get(id)) throw new WorkspaceError('notFound');
+  await closeRendererStore();
+
+  try {
+    workspaceRegistry.setActive(id);
+    console.log('[Main] Switching to workspace', id);
+
+    // The renderer schedules the new workspace's reminders after the reload
+    scheduleReminderTimers([]);
+
+    if (global.databaseManager) {
+      global.databaseManager.close();
+    }
+    global.databaseManager = null;
+    global.syncManager = null;
+    global.googleAuthManager = null;
+    global.syncConnections = null;
+    await initializeWorkspaceServices();
+  } finally {
+    // The window's store is closed by now, so it reloads even when the switch failed
+    if (mainWindow) {
+      mainWindow.loadFile(path.join(__dirname, 'src/index.html'));
+    }
+  }
+}
+
+// Remote data from an older app version is migrated before it is merged; keep a copy of it
+// next to the sync working copy first
+function backupBeforeSchemaMigration(data, version) {
+  if (!global.databaseManager) {
+    throw new Error('Database manager not available');
+  }
+  global.databaseManager.backupBeforeMigration(data, version, 'sync');
+}
+
 // Function to perform sync before closing the application
 async function performSyncBeforeClose() {
   try {
-    // Check if Google Drive is authenticated
-    if (!global.googleAuthManager || !global.googleAuthManager.isAuthenticated) {
-      console.log('[Main] Google Drive not authenticated, skipping sync before close');
+    // Check if a sync provider is connected
+    if (!isSyncAuthenticated()) {
+      console.log('[Main] No sync provider connected, skipping sync before close');
       return;
     }
 
-    // Initialize Google Drive sync manager if not already done
-    if (!global.googleDriveSyncManager) {
-      const { GoogleDriveSyncManager } = require('./src/js/google-drive-sync.js');
+    // Initialize the sync manager if not already done
+    if (!global.syncManager) {
       const encryptionSettings = global.databaseManager ? global.databaseManager.getEncryptionSettings() : null;
-      global.googleDriveSyncManager = new GoogleDriveSyncManager(global.googleAuthManager, encryptionSettings);
+      global.syncManager = createSyncManager(encryptionSettings);
     }
 
     // Check if sync is already in progress (check both global and manager-level locks)
-    if (globalSyncInProgress || global.googleDriveSyncManager.syncInProgress) {
+    if (globalSyncInProgress || global.syncManager.syncInProgress) {
       console.log('[Main] Sync already in progress, waiting for it to complete...');
       // Wait for the existing sync to complete (with a timeout)
       let attempts = 0;
-      while ((globalSyncInProgress || global.googleDriveSyncManager.syncInProgress) && attempts < 60) { // Wait up to 30 seconds
+      while ((globalSyncInProgress || global.syncManager.syncInProgress) && attempts < 60) { // Wait up to 30 seconds
         await new Promise(resolve => setTimeout(resolve, 500));
         attempts++;
       }
 
-      if (globalSyncInProgress || global.googleDriveSyncManager.syncInProgress) {
+      if (globalSyncInProgress || global.syncManager.syncInProgress) {
         console.warn('[Main] Sync still in progress after timeout, proceeding with close');
         return; // Don't start another sync
       }
@@ -321,11 +499,12 @@ async function performSyncBeforeClose() {
     }
 
     // Perform sync operation
-    const syncResult = await global.googleDriveSyncManager.sync({
+    const syncResult = await global.syncManager.sync({
       localData: localData.data,
       strategy: 'merge',
       lastSync: lastSyncToUse,
-      lastSeenRemoteSyncVersion: lastSeenRemoteSyncVersion
+      lastSeenRemoteSyncVersion: lastSeenRemoteSyncVersion,
+      backupBeforeMigration: backupBeforeSchemaMigration
     });
 
     // Update sync status
@@ -375,7 +554,7 @@ function registerMediaProtocol() {
   protocol.registerFileProtocol('cognotez-media', async (request, callback) => {
     try {
       const fileId = request.url.replace('cognotez-media://', '');
-      const mediaDir = path.join(app.getPath('userData'), 'media');
+      const mediaDir = getMediaDirectory();
 
       // Ensure media directory exists
       try {
@@ -406,6 +585,8 @@ function registerMediaProtocol() {
 
 // This method will be called when Electron has finished initialization
 async function initApp() {
+  workspaceRegistry = new WorkspaceRegistry(app.getPath('userData'));
+
   // Register custom protocol for media files
   registerMediaProtocol();
   
@@ -416,29 +597,7 @@ async function initApp() {
     console.error('[Main] Failed to create menu:', err);
   });
 
-  // Initialize database manager for Google Drive sync
-  try {
-    console.log('[Main] Initializing database manager for sync...');
-    const { DatabaseManager } = require('./src/js/database.js');
-    global.databaseManager = new DatabaseManager();
-    await global.databaseManager.initialize();
-    console.log('[Main] Database manager initialized successfully');
-  } catch (error) {
-    console.error('[Main] Failed to initialize database manager:', error);
-    // Continue without database - sync features will be disabled
-  }
-
-  // Initialize Google Auth Manager to ensure OAuth credentials are available on startup
-  try {
-    console.log('[Main] Initializing Google Auth Manager...');
-    const { GoogleAuthManager } = require('./src/js/google-auth.js');
-    global.googleAuthManager = new GoogleAuthManager();
-    await global.googleAuthManager._initPromise;
-    console.log('[Main] Google Auth Manager initialized successfully');
-  } catch (error) {
-    console.error('[Main] Failed to initialize Google Auth Manager:', error);
-    // Continue without Google Auth - OAuth features will be disabled
-  }
+  await initializeWorkspaceServices();
 }
 
 // Request single instance lock to prevent multiple instances
@@ -483,7 +642,7 @@ if (app) {
       }
 
       // If a sync is already running, wait briefly for it to finish
-      if (globalSyncInProgress || (global.googleDriveSyncManager && global.googleDriveSyncManager.syncInProgress)) {
+      if (globalSyncInProgress || (global.syncManager && global.syncManager.syncInProgress)) {
         console.log('[Main] Sync in progress, preventing app quit...');
         
         // Show loading screen to user
@@ -492,7 +651,7 @@ if (app) {
         }
         
         let attempts = 0;
-        while ((globalSyncInProgress || (global.googleDriveSyncManager && global.googleDriveSyncManager.syncInProgress)) && attempts < 120) { // up to ~60s
+        while ((globalSyncInProgress || (global.syncManager && global.syncManager.syncInProgress)) && attempts < 120) { // up to ~60s
           event.preventDefault();
           await new Promise(resolve => setTimeout(resolve, 500));
           attempts++;
@@ -503,7 +662,7 @@ if (app) {
           mainWindow.webContents.send('sync-closing-hide');
         }
         
-        if (!globalSyncInProgress && (!global.googleDriveSyncManager || !global.googleDriveSyncManager.syncInProgress)) {
+        if (!globalSyncInProgress && (!global.syncManager || !global.syncManager.syncInProgress)) {
           console.log('[Main] Sync completed, allowing quit to proceed');
           return; // existing sync finished; let quit proceed
         }
@@ -544,12 +703,132 @@ if (app) {
   console.error('Electron app not available');
 }
 
+// Note reminders: the renderer sends the next occurrence of each reminder (see
+// RemindersManager.schedule) and the main process delivers them, so they also fire while the
+// window is hidden or minimized
+const reminderTimers = new Map(); // reminder ID -> timeout
+const shownReminderNotifications = new Set(); // Keeps click handlers alive until dismissed
+// setTimeout() fires at once for delays above ~24.8 days; longer waits are done in steps
+const MAX_TIMER_DELAY = 2147483647;
+
+function scheduleReminderTimers(reminders) {
+  reminderTimers.forEach(timer => clearTimeout(timer));
+  reminderTimers.clear();
+
+  for (const reminder of reminders) {
+    const wait = () => {
+      const delay = Math.max(0, reminder.fireAt - Date.now());
+      reminderTimers.set(reminder.id, setTimeout(() => {
+        if (reminder.fireAt > Date.now()) {
+          wait();
+          return;
+        }
+        reminderTimers.delete(reminder.id);
+        showReminderNotification(reminder);
+      }, Math.min(delay, MAX_TIMER_DELAY)));
+    };
+    wait();
+  }
+}
+
+function showReminderNotification(reminder) {
+  // Recorded first, so the occurrence counts as delivered even where notifications are unsupported
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('reminder-fired', { id: reminder.id, occurrence: reminder.occurrence });
+  }
+  if (!Notification.isSupported()) {
+    console.warn('[Reminders] Native notifications are not supported on this system');
+    return;
+  }
+
+  const notification = new Notification({
+    title: reminder.title,
+    body: reminder.body,
+    icon: path.join(__dirname, 'assets', 'icon.png')
+  });
+  shownReminderNotifications.add(notification);
+  notification.on('click', () => {
+    shownReminderNotifications.delete(notification);
+    if (!mainWindow || mainWindow.isDestroyed()) return;
+    if (mainWindow.isMinimized()) {
+      mainWindow.restore();
+    }
+    mainWindow.show();
+    mainWindow.focus();
+    mainWindow.webContents.send('reminder-open-note', { noteId: reminder.noteId });
+  });
+  notification.on('close', () => shownReminderNotifications.delete(notification));
+  notification.show();
+}
+
 // IPC handlers for main process communication
 if (ipcMain) {
   ipcMain.handle('get-app-path', () => {
     return app.getPath('userData');
   });
 
+  // Workspaces (see workspace-registry.js). Failures come back as { code, params } so the
+  // renderer can show them in its language.
+  const workspaceErrorResult = (error) => {
+    if (error.name !== 'WorkspaceError') console.error('[Workspaces] Operation failed:', error);
+    return {
+      success: false,
+      error: error.name === 'WorkspaceError'
+        ? { code: error.code, params: error.params, message: error.message }
+        : { code: null, params: {}, message: error.message }
+    };
+  };
+
+  ipcMain.handle('get-workspace', () => {
+    return { id: workspaceRegistry.activeId, directory: getWorkspaceDirectory() };
+  });
+
+  ipcMain.handle('workspaces-list', () => {
+    return workspaceRegistry.list();
+  });
+
+  ipcMain.handle('workspaces-create', (event, name) => {
+    try {
+      const workspace = workspaceRegistry.create(name);
+      return { success: true, id: workspace.id };
+    } catch (error) {
+      return workspaceErrorResult(error);
+    }
+  });
+
+  ipcMain.handle('workspaces-rename', (event, { id, name }) => {
+    try {
+      workspaceRegistry.rename(id, name);
+      return { success: true };
+    } catch (error) {
+      return workspaceErrorResult(error);
+    }
+  });
+
+  // The workspace's directory goes to the system trash, so it can still be recovered
+  ipcMain.handle('workspaces-delete', async (event, id) => {
+    try {
+      const directory = workspaceRegistry.remove(id);
+      try {
+        await shell.trashItem(directory);
+      } catch (trashError) {
+        console.warn('[Workspaces] Could not move the workspace directory to the trash, leaving it in place:', directory, trashError.message);
+      }
+      return { success: true };
+    } catch (error) {
+      return workspaceErrorResult(error);
+    }
+  });
+
+  ipcMain.handle('workspaces-switch', async (event, id) => {
+    try {
+      await switchWorkspace(id);
+      return { success: true };
+    } catch (error) {
+      return workspaceErrorResult(error);
+    }
+  });
+
   ipcMain.handle('show-save-dialog', async (event, options) => {
     return await dialog.showSaveDialog(mainWindow, options);
   });
@@ -741,7 +1020,7 @@ if (ipcMain) {
 
   ipcMain.handle('get-media-file-as-base64', async (event, fileId) => {
     try {
-      const mediaDir = path.join(app.getPath('userData'), 'media');
+      const mediaDir = getMediaDirectory();
       
       // Find file with this ID (could have any extension)
       const files = await fs.readdir(mediaDir);
@@ -768,7 +1047,7 @@ if (ipcMain) {
     try {
       console.log(`[PDF] Copying media file for PDF: ${fileId}`);
       
-      const mediaDir = path.join(app.getPath('userData'), 'media');
+      const mediaDir = getMediaDirectory();
       
       // Check if media directory exists
       try {
@@ -868,8 +1147,8 @@ if (ipcMain) {
       global.databaseManager.setEncryptionSettings(settings);
 
       // Update encryption settings in sync manager if it exists
-      if (global.googleDriveSyncManager) {
-        global.googleDriveSyncManager.updateEncryptionSettings(global.databaseManager.getEncryptionSettings());
+      if (global.syncManager) {
+        global.syncManager.updateEncryptionSettings(global.databaseManager.getEncryptionSettings());
       }
 
       // Send updated settings to renderer process
@@ -914,21 +1193,20 @@ if (ipcMain) {
       }
 
       // Ensure auth exists
-      if (!global.googleAuthManager || !global.googleAuthManager.isAuthenticated) {
-        throw new Error('Not authenticated with Google Drive');
+      if (!isSyncAuthenticated()) {
+        throw new Error('Not connected to a sync provider');
       }
 
       // Ensure sync manager exists
-      if (!global.googleDriveSyncManager) {
-        const { GoogleDriveSyncManager } = require('./src/js/google-drive-sync.js');
+      if (!global.syncManager) {
         const dbSettings = global.databaseManager ? global.databaseManager.getEncryptionSettings() : null;
-        global.googleDriveSyncManager = new GoogleDriveSyncManager(global.googleAuthManager, dbSettings);
+        global.syncManager = createSyncManager(dbSettings);
       }
 
       // Use DB enabled flag to avoid turning on encryption for uploads
       const dbEnc = global.databaseManager ? global.databaseManager.getEncryptionSettings() : { enabled: false, iterations: 210000 };
 
-      global.googleDriveSyncManager.updateEncryptionSettings({
+      global.syncManager.updateEncryptionSettings({
         enabled: dbEnc.enabled === true, // do not change enablement here
         passphrase: passphrase,
         saltBase64: saltBase64,
@@ -966,27 +1244,28 @@ if (ipcMain) {
   // (Google Drive connect/disconnect, API key change).
   ipcMain.on('restart-app', async () => {
     console.log('[Main] Soft-restarting: clearing auth state and reloading renderer...');
-    global.googleDriveSyncManager = null;
+    global.syncManager = null;
     globalSyncInProgress = false;
     // Re-initialize auth manager from disk BEFORE reloading the renderer so that
-    // google-drive-get-sync-status finds an already-ready instance. Without this,
+    // sync-get-status finds an already-ready instance. Without this,
     // the renderer's initializeSync() calls get-sync-status while googleAuthManager
     // is still null, isAuthenticated comes back false, and startup sync is skipped.
     const { GoogleAuthManager } = require('./src/js/google-auth.js');
-    global.googleAuthManager = new GoogleAuthManager();
+    global.googleAuthManager = new GoogleAuthManager(getWorkspaceDirectory());
     await global.googleAuthManager._initPromise;
+    await initializeSyncConnections();
     if (mainWindow) {
       mainWindow.loadFile(path.join(__dirname, 'src/index.html'));
     }
   });
 
-  // Google Drive sync IPC handlers
+  // Google Drive IPC handlers
   ipcMain.handle('google-drive-authenticate', async () => {
     try {
       // Lazy load Google Auth Manager to avoid issues if not used
       if (!global.googleAuthManager) {
         const { GoogleAuthManager } = require('./src/js/google-auth.js');
-        global.googleAuthManager = new GoogleAuthManager();
+        global.googleAuthManager = new GoogleAuthManager(getWorkspaceDirectory());
       }
       await global.googleAuthManager._initPromise;
 
@@ -1028,6 +1307,7 @@ if (ipcMain) {
 
               handled = true;
               await global.googleAuthManager.handleAuthCallback(code);
+              await disconnectOtherSyncProviders('google-drive');
               authWindow.close();
               if (mainWindow && mainWindow.webContents) {
                 mainWindow.webContents.send('google-drive-auth-success', { message: 'Successfully connected to Google Drive!' });
@@ -1103,25 +1383,56 @@ if (ipcMain) {
     }
   });
 
-  ipcMain.handle('google-drive-disconnect', async () => {
+  // Sync provider IPC handlers (see sync-providers.js). Google Drive connects through
+  // google-drive-authenticate instead.
+  ipcMain.handle('sync-provider-connect', async (event, { providerId, settings = {} } = {}) => {
+    try {
+      if (globalSyncInProgress || (global.syncManager && global.syncManager.syncInProgress)) {
+        throw new Error('Sync operation already in progress');
+      }
+
+      const provider = getSyncProviderById(providerId);
+      const connection = getSyncConnection(providerId);
+      if (!provider || provider.authentication !== 'settings' || !connection) {
+        throw new Error(`Sync provider '${providerId}' cannot be connected with settings`);
+      }
+
+      await connection.connect(settings);
+      await disconnectOtherSyncProviders(providerId);
+
+      if (global.databaseManager) {
+        global.databaseManager.clearSyncHistory();
+        global.databaseManager.enableSync(providerId);
+      }
+
+      return { success: true, status: connection.getAuthStatus() };
+    } catch (error) {
+      console.error(`Failed to connect sync provider '${providerId}':`, error);
+      return { success: false, error: { code: error.code, params: error.params, message: error.message } };
+    }
+  });
+
+  ipcMain.handle('sync-provider-disconnect', async (event, providerId) => {
     try {
-      if (global.googleAuthManager) {
-        await global.googleAuthManager.disconnect();
+      const connection = getSyncConnection(providerId);
+      if (connection) {
+        await connection.disconnect();
       }
+      global.syncManager = null;
 
-      // Also disable sync in database
       if (global.databaseManager) {
         global.databaseManager.disableSync();
       }
 
       return { success: true };
     } catch (error) {
-      console.error('Failed to disconnect Google Drive:', error);
+      console.error(`Failed to disconnect sync provider '${providerId}':`, error);
       return { success: false, error: error.message };
     }
   });
 
-  ipcMain.handle('google-drive-sync', async (event, options = {}) => {
+  // Sync with the connected provider
+  ipcMain.handle('sync-run', async (event, options = {}) => {
     try {
       // Check global sync lock to prevent concurrent sync operations
       if (globalSyncInProgress) {
@@ -1129,14 +1440,13 @@ if (ipcMain) {
         return { success: false, error: 'Sync operation already in progress' };
       }
 
-      if (!global.googleAuthManager || !global.googleAuthManager.isAuthenticated) {
-        throw new Error('Not authenticated with Google Drive');
+      if (!isSyncAuthenticated()) {
+        throw new Error('Not connected to a sync provider');
       }
 
-      if (!global.googleDriveSyncManager) {
-        const { GoogleDriveSyncManager } = require('./src/js/google-drive-sync.js');
+      if (!global.syncManager) {
         const encryptionSettings = global.databaseManager ? global.databaseManager.getEncryptionSettings() : null;
-        global.googleDriveSyncManager = new GoogleDriveSyncManager(global.googleAuthManager, encryptionSettings);
+        global.syncManager = createSyncManager(encryptionSettings);
       }
 
       // Set global lock
@@ -1165,11 +1475,12 @@ if (ipcMain) {
       console.log('[Sync] Using lastSync:', lastSyncToUse, 'lastSeenRemoteSyncVersion:', lastSeenRemoteSyncVersion);
       let syncResult;
       try {
-        syncResult = await global.googleDriveSyncManager.sync({
+        syncResult = await global.syncManager.sync({
           localData: localData.data,
           strategy: options.strategy || 'merge',
           lastSync: lastSyncToUse,
-          lastSeenRemoteSyncVersion: lastSeenRemoteSyncVersion
+          lastSeenRemoteSyncVersion: lastSeenRemoteSyncVersion,
+          backupBeforeMigration: backupBeforeSchemaMigration
         });
       } catch (error) {
         if (error && error.encryptionRequired) {
@@ -1186,7 +1497,11 @@ if (ipcMain) {
         if (mainWindow && mainWindow.webContents) {
           mainWindow.webContents.send('sync-completed', {
             success: false,
-            error: error.message || 'Sync failed due to an unknown error'
+            error: error.message || 'Sync failed due to an unknown error',
+            // Translated by the renderer (see schema-migrations.js)
+            schemaError: error && error.name === 'SchemaError' ? { code: error.code, params: error.params } : null,
+            // Translated by the renderer as "<section>.errors.<code>" (see sync-providers.js)
+            providerError: getSyncProviderError(error)
           });
         }
         throw error;
@@ -1262,7 +1577,7 @@ if (ipcMain) {
 
       return syncResult;
     } catch (error) {
-      console.error('Google Drive sync failed:', error);
+      console.error('Sync failed:', error);
       return { success: false, error: error.message };
     } finally {
       // Always release the global sync lock
@@ -1271,16 +1586,15 @@ if (ipcMain) {
     }
   });
 
-  ipcMain.handle('google-drive-upload', async () => {
+  ipcMain.handle('sync-upload', async () => {
     try {
-      if (!global.googleAuthManager || !global.googleAuthManager.isAuthenticated) {
-        throw new Error('Not authenticated with Google Drive');
+      if (!isSyncAuthenticated()) {
+        throw new Error('Not connected to a sync provider');
       }
 
-      if (!global.googleDriveSyncManager) {
-        const { GoogleDriveSyncManager } = require('./src/js/google-drive-sync.js');
+      if (!global.syncManager) {
         const encryptionSettings = global.databaseManager ? global.databaseManager.getEncryptionSettings() : null;
-        global.googleDriveSyncManager = new GoogleDriveSyncManager(global.googleAuthManager, encryptionSettings);
+        global.syncManager = createSyncManager(encryptionSettings);
       }
 
       if (!global.databaseManager) {
@@ -1288,7 +1602,7 @@ if (ipcMain) {
       }
 
       const localData = global.databaseManager.exportDataForSync();
-      const uploadResult = await global.googleDriveSyncManager.uploadData(localData.data);
+      const uploadResult = await global.syncManager.uploadSyncData(localData.data);
 
       if (uploadResult.success) {
         const now = new Date().toISOString();
@@ -1329,7 +1643,7 @@ if (ipcMain) {
 
       return uploadResult;
     } catch (error) {
-      console.error('Google Drive upload failed:', error);
+      console.error('Sync upload failed:', error);
       return { success: false, error: error.message };
     }
   });
@@ -1341,14 +1655,13 @@ if (ipcMain) {
         throw new Error('Not authenticated with Google Drive. Please connect Google Drive in Sync Settings.');
       }
 
-      if (!global.googleDriveSyncManager) {
-        const { GoogleDriveSyncManager } = require('./src/js/google-drive-sync.js');
+      if (!global.syncManager) {
         const encryptionSettings = global.databaseManager ? global.databaseManager.getEncryptionSettings() : null;
-        global.googleDriveSyncManager = new GoogleDriveSyncManager(global.googleAuthManager, encryptionSettings);
+        global.syncManager = createSyncManager(encryptionSettings);
       }
 
       console.log('[Google Drive] Sharing note:', note.title);
-      const result = await global.googleDriveSyncManager.shareNoteOnDrive(note, permissions, email);
+      const result = await global.syncManager.shareNoteOnDrive(note, permissions, email);
       console.log('[Google Drive] Share result:', result);
       
       // Update note in database with share information
@@ -1370,7 +1683,7 @@ if (ipcMain) {
           noteData.collaboration.google_drive_share_link = result.shareLink;
           // Update timestamp so sync knows this version is newer
           noteData.updated_at = new Date().toISOString();
-          global.databaseManager.saveToLocalStorage();
+          global.databaseManager.persist({ notes: [note.id] });
           console.log('[Google Drive] Updated note with share information');
           
           // Return the updated collaboration data so renderer can update its database
@@ -1410,7 +1723,7 @@ if (ipcMain) {
             noteData.collaboration.google_drive_file_id = null;
             noteData.collaboration.google_drive_share_link = null;
             noteData.updated_at = new Date().toISOString();
-            global.databaseManager.saveToLocalStorage();
+            global.databaseManager.persist({ notes: [noteId] });
             return { 
               success: true,
               updatedCollaboration: {
@@ -1426,10 +1739,9 @@ if (ipcMain) {
         }
       }
 
-      if (!global.googleDriveSyncManager) {
-        const { GoogleDriveSyncManager } = require('./src/js/google-drive-sync.js');
+      if (!global.syncManager) {
         const encryptionSettings = global.databaseManager ? global.databaseManager.getEncryptionSettings() : null;
-        global.googleDriveSyncManager = new GoogleDriveSyncManager(global.googleAuthManager, encryptionSettings);
+        global.syncManager = createSyncManager(encryptionSettings);
       }
 
       // Get note data to extract media files for deletion
@@ -1439,7 +1751,7 @@ if (ipcMain) {
       }
 
       console.log('[Google Drive] Revoking share for file:', fileId);
-      const result = await global.googleDriveSyncManager.stopSharingNote(fileId, noteData);
+      const result = await global.syncManager.stopSharingNote(fileId, noteData);
       
       // Update note in database to remove share information
       if (result && global.databaseManager && noteData) {
@@ -1449,7 +1761,7 @@ if (ipcMain) {
           noteData.collaboration.google_drive_share_link = null;
           // Update timestamp so sync knows this version is newer
           noteData.updated_at = new Date().toISOString();
-          global.databaseManager.saveToLocalStorage();
+          global.databaseManager.persist({ notes: [noteId] });
           console.log('[Google Drive] Removed share information from note');
         }
       }
@@ -1471,23 +1783,23 @@ if (ipcMain) {
     }
   });
 
-  ipcMain.handle('google-drive-download', async () => {
+  ipcMain.handle('sync-download', async () => {
     try {
-      if (!global.googleAuthManager || !global.googleAuthManager.isAuthenticated) {
-        throw new Error('Not authenticated with Google Drive');
+      if (!isSyncAuthenticated()) {
+        throw new Error('Not connected to a sync provider');
       }
 
-      if (!global.googleDriveSyncManager) {
-        const { GoogleDriveSyncManager } = require('./src/js/google-drive-sync.js');
+      if (!global.syncManager) {
         const encryptionSettings = global.databaseManager ? global.databaseManager.getEncryptionSettings() : null;
-        global.googleDriveSyncManager = new GoogleDriveSyncManager(global.googleAuthManager, encryptionSettings);
+        global.syncManager = createSyncManager(encryptionSettings);
       }
 
       if (!global.databaseManager) {
         throw new Error('Database manager not available');
       }
 
-      const downloadResult = await global.googleDriveSyncManager.downloadData();
+      // Notes unchanged since they were last synced are not downloaded again
+      const downloadResult = await global.syncManager.downloadSyncData(global.databaseManager.exportDataForSync().data);
 
       if (downloadResult.data) {
         const importResult = global.databaseManager.importDataFromSync(downloadResult.data, {
@@ -1532,38 +1844,41 @@ if (ipcMain) {
 
       return downloadResult;
     } catch (error) {
-      console.error('Google Drive download failed:', error);
+      console.error('Sync download failed:', error);
       return { success: false, error: error.message };
     }
   });
 
-  ipcMain.handle('google-drive-get-sync-status', async () => {
+  ipcMain.handle('sync-get-status', async () => {
     try {
       const status = {
         isAuthenticated: false,
         syncEnabled: false,
         lastSync: null,
         provider: null,
+        account: null,
         inProgress: false,
         localChecksum: null,
         remoteChecksum: null
       };
 
-      if (global.googleAuthManager) {
-        const authStatus = await global.googleAuthManager.getAuthStatus();
-        console.log('[SyncStatus] Auth status:', { isAuthenticated: authStatus.isAuthenticated, hasCredentials: authStatus.hasCredentials });
+      status.provider = getSyncProvider();
+      const connection = getSyncConnection(status.provider);
+      if (connection) {
+        const authStatus = await connection.getAuthStatus();
+        console.log('[SyncStatus] Auth status:', { provider: status.provider, isAuthenticated: authStatus.isAuthenticated });
         status.isAuthenticated = authStatus.isAuthenticated;
+        status.account = authStatus.isAuthenticated ? getSyncProviderById(status.provider).describe(authStatus) : null;
       }
 
       if (global.databaseManager) {
         status.syncEnabled = global.databaseManager.isSyncEnabled();
-        status.provider = global.databaseManager.getSyncProvider();
         const syncMetadata = global.databaseManager.getSyncMetadata();
         status.lastSync = syncMetadata.lastSync;
       }
 
-      if (global.googleDriveSyncManager) {
-        const syncStatus = global.googleDriveSyncManager.getSyncStatus();
+      if (global.syncManager) {
+        const syncStatus = global.syncManager.getSyncStatus();
         status.inProgress = syncStatus.inProgress;
         status.remoteChecksum = syncStatus.remoteChecksum || null;
         // Prefer databaseManager for local checksum if available
@@ -1589,7 +1904,7 @@ if (ipcMain) {
     try {
       if (!global.googleAuthManager) {
         const { GoogleAuthManager } = require('./src/js/google-auth.js');
-        global.googleAuthManager = new GoogleAuthManager();
+        global.googleAuthManager = new GoogleAuthManager(getWorkspaceDirectory());
         await global.googleAuthManager._initPromise;
       }
 
@@ -1653,7 +1968,7 @@ if (ipcMain) {
   // Get media directory path
   ipcMain.handle('get-media-directory', async () => {
     try {
-      const mediaDir = path.join(app.getPath('userData'), 'media');
+      const mediaDir = getMediaDirectory();
       // Ensure media directory exists
       await fs.mkdir(mediaDir, { recursive: true });
       return mediaDir;
@@ -1666,7 +1981,7 @@ if (ipcMain) {
   // Save media file to filesystem
   ipcMain.handle('save-media-file', async (event, { fileName, buffer, type }) => {
     try {
-      const mediaDir = path.join(app.getPath('userData'), 'media');
+      const mediaDir = getMediaDirectory();
       await fs.mkdir(mediaDir, { recursive: true });
 
       const filePath = path.join(mediaDir, fileName);
@@ -1715,7 +2030,7 @@ if (ipcMain) {
   // Find and read media file by ID (intelligent file discovery)
   ipcMain.handle('find-and-read-media-file', async (event, fileId) => {
     try {
-      const mediaDir = path.join(app.getPath('userData'), 'media');
+      const mediaDir = getMediaDirectory();
 
       // 1. Try the fileId as-is (for backwards compatibility)
       let filePath = path.join(mediaDir, fileId);
@@ -1783,7 +2098,7 @@ if (ipcMain) {
   // Save downloaded media file (used during sync)
   ipcMain.handle('save-downloaded-media-file', async (event, { fileId, fileData }) => {
     try {
-      const mediaDir = path.join(app.getPath('userData'), 'media');
+      const mediaDir = getMediaDirectory();
       await fs.mkdir(mediaDir, { recursive: true });
 
       const fileName = `${fileId}`;
@@ -1800,14 +2115,14 @@ if (ipcMain) {
     }
   });
 
-  // Sync media files to Google Drive (smart sync with orphan cleanup)
-  ipcMain.handle('sync-media-to-drive', async () => {
+  // Sync media files with the connected provider (smart sync with orphan cleanup)
+  ipcMain.handle('sync-media', async () => {
     try {
-      if (!global.googleDriveSyncManager) {
-        throw new Error('Google Drive sync not initialized');
+      if (!global.syncManager) {
+        throw new Error('Sync not initialized');
       }
 
-      const mediaDir = path.join(app.getPath('userData'), 'media');
+      const mediaDir = getMediaDirectory();
       
       // Check if media directory exists
       let localFiles = [];
@@ -1831,9 +2146,9 @@ if (ipcMain) {
         console.log('[Media] No local media directory found');
       }
 
-      // Get list of media files from Google Drive
-      const driveFiles = await global.googleDriveSyncManager.listMediaFiles();
-      const driveFileMap = new Map(driveFiles.map(f => [f.name, f]));
+      // Get list of media files from the sync provider
+      const remoteFiles = await global.syncManager.listMediaFiles();
+      const remoteFileMap = new Map(remoteFiles.map(f => [f.name, f]));
       
       // Get referenced media IDs from all notes
       const referencedMediaIds = new Set();
@@ -1868,12 +2183,12 @@ if (ipcMain) {
           continue;
         }
         
-        const driveFile = driveFileMap.get(localFile.name);
+        const remoteFile = remoteFileMap.get(localFile.name);
         
-        // Upload if file doesn't exist on Drive or has different size
-        if (!driveFile || driveFile.size !== String(localFile.size)) {
+        // Upload if file doesn't exist remotely or has different size
+        if (!remoteFile || remoteFile.size !== String(localFile.size)) {
           const fileData = await fs.readFile(localFile.path);
-          await global.googleDriveSyncManager.uploadMediaFile(localFile.name, fileData, localFile.mtime);
+          await global.syncManager.uploadMediaFile(localFile.name, fileData, localFile.mtime);
           uploaded++;
           console.log(`[Media] Uploaded: ${localFile.name}`);
         } else {
@@ -1881,15 +2196,15 @@ if (ipcMain) {
         }
       }
       
-      // Delete orphaned files from Google Drive (files not referenced in any note)
-      let deletedFromDrive = 0;
-      for (const driveFile of driveFiles) {
-        const mediaId = driveFile.name.split('.')[0];
+      // Delete orphaned files from the sync provider (files not referenced in any note)
+      let deletedFromRemote = 0;
+      for (const remoteFile of remoteFiles) {
+        const mediaId = remoteFile.name.split('.')[0];
         
         if (!referencedMediaIds.has(mediaId)) {
-          console.log(`[Media] Deleting orphaned file from Drive: ${driveFile.name}`);
-          await global.googleDriveSyncManager.deleteMediaFile(driveFile.id);
-          deletedFromDrive++;
+          console.log(`[Media] Deleting orphaned remote file: ${remoteFile.name}`);
+          await global.syncManager.deleteMediaFile(remoteFile.id);
+          deletedFromRemote++;
         }
       }
       
@@ -1909,48 +2224,48 @@ if (ipcMain) {
         }
       }
 
-      console.log(`[Media] Sync complete: ${uploaded} uploaded, ${skipped} skipped, ${deletedFromDrive} deleted from Drive, ${deletedFromLocal} deleted from local`);
+      console.log(`[Media] Sync complete: ${uploaded} uploaded, ${skipped} skipped, ${deletedFromRemote} deleted remotely, ${deletedFromLocal} deleted from local`);
       return { 
         success: true, 
         uploaded,
         skipped,
-        deletedFromDrive,
+        deletedFromRemote,
         deletedFromLocal,
         total: localFiles.length
       };
       
     } catch (error) {
-      console.error('[Media] Failed to sync media to Drive:', error);
+      console.error('[Media] Failed to sync media:', error);
       return { success: false, error: error.message };
     }
   });
 
-  // Download media files from Google Drive
-  ipcMain.handle('download-media-from-drive', async () => {
+  // Download media files from the sync provider
+  ipcMain.handle('sync-download-media', async () => {
     try {
-      if (!global.googleDriveSyncManager) {
-        throw new Error('Google Drive sync not initialized');
+      if (!global.syncManager) {
+        throw new Error('Sync not initialized');
       }
 
-      const mediaDir = path.join(app.getPath('userData'), 'media');
+      const mediaDir = getMediaDirectory();
       await fs.mkdir(mediaDir, { recursive: true });
 
-      // Download all media files from Google Drive
-      const mediaFiles = await global.googleDriveSyncManager.listMediaFiles();
+      // Download all media files from the sync provider
+      const mediaFiles = await global.syncManager.listMediaFiles();
       let filesDownloaded = 0;
 
       for (const fileInfo of mediaFiles) {
-        const fileData = await global.googleDriveSyncManager.downloadMediaFile(fileInfo.id);
+        const fileData = await global.syncManager.downloadMediaFile(fileInfo.id);
         const filePath = path.join(mediaDir, fileInfo.name);
         await fs.writeFile(filePath, fileData);
         filesDownloaded++;
       }
 
-      console.log(`[Media] Downloaded ${filesDownloaded} media files from Google Drive`);
+      console.log(`[Media] Downloaded ${filesDownloaded} media files from the sync provider`);
       return { success: true, filesDownloaded };
       
     } catch (error) {
-      console.error('[Media] Failed to download media from Drive:', error);
+      console.error('[Media] Failed to download media:', error);
       return { success: false, error: error.message };
     }
   });
@@ -1965,6 +2280,11 @@ if (ipcMain) {
     }
   });
 
+  // Upcoming reminder notifications: [{ id, noteId, title, body, fireAt, occurrence }]
+  ipcMain.on('reminders-schedule', (event, reminders) => {
+    scheduleReminderTimers(Array.isArray(reminders) ? reminders : []);
+  });
+
 } else {
   console.error('ipcMain not available - Electron may not be properly initialized');
 }
@@ -2014,6 +2334,13 @@ const createMenu = async (lang = 'en') => {
               mainWindow.webContents.send('menu-new-note');
             }
           },
+          {
+            label: t('todaysNote'),
+            accelerator: 'CmdOrCtrl+D',
+            click: () => {
+              mainWindow.webContents.send('menu-daily-note');
+            }
+          },
           { type: 'separator' },
           {
             label: t('export'),
@@ -2078,7 +2405,7 @@ const createMenu = async (lang = 'en') => {
               appQuittingRequested = true;
               
               // First, check if sync is already in progress - wait for it to complete
-              if (globalSyncInProgress || (global.googleDriveSyncManager && global.googleDriveSyncManager.syncInProgress)) {
+              if (globalSyncInProgress || (global.syncManager && global.syncManager.syncInProgress)) {
                 console.log('[Main] Sync in progress, waiting before quit...');
                 
                 // Show loading screen to user
@@ -2088,7 +2415,7 @@ const createMenu = async (lang = 'en') => {
                 
                 // Wait for sync to complete (with a reasonable timeout)
                 let attempts = 0;
-                while ((globalSyncInProgress || (global.googleDriveSyncManager && global.googleDriveSyncManager.syncInProgress)) && attempts < 120) { // Wait up to 60 seconds
+                while ((globalSyncInProgress || (global.syncManager && global.syncManager.syncInProgress)) && attempts < 120) { // Wait up to 60 seconds
                   await new Promise(resolve => setTimeout(resolve, 500));
                   attempts++;
                 }
@@ -2098,7 +2425,7 @@ const createMenu = async (lang = 'en') => {
                   mainWindow.webContents.send('sync-closing-hide');
                 }
                 
-                if (globalSyncInProgress || (global.googleDriveSyncManager && global.googleDriveSyncManager.syncInProgress)) {
+                if (globalSyncInProgress || (global.syncManager && global.syncManager.syncInProgress)) {
                   console.warn('[Main] Sync still in progress after timeout, proceeding with quit to prevent hang');
                 } else {
                   console.log('[Main] Sync completed, proceeding with quit...');
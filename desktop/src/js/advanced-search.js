@@ -11,9 +11,11 @@ class AdvancedSearchManager {
             dateTo: null,
             pinnedOnly: false,
             protectedOnly: false,
+            properties: [],
             sortBy: 'updated_at',
             sortOrder: 'DESC'
         };
+        this.editingSavedSearchId = null; // Saved search loaded into the panel, if any
     }
 
     async initialize() {
@@ -21,6 +23,7 @@ class AdvancedSearchManager {
         this.panel = document.getElementById('advanced-search-panel');
         this.setupEventListeners();
         await this.populateTagsFilter();
+        this.populatePropertyFilters();
         console.log('[AdvancedSearch] Advanced search initialized');
     }
 
@@ -49,6 +52,12 @@ class AdvancedSearchManager {
             clearBtn.addEventListener('click', () => this.clearFilters());
         }
 
+        // Save search button
+        const saveBtn = document.getElementById('save-search-btn');
+        if (saveBtn) {
+            saveBtn.addEventListener('click', () => this.showSaveSearchDialog());
+        }
+
         // Close on ESC key
         document.addEventListener('keydown', (e) => {
             if (e.key === 'Escape' && this.isOpen) {
@@ -56,6 +65,14 @@ class AdvancedSearchManager {
             }
         });
 
+        // Property conditions
+        const addConditionBtn = document.getElementById('add-property-condition-btn');
+        if (addConditionBtn) {
+            addConditionBtn.addEventListener('click', () => {
+                this.app.propertiesManager.addFilterCondition(document.getElementById('filter-properties'));
+            });
+        }
+
         // Real-time filter updates (optional)
         const filterText = document.getElementById('filter-text');
         if (filterText) {
@@ -95,6 +112,24 @@ class AdvancedSearchManager {
         }
     }
 
+    // Property conditions and sort options follow the current property definitions
+    populatePropertyFilters() {
+        const propertiesManager = this.app.propertiesManager;
+        if (!propertiesManager || !propertiesManager.db) return;
+
+        const container = document.getElementById('filter-properties');
+        propertiesManager.renderFilterConditions(container, propertiesManager.getFilterConditions(container));
+        propertiesManager.populateSortOptions(document.getElementById('filter-sort'));
+
+        const addConditionBtn = document.getElementById('add-property-condition-btn');
+        if (addConditionBtn) {
+            addConditionBtn.disabled = propertiesManager.db.getPropertyDefinitions().length === 0;
+            addConditionBtn.title = addConditionBtn.disabled
+                ? t('advancedSearch.noProperties', 'Add a property to a note to filter by it')
+                : '';
+        }
+    }
+
     toggle() {
         if (this.isOpen) {
             this.close();
@@ -115,8 +150,9 @@ class AdvancedSearchManager {
             toggleBtn.classList.add('active');
         }
 
-        // Refresh tags in case they've changed
+        // Refresh tags and properties in case they've changed
         this.populateTagsFilter();
+        this.populatePropertyFilters();
     }
 
     close() {
@@ -135,7 +171,21 @@ class AdvancedSearchManager {
     async applyFilters() {
         console.log('[AdvancedSearch] Applying filters...');
 
-        // Collect filter values from UI
+        const values = this.getFilterValues();
+
+        // Update current filters
+        this.currentFilters = {
+            ...values,
+            dateFrom: values.dateFrom ? new Date(values.dateFrom) : null,
+            dateTo: values.dateTo ? new Date(values.dateTo) : null
+        };
+
+        // Apply filters via database query
+        await this.executeSearch();
+    }
+
+    // Collect filter values from UI (dates as 'YYYY-MM-DD' strings, as stored in saved searches)
+    getFilterValues() {
         const filterText = document.getElementById('filter-text')?.value || '';
         const filterTags = Array.from(document.getElementById('filter-tags')?.selectedOptions || [])
             .map(opt => opt.value);
@@ -143,25 +193,157 @@ class AdvancedSearchManager {
         const dateTo = document.getElementById('filter-date-to')?.value || null;
         const pinnedOnly = document.getElementById('filter-pinned')?.checked || false;
         const protectedOnly = document.getElementById('filter-protected')?.checked || false;
+        const properties = this.app.propertiesManager
+            ? this.app.propertiesManager.getFilterConditions(document.getElementById('filter-properties'))
+            : [];
         const sortValue = document.getElementById('filter-sort')?.value || 'updated_at_desc';
 
         // Parse sort value
         const [sortBy, sortOrder] = this.parseSortValue(sortValue);
 
-        // Update current filters
-        this.currentFilters = {
+        return {
             text: filterText,
             tags: filterTags,
-            dateFrom: dateFrom ? new Date(dateFrom) : null,
-            dateTo: dateTo ? new Date(dateTo) : null,
+            dateFrom,
+            dateTo,
             pinnedOnly,
             protectedOnly,
+            properties,
             sortBy,
             sortOrder
         };
+    }
 
-        // Apply filters via database query
-        await this.executeSearch();
+    // Fill the UI with a saved filter set
+    setFilterValues(filters) {
+        const filterText = document.getElementById('filter-text');
+        if (filterText) filterText.value = filters.text || '';
+
+        const filterTags = document.getElementById('filter-tags');
+        if (filterTags) {
+            Array.from(filterTags.options).forEach(opt => {
+                opt.selected = (filters.tags || []).includes(opt.value);
+            });
+        }
+
+        const dateFrom = document.getElementById('filter-date-from');
+        if (dateFrom) dateFrom.value = filters.dateFrom || '';
+
+        const dateTo = document.getElementById('filter-date-to');
+        if (dateTo) dateTo.value = filters.dateTo || '';
+
+        const pinnedCheck = document.getElementById('filter-pinned');
+        if (pinnedCheck) pinnedCheck.checked = filters.pinnedOnly === true;
+
+        const protectedCheck = document.getElementById('filter-protected');
+        if (protectedCheck) protectedCheck.checked = filters.protectedOnly === true;
+
+        if (this.app.propertiesManager) {
+            this.app.propertiesManager.renderFilterConditions(document.getElementById('filter-properties'), filters.properties || []);
+        }
+
+        const sortSelect = document.getElementById('filter-sort');
+        if (sortSelect) {
+            this.app.propertiesManager?.populateSortOptions(sortSelect);
+            sortSelect.value = `${filters.sortBy || 'updated_at'}_${(filters.sortOrder || 'DESC').toLowerCase()}`;
+            // The property sorted by may have been deleted
+            if (!sortSelect.value) sortSelect.value = 'updated_at_desc';
+        }
+    }
+
+    // Open the panel with a saved search's filters so they can be adjusted and saved again
+    async editSavedSearch(savedSearchId) {
+        const db = this.app.notesManager?.db;
+        const savedSearch = db && db.initialized ? db.getSavedSearch(savedSearchId) : null;
+        if (!savedSearch) return;
+
+        this.open();
+        await this.populateTagsFilter();
+        this.setFilterValues(savedSearch.filters);
+        this.editingSavedSearchId = savedSearchId;
+        await this.applyFilters();
+    }
+
+    showSaveSearchDialog() {
+        const db = this.app.notesManager?.db;
+        if (!db || !db.initialized) {
+            this.app.showNotification(t('notifications.databaseNotAvailable'), 'error');
+            return;
+        }
+
+        const filters = this.getFilterValues();
+        const hasFilters = filters.text.trim() !== '' || filters.tags.length > 0 || filters.dateFrom ||
+            filters.dateTo || filters.pinnedOnly || filters.protectedOnly || filters.properties.length > 0;
+        if (!hasFilters) {
+            this.app.showNotification(t('savedSearches.nothingToSave', 'Set a query or filter to save first'), 'warning');
+            return;
+        }
+
+        // Never save a query that cannot be run
+        if (filters.text.trim()) {
+            try {
+                db.searchNotes(filters.text);
+            } catch (error) {
+                if (error.name === 'SearchQueryError') {
+                    this.showQueryError(error);
+                    return;
+                }
+                throw error;
+            }
+        }
+
+        const editing = this.editingSavedSearchId ? db.getSavedSearch(this.editingSavedSearchId) : null;
+        const defaultName = editing ? editing.name : filters.text.trim();
+        const content = `
+            <div class="form-group">
+                <label for="saved-search-name" style="display: block; margin-bottom: 6px; font-weight: 500;">${t('savedSearches.name', 'Name')}</label>
+                <input type="text" id="saved-search-name" class="filter-input" style="width: 100%;"
+                       placeholder="${this.app.escapeHtml(t('savedSearches.namePlaceholder', 'e.g. Open tasks this month'))}"
+                       value="${this.app.escapeHtml(defaultName)}">
+            </div>
+        `;
+
+        const buttons = [
+            { text: t('modals.cancel', 'Cancel'), type: 'secondary', action: 'cancel' }
+        ];
+        if (editing) {
+            buttons.push({ text: t('savedSearches.saveAsNew', 'Save as New'), type: 'secondary', action: 'save-new', callback: () => this.saveSearch(filters, false) });
+        }
+        buttons.push({ text: t('savedSearches.save', 'Save'), type: 'primary', action: 'save', callback: () => this.saveSearch(filters, !!editing) });
+
+        const modal = this.app.createModal(t('savedSearches.saveSearch', 'Save Search'), content, buttons);
+        const input = modal.querySelector('#saved-search-name');
+        if (input) {
+            setTimeout(() => input.select(), 100);
+            input.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    modal.querySelector('[data-action="save"]')?.click();
+                }
+            });
+        }
+    }
+
+    async saveSearch(filters, updateExisting) {
+        const db = this.app.notesManager.db;
+        const name = (document.getElementById('saved-search-name')?.value || '').trim();
+        if (!name) {
+            this.app.showNotification(t('savedSearches.nameRequired', 'Please enter a name for the search'), 'warning');
+            return;
+        }
+
+        let savedSearchId;
+        if (updateExisting && db.updateSavedSearch(this.editingSavedSearchId, { name, filters })) {
+            savedSearchId = this.editingSavedSearchId;
+        } else {
+            savedSearchId = db.createSavedSearch({ name, filters });
+        }
+        this.editingSavedSearchId = savedSearchId;
+
+        this.app.showNotification(t('savedSearches.saved', { name }), 'success');
+        await this.app.renderTagFolders();
+        this.close();
+        await this.app.switchFolder(`saved-search:${savedSearchId}`);
     }
 
     parseSortValue(sortValue) {
@@ -205,60 +387,31 @@ class AdvancedSearchManager {
             console.log(`[AdvancedSearch] Found ${notes.length} notes matching filters`);
 
         } catch (error) {
+            if (error.name === 'SearchQueryError') {
+                this.showQueryError(error);
+                return;
+            }
             console.error('[AdvancedSearch] Search failed:', error);
             this.app.showNotification?.('Search failed: ' + error.message, 'error');
         }
     }
 
     applyAdditionalFilters(notes) {
-        let filtered = notes;
-
-        // Filter by tags
-        if (this.currentFilters.tags.length > 0) {
-            filtered = filtered.filter(note => {
-                if (!note.tags || note.tags.length === 0) return false;
-                return this.currentFilters.tags.some(tagId => note.tags.includes(tagId));
-            });
-        }
-
-        // Filter by date range
-        if (this.currentFilters.dateFrom || this.currentFilters.dateTo) {
-            filtered = filtered.filter(note => {
-                const noteDate = new Date(note.updated_at || note.created_at);
-
-                if (this.currentFilters.dateFrom && noteDate < this.currentFilters.dateFrom) {
-                    return false;
-                }
-
-                if (this.currentFilters.dateTo) {
-                    // Include the entire day of dateTo
-                    const dateToEnd = new Date(this.currentFilters.dateTo);
-                    dateToEnd.setHours(23, 59, 59, 999);
-                    if (noteDate > dateToEnd) {
-                        return false;
-                    }
-                }
-
-                return true;
-            });
-        }
-
-        // Filter by pinned status
-        if (this.currentFilters.pinnedOnly) {
-            filtered = filtered.filter(note => note.pinned === true);
-        }
+        return this.app.notesManager.db.filterNotes(notes, this.currentFilters);
+    }
 
-        // Filter by password protected
-        if (this.currentFilters.protectedOnly) {
-            filtered = filtered.filter(note => note.password_protected === true);
+    showQueryError(error) {
+        const countElement = document.getElementById('search-results-count');
+        if (countElement) {
+            countElement.classList.add('search-query-error');
+            countElement.textContent = this.app.notesManager.formatSearchError(error);
         }
-
-        return filtered;
     }
 
     updateResultsCount(count) {
         const countElement = document.getElementById('search-results-count');
         if (countElement) {
+            countElement.classList.remove('search-query-error');
             const plural = count !== 1 ? 's' : '';
             const text = t('advancedSearch.searchResultsCount', `${count} note${plural} found`, { count, plural });
             countElement.textContent = text;
@@ -269,18 +422,12 @@ class AdvancedSearchManager {
         // Use the existing notes rendering system
         if (this.app.notesManager) {
             this.app.notesManager.currentNotes = notes;
-            const notesList = document.getElementById('notes-list');
-            if (notesList) {
-                notesList.innerHTML = '';
-
-                if (notes.length === 0) {
-                    this.app.notesManager.renderEmptyState();
-                } else {
-                    notes.forEach(note => {
-                        const noteElement = this.app.notesManager.createNoteElement(note);
-                        notesList.appendChild(noteElement);
-                    });
-                }
+            this.app.renderTableView();
+            this.app.renderBoardView();
+            this.app.refreshBulkSelection();
+            this.app.notesManager.renderListItems(notes, 'advanced-search');
+            if (notes.length === 0) {
+                this.app.notesManager.renderEmptyState();
             }
         }
     }
@@ -309,6 +456,9 @@ class AdvancedSearchManager {
         const protectedCheck = document.getElementById('filter-protected');
         if (protectedCheck) protectedCheck.checked = false;
 
+        const propertyConditions = document.getElementById('filter-properties');
+        if (propertyConditions) propertyConditions.innerHTML = '';
+
         const sortSelect = document.getElementById('filter-sort');
         if (sortSelect) sortSelect.value = 'updated_at_desc';
 
@@ -320,9 +470,11 @@ class AdvancedSearchManager {
             dateTo: null,
             pinnedOnly: false,
             protectedOnly: false,
+            properties: [],
             sortBy: 'updated_at',
             sortOrder: 'DESC'
         };
+        this.editingSavedSearchId = null;
 
         // Refresh notes list with no filters
         if (this.app.notesManager) {
@@ -354,6 +506,9 @@ class AdvancedSearchManager {
 
         if (this.currentFilters.pinnedOnly) parts.push('Pinned');
         if (this.currentFilters.protectedOnly) parts.push('Protected');
+        if (this.currentFilters.properties.length > 0) {
+            parts.push(`${this.currentFilters.properties.length} property condition(s)`);
+        }
 
         return parts.length > 0 ? parts.join(', ') : 'No filters active';
     }
@@ -364,7 +519,8 @@ class AdvancedSearchManager {
             this.currentFilters.dateFrom !== null ||
             this.currentFilters.dateTo !== null ||
             this.currentFilters.pinnedOnly ||
-            this.currentFilters.protectedOnly;
+            this.currentFilters.protectedOnly ||
+            this.currentFilters.properties.length > 0;
     }
 }
 
@@ -11,6 +11,10 @@ function showAdvancedSettings(app) {
     // Get current tag statistics
     const allTags = app.notesManager.db ? app.notesManager.db.getAllTags() : [];
     const totalTags = allTags.length;
+    const retention = app.notesManager.db
+        ? app.notesManager.db.getRevisionRetention()
+        : { keepLast: 50, keepDailyDays: 30 };
+    const trashRetentionDays = app.notesManager.db ? app.notesManager.db.getTrashRetentionDays() : 30;
 
     const t = (key, fallback, params = {}) => window.i18n ? window.i18n.t(key, params) : fallback;
 
@@ -60,6 +64,62 @@ function showAdvancedSettings(app) {
                         ${t('settings.advanced.clearAllAIConversationsDescription', 'Delete all AI conversations for all notes. This action cannot be undone. Note content will not be affected.')}
                     </div>
                 </div>
+
+                <!-- Revision History -->
+                <div class="setting-item" style="margin-bottom: 24px;">
+                    <div style="margin-bottom: 12px;">
+                        <label style="color: var(--text-primary); font-weight: 500; display: block; margin-bottom: 4px;">
+                            <i class="fas fa-history"></i> ${t('settings.advanced.revisionHistory', 'Revision History')}
+                        </label>
+                        <div style="color: var(--text-secondary); font-size: 12px; margin-bottom: 12px;">
+                            ${t('settings.advanced.revisionHistoryDescription', 'Choose how many previous versions of each note are kept')}
+                        </div>
+                    </div>
+
+                    <div style="display: flex; gap: 12px; margin-bottom: 12px;">
+                        <label style="flex: 1; color: var(--text-secondary); font-size: 12px;">
+                            ${t('settings.advanced.revisionKeepLast', 'Recent revisions to keep')}
+                            <input type="number" id="revision-keep-last" min="1" max="500" value="${retention.keepLast}" style="width: 100%; margin-top: 4px; padding: 8px; border: 1px solid var(--border-color); border-radius: 6px; background: var(--input-bg); color: var(--text-primary);">
+                        </label>
+                        <label style="flex: 1; color: var(--text-secondary); font-size: 12px;">
+                            ${t('settings.advanced.revisionKeepDailyDays', 'Daily snapshots (days)')}
+                            <input type="number" id="revision-keep-daily-days" min="0" max="365" value="${retention.keepDailyDays}" style="width: 100%; margin-top: 4px; padding: 8px; border: 1px solid var(--border-color); border-radius: 6px; background: var(--input-bg); color: var(--text-primary);">
+                        </label>
+                    </div>
+
+                    <button id="save-revision-retention-btn" class="advanced-action-btn" style="width: 100%; padding: 10px; border: 1px solid var(--border-color); border-radius: 6px; background: var(--input-bg); color: var(--text-primary); cursor: pointer; display: flex; align-items: center; gap: 8px; justify-content: center; transition: all 0.2s;">
+                        <i class="fas fa-save"></i>
+                        <span>${t('settings.advanced.saveRevisionRetention', 'Save Retention Settings')}</span>
+                    </button>
+                    <div style="margin-top: 6px; color: var(--text-secondary); font-size: 11px; line-height: 1.4;">
+                        ${t('settings.advanced.revisionRetentionHint', 'The most recent revisions are always kept, plus the last revision of each day for the chosen number of days. Older revisions are removed.')}
+                    </div>
+                </div>
+
+                <!-- Trash -->
+                <div class="setting-item" style="margin-bottom: 24px;">
+                    <div style="margin-bottom: 12px;">
+                        <label style="color: var(--text-primary); font-weight: 500; display: block; margin-bottom: 4px;">
+                            <i class="fas fa-trash"></i> ${t('settings.advanced.trash', 'Trash')}
+                        </label>
+                        <div style="color: var(--text-secondary); font-size: 12px; margin-bottom: 12px;">
+                            ${t('settings.advanced.trashDescription', 'Deleted notes stay in the trash until they are purged')}
+                        </div>
+                    </div>
+
+                    <label style="display: block; color: var(--text-secondary); font-size: 12px; margin-bottom: 12px;">
+                        ${t('settings.advanced.trashRetentionDays', 'Purge notes from the trash after (days)')}
+                        <input type="number" id="trash-retention-days" min="0" max="365" value="${trashRetentionDays}" style="width: 100%; margin-top: 4px; padding: 8px; border: 1px solid var(--border-color); border-radius: 6px; background: var(--input-bg); color: var(--text-primary);">
+                    </label>
+
+                    <button id="save-trash-retention-btn" class="advanced-action-btn" style="width: 100%; padding: 10px; border: 1px solid var(--border-color); border-radius: 6px; background: var(--input-bg); color: var(--text-primary); cursor: pointer; display: flex; align-items: center; gap: 8px; justify-content: center; transition: all 0.2s;">
+                        <i class="fas fa-save"></i>
+                        <span>${t('settings.advanced.saveTrashRetention', 'Save Trash Settings')}</span>
+                    </button>
+                    <div style="margin-top: 6px; color: var(--text-secondary); font-size: 11px; line-height: 1.4;">
+                        ${t('settings.advanced.trashRetentionHint', 'Set to 0 to keep deleted notes until you empty the trash yourself.')}
+                    </div>
+                </div>
             </div>
         </div>
     `;
@@ -161,6 +221,39 @@ function showAdvancedSettings(app) {
         }
     });
 
+    // Handle revision retention save
+    const saveRetentionBtn = modal.querySelector('#save-revision-retention-btn');
+    saveRetentionBtn.addEventListener('click', () => {
+        if (!app.notesManager.db || !app.notesManager.db.initialized) {
+            app.showNotification(t('notifications.databaseNotInitialized', 'Database not initialized'), 'error');
+            return;
+        }
+
+        const saved = app.notesManager.db.setRevisionRetention({
+            keepLast: modal.querySelector('#revision-keep-last').value,
+            keepDailyDays: modal.querySelector('#revision-keep-daily-days').value
+        });
+
+        // Reflect clamped values back into the inputs
+        modal.querySelector('#revision-keep-last').value = saved.keepLast;
+        modal.querySelector('#revision-keep-daily-days').value = saved.keepDailyDays;
+        app.showNotification(t('settings.advanced.revisionRetentionSaved', 'Revision retention settings saved'), 'success');
+    });
+
+    // Handle trash retention save
+    const saveTrashRetentionBtn = modal.querySelector('#save-trash-retention-btn');
+    saveTrashRetentionBtn.addEventListener('click', async () => {
+        if (!app.notesManager.db || !app.notesManager.db.initialized) {
+            app.showNotification(t('notifications.databaseNotInitialized', 'Database not initialized'), 'error');
+            return;
+        }
+
+        const saved = app.notesManager.db.setTrashRetentionDays(modal.querySelector('#trash-retention-days').value);
+        modal.querySelector('#trash-retention-days').value = saved;
+        await app.notesManager.updateFolderCounts();
+        app.showNotification(t('settings.advanced.trashRetentionSaved', 'Trash settings saved'), 'success');
+    });
+
     // Add hover effect for the button
     const style = document.createElement('style');
     style.textContent = `
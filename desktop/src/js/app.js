@@ -3,7 +3,7 @@
 const { ipcRenderer } = require('electron');
 
 // Shared helpers
-const { t, setSafeInnerHTML, renderMarkdown } = require('./js/shared');
+const { t, setSafeInnerHTML, renderMarkdown, renderNoteMarkdown } = require('./js/shared');
 const FindReplaceDialog = require('./js/find-replace');
 // History Manager for undo/redo functionality
 const HistoryManager = require('./js/history');
@@ -13,8 +13,10 @@ const { showAISettings } = require('./js/ai-settings');
 const { showGeneralSettings } = require('./js/general-settings');
 // Advanced Settings module
 const { showAdvancedSettings } = require('./js/advanced-settings');
+// Sync provider registry
+const { getSyncProviderById, DEFAULT_SYNC_PROVIDER } = require('./js/sync-providers');
 // Sync Settings module
-const { showSyncSettings, initializeModalEncryptionHandlers, initializeModalSyncHandlers, updateModalSyncStatus } = require('./js/sync-settings');
+const { showSyncSettings, initializeModalEncryptionHandlers, initializeModalSyncHandlers, updateModalSyncStatus, getSyncProviderName } = require('./js/sync-settings');
 // Share Options module
 const { showShareOptions } = require('./js/share-options');
 // Event Listeners module
@@ -22,6 +24,18 @@ const { setupEventListeners } = require('./js/event-listeners');
 const ModalManager = require('./js/modal-manager');
 const TabManager = require('./js/tab-manager');
 const TagFolderManager = require('./js/tag-folder-manager');
+const RevisionHistoryManager = require('./js/revision-history');
+const BacklinksManager = require('./js/backlinks');
+const GraphViewManager = require('./js/graph-view');
+const PropertiesManager = require('./js/properties');
+const TableViewManager = require('./js/table-view');
+const BulkActionsManager = require('./js/bulk-actions');
+const ArchiveManager = require('./js/archive');
+const DailyNotesManager = require('./js/daily-notes');
+const TaskViewManager = require('./js/task-view');
+const BoardViewManager = require('./js/board-view');
+const RemindersManager = require('./js/reminders');
+const WorkspacesManager = require('./js/workspaces');
 
 class CogNotezApp {
     constructor() {
@@ -95,6 +109,18 @@ class CogNotezApp {
         this.modalManager = new ModalManager(this);
         this.tabManager = new TabManager(this);
         this.tagFolderManager = new TagFolderManager(this);
+        this.revisionHistoryManager = new RevisionHistoryManager(this);
+        this.backlinksManager = new BacklinksManager(this);
+        this.graphViewManager = new GraphViewManager(this);
+        this.propertiesManager = new PropertiesManager(this);
+        this.tableViewManager = new TableViewManager(this);
+        this.bulkActionsManager = new BulkActionsManager(this);
+        this.archiveManager = new ArchiveManager(this);
+        this.dailyNotesManager = new DailyNotesManager(this);
+        this.taskViewManager = new TaskViewManager(this);
+        this.boardViewManager = new BoardViewManager(this);
+        this.remindersManager = new RemindersManager(this);
+        this.workspacesManager = new WorkspacesManager(this);
 
         this.init();
     }
@@ -166,6 +192,21 @@ class CogNotezApp {
             this.loadTheme();
             this.syncPreviewModeUI();
             await this.loadNotes();
+            await this.archiveManager.applyRules();
+
+            // The store fell back to an older snapshot because the latest one was damaged
+            const recoveryInfo = this.notesManager.db ? this.notesManager.db.recoveryInfo : null;
+            if (recoveryInfo) {
+                this.showNotification(recoveryInfo.source === 'previous'
+                    ? t('notifications.databaseRecovered')
+                    : t('notifications.databaseRecoveryFailed', { directory: recoveryInfo.directory }), 'warning');
+            }
+
+            // The stored data could not be brought up to this version's schema and was left as it is
+            const schemaError = this.notesManager.db ? this.notesManager.db.schemaError : null;
+            if (schemaError) {
+                this.showNotification(this.getSchemaErrorMessage(schemaError), 'error');
+            }
 
             // Show welcome message in AI panel
             const messagesContainer = document.getElementById('ai-messages');
@@ -220,7 +261,7 @@ class CogNotezApp {
                 await new Promise(resolve => setTimeout(resolve, 500));
 
                 // Check if we're online before attempting startup sync
-                const isOnline = await window.networkUtils.checkGoogleDriveConnectivity(2000);
+                const isOnline = await this.checkSyncConnectivity(2000);
                 if (isOnline) {
                     console.log('[Sync] Running background startup sync...');
                     await this.manualSync();
@@ -317,6 +358,7 @@ class CogNotezApp {
     setupIPC() {
         // Menu actions from main process
         ipcRenderer.on('menu-new-note', () => this.createNewNote());
+        ipcRenderer.on('menu-daily-note', () => this.dailyNotesManager.openToday());
         ipcRenderer.on('menu-summarize', () => this.summarizeSelection());
         ipcRenderer.on('menu-ask-ai', () => this.askAIAboutSelection());
         ipcRenderer.on('menu-edit-ai', () => this.editSelectionWithAI());
@@ -362,6 +404,20 @@ class CogNotezApp {
         ipcRenderer.on('sync-closing-show', () => this.showSyncClosingOverlay());
         ipcRenderer.on('sync-closing-hide', () => this.hideSyncClosingOverlay());
 
+        // Before switching workspaces the main process waits for this window's store to be
+        // written and closed; the window reloads with the other workspace's store afterwards
+        ipcRenderer.on('close-store', () => {
+            try {
+                if (this.notesManager && this.notesManager.db) {
+                    this.notesManager.db.close();
+                }
+                ipcRenderer.send('store-closed', { success: true });
+            } catch (error) {
+                console.error('[App] Failed to close the store before switching workspaces:', error);
+                ipcRenderer.send('store-closed', { success: false, error: error.message });
+            }
+        });
+
         // Encryption-related IPC events
         ipcRenderer.on('encryption-settings-updated', (event, settings) => this.handleEncryptionSettingsUpdated(settings));
 
@@ -748,9 +804,12 @@ class CogNotezApp {
         }
 
         // Render markdown and sanitize for security
-        const renderedHTML = renderMarkdown(content);
+        const renderedHTML = renderNoteMarkdown(content);
         setSafeInnerHTML(preview, renderedHTML);
 
+        // Resolve [[wiki links]] to notes
+        this.decorateWikiLinks(preview);
+
         // Setup horizontal scroll functionality
         this.setupHorizontalScroll(preview);
 
@@ -1249,6 +1308,10 @@ class CogNotezApp {
 
         try {
             if (this.notesManager.db && this.notesManager.db.initialized) {
+                // A new note would be invisible in the trash and archive views
+                if (this.currentFolder === 'trash' || this.currentFolder === 'archive') {
+                    await this.switchFolder('all');
+                }
                 await this.notesManager.db.createNote(note);
                 await this.notesManager.renderNotesList('', this.currentFolder);
                 const createdNote = await this.notesManager.db.getNote(note.id);
@@ -1297,6 +1360,8 @@ class CogNotezApp {
 
         // Display tags in the editor header (this will also handle wrapping tags+date)
         this.displayNoteTags(note);
+        this.renderProperties(note);
+        this.remindersManager.renderBadge(note);
 
         // Update password lock icon
         this.updatePasswordLockIcon();
@@ -1324,15 +1389,41 @@ class CogNotezApp {
             this.renderMarkdownPreview();
         }
 
+        // Show the notes linking here
+        this.renderBacklinks(note);
+
         // Ensure tab is marked as saved after loading (not unsaved)
         this.markTabUnsaved(note.id, false);
     }
 
+    // Recompute the local sync checksum after local changes so the sync UI can show "Ready to sync"
+    refreshLocalSyncChecksum() {
+        try {
+            if (this.notesManager && this.notesManager.db) {
+                const exportResult = this.notesManager.db.exportDataForSync();
+                // Keep last known local checksum in syncStatus for comparison
+                this.syncStatus = this.syncStatus || {};
+                this.syncStatus.localChecksum = exportResult.checksum;
+                // If remoteChecksum known and differs, reflect "Ready to sync"
+                if (this.syncStatus.remoteChecksum && this.syncStatus.localChecksum !== this.syncStatus.remoteChecksum) {
+                    // Force re-render of sync UI with readiness state
+                    this.updateSyncUI();
+                }
+            }
+        } catch (e) {
+            console.warn('[Sync] Failed to update local checksum after save:', e.message);
+        }
+    }
+
     // Show the note editor interface
     showNoteEditor() {
         const editorContainer = document.getElementById('editor-container');
         const placeholder = document.getElementById('no-note-placeholder');
 
+        // Opening a note leaves the table and board views
+        this.tableViewManager.hide();
+        this.boardViewManager.hide();
+
         if (editorContainer) {
             editorContainer.style.display = 'flex';
             editorContainer.classList.remove('hidden');
@@ -1352,7 +1443,8 @@ class CogNotezApp {
             editorContainer.style.display = 'none';
             editorContainer.classList.add('hidden');
         }
-        if (placeholder) {
+        // The table and board views stay in place of the placeholder while open
+        if (placeholder && !this.tableViewManager.active && !this.boardViewManager.active) {
             placeholder.style.display = 'flex';
             placeholder.classList.remove('hidden');
         }
@@ -1531,6 +1623,58 @@ class CogNotezApp {
     renameTagFolder(...args) { return this.tagFolderManager.renameTagFolder(...args); }
     deleteTagFolder(...args) { return this.tagFolderManager.deleteTagFolder(...args); }
 
+    // =====================================================
+    // DELEGATION: Revision History Manager
+    // =====================================================
+
+    showRevisionHistory() { return this.revisionHistoryManager.showRevisionHistory(); }
+
+    // =====================================================
+    // DELEGATION: Backlinks Manager
+    // =====================================================
+
+    decorateWikiLinks(...args) { return this.backlinksManager.decorateWikiLinks(...args); }
+    renderBacklinks(...args) { return this.backlinksManager.renderBacklinks(...args); }
+    openLinkedNote(...args) { return this.backlinksManager.openLinkedNote(...args); }
+
+    // =====================================================
+    // DELEGATION: Graph View Manager
+    // =====================================================
+
+    showGraphView() { return this.graphViewManager.showGraphView(); }
+
+    // =====================================================
+    // DELEGATION: Task View Manager
+    // =====================================================
+
+    showTaskView() { return this.taskViewManager.showTaskView(); }
+
+    // =====================================================
+    // DELEGATION: Properties Manager
+    // =====================================================
+
+    renderProperties(...args) { return this.propertiesManager.renderProperties(...args); }
+
+    // =====================================================
+    // DELEGATION: Table View Manager
+    // =====================================================
+
+    toggleTableView() { return this.tableViewManager.toggle(); }
+    renderTableView() { return this.tableViewManager.render(); }
+
+    // =====================================================
+    // DELEGATION: Board View Manager
+    // =====================================================
+
+    toggleBoardView() { return this.boardViewManager.toggle(); }
+    renderBoardView() { return this.boardViewManager.render(); }
+
+    // =====================================================
+    // DELEGATION: Bulk Actions Manager
+    // =====================================================
+
+    refreshBulkSelection() { return this.bulkActionsManager.refresh(); }
+
     // =====================================================
     // DELEGATION: Modal Manager
     // =====================================================
@@ -1595,6 +1739,7 @@ class CogNotezApp {
                 };
             }
 
+            const renamed = updateData.title !== this.currentNote.title;
             if (this.notesManager.db && this.notesManager.db.initialized) {
                 await this.notesManager.db.updateNote(this.currentNote.id, updateData);
                 // Refresh the current note data
@@ -1615,30 +1760,22 @@ class CogNotezApp {
                 this.saveNotes();
             }
 
-            // Preserve current search and folder filters when refreshing the list
+            // Preserve current search and folder filters when refreshing the list. A plain save only
+            // changes this note's row; a rename may also have rewritten links in other notes.
             const searchInput = document.getElementById('search-input');
             const searchQuery = searchInput ? (searchInput.value || '') : '';
-            await this.notesManager.renderNotesList(searchQuery, this.currentFolder);
+            if (renamed || !this.notesManager.updateNoteInList(this.currentNote.id, searchQuery, this.currentFolder)) {
+                await this.notesManager.renderNotesList(searchQuery, this.currentFolder);
+            }
 
             // Update note date display after saving
             this.updateNoteDate();
 
+            // A rename may have rewritten links in other notes (see DatabaseManager.updateNote)
+            this.renderBacklinks();
+
             // After saving, recompute local checksum and update UI readiness if remote differs
-            try {
-                if (this.notesManager && this.notesManager.db) {
-                    const exportResult = this.notesManager.db.exportDataForSync();
-                    // Keep last known local checksum in syncStatus for comparison
-                    this.syncStatus = this.syncStatus || {};
-                    this.syncStatus.localChecksum = exportResult.checksum;
-                    // If remoteChecksum known and differs, reflect "Ready to sync"
-                    if (this.syncStatus.remoteChecksum && this.syncStatus.localChecksum !== this.syncStatus.remoteChecksum) {
-                        // Force re-render of sync UI with readiness state
-                        this.updateSyncUI();
-                    }
-                }
-            } catch (e) {
-                console.warn('[Sync] Failed to update local checksum after save:', e.message);
-            }
+            this.refreshLocalSyncChecksum();
 
             // Only show notification for manual saves, not auto-saves
             if (!isAutoSave) {
@@ -1672,8 +1809,8 @@ class CogNotezApp {
             if (!this.backendAPI) return;
 
             // Check if Google Drive is authenticated
-            const syncStatus = await this.backendAPI.getGoogleDriveSyncStatus();
-            if (!syncStatus || !syncStatus.isAuthenticated) {
+            const syncStatus = await this.backendAPI.getSyncStatus();
+            if (!syncStatus || !syncStatus.isAuthenticated || syncStatus.provider !== 'google-drive') {
                 return; // Silently skip if not authenticated
             }
 
@@ -1768,6 +1905,7 @@ class CogNotezApp {
         }
     }
 
+    // Links to the old title are rewritten when the rename is saved, not on every keystroke
     updateNoteTitle() {
         if (this.currentNote) {
             const untitledTitle = window.i18n ? window.i18n.t('editor.untitledNoteTitle') : 'Untitled Note';
@@ -3215,7 +3353,20 @@ Please provide a helpful response based on the note content and conversation his
         try {
             this.showLoading();
             const importedNote = await this.backendAPI.importNote();
-            if (importedNote) {
+            if (importedNote && this.notesManager.db && this.notesManager.db.initialized) {
+                // Front matter in the file sets the title, tags and properties
+                const noteId = this.notesManager.db.createNoteFromMarkdown(
+                    importedNote.content, importedNote.title, (body) => this.generatePreview(body));
+                if (this.currentFolder === 'trash' || this.currentFolder === 'archive') {
+                    await this.switchFolder('all');
+                }
+                await this.notesManager.renderNotesList('', this.currentFolder);
+                await this.renderTagFolders();
+                const createdNote = this.notesManager.db.getNote(noteId);
+                this.displayNote(createdNote);
+                const t = (key, params = {}) => window.i18n ? window.i18n.t(key, params) : key;
+                this.showNotification(t('notifications.noteImportedSuccess', { title: createdNote.title }));
+            } else if (importedNote) {
                 // Add to notes and save
                 this.notes.unshift(importedNote);
                 await this.saveNotes();
@@ -3384,7 +3535,9 @@ Please provide a helpful response based on the note content and conversation his
             // Provide user-friendly error messages
             const t = (key) => window.i18n ? window.i18n.t(key) : key;
             let errorMessage = t('notifications.failedToRestoreBackup');
-            if (error.message.includes('not a valid database backup')) {
+            if (error.name === 'SchemaError') {
+                errorMessage = this.getSchemaErrorMessage(error);
+            } else if (error.message.includes('not a valid database backup')) {
                 errorMessage = t('notifications.invalidBackupFile');
             } else if (error.message.includes('not found or database location not writable')) {
                 errorMessage = t('notifications.cannotRestoreToLocation');
@@ -4029,6 +4182,10 @@ Please provide a helpful response based on the note content and conversation his
                     e.preventDefault();
                     this.createNewNote();
                     break;
+                case 'd':
+                    e.preventDefault();
+                    this.dailyNotesManager.openToday();
+                    break;
                 case '/':
                 case 'k':
                     e.preventDefault();
@@ -4116,6 +4273,7 @@ Please provide a helpful response based on the note content and conversation his
         const shortcuts = [
             // Basic operations
             { key: 'Ctrl+N', description: t('keyboard.createNewNote') },
+            { key: 'Ctrl+D', description: t('keyboard.openTodaysNote') },
             { key: 'Ctrl+S', description: t('keyboard.saveCurrentNote') },
             { key: 'Ctrl+O', description: t('keyboard.openNoteDesc') },
             { key: 'Ctrl+/', description: t('keyboard.focusSearchDesc') },
@@ -4550,8 +4708,7 @@ Please provide a helpful response based on the note content and conversation his
 
                 // Check if tag already exists
                 if (this.notesManager.db && this.notesManager.db.initialized) {
-                    const allTags = await this.notesManager.db.getAllTags();
-                    existingTag = allTags.find(t => t.name.toLowerCase() === tagName.toLowerCase());
+                    existingTag = this.notesManager.db.findTagByName(tagName);
                 }
 
                 let tagId;
@@ -4732,8 +4889,8 @@ Please provide a helpful response based on the note content and conversation his
     async showGoogleDriveShareDialog() {
         // Check if user is authenticated with Google Drive
         try {
-            const syncStatus = await this.backendAPI.getGoogleDriveSyncStatus();
-            if (!syncStatus || !syncStatus.isAuthenticated) {
+            const syncStatus = await this.backendAPI.getSyncStatus();
+            if (!syncStatus || !syncStatus.isAuthenticated || syncStatus.provider !== 'google-drive') {
                 const t = (key, fallback) => window.i18n ? window.i18n.t(key) : fallback;
                 this.showNotification(t('notifications.pleaseAuthenticateGoogleDrive', 'Please authenticate with Google Drive first. Go to Sync Settings and click "Connect Google Drive".'), 'error');
                 return;
@@ -4834,7 +4991,7 @@ Please provide a helpful response based on the note content and conversation his
                             noteData.collaboration = result.updatedCollaboration;
                             // Update timestamp so sync knows this version is newer
                             noteData.updated_at = new Date().toISOString();
-                            this.notesManager.db.saveToLocalStorage();
+                            this.notesManager.db.persist({ notes: [this.currentNote.id] });
                             this.currentNote = this.notesManager.db.getNote(this.currentNote.id);
                             console.log('[Share] Updated note collaboration data:', this.currentNote.collaboration);
                         }
@@ -5073,7 +5230,7 @@ Please provide a helpful response based on the note content and conversation his
         try {
             if (!this.backendAPI) return;
 
-            const status = await this.backendAPI.getGoogleDriveSyncStatus();
+            const status = await this.backendAPI.getSyncStatus();
             console.log('[UI] Received sync status:', status);
             this.syncStatus = { ...this.syncStatus, ...status };
 
@@ -5090,44 +5247,44 @@ Please provide a helpful response based on the note content and conversation his
         }
     }
 
+    /**
+     * @param {{code: string, message?: string, params?: Object}} schemaError - A SchemaError (see
+     *   schema-migrations.js), or its code and params as sent by the main process
+     */
+    getSchemaErrorMessage(schemaError) {
+        return t(`schema.errors.${schemaError.code}`, schemaError.message, schemaError.params);
+    }
+
     async handleSyncDataUpdated(syncData) {
         try {
             console.log('[Sync] Received updated data from sync, updating local data...');
 
-            // Update localStorage with the new data
-            if (typeof localStorage !== 'undefined') {
-                localStorage.setItem('cognotez_data', syncData.data);
-
-                // Also update the renderer process's database instance if it exists
-                if (this.notesManager && this.notesManager.db && this.notesManager.db.initialized) {
-                    console.log('[Sync] Updating renderer database with sync data');
-                    let parsedData = null;
-                    try {
-                        parsedData = typeof syncData.data === 'string' ? JSON.parse(syncData.data) : (syncData.data || syncData);
-                    } catch (e) {
-                        console.warn('[Sync] Failed to parse sync data JSON, attempting raw import', e);
-                    }
-
-                    // Prefer importing parsed object to ensure DB gets updated
-                    const importResult = parsedData
-                        ? this.notesManager.db.importDataFromSync(parsedData, { mergeStrategy: 'replace', force: true, preserveSyncMeta: false })
-                        : { success: this.notesManager.db.importDataFromJSON(syncData.data) };
-                    if (!importResult.success) {
-                        console.warn('[Sync] Failed to update renderer database:', importResult.error);
-                    }
+            // Update the renderer process's database instance; it persists the data itself
+            if (this.notesManager && this.notesManager.db && this.notesManager.db.initialized) {
+                console.log('[Sync] Updating renderer database with sync data');
+                let parsedData = null;
+                try {
+                    parsedData = typeof syncData.data === 'string' ? JSON.parse(syncData.data) : (syncData.data || syncData);
+                } catch (e) {
+                    console.warn('[Sync] Failed to parse sync data JSON, attempting raw import', e);
                 }
 
-                // Reload notes from the updated data
-                await this.loadNotes();
+                // Prefer importing parsed object to ensure DB gets updated
+                const importResult = parsedData
+                    ? this.notesManager.db.importDataFromSync(parsedData, { mergeStrategy: 'replace', force: true, preserveSyncMeta: false })
+                    : { success: this.notesManager.db.importDataFromJSON(syncData.data) };
+                if (!importResult.success) {
+                    console.warn('[Sync] Failed to update renderer database:', importResult.error);
+                }
+            }
 
-                // Update UI to reflect the changes
-                this.updateSyncStatus();
+            // Reload notes from the updated data
+            await this.loadNotes();
 
-                // Notification is handled centrally in handleSyncCompleted to avoid duplicates
+            // Update UI to reflect the changes
+            this.updateSyncStatus();
 
-            } else {
-                console.error('[Sync] localStorage not available in renderer process');
-            }
+            // Notification is handled centrally in handleSyncCompleted to avoid duplicates
 
         } catch (error) {
             console.error('[Sync] Failed to handle sync data update:', error);
@@ -5155,6 +5312,15 @@ Please provide a helpful response based on the note content and conversation his
 
             // If sync failed, show a single error notification and exit
             if (syncResult && syncResult.success === false) {
+                if (syncResult.schemaError) {
+                    this.showNotification(this.getSchemaErrorMessage(syncResult.schemaError), 'error');
+                    return;
+                }
+                if (syncResult.providerError) {
+                    const { section, code, params } = syncResult.providerError;
+                    this.showNotification(t('notifications.syncFailed', { error: t(`${section}.errors.${code}`, syncResult.error, params) }), 'error');
+                    return;
+                }
                 const errorMessage = syncResult.error
                     ? (window.i18n ? window.i18n.t('notifications.syncFailed', { error: syncResult.error }) : `Sync failed: ${syncResult.error}`)
                     : (window.i18n ? window.i18n.t('notifications.syncFailedGeneric') : 'Sync failed');
@@ -5162,6 +5328,9 @@ Please provide a helpful response based on the note content and conversation his
                 return;
             }
 
+            // Synced notes may have aged past or picked up an auto-archive rule
+            await this.archiveManager.applyRules();
+
             // Show notification about the sync completion
             const baseMessage = window.i18n ? window.i18n.t('notifications.syncCompleted') : 'Sync completed successfully';
             let message = baseMessage;
@@ -5236,8 +5405,10 @@ Please provide a helpful response based on the note content and conversation his
             inProgress: this.syncStatus.inProgress
         });
 
-        // Check if we're offline
-        const isOnline = navigator.onLine;
+        // Check if we're offline; a sync folder needs no network
+        const provider = getSyncProviderById(this.syncStatus.provider) || getSyncProviderById(DEFAULT_SYNC_PROVIDER);
+        const isOnline = provider.network === 'none' || navigator.onLine;
+        const providerName = getSyncProviderName(provider);
 
         // Determine if content is in sync using checksums when available
         const contentInSync = !!(this.syncStatus.localChecksum && this.syncStatus.remoteChecksum && this.syncStatus.localChecksum === this.syncStatus.remoteChecksum);
@@ -5273,14 +5444,14 @@ Please provide a helpful response based on the note content and conversation his
                 icon.className = 'fas fa-cloud-upload-alt';
                 text.textContent = t('settings.sync.statusSyncAvailable', 'Sync');
                 syncBtn.disabled = false;
-                syncBtn.title = t('settings.sync.statusSyncAvailableTooltip', 'Click to sync with Google Drive');
+                syncBtn.title = t('settings.sync.statusSyncAvailableTooltip', `Click to sync with ${providerName}`, { provider: providerName });
             }
         } else {
             syncBtn.classList.add('disconnected');
             icon.className = 'fas fa-cloud-slash';
             text.textContent = t('settings.sync.statusNotConnected', 'Not connected');
             syncBtn.disabled = true;
-            syncBtn.title = t('settings.sync.statusNotConnectedTooltip', 'Not connected to Google Drive');
+            syncBtn.title = t('settings.sync.statusNotConnectedTooltip', 'Not connected to a sync provider');
         }
 
         // Update last sync time in settings modal if open
@@ -5347,12 +5518,12 @@ Please provide a helpful response based on the note content and conversation his
             if (settings.enabled) {
                 encryptionIndicator.style.backgroundColor = 'var(--success-color)';
                 encryptionStatusText.textContent = window.i18n ? window.i18n.t('encryption.enabledTitle') : 'Encryption Enabled';
-                encryptionDescription.textContent = window.i18n ? window.i18n.t('encryption.enabledDescription') : 'Your data is encrypted before being uploaded to Google Drive.';
+                encryptionDescription.textContent = window.i18n ? window.i18n.t('encryption.enabledDescription') : 'Your data is encrypted before being uploaded to your sync provider.';
                 encryptionEnabledCheckbox.checked = true;
             } else {
                 encryptionIndicator.style.backgroundColor = 'var(--text-secondary)';
                 encryptionStatusText.textContent = window.i18n ? window.i18n.t('encryption.disabledTitle') : 'Encryption Disabled';
-                encryptionDescription.textContent = window.i18n ? window.i18n.t('encryption.disabledDescription') : 'Your data will be uploaded unencrypted to Google Drive.';
+                encryptionDescription.textContent = window.i18n ? window.i18n.t('encryption.disabledDescription') : 'Your data will be uploaded unencrypted to your sync provider.';
                 encryptionEnabledCheckbox.checked = false;
             }
 
@@ -5530,16 +5701,25 @@ Please provide a helpful response based on the note content and conversation his
         }
     }
 
+    // How much of the network the connected provider needs (see sync-providers.js); an
+    // unreachable server or folder is reported by the sync itself
+    async checkSyncConnectivity(timeout) {
+        const provider = getSyncProviderById(this.syncStatus.provider) || getSyncProviderById(DEFAULT_SYNC_PROVIDER);
+        if (provider.network === 'none') return true;
+        if (provider.network === 'local') return navigator.onLine;
+        return window.networkUtils.checkGoogleDriveConnectivity(timeout);
+    }
+
     async manualSync() {
         try {
             if (!this.syncStatus.isAuthenticated) {
                 const t = (key) => window.i18n ? window.i18n.t(key) : key;
-                this.showNotification(t('settings.sync.pleaseConnectGoogleDrive'), 'warning');
+                this.showNotification(t('settings.sync.pleaseConnectSyncProvider'), 'warning');
                 return;
             }
 
             // Check if we're online before attempting sync
-            const isOnline = await window.networkUtils.checkGoogleDriveConnectivity(3000);
+            const isOnline = await this.checkSyncConnectivity(3000);
             if (!isOnline) {
                 const t = (key) => window.i18n ? window.i18n.t(key) : key;
                 this.showNotification(t('settings.sync.cannotSyncNoInternet'), 'error');
@@ -5567,7 +5747,7 @@ Please provide a helpful response based on the note content and conversation his
             const syncMetadata = (this.notesManager && this.notesManager.db) ? this.notesManager.db.getSyncMetadata() : {};
             const lastSync = syncMetadata.lastSync || null;
             const lastSeenRemoteSyncVersion = syncMetadata.remoteSyncVersion || 0;
-            const result = await this.backendAPI.syncWithGoogleDrive({ localData, localChecksum, lastSync, lastSeenRemoteSyncVersion });
+            const result = await this.backendAPI.runSync({ localData, localChecksum, lastSync, lastSeenRemoteSyncVersion });
 
             if (result.success) {
                 // Success notification handled by sync-completed event
@@ -5577,20 +5757,20 @@ Please provide a helpful response based on the note content and conversation his
                 try {
                     const electron = require('electron');
                     if (electron && electron.ipcRenderer) {
-                        console.log('[Sync] Syncing media files to Google Drive...');
-                        const mediaResult = await electron.ipcRenderer.invoke('sync-media-to-drive');
+                        console.log('[Sync] Syncing media files...');
+                        const mediaResult = await electron.ipcRenderer.invoke('sync-media');
                         if (mediaResult.success) {
-                            const { uploaded, skipped, deletedFromDrive, deletedFromLocal } = mediaResult;
-                            console.log(`[Sync] Media sync: ${uploaded} uploaded, ${skipped} skipped, ${deletedFromDrive} deleted from Drive, ${deletedFromLocal} deleted from local`);
+                            const { uploaded, skipped, deletedFromRemote, deletedFromLocal } = mediaResult;
+                            console.log(`[Sync] Media sync: ${uploaded} uploaded, ${skipped} skipped, ${deletedFromRemote} deleted remotely, ${deletedFromLocal} deleted from local`);
 
                             // Show notification if files were deleted
-                            const totalDeleted = (deletedFromDrive || 0) + (deletedFromLocal || 0);
+                            const totalDeleted = (deletedFromRemote || 0) + (deletedFromLocal || 0);
                             if (totalDeleted > 0) {
                                 const t = (key, params = {}) => window.i18n ? window.i18n.t(key, params) : key;
                                 this.showNotification(t('notifications.cleanedUpUnusedMedia', {
                                     total: totalDeleted,
                                     plural: totalDeleted > 1 ? 's' : '',
-                                    drive: deletedFromDrive,
+                                    remote: deletedFromRemote,
                                     local: deletedFromLocal
                                 }), 'info');
                             }
@@ -5606,7 +5786,11 @@ Please provide a helpful response based on the note content and conversation his
 
         } catch (error) {
             console.error('[Sync] Manual sync failed:', error);
-            // Error notification handled by sync-completed event
+            if (error.name === 'SchemaError') {
+                // Refused before reaching the main process, so no sync-completed event follows
+                this.showNotification(this.getSchemaErrorMessage(error), 'error');
+            }
+            // Otherwise the error notification is handled by the sync-completed event
         } finally {
             this.syncStatus.inProgress = false;
             this.updateSyncUI();
@@ -5625,7 +5809,7 @@ Please provide a helpful response based on the note content and conversation his
             try {
                 if (!this.syncStatus.inProgress && this.syncStatus.isAuthenticated && this.syncStatus.syncEnabled) {
                     // Check if we're online before attempting auto-sync
-                    const isOnline = await window.networkUtils.checkGoogleDriveConnectivity(2000);
+                    const isOnline = await this.checkSyncConnectivity(2000);
                     if (isOnline) {
                         console.log('[Sync] Running auto-sync...');
                         await this.manualSync();
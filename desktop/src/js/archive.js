@@ -0,0 +1,125 @@
+// Archive Manager
+// Auto-archive rules (archive notes untouched for N days or carrying a given tag), applied on
+// startup and after sync. The archive list itself is rendered by NotesManager.renderArchiveList.
+
+const { t } = require('./shared');
+
+class ArchiveManager {
+    constructor(app) {
+        this.app = app;
+    }
+
+    get db() {
+        return this.app.notesManager && this.app.notesManager.db && this.app.notesManager.db.initialized
+            ? this.app.notesManager.db
+            : null;
+    }
+
+    // One-line summary of the active rules for the archive toolbar
+    describeRules() {
+        const rules = this.db ? this.db.getAutoArchiveRules() : { idleDays: null, tagIds: [] };
+        const parts = [];
+        if (rules.idleDays) {
+            parts.push(t('archive.ruleIdleSummary', { days: rules.idleDays }));
+        }
+        if (rules.tagIds.length > 0) {
+            const names = rules.tagIds.map(id => this.app.notesManager.getTagName(id)).join(', ');
+            parts.push(t('archive.ruleTagsSummary', { tags: names }));
+        }
+        return parts.length > 0
+            ? t('archive.rulesActive', { rules: parts.join('; ') })
+            : t('archive.rulesOff');
+    }
+
+    /**
+     * Archive the notes matched by the auto-archive rules. Notes open in a tab are left alone so
+     * nothing disappears from under the editor.
+     * @returns {Promise<string[]>} IDs of the archived notes
+     */
+    async applyRules() {
+        if (!this.db) return [];
+
+        const openIds = new Set(this.app.tabManager.openTabs.map(tab => String(tab.noteId)));
+        if (this.app.currentNote) openIds.add(String(this.app.currentNote.id));
+
+        const archivedIds = this.db.applyAutoArchiveRules(openIds);
+        if (archivedIds.length === 0) return archivedIds;
+
+        this.app.refreshLocalSyncChecksum();
+        const searchQuery = document.getElementById('search-input')?.value || '';
+        await this.app.notesManager.renderNotesList(searchQuery, this.app.currentFolder);
+        await this.app.renderTagFolders();
+        this.app.showNotification(t('archive.autoArchived', { count: archivedIds.length }), 'info');
+        return archivedIds;
+    }
+
+    showRulesDialog() {
+        if (!this.db) return;
+
+        const rules = this.db.getAutoArchiveRules();
+        const tags = this.db.getAllTags();
+        const tagOptions = tags.length > 0
+            ? tags.map(tag => `
+                <label class="archive-rule-tag">
+                    <input type="checkbox" value="${tag.id}"${rules.tagIds.includes(tag.id) ? ' checked' : ''}>
+                    <span class="archive-rule-tag-color" style="background: ${tag.color || '#BDABE3'}"></span>
+                    <span>${this.app.escapeHtml(tag.name)}</span>
+                </label>
+            `).join('')
+            : `<div class="archive-rule-empty">${t('tags.noTagsCreated')}</div>`;
+
+        const content = `
+            <div class="archive-rules-form">
+                <p class="archive-rules-description">${t('archive.rulesDescription')}</p>
+                <label class="archive-rule">
+                    <input type="checkbox" id="archive-rule-idle"${rules.idleDays ? ' checked' : ''}>
+                    <span>${t('archive.ruleIdleBefore')}</span>
+                    <input type="number" id="archive-rule-idle-days" class="filter-input" min="1" max="3650" value="${rules.idleDays || 90}">
+                    <span>${t('archive.ruleIdleAfter')}</span>
+                </label>
+                <div class="archive-rule">
+                    <span>${t('archive.ruleTags')}</span>
+                </div>
+                <div class="archive-rule-tags">${tagOptions}</div>
+                <small class="filter-hint">${t('archive.rulesHint')}</small>
+            </div>
+        `;
+
+        const modal = this.app.createModal(t('archive.rulesTitle'), content, [
+            { text: t('modals.cancel'), type: 'secondary', action: 'cancel' },
+            {
+                text: t('archive.saveRules'), type: 'primary', action: 'save', callback: () => {
+                    const idleEnabled = modal.querySelector('#archive-rule-idle').checked;
+                    this.saveRules({
+                        idleDays: idleEnabled ? modal.querySelector('#archive-rule-idle-days').value : null,
+                        tagIds: [...modal.querySelectorAll('.archive-rule-tags input:checked')].map(input => input.value)
+                    });
+                }
+            }
+        ]);
+        modal.querySelector('.modal-content').style.maxWidth = '480px';
+
+        // Typing a number turns the rule on
+        modal.querySelector('#archive-rule-idle-days').addEventListener('input', () => {
+            modal.querySelector('#archive-rule-idle').checked = true;
+        });
+    }
+
+    async saveRules(rules) {
+        try {
+            this.db.setAutoArchiveRules(rules);
+            const archivedIds = await this.applyRules();
+            if (archivedIds.length === 0) {
+                // applyRules() only re-renders when it archived something; the toolbar text changed
+                const searchQuery = document.getElementById('search-input')?.value || '';
+                await this.app.notesManager.renderNotesList(searchQuery, this.app.currentFolder);
+            }
+            this.app.showNotification(t('archive.rulesSaved'), 'success');
+        } catch (error) {
+            console.error('[Archive] Failed to save auto-archive rules:', error);
+            this.app.showNotification(t('archive.rulesSaveFailed'), 'error');
+        }
+    }
+}
+
+module.exports = ArchiveManager;
@@ -91,13 +91,32 @@ class BackendAPI {
         }
     }
 
+    async chooseDirectory() {
+        const { ipcRenderer } = require('electron');
+
+        const result = await ipcRenderer.invoke('show-open-dialog', {
+            properties: ['openDirectory', 'createDirectory']
+        });
+        return !result.canceled && result.filePaths.length > 0 ? result.filePaths[0] : null;
+    }
+
     // Export utilities
+    getNoteMarkdown(note) {
+        const db = this.app && this.app.notesManager ? this.app.notesManager.db : null;
+        if (db && db.initialized) {
+            // Title, tags and properties go into YAML front matter so an import restores them
+            const { stringifyFrontMatter } = require('./js/front-matter');
+            return `${stringifyFrontMatter(db.getNoteFrontMatter(note))}\n${note.content}`;
+        }
+        return `# ${note.title}\n\n${note.content}`;
+    }
+
     async exportNote(note, format = 'markdown') {
         let content = '';
         let filename = '';
 
         if (format === 'markdown') {
-            content = `# ${note.title}\n\n${note.content}`;
+            content = this.getNoteMarkdown(note);
             filename = `${note.title.replace(/[^a-z0-9]/gi, '_').toLowerCase()}.md`;
         } else {
             content = `${note.title}\n\n${note.content}`;
@@ -383,6 +402,28 @@ class BackendAPI {
         return await this.saveFile(content, filename, format === 'markdown' ? 'md' : 'txt');
     }
 
+    /**
+     * Write each note to its own markdown file in a folder. Files are named after the note
+     * titles; a number is appended instead of overwriting an existing file.
+     * @returns {Promise<number>} Number of files written
+     */
+    async exportNotesToFolder(notes, directory) {
+        const fs = require('fs').promises;
+        const path = require('path');
+
+        const existing = new Set((await fs.readdir(directory)).map(name => name.toLowerCase()));
+        for (const note of notes) {
+            const base = (note.title || 'untitled').replace(/[\\/:*?"<>|\x00-\x1f]/g, '_').trim().slice(0, 100) || 'untitled';
+            let filename = `${base}.md`;
+            for (let n = 2; existing.has(filename.toLowerCase()); n++) {
+                filename = `${base} (${n}).md`;
+            }
+            existing.add(filename.toLowerCase());
+            await fs.writeFile(path.join(directory, filename), this.getNoteMarkdown(note), 'utf8');
+        }
+        return notes.length;
+    }
+
     // Enhanced export with JSON format for full data portability
     // Import utilities
     async importNote() {
@@ -474,7 +515,9 @@ class BackendAPI {
         } catch (error) {
             console.error('[DEBUG] Error importing JSON database:', error);
             // Enhance error message for user
-            if (error.message.includes('No file selected')) {
+            if (error.name === 'SchemaError') {
+                throw error;
+            } else if (error.message.includes('No file selected')) {
                 throw new Error('Please select a file to import.');
             } else if (error.message.includes('Invalid JSON')) {
                 throw new Error('The selected file is not a valid JSON file.');
@@ -544,6 +587,14 @@ class BackendAPI {
                         const filename = require('path').basename(filePath);
 
                         const title = this.extractTitleFromFilename(filename);
+
+                        // Markdown files may carry front matter with tags and properties
+                        if (/\.md$/i.test(filename)) {
+                            const noteId = dbManager.createNoteFromMarkdown(content, title, (body) => this.generatePreview(body));
+                            importedNotes.push(dbManager.data.notes[noteId]);
+                            continue;
+                        }
+
                         const noteId = this.generateId();
 
                         const note = {
@@ -575,7 +626,8 @@ class BackendAPI {
 
                 // Add all notes to database
                 Object.assign(dbManager.data.notes, notes);
-                dbManager.saveToLocalStorage();
+                dbManager.invalidateSearchIndex();
+                dbManager.persist({ notes: Object.keys(notes) });
 
                 return {
                     notes: importedNotes,
@@ -779,7 +831,7 @@ class BackendAPI {
 
             // Restore the backup data
             console.log('[DEBUG] Restoring backup data to localStorage');
-            const success = dbManager.importDataFromJSON(backupContent);
+            const success = dbManager.importDataFromJSON(backupContent, 'restore');
 
             if (!success) {
                 throw new Error('Failed to import backup data');
@@ -792,7 +844,9 @@ class BackendAPI {
             console.error('[DEBUG] Error restoring backup:', error);
 
             // Provide more specific error messages
-            if (error.code === 'ENOENT') {
+            if (error.name === 'SchemaError') {
+                throw error; // Translated by the caller
+            } else if (error.code === 'ENOENT') {
                 throw new Error('Backup file not found or inaccessible.');
             } else if (error.code === 'EACCES' || error.code === 'EPERM') {
                 throw new Error('Permission denied: Cannot read backup file.');
@@ -1080,7 +1134,8 @@ ${notes.map(note => `- **${note.title}** (${note.word_count || 0} words) - ${new
         return { valid, errors };
     }
 
-    // Google Drive sync methods
+    // Sync methods. Google Drive connects through its OAuth flow, the other providers with
+    // connectSyncProvider()
     async connectGoogleDrive() {
         try {
             const { ipcRenderer } = require('electron');
@@ -1103,36 +1158,67 @@ ${notes.map(note => `- **${note.title}** (${note.word_count || 0} words) - ${new
         }
     }
 
-    async disconnectGoogleDrive() {
+    async getGoogleDriveAuthStatus() {
+        try {
+            const { ipcRenderer } = require('electron');
+            const status = await ipcRenderer.invoke('google-drive-get-auth-status');
+            return status;
+        } catch (error) {
+            console.error('[Backend] Failed to get Google Drive auth status:', error);
+            return { isAuthenticated: false, error: error.message };
+        }
+    }
+
+    /**
+     * Connect a sync provider that is set up with settings (see sync-providers.js), which
+     * replaces the connected provider. Google Drive connects with connectGoogleDrive() instead.
+     * @param {string} providerId
+     * @param {Object} settings - Named after the provider's settingsFields
+     * @returns {Promise<{success: boolean, error?: {code: string, params: Object, message: string}}>}
+     */
+    async connectSyncProvider(providerId, settings) {
         try {
             const { ipcRenderer } = require('electron');
-            const result = await ipcRenderer.invoke('google-drive-disconnect');
+            const result = await ipcRenderer.invoke('sync-provider-connect', { providerId, settings });
 
             if (result.success) {
-                console.log('[Backend] Google Drive disconnected successfully');
-                return { success: true };
+                if (this.app && this.app.notesManager && this.app.notesManager.db) {
+                    this.app.notesManager.db.clearSyncHistory();
+                    this.app.notesManager.db.enableSync(providerId);
+                }
+                console.log(`[Backend] Sync provider '${providerId}' connected successfully`);
             } else {
-                console.error('[Backend] Failed to disconnect Google Drive:', result.error);
-                return { success: false, error: result.error };
+                console.error(`[Backend] Sync provider '${providerId}' connection failed:`, result.error);
             }
+            return result;
         } catch (error) {
-            console.error('[Backend] Failed to disconnect Google Drive:', error);
-            return { success: false, error: error.message };
+            console.error(`[Backend] Failed to connect sync provider '${providerId}':`, error);
+            return { success: false, error: { message: error.message } };
         }
     }
 
-    async getGoogleDriveAuthStatus() {
+    async disconnectSyncProvider(providerId) {
         try {
             const { ipcRenderer } = require('electron');
-            const status = await ipcRenderer.invoke('google-drive-get-auth-status');
-            return status;
+            const result = await ipcRenderer.invoke('sync-provider-disconnect', providerId);
+
+            if (result.success) {
+                if (this.app && this.app.notesManager && this.app.notesManager.db) {
+                    this.app.notesManager.db.disableSync();
+                }
+                console.log(`[Backend] Sync provider '${providerId}' disconnected successfully`);
+            } else {
+                console.error(`[Backend] Failed to disconnect sync provider '${providerId}':`, result.error);
+            }
+            return result;
         } catch (error) {
-            console.error('[Backend] Failed to get Google Drive auth status:', error);
-            return { isAuthenticated: false, error: error.message };
+            console.error(`[Backend] Failed to disconnect sync provider '${providerId}':`, error);
+            return { success: false, error: error.message };
         }
     }
 
-    async syncWithGoogleDrive(options = {}) {
+    // Sync with the connected provider
+    async runSync(options = {}) {
         try {
             const { ipcRenderer } = require('electron');
 
@@ -1144,64 +1230,69 @@ ${notes.map(note => `- **${note.title}** (${note.word_count || 0} words) - ${new
                 }
             }
 
-            const result = await ipcRenderer.invoke('google-drive-sync', options);
+            const result = await ipcRenderer.invoke('sync-run', options);
 
             if (result.success) {
-                console.log('[Backend] Google Drive sync completed successfully');
+                console.log('[Backend] Sync completed successfully');
                 return result;
             } else {
-                console.error('[Backend] Google Drive sync failed:', result.error);
+                console.error('[Backend] Sync failed:', result.error);
                 return result;
             }
         } catch (error) {
-            console.error('[Backend] Failed to sync with Google Drive:', error);
+            console.error('[Backend] Failed to sync:', error);
             return { success: false, error: error.message };
         }
     }
 
-    async uploadToGoogleDrive() {
+    async uploadSyncData() {
         try {
             const { ipcRenderer } = require('electron');
-            const result = await ipcRenderer.invoke('google-drive-upload');
+            const result = await ipcRenderer.invoke('sync-upload');
 
             if (result.success) {
-                console.log('[Backend] Upload to Google Drive completed successfully');
+                console.log('[Backend] Upload to the sync provider completed successfully');
                 return result;
             } else {
-                console.error('[Backend] Upload to Google Drive failed:', result.error);
+                console.error('[Backend] Upload to the sync provider failed:', result.error);
                 return result;
             }
         } catch (error) {
-            console.error('[Backend] Failed to upload to Google Drive:', error);
+            console.error('[Backend] Failed to upload to the sync provider:', error);
             return { success: false, error: error.message };
         }
     }
 
-    async downloadFromGoogleDrive() {
+    async downloadSyncData() {
         try {
             const { ipcRenderer } = require('electron');
-            const result = await ipcRenderer.invoke('google-drive-download');
+            const result = await ipcRenderer.invoke('sync-download');
 
             if (result.success) {
-                console.log('[Backend] Download from Google Drive completed successfully');
+                console.log('[Backend] Download from the sync provider completed successfully');
                 return result;
             } else {
-                console.error('[Backend] Download from Google Drive failed:', result.error);
+                console.error('[Backend] Download from the sync provider failed:', result.error);
                 return result;
             }
         } catch (error) {
-            console.error('[Backend] Failed to download from Google Drive:', error);
+            console.error('[Backend] Failed to download from the sync provider:', error);
             return { success: false, error: error.message };
         }
     }
 
-    async getGoogleDriveSyncStatus() {
+    /**
+     * @returns {Promise<Object>} { provider, isAuthenticated, syncEnabled, lastSync, inProgress,
+     *   localChecksum, remoteChecksum, account }; account holds the connected provider's
+     *   describe() fields
+     */
+    async getSyncStatus() {
         try {
             const { ipcRenderer } = require('electron');
-            const status = await ipcRenderer.invoke('google-drive-get-sync-status');
+            const status = await ipcRenderer.invoke('sync-get-status');
             return status;
         } catch (error) {
-            console.error('[Backend] Failed to get Google Drive sync status:', error);
+            console.error('[Backend] Failed to get sync status:', error);
             return { error: error.message };
         }
     }
@@ -1227,8 +1318,10 @@ ${notes.map(note => `- **${note.title}** (${note.word_count || 0} words) - ${new
     // Enhanced data synchronization
     async syncWithExternalSource(sourceConfig) {
         try {
-            if (sourceConfig.provider === 'google-drive') {
-                return await this.syncWithGoogleDrive(sourceConfig.options || {});
+            // The main process syncs with whichever provider is connected
+            const { getSyncProviderById } = require('./js/sync-providers');
+            if (getSyncProviderById(sourceConfig.provider)) {
+                return await this.runSync(sourceConfig.options || {});
             } else {
                 // Future support for other providers like Dropbox, etc.
                 console.log(`[Backend] Sync provider '${sourceConfig.provider}' not yet implemented`);
@@ -0,0 +1,363 @@
+// Backlinks Manager
+// [[Wiki link]] navigation in the preview, link autocomplete in the editor and the
+// panel listing the notes that link to the current one
+
+const { t } = require('./shared');
+const { formatWikiLink } = require('./note-links');
+
+// Text typed after an unclosed "[[" up to the caret
+const OPEN_LINK_PATTERN = /\[\[([^[\]|\n]*)$/;
+const MAX_SUGGESTIONS = 8;
+const MAX_CONTEXT_LENGTH = 160;
+
+class BacklinksManager {
+    constructor(app) {
+        this.app = app;
+        this.collapsed = localStorage.getItem('backlinksCollapsed') === 'true';
+        this.suggestions = null; // { element, notes, selectedIndex, start } while the dropdown is open
+    }
+
+    get db() {
+        return this.app.notesManager && this.app.notesManager.db && this.app.notesManager.db.initialized
+            ? this.app.notesManager.db
+            : null;
+    }
+
+    initialize() {
+        const editor = document.getElementById('note-editor');
+        if (editor) {
+            editor.addEventListener('input', () => this.updateSuggestions());
+            editor.addEventListener('keydown', (e) => this.handleSuggestionKeydown(e));
+            editor.addEventListener('blur', () => this.hideSuggestions());
+            editor.addEventListener('scroll', () => this.hideSuggestions());
+        }
+
+        const toggle = document.getElementById('backlinks-toggle');
+        if (toggle) {
+            toggle.addEventListener('click', () => {
+                this.collapsed = !this.collapsed;
+                localStorage.setItem('backlinksCollapsed', this.collapsed.toString());
+                this.applyCollapsedState();
+            });
+        }
+        this.applyCollapsedState();
+    }
+
+    // =====================================================
+    // Links in the preview
+    // =====================================================
+
+    // Resolve the wiki links rendered by renderNoteMarkdown and make them open their notes
+    decorateWikiLinks(container) {
+        if (!container) return;
+        const links = container.querySelectorAll('a.wiki-link');
+        if (links.length === 0 || !this.db) return;
+
+        const resolve = this.db.getLinkResolver();
+        links.forEach(link => {
+            const target = link.dataset.wikiTarget;
+            const note = resolve(target);
+            link.tabIndex = 0;
+            link.setAttribute('role', 'link');
+            if (note) {
+                link.dataset.noteId = note.id;
+                link.classList.remove('wiki-link-missing');
+                // [[id]] without an alias shows the note's title
+                if (!link.dataset.wikiAlias) link.textContent = note.title;
+                link.title = note.title;
+            } else {
+                delete link.dataset.noteId;
+                link.classList.add('wiki-link-missing');
+                link.title = t('links.createMissingNote', { title: target });
+            }
+        });
+
+        if (!container._wikiLinkHandler) {
+            const activate = (event) => {
+                const link = event.target.closest('a.wiki-link');
+                if (!link || !container.contains(link)) return;
+                if (event.type === 'keydown' && event.key !== 'Enter') return;
+                event.preventDefault();
+                if (link.dataset.noteId) {
+                    this.openLinkedNote(link.dataset.noteId);
+                } else {
+                    this.createLinkedNote(link.dataset.wikiTarget);
+                }
+            };
+            container._wikiLinkHandler = activate;
+            container.addEventListener('click', activate);
+            container.addEventListener('keydown', activate);
+        }
+    }
+
+    async openLinkedNote(noteId) {
+        if (!this.db) return;
+        if (this.app.currentNote && String(this.app.currentNote.id) === String(noteId)) return;
+
+        const note = this.db.getNote(noteId);
+        if (!note || note.deleted_at) {
+            this.app.showNotification(t('links.noteNotFound', 'The linked note no longer exists'), 'warning');
+            return;
+        }
+
+        this.app.addNoteToTabs(note.id);
+        this.app.updateTabTitle(note.id, note.title);
+        await this.app.switchToTab(note.id);
+    }
+
+    async createLinkedNote(title) {
+        if (!this.db || !title) return;
+
+        const confirmed = await this.app.showConfirmation(
+            t('links.createNoteTitle', 'Create Note'),
+            t('links.createNoteConfirm', { title })
+        );
+        if (!confirmed) return;
+
+        try {
+            const noteId = this.db.createNote({
+                id: Date.now().toString(),
+                title,
+                content: '',
+                preview: '',
+                tags: []
+            });
+            await this.app.notesManager.renderNotesList('', this.app.currentFolder);
+            await this.app.renderTagFolders();
+            await this.openLinkedNote(noteId);
+        } catch (error) {
+            console.error('[Backlinks] Failed to create linked note:', error);
+            this.app.showNotification(t('notifications.failedToCreateNote', 'Failed to create note'), 'error');
+        }
+    }
+
+    // =====================================================
+    // Backlinks panel
+    // =====================================================
+
+    renderBacklinks(note = this.app.currentNote) {
+        const panel = document.getElementById('backlinks-panel');
+        const list = document.getElementById('backlinks-list');
+        const count = document.getElementById('backlinks-count');
+        if (!panel || !list) return;
+
+        if (!note || !this.db) {
+            panel.classList.add('hidden');
+            return;
+        }
+
+        const backlinks = this.db.getBacklinks(note.id);
+        panel.classList.remove('hidden');
+        if (count) count.textContent = backlinks.length;
+        list.innerHTML = '';
+
+        if (backlinks.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'backlinks-empty';
+            empty.textContent = t('links.noBacklinks', 'No other notes link to this note');
+            list.appendChild(empty);
+            return;
+        }
+
+        for (const { note: source, contexts } of backlinks) {
+            const item = document.createElement('button');
+            item.className = 'backlink-item';
+            item.dataset.noteId = source.id;
+
+            const title = document.createElement('span');
+            title.className = 'backlink-title';
+            title.textContent = source.title;
+            item.appendChild(title);
+
+            for (const context of contexts) {
+                const line = document.createElement('span');
+                line.className = 'backlink-context';
+                line.textContent = context.length > MAX_CONTEXT_LENGTH
+                    ? context.slice(0, MAX_CONTEXT_LENGTH - 1) + '…'
+                    : context;
+                item.appendChild(line);
+            }
+
+            item.addEventListener('click', () => this.openLinkedNote(source.id));
+            list.appendChild(item);
+        }
+    }
+
+    applyCollapsedState() {
+        const panel = document.getElementById('backlinks-panel');
+        if (panel) panel.classList.toggle('collapsed', this.collapsed);
+    }
+
+    // =====================================================
+    // Link autocomplete
+    // =====================================================
+
+    updateSuggestions() {
+        const editor = document.getElementById('note-editor');
+        if (!editor || !this.db || editor.selectionStart !== editor.selectionEnd) {
+            this.hideSuggestions();
+            return;
+        }
+
+        const caret = editor.selectionStart;
+        const match = OPEN_LINK_PATTERN.exec(editor.value.slice(Math.max(0, caret - 200), caret));
+        const notes = match ? this.getLinkSuggestions(match[1]) : [];
+        if (notes.length === 0) {
+            this.hideSuggestions();
+            return;
+        }
+
+        this.showSuggestions(editor, notes, caret - match[0].length);
+    }
+
+    // Notes whose title contains the query, titles starting with it first
+    getLinkSuggestions(query) {
+        const needle = query.trim().toLowerCase();
+        const currentId = this.app.currentNote ? String(this.app.currentNote.id) : null;
+
+        return Object.values(this.db.data.notes)
+            .filter(note => !note.deleted_at && String(note.id) !== currentId && note.title)
+            .map(note => ({ note, position: note.title.toLowerCase().indexOf(needle) }))
+            .filter(entry => entry.position !== -1)
+            .sort((a, b) => (a.position === 0 ? 0 : 1) - (b.position === 0 ? 0 : 1) ||
+                new Date(b.note.updated_at) - new Date(a.note.updated_at))
+            .slice(0, MAX_SUGGESTIONS)
+            .map(entry => entry.note);
+    }
+
+    showSuggestions(editor, notes, start) {
+        if (!this.suggestions) {
+            const element = document.createElement('div');
+            element.className = 'wiki-link-suggestions';
+            element.setAttribute('role', 'listbox');
+            // Keep focus in the editor while picking with the mouse
+            element.addEventListener('mousedown', (e) => e.preventDefault());
+            element.addEventListener('click', (e) => {
+                const item = e.target.closest('.wiki-link-suggestion');
+                if (item) this.insertSuggestion(Number(item.dataset.index));
+            });
+            document.body.appendChild(element);
+            this.suggestions = { element, notes: [], selectedIndex: 0, start };
+        }
+
+        Object.assign(this.suggestions, { notes, selectedIndex: 0, start });
+        this.renderSuggestions();
+
+        // Place the dropdown under the "[[" that opened it
+        const element = this.suggestions.element;
+        const rect = editor.getBoundingClientRect();
+        const caret = this.getCaretCoordinates(editor, start);
+        const top = Math.min(rect.top + caret.top + caret.height, window.innerHeight - element.offsetHeight - 8);
+        const left = Math.min(rect.left + caret.left, window.innerWidth - element.offsetWidth - 8);
+        element.style.top = `${Math.max(8, top)}px`;
+        element.style.left = `${Math.max(8, left)}px`;
+    }
+
+    renderSuggestions() {
+        const { element, notes, selectedIndex } = this.suggestions;
+        element.innerHTML = '';
+        notes.forEach((note, index) => {
+            const item = document.createElement('div');
+            item.className = `wiki-link-suggestion${index === selectedIndex ? ' active' : ''}`;
+            item.setAttribute('role', 'option');
+            item.dataset.index = index;
+
+            const icon = document.createElement('i');
+            icon.className = note.password_protected ? 'fas fa-lock' : 'fas fa-file-alt';
+            item.appendChild(icon);
+
+            const title = document.createElement('span');
+            title.textContent = note.title;
+            item.appendChild(title);
+
+            element.appendChild(item);
+        });
+    }
+
+    handleSuggestionKeydown(e) {
+        if (!this.suggestions) return;
+
+        const { notes } = this.suggestions;
+        switch (e.key) {
+            case 'ArrowDown':
+            case 'ArrowUp': {
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                this.suggestions.selectedIndex = (this.suggestions.selectedIndex + step + notes.length) % notes.length;
+                this.renderSuggestions();
+                break;
+            }
+            case 'Enter':
+            case 'Tab':
+                this.insertSuggestion(this.suggestions.selectedIndex);
+                break;
+            case 'Escape':
+                this.hideSuggestions();
+                break;
+            default:
+                return;
+        }
+        // The editor and global shortcuts must not see keys used by the dropdown
+        e.preventDefault();
+        e.stopPropagation();
+    }
+
+    insertSuggestion(index) {
+        const editor = document.getElementById('note-editor');
+        if (!this.suggestions || !editor) return;
+
+        const note = this.suggestions.notes[index];
+        const start = this.suggestions.start;
+        this.hideSuggestions();
+        if (!note) return;
+
+        // Swallow a closing "]]" that is already there
+        let end = editor.selectionStart;
+        if (editor.value.slice(end, end + 2) === ']]') end += 2;
+
+        editor.setRangeText(formatWikiLink(note), start, end, 'end');
+        editor.dispatchEvent(new Event('input', { bubbles: true }));
+        editor.focus();
+    }
+
+    hideSuggestions() {
+        if (this.suggestions) {
+            this.suggestions.element.remove();
+            this.suggestions = null;
+        }
+    }
+
+    // Pixel position of a character in a textarea, measured with an off-screen copy of it
+    getCaretCoordinates(textarea, position) {
+        const style = window.getComputedStyle(textarea);
+        const mirror = document.createElement('div');
+        const copied = ['boxSizing', 'width', 'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft',
+            'borderTopWidth', 'borderRightWidth', 'borderBottomWidth', 'borderLeftWidth', 'fontFamily',
+            'fontSize', 'fontWeight', 'fontStyle', 'letterSpacing', 'lineHeight', 'textTransform',
+            'wordSpacing', 'textIndent', 'tabSize'];
+        copied.forEach(property => { mirror.style[property] = style[property]; });
+        Object.assign(mirror.style, {
+            position: 'absolute',
+            visibility: 'hidden',
+            top: '0',
+            left: '-9999px',
+            whiteSpace: 'pre-wrap',
+            overflowWrap: 'break-word'
+        });
+
+        mirror.textContent = textarea.value.slice(0, position);
+        const marker = document.createElement('span');
+        marker.textContent = textarea.value.slice(position, position + 2) || '.';
+        mirror.appendChild(marker);
+        document.body.appendChild(mirror);
+
+        const coordinates = {
+            top: marker.offsetTop - textarea.scrollTop,
+            left: marker.offsetLeft - textarea.scrollLeft,
+            height: parseFloat(style.lineHeight) || parseFloat(style.fontSize) * 1.5
+        };
+        mirror.remove();
+        return coordinates;
+    }
+}
+
+module.exports = BacklinksManager;
@@ -0,0 +1,396 @@
+// Board View Manager
+// Kanban board of the notes shown in the sidebar. Columns are the child tags of a tag
+// ("project/todo", "project/doing", ...) or the options of a select property; dragging a card
+// to another column moves the note to that tag or option. The grouping is chosen per folder.
+
+const { t } = require('./shared');
+
+const STORAGE_KEY = 'notesBoardSettings';
+
+class BoardViewManager {
+    constructor(app) {
+        this.app = app;
+        this.active = false;
+        this.moving = false; // A dropped card is being saved; the board re-renders when done
+        this.draggedNoteId = null;
+        this.settings = this.loadSettings(); // { [folder]: { groupBy: 'tag:<id>' | 'property:<id>' } }
+    }
+
+    get db() {
+        return this.app.notesManager && this.app.notesManager.db && this.app.notesManager.db.initialized
+            ? this.app.notesManager.db
+            : null;
+    }
+
+    initialize() {
+        document.getElementById('board-view-close')?.addEventListener('click', () => this.close());
+        document.getElementById('board-group-select')?.addEventListener('change', (e) => {
+            this.updateFolderSettings({ groupBy: e.target.value || null });
+            this.render();
+        });
+    }
+
+    toggle() {
+        if (this.active) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    open() {
+        if (!this.db) {
+            this.app.showNotification(t('notifications.databaseNotAvailable'), 'error');
+            return;
+        }
+
+        // The board takes the place of the table view
+        this.app.tableViewManager.hide();
+        this.active = true;
+        document.getElementById('editor-container')?.classList.add('hidden');
+        const placeholder = document.getElementById('no-note-placeholder');
+        if (placeholder) {
+            placeholder.style.display = 'none';
+            placeholder.classList.add('hidden');
+        }
+        document.getElementById('notes-board-view')?.classList.remove('hidden');
+        document.getElementById('board-view-btn')?.classList.add('active');
+        this.render();
+    }
+
+    // Leave the board and go back to the open note (or the placeholder)
+    close() {
+        this.hide();
+        if (this.app.currentNote) {
+            this.app.showNoteEditor();
+        } else {
+            this.app.showNoNotePlaceholder();
+        }
+    }
+
+    hide() {
+        if (!this.active) return;
+        this.active = false;
+        document.getElementById('notes-board-view')?.classList.add('hidden');
+        document.getElementById('board-view-btn')?.classList.remove('active');
+    }
+
+    // =====================================================
+    // Board settings
+    // =====================================================
+
+    loadSettings() {
+        try {
+            return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+        } catch (error) {
+            console.warn('[BoardView] Ignoring unreadable board settings:', error);
+            return {};
+        }
+    }
+
+    saveSettings() {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(this.settings));
+    }
+
+    get folderKey() {
+        return this.app.currentFolder || 'all';
+    }
+
+    updateFolderSettings(changes) {
+        this.settings[this.folderKey] = { ...(this.settings[this.folderKey] || {}), ...changes };
+        this.saveSettings();
+    }
+
+    /**
+     * What the columns can come from: tags with child tags and select properties
+     * @returns {Array<{value: string, label: string}>}
+     */
+    getGroupOptions() {
+        const options = [];
+        const collect = (nodes) => nodes.forEach(node => {
+            if (node.children.length > 0) {
+                options.push({ value: `tag:${node.tag.id}`, label: t('boardView.groupByTag', { name: node.tag.name }) });
+            }
+            collect(node.children);
+        });
+        collect(this.db.getTagTree());
+
+        for (const definition of this.db.getPropertyDefinitions()) {
+            if (definition.type === 'select') {
+                options.push({ value: `property:${definition.id}`, label: t('boardView.groupByProperty', { name: definition.name }) });
+            }
+        }
+        return options;
+    }
+
+    // The folder's saved grouping, or a sensible first choice: the folder's own tag when it has
+    // child tags, else the first select property, else the first tag with child tags
+    getGroupBy(options) {
+        const saved = (this.settings[this.folderKey] || {}).groupBy;
+        if (saved && options.some(option => option.value === saved)) return saved;
+
+        const folderTag = `tag:${this.folderKey}`;
+        if (options.some(option => option.value === folderTag)) return folderTag;
+        const property = options.find(option => option.value.startsWith('property:'));
+        return (property || options[0] || {}).value || null;
+    }
+
+    /**
+     * The board's columns. The first column (key '') holds the notes that fit no other one.
+     * @returns {{type: string, id: string, columns: Array<{key: string, label: string, tagIds?: Set<string>}>}|null}
+     */
+    getLayout(groupBy) {
+        if (!groupBy) return null;
+        const separator = groupBy.indexOf(':');
+        const type = groupBy.slice(0, separator);
+        const id = groupBy.slice(separator + 1);
+
+        if (type === 'tag') {
+            const findNode = (nodes) => {
+                for (const node of nodes) {
+                    if (node.tag.id === id) return node;
+                    const found = findNode(node.children);
+                    if (found) return found;
+                }
+                return null;
+            };
+            const node = findNode(this.db.getTagTree());
+            if (!node) return null;
+            return {
+                type,
+                id,
+                columns: [
+                    { key: '', label: t('boardView.noStatus') },
+                    // A card tagged below a column tag ("project/doing/blocked") stays in that column
+                    ...node.children.map(child => ({ key: child.tag.id, label: child.label, tagIds: this.db.getTagSubtreeIds(child.tag.id) }))
+                ]
+            };
+        }
+
+        const definition = this.db.getPropertyDefinition(id);
+        if (!definition || definition.type !== 'select') return null;
+        return {
+            type,
+            id,
+            columns: [
+                { key: '', label: t('boardView.noValue') },
+                ...definition.options.map(option => ({ key: option, label: option }))
+            ]
+        };
+    }
+
+    // Key of the column a note belongs to
+    getColumnKey(note, layout) {
+        if (layout.type === 'tag') {
+            const tags = note.tags || [];
+            const column = layout.columns.find(item => item.tagIds && tags.some(tagId => item.tagIds.has(tagId)));
+            return column ? column.key : '';
+        }
+        const value = (note.properties || {})[layout.id];
+        if (value === null || value === undefined) return '';
+        const column = layout.columns.find(item => item.key && item.key.toLowerCase() === String(value).toLowerCase());
+        return column ? column.key : '';
+    }
+
+    // =====================================================
+    // Rendering
+    // =====================================================
+
+    render() {
+        if (!this.active || this.moving || !this.db) return;
+        const container = document.getElementById('notes-board-container');
+        if (!container) return;
+
+        const notes = this.app.notesManager.currentNotes || [];
+        const options = this.getGroupOptions();
+        const groupBy = this.getGroupBy(options);
+        this.renderToolbar(notes.length, options, groupBy);
+
+        container.innerHTML = '';
+        const layout = this.getLayout(groupBy);
+        if (!layout) {
+            const empty = document.createElement('div');
+            empty.className = 'notes-board-empty';
+            empty.textContent = t('boardView.noColumns');
+            container.appendChild(empty);
+            return;
+        }
+
+        const cardsByColumn = new Map(layout.columns.map(column => [column.key, []]));
+        for (const note of notes) {
+            cardsByColumn.get(this.getColumnKey(note, layout)).push(note);
+        }
+
+        const board = document.createElement('div');
+        board.className = 'notes-board';
+        for (const column of layout.columns) {
+            const cards = cardsByColumn.get(column.key);
+            // The catch-all column only shows when something is in it
+            if (!column.key && cards.length === 0) continue;
+            board.appendChild(this.createColumn(column, cards, layout));
+        }
+        container.appendChild(board);
+    }
+
+    renderToolbar(count, options, groupBy) {
+        const title = document.getElementById('board-view-title');
+        const countElement = document.getElementById('board-view-count');
+        if (title) title.textContent = this.app.tableViewManager.getFolderName();
+        if (countElement) countElement.textContent = t('tableView.noteCount', { count });
+
+        const select = document.getElementById('board-group-select');
+        if (!select) return;
+        select.innerHTML = '';
+        for (const option of options) {
+            const element = document.createElement('option');
+            element.value = option.value;
+            element.textContent = option.label;
+            select.appendChild(element);
+        }
+        select.value = groupBy || '';
+        select.disabled = options.length === 0;
+    }
+
+    createColumn(column, notes, layout) {
+        const element = document.createElement('section');
+        element.className = 'notes-board-column';
+        element.dataset.columnKey = column.key;
+
+        const header = document.createElement('header');
+        header.className = 'notes-board-column-header';
+        const name = document.createElement('span');
+        name.className = 'notes-board-column-name';
+        name.textContent = column.label;
+        const count = document.createElement('span');
+        count.className = 'notes-board-column-count';
+        count.textContent = notes.length;
+        header.append(name, count);
+
+        const cards = document.createElement('div');
+        cards.className = 'notes-board-cards';
+        notes.forEach(note => cards.appendChild(this.createCard(note)));
+
+        element.append(header, cards);
+
+        element.addEventListener('dragover', (e) => {
+            if (!this.draggedNoteId) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+            element.classList.add('drag-over');
+        });
+        element.addEventListener('dragleave', (e) => {
+            if (!element.contains(e.relatedTarget)) element.classList.remove('drag-over');
+        });
+        element.addEventListener('drop', (e) => {
+            e.preventDefault();
+            element.classList.remove('drag-over');
+            const noteId = this.draggedNoteId;
+            this.draggedNoteId = null;
+            if (noteId) this.moveNote(noteId, column.key, layout);
+        });
+        return element;
+    }
+
+    createCard(note) {
+        const card = document.createElement('div');
+        card.className = 'notes-board-card';
+        card.dataset.noteId = note.id;
+        if (this.app.currentNote && this.app.currentNote.id === note.id) card.classList.add('active');
+
+        const title = document.createElement('div');
+        title.className = 'notes-board-card-title';
+        if (note.password_protected) {
+            const lock = document.createElement('i');
+            lock.className = 'fas fa-lock note-lock-icon';
+            lock.title = t('notes.passwordProtected');
+            title.appendChild(lock);
+        }
+        title.appendChild(document.createTextNode(note.title));
+        card.appendChild(title);
+
+        if (note.preview && !note.password_protected) {
+            const preview = document.createElement('div');
+            preview.className = 'notes-board-card-preview';
+            preview.textContent = note.preview;
+            card.appendChild(preview);
+        }
+
+        const date = document.createElement('div');
+        date.className = 'notes-board-card-date';
+        date.textContent = this.app.formatLocalizedDateTime(note.updated_at, false);
+        card.appendChild(date);
+
+        // Notes in the trash or the archive can be looked at but not moved
+        if (!note.deleted_at && !note.is_archived) {
+            card.draggable = true;
+            card.addEventListener('dragstart', (e) => {
+                this.draggedNoteId = note.id;
+                e.dataTransfer.effectAllowed = 'move';
+                e.dataTransfer.setData('text/plain', note.title || '');
+                card.classList.add('dragging');
+            });
+            card.addEventListener('dragend', () => {
+                this.draggedNoteId = null;
+                card.classList.remove('dragging');
+            });
+            card.addEventListener('click', () => this.app.switchToNoteWithWarning(note.id));
+        }
+        return card;
+    }
+
+    // =====================================================
+    // Moving cards
+    // =====================================================
+
+    async moveNote(noteId, columnKey, layout) {
+        const note = (this.app.notesManager.currentNotes || []).find(item => item.id === noteId);
+        if (!note || this.getColumnKey(note, layout) === columnKey) return;
+
+        this.moving = true;
+        try {
+            if (layout.type === 'tag') {
+                await this.moveNoteToTag(note, columnKey, layout);
+            } else {
+                await this.moveNoteToOption(note, columnKey, layout);
+            }
+        } catch (error) {
+            console.error('[BoardView] Failed to move note:', error);
+            this.app.showNotification(t('boardView.moveFailed'), 'error');
+        } finally {
+            this.moving = false;
+            this.render();
+        }
+    }
+
+    // Swap the note's column tags for the target column's tag. Removing first keeps the note
+    // within the tag limit; if the new tag still cannot be added, the old ones are put back.
+    async moveNoteToTag(note, columnKey, layout) {
+        const tagFolderManager = this.app.tagFolderManager;
+        const options = { noteId: note.id, notify: false };
+        const columnTagIds = new Set(layout.columns.flatMap(column => column.tagIds ? [...column.tagIds] : []));
+        const removed = (note.tags || []).filter(tagId => columnTagIds.has(tagId));
+
+        for (const tagId of removed) {
+            if (!await tagFolderManager.removeTagFromNote(tagId, options)) return;
+        }
+        if (columnKey && !await tagFolderManager.addTagToNote(columnKey, options)) {
+            for (const tagId of removed) {
+                await tagFolderManager.addTagToNote(tagId, options);
+            }
+        }
+    }
+
+    async moveNoteToOption(note, columnKey, layout) {
+        if (!this.db.setNoteProperty(note.id, layout.id, columnKey || null)) return;
+
+        if (this.app.currentNote && this.app.currentNote.id === note.id) {
+            this.app.propertiesManager.syncCurrentNote();
+            this.app.renderProperties();
+        }
+        this.app.refreshLocalSyncChecksum();
+        const searchInput = document.getElementById('search-input');
+        await this.app.notesManager.renderNotesList(searchInput ? (searchInput.value || '') : '', this.app.currentFolder);
+    }
+}
+
+module.exports = BoardViewManager;
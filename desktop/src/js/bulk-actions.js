@@ -0,0 +1,577 @@
+// Bulk Actions Manager
+// Multi-selection in the notes list (ctrl/cmd-click toggles, shift-click selects a range) and
+// the action bar that applies tag, pin, archive, delete, export, merge and AI actions to it.
+// Database changes for one action are written as a single batch (see DatabaseManager.batch).
+
+const { t } = require('./shared');
+const { formatWikiLink } = require('./note-links');
+
+const MAX_TAGS_PER_NOTE = 3;
+const MAX_PINNED_NOTES = 3;
+
+class BulkActionsManager {
+    constructor(app) {
+        this.app = app;
+        this.selectedIds = new Set();
+        this.anchorId = null; // Where the next shift-click range starts
+        this.running = false;
+    }
+
+    get db() {
+        return this.app.notesManager && this.app.notesManager.db && this.app.notesManager.db.initialized
+            ? this.app.notesManager.db
+            : null;
+    }
+
+    initialize() {
+        const bar = document.getElementById('bulk-action-bar');
+        if (bar) {
+            // Keep clicks here from reaching the notes list "clear selection" handler
+            bar.addEventListener('click', (e) => {
+                e.stopPropagation();
+                const button = e.target.closest('[data-bulk-action]');
+                if (button) this.runAction(button.dataset.bulkAction);
+            });
+        }
+
+        // Shift-click selects notes, not the text between them
+        document.getElementById('notes-list')?.addEventListener('mousedown', (e) => {
+            if (e.shiftKey && e.target.closest('.note-item')) e.preventDefault();
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.selectedIds.size > 0 && !document.querySelector('.modal:not(.hidden)')) {
+                this.clearSelection();
+            }
+        });
+    }
+
+    isSelected(noteId) {
+        return this.selectedIds.has(noteId);
+    }
+
+    /**
+     * Handle a modified click on a note in the list
+     * @returns {boolean} True when the click changed the selection (and should not open the note)
+     */
+    handleNoteClick(noteId, event) {
+        const toggle = event.ctrlKey || event.metaKey;
+        if (!toggle && !event.shiftKey) return false;
+        if (!this.db) return false;
+
+        // The open note counts as the first selected note
+        if (this.selectedIds.size === 0 && this.app.currentNote && this.isListed(this.app.currentNote.id)) {
+            this.selectedIds.add(this.app.currentNote.id);
+            this.anchorId = this.app.currentNote.id;
+        }
+
+        if (event.shiftKey && this.anchorId && this.isListed(this.anchorId)) {
+            const ids = this.app.notesManager.currentNotes.map(note => note.id);
+            const from = ids.indexOf(this.anchorId);
+            const to = ids.indexOf(noteId);
+            if (!toggle) this.selectedIds.clear();
+            ids.slice(Math.min(from, to), Math.max(from, to) + 1).forEach(id => this.selectedIds.add(id));
+        } else {
+            if (this.selectedIds.has(noteId)) {
+                this.selectedIds.delete(noteId);
+            } else {
+                this.selectedIds.add(noteId);
+            }
+            this.anchorId = noteId;
+        }
+
+        this.updateSelectionUI();
+        return true;
+    }
+
+    isListed(noteId) {
+        return this.app.notesManager.currentNotes.some(note => note.id === noteId);
+    }
+
+    selectOnly(noteId) {
+        this.selectedIds = new Set([noteId]);
+        this.anchorId = noteId;
+        this.updateSelectionUI();
+    }
+
+    clearSelection() {
+        this.selectedIds.clear();
+        this.anchorId = null;
+        this.updateSelectionUI();
+    }
+
+    // Called after the notes list is rendered: forget notes that are no longer listed
+    refresh() {
+        const listed = new Set(this.app.notesManager.currentNotes.filter(note => !note.deleted_at).map(note => note.id));
+        this.selectedIds.forEach(id => {
+            if (!listed.has(id)) this.selectedIds.delete(id);
+        });
+        if (this.anchorId && !listed.has(this.anchorId)) this.anchorId = null;
+        this.updateSelectionUI();
+    }
+
+    updateSelectionUI() {
+        document.querySelectorAll('#notes-list .note-item').forEach(item => {
+            item.classList.toggle('selected', this.selectedIds.has(item.dataset.id));
+        });
+
+        const bar = document.getElementById('bulk-action-bar');
+        if (!bar) return;
+        bar.classList.toggle('hidden', this.selectedIds.size === 0);
+
+        // Archived notes are restored rather than archived, and are not pinned
+        const inArchive = this.app.currentFolder === 'archive';
+        bar.querySelector('[data-bulk-action="archive"]')?.classList.toggle('hidden', inArchive);
+        bar.querySelector('[data-bulk-action="unarchive"]')?.classList.toggle('hidden', !inArchive);
+        bar.querySelector('[data-bulk-action="pin"]')?.classList.toggle('hidden', inArchive);
+        const count = document.getElementById('bulk-action-count');
+        if (count) count.textContent = t('bulkActions.selectedCount', { count: this.selectedIds.size });
+    }
+
+    // Selected notes in list order
+    getSelectedNotes() {
+        if (!this.db) return [];
+        return this.app.notesManager.currentNotes
+            .filter(note => this.selectedIds.has(note.id))
+            .map(note => this.db.data.notes[note.id])
+            .filter(note => note && !note.deleted_at);
+    }
+
+    async runAction(action) {
+        if (action === 'clear') {
+            this.clearSelection();
+            return;
+        }
+
+        const notes = this.getSelectedNotes();
+        if (notes.length === 0) return;
+
+        const handlers = {
+            'add-tag': () => this.showAddTagDialog(notes),
+            'remove-tag': () => this.showRemoveTagDialog(notes),
+            pin: () => this.togglePinned(notes),
+            archive: () => this.archiveNotes(notes),
+            unarchive: () => this.restoreFromArchive(notes),
+            delete: () => this.trashNotes(notes),
+            export: () => this.exportNotes(notes),
+            merge: () => this.showMergeDialog(notes),
+            ai: () => this.showAIActionDialog(notes)
+        };
+        if (handlers[action]) await this.perform(handlers[action]);
+    }
+
+    // Run one action at a time; failures are reported instead of escaping from click handlers
+    async perform(task, errorKey = 'bulkActions.actionFailed') {
+        if (this.running) return;
+        this.running = true;
+        try {
+            await task();
+        } catch (error) {
+            console.error('[BulkActions] Action failed:', error);
+            this.app.showNotification(t(errorKey), 'error');
+        } finally {
+            this.running = false;
+        }
+    }
+
+    // =====================================================
+    // Actions
+    // =====================================================
+
+    showAddTagDialog(notes) {
+        const options = this.db.getAllTags()
+            .map(tag => `<option value="${this.app.escapeHtml(tag.name)}"></option>`)
+            .join('');
+        const content = `
+            <div class="form-group">
+                <label for="bulk-tag-name" style="display: block; margin-bottom: 6px; font-weight: 500;">${t('tags.tagName')}</label>
+                <input type="text" id="bulk-tag-name" class="filter-input" style="width: 100%;" list="bulk-tag-options"
+                       placeholder="${this.app.escapeHtml(t('placeholder.enterTagName'))}">
+                <datalist id="bulk-tag-options">${options}</datalist>
+                <small class="filter-hint">${t('bulkActions.addTagHint', { count: notes.length })}</small>
+            </div>
+        `;
+
+        const modal = this.app.createModal(t('bulkActions.addTag', 'Add Tag'), content, [
+            { text: t('modals.cancel'), type: 'secondary', action: 'cancel' },
+            {
+                text: t('tags.addTag', 'Add Tag'), type: 'primary', action: 'add', callback: () => {
+                    const name = modal.querySelector('#bulk-tag-name').value;
+                    this.perform(() => this.addTag(notes, name));
+                }
+            }
+        ]);
+        modal.querySelector('.modal-content').style.maxWidth = '420px';
+
+        const input = modal.querySelector('#bulk-tag-name');
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                modal.querySelector('[data-action="add"]')?.click();
+            }
+        });
+        setTimeout(() => input.focus(), 100);
+    }
+
+    async addTag(notes, name) {
+        if (!name.trim()) {
+            this.app.showNotification(t('notifications.pleaseEnterTagName'), 'warning');
+            return;
+        }
+
+        let updated = 0;
+        let skipped = 0;
+        this.db.batch(() => {
+            const existing = this.db.findTagByName(name);
+            const tagId = existing ? existing.id : this.db.createTag({ name });
+            for (const note of notes) {
+                const tags = note.tags || [];
+                if (tags.includes(tagId)) continue;
+                if (tags.length >= MAX_TAGS_PER_NOTE) {
+                    skipped++;
+                    continue;
+                }
+                this.db.updateNote(note.id, { tags: [...tags, tagId] });
+                updated++;
+            }
+        });
+
+        await this.afterChange();
+        this.app.showNotification(t('bulkActions.tagAdded', { count: updated }), 'success');
+        if (skipped > 0) {
+            this.app.showNotification(t('bulkActions.tagLimitSkipped', { count: skipped }), 'warning');
+        }
+    }
+
+    showRemoveTagDialog(notes) {
+        const tagIds = [...new Set(notes.flatMap(note => note.tags || []))];
+        const tags = tagIds.map(id => this.db.data.tags[id]).filter(Boolean)
+            .sort((a, b) => a.name.localeCompare(b.name));
+        if (tags.length === 0) {
+            this.app.showNotification(t('bulkActions.noTagsToRemove', 'The selected notes have no tags'), 'info');
+            return;
+        }
+
+        const options = tags
+            .map(tag => `<option value="${tag.id}">${this.app.escapeHtml(tag.name)}</option>`)
+            .join('');
+        const content = `
+            <div class="form-group">
+                <label for="bulk-remove-tag" style="display: block; margin-bottom: 6px; font-weight: 500;">${t('tags.tagName')}</label>
+                <select id="bulk-remove-tag" class="filter-select" style="width: 100%;">${options}</select>
+            </div>
+        `;
+
+        const modal = this.app.createModal(t('bulkActions.removeTag', 'Remove Tag'), content, [
+            { text: t('modals.cancel'), type: 'secondary', action: 'cancel' },
+            {
+                text: t('bulkActions.remove', 'Remove'), type: 'primary', action: 'remove', callback: () => {
+                    const tagId = modal.querySelector('#bulk-remove-tag').value;
+                    this.perform(() => this.removeTag(notes, tagId));
+                }
+            }
+        ]);
+        modal.querySelector('.modal-content').style.maxWidth = '420px';
+    }
+
+    async removeTag(notes, tagId) {
+        let updated = 0;
+        this.db.batch(() => {
+            for (const note of notes) {
+                if (!(note.tags || []).includes(tagId)) continue;
+                this.db.updateNote(note.id, { tags: note.tags.filter(id => id !== tagId) });
+                updated++;
+            }
+        });
+
+        await this.afterChange();
+        this.app.showNotification(t('bulkActions.tagRemoved', { count: updated }), 'success');
+    }
+
+    // Pin the selection, or unpin it when every selected note is already pinned
+    async togglePinned(notes) {
+        const pin = notes.some(note => !note.pinned);
+        const changing = notes.filter(note => !!note.pinned !== pin);
+
+        if (pin) {
+            const pinnedCount = this.db.getAllNotes().filter(note => note.pinned).length;
+            if (pinnedCount + changing.length > MAX_PINNED_NOTES) {
+                await this.app.showAlert(t('notes.pinLimitReached'), t('notes.pinLimitMessage'));
+                return;
+            }
+        }
+
+        this.db.batch(() => {
+            changing.forEach(note => this.db.updateNote(note.id, { pinned: pin }));
+        });
+
+        await this.afterChange();
+        this.app.showNotification(t(pin ? 'bulkActions.pinned' : 'bulkActions.unpinned', { count: changing.length }), 'success');
+    }
+
+    async archiveNotes(notes) {
+        this.db.batch(() => {
+            notes.forEach(note => this.db.archiveNote(note.id));
+        });
+        this.closeNotes(notes.map(note => note.id));
+
+        this.clearSelection();
+        await this.afterChange();
+        this.app.showNotification(t('bulkActions.archived', { count: notes.length }), 'success');
+    }
+
+    async restoreFromArchive(notes) {
+        this.db.batch(() => {
+            notes.forEach(note => this.db.archiveNote(note.id, false));
+        });
+
+        this.clearSelection();
+        await this.afterChange();
+        this.app.showNotification(t('bulkActions.restored', { count: notes.length }), 'success');
+    }
+
+    async trashNotes(notes) {
+        const confirmed = await this.app.showConfirmation(
+            t('bulkActions.deleteTitle', 'Move to Trash'),
+            t('bulkActions.deleteConfirm', { count: notes.length })
+        );
+        if (!confirmed) return;
+
+        this.db.batch(() => {
+            notes.forEach(note => this.db.trashNote(note.id));
+        });
+        this.closeNotes(notes.map(note => note.id));
+
+        this.clearSelection();
+        await this.afterChange();
+        this.app.showNotification(t('bulkActions.trashed', { count: notes.length }), 'success');
+    }
+
+    async exportNotes(notes) {
+        if (!this.app.backendAPI) {
+            this.app.showNotification(t('notifications.exportFailed'), 'error');
+            return;
+        }
+
+        // Protected notes only hold ciphertext; exporting them would lose their content
+        const exportable = notes.filter(note => !note.password_protected);
+        if (exportable.length === 0) {
+            this.app.showNotification(t('bulkActions.protectedSkipped', { count: notes.length }), 'warning');
+            return;
+        }
+
+        const directory = await this.app.backendAPI.chooseDirectory();
+        if (!directory) return;
+
+        const count = await this.app.backendAPI.exportNotesToFolder(exportable, directory);
+        this.app.showNotification(t('bulkActions.exported', { count, path: directory }), 'success');
+        if (exportable.length < notes.length) {
+            this.app.showNotification(t('bulkActions.protectedSkipped', { count: notes.length - exportable.length }), 'warning');
+        }
+    }
+
+    showMergeDialog(notes) {
+        if (notes.length < 2) {
+            this.app.showNotification(t('bulkActions.mergeNeedsTwo', 'Select at least two notes to merge'), 'info');
+            return;
+        }
+        if (notes.some(note => note.password_protected)) {
+            this.app.showNotification(t('bulkActions.mergeProtected', 'Password-protected notes cannot be merged'), 'warning');
+            return;
+        }
+
+        const content = `
+            <div class="form-group" style="margin-bottom: 16px;">
+                <label for="bulk-merge-title" style="display: block; margin-bottom: 6px; font-weight: 500;">${t('bulkActions.mergedTitle', 'Title of the merged note')}</label>
+                <input type="text" id="bulk-merge-title" class="filter-input" style="width: 100%;" value="${this.app.escapeHtml(notes[0].title)}">
+            </div>
+            <label style="display: flex; align-items: center; gap: 8px; cursor: pointer;">
+                <input type="checkbox" id="bulk-merge-trash" checked>
+                <span>${t('bulkActions.mergeTrashOriginals', 'Move the original notes to the trash')}</span>
+            </label>
+        `;
+
+        const modal = this.app.createModal(t('bulkActions.mergeTitle', { count: notes.length }), content, [
+            { text: t('modals.cancel'), type: 'secondary', action: 'cancel' },
+            {
+                text: t('bulkActions.merge', 'Merge'), type: 'primary', action: 'merge', callback: () => {
+                    const title = modal.querySelector('#bulk-merge-title').value;
+                    const trashOriginals = modal.querySelector('#bulk-merge-trash').checked;
+                    this.perform(() => this.mergeNotes(notes, title, trashOriginals));
+                }
+            }
+        ]);
+        modal.querySelector('.modal-content').style.maxWidth = '440px';
+    }
+
+    /**
+     * Combine notes into a new note, in list order. Each note becomes a section under its title;
+     * tags are combined up to the per-note limit and properties keep the first value found.
+     */
+    async mergeNotes(notes, title, trashOriginals) {
+        const content = notes
+            .map(note => `## ${note.title}\n\n${(note.content || '').trim()}`)
+            .join('\n\n');
+        const tags = [...new Set(notes.flatMap(note => note.tags || []))].slice(0, MAX_TAGS_PER_NOTE);
+        const properties = {};
+        notes.forEach(note => {
+            Object.entries(note.properties || {}).forEach(([id, value]) => {
+                if (properties[id] === undefined || properties[id] === null) properties[id] = value;
+            });
+        });
+
+        const mergedId = this.db.batch(() => {
+            const id = this.db.createNote({
+                title: title.trim() || notes[0].title,
+                content,
+                preview: this.app.generatePreview(content),
+                tags,
+                properties
+            });
+            if (trashOriginals) {
+                notes.forEach(note => this.db.trashNote(note.id));
+            }
+            return id;
+        });
+        if (trashOriginals) {
+            this.closeNotes(notes.map(note => note.id));
+        }
+
+        this.clearSelection();
+        await this.afterChange();
+        this.app.showNotification(t('bulkActions.merged', { count: notes.length }), 'success');
+        await this.app.switchToNoteWithWarning(mergedId);
+    }
+
+    showAIActionDialog(notes) {
+        if (!this.app.aiManager || !this.app.aiManager.isConnected) {
+            this.app.showNotification(t('notifications.aiNotAvailable'), 'error');
+            return;
+        }
+
+        const content = `
+            <div class="form-group">
+                <label for="bulk-ai-action" style="display: block; margin-bottom: 6px; font-weight: 500;">${t('bulkActions.aiAction', 'AI action')}</label>
+                <select id="bulk-ai-action" class="filter-select" style="width: 100%;">
+                    <option value="tags">${t('bulkActions.aiTags', 'Generate and add tags to each note')}</option>
+                    <option value="summary">${t('bulkActions.aiSummaries', 'Summarize each note into a new note')}</option>
+                    <option value="keyPoints">${t('bulkActions.aiKeyPoints', 'Extract key points of each note into a new note')}</option>
+                </select>
+                <small class="filter-hint">${t('bulkActions.aiHint', { count: notes.length })}</small>
+            </div>
+        `;
+
+        const modal = this.app.createModal(t('bulkActions.aiTitle', 'Run AI Action'), content, [
+            { text: t('modals.cancel'), type: 'secondary', action: 'cancel' },
+            {
+                text: t('bulkActions.run', 'Run'), type: 'primary', action: 'run', callback: () => {
+                    const action = modal.querySelector('#bulk-ai-action').value;
+                    this.perform(() => this.runAIAction(notes, action), 'notifications.aiActionFailed');
+                }
+            }
+        ]);
+        modal.querySelector('.modal-content').style.maxWidth = '440px';
+    }
+
+    // Ask the AI about each note in turn, then store all results in one batch
+    async runAIAction(notes, action) {
+        const readable = notes.filter(note => !note.password_protected && (note.content || '').trim());
+        if (readable.length === 0) {
+            this.app.showNotification(t('bulkActions.aiNothingToProcess', 'None of the selected notes has readable content'), 'warning');
+            return;
+        }
+
+        const results = [];
+        this.app.currentAIAbortController = new AbortController();
+        this.app.isAIOperationCancelled = false;
+        this.app.showLoading(null, true);
+        try {
+            for (const [index, note] of readable.entries()) {
+                this.app.updateLoadingText(t('bulkActions.aiProgress', { current: index + 1, total: readable.length }));
+                let response;
+                if (action === 'tags') {
+                    response = await this.app.aiManager.generateTags(note.content, { noteTitle: note.title });
+                } else if (action === 'summary') {
+                    response = await this.app.aiManager.summarize(note.content);
+                } else {
+                    response = await this.app.aiManager.extractKeyPoints(note.content);
+                }
+                if (this.app.isAIOperationCancelled) return;
+                results.push({ note, response });
+            }
+        } finally {
+            this.app.hideLoading();
+            this.app.isAIOperationCancelled = false;
+        }
+
+        if (action === 'tags') {
+            let updated = 0;
+            this.db.batch(() => {
+                for (const { note, response } of results) {
+                    const tags = [...(note.tags || [])];
+                    for (const name of this.app.parseTagResponse(response)) {
+                        if (tags.length >= MAX_TAGS_PER_NOTE) break;
+                        const existing = this.db.findTagByName(name);
+                        const tagId = existing ? existing.id : this.db.createTag({ name });
+                        if (!tags.includes(tagId)) tags.push(tagId);
+                    }
+                    if (tags.length !== (note.tags || []).length) {
+                        this.db.updateNote(note.id, { tags });
+                        updated++;
+                    }
+                }
+            });
+            await this.afterChange();
+            this.app.showNotification(t('bulkActions.aiTagsDone', { count: updated }), 'success');
+            return;
+        }
+
+        const title = action === 'summary'
+            ? t('bulkActions.summariesNoteTitle', { count: results.length })
+            : t('bulkActions.keyPointsNoteTitle', { count: results.length });
+        const content = results
+            .map(({ note, response }) => `## ${formatWikiLink(note)}\n\n${String(response).trim()}`)
+            .join('\n\n');
+        const noteId = this.db.createNote({
+            title,
+            content,
+            preview: this.app.generatePreview(content),
+            tags: []
+        });
+        await this.afterChange();
+        await this.app.switchToNoteWithWarning(noteId);
+    }
+
+    // =====================================================
+    // Helpers
+    // =====================================================
+
+    // Close tabs and the editor for notes that left the list (trashed, archived)
+    closeNotes(noteIds) {
+        noteIds.forEach(id => this.app.closeTab(id, true));
+        if (this.app.currentNote && noteIds.includes(this.app.currentNote.id)) {
+            this.app.currentNote = null;
+            this.app.notesManager.clearEditor();
+            this.app.showNoNotePlaceholder();
+        }
+    }
+
+    // Refresh everything a batch may have touched, once
+    async afterChange() {
+        const current = this.app.currentNote && this.db.data.notes[this.app.currentNote.id];
+        if (current) {
+            // Keep the editor's unsaved text; only take over the fields bulk actions change
+            this.app.currentNote.tags = current.tags;
+            this.app.currentNote.pinned = current.pinned;
+            this.app.currentNote.updated_at = current.updated_at;
+            this.app.displayNoteTags(this.app.currentNote);
+        }
+
+        this.app.refreshLocalSyncChecksum();
+        const searchQuery = document.getElementById('search-input')?.value || '';
+        await this.app.notesManager.renderNotesList(searchQuery, this.app.currentFolder);
+        await this.app.renderTagFolders();
+    }
+}
+
+module.exports = BulkActionsManager;
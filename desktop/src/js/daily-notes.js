@@ -0,0 +1,252 @@
+// Daily Notes Manager
+// One note per day, titled with its date ("2024-05-17"). "Today" (File menu, Ctrl+D, the
+// calendar button) opens the current day's entry or creates it from the daily note template;
+// the sidebar calendar marks days that have an entry and opens any day's.
+
+const { t } = require('./shared');
+
+const DEFAULT_TEMPLATE_ID = 'daily-journal';
+
+// Calendar date in local time as YYYY-MM-DD (toISOString() would shift it to UTC)
+function formatDateKey(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+// 0 = Sunday, as Date.getDay(); from the locale where the runtime knows it
+function getFirstDayOfWeek(lang) {
+    try {
+        const locale = new Intl.Locale(lang);
+        const weekInfo = typeof locale.getWeekInfo === 'function' ? locale.getWeekInfo() : locale.weekInfo;
+        if (weekInfo && weekInfo.firstDay) return weekInfo.firstDay % 7;
+    } catch (_) {
+        // Unknown locale: fall through
+    }
+    return lang === 'en' ? 0 : 1;
+}
+
+class DailyNotesManager {
+    constructor(app) {
+        this.app = app;
+        const today = new Date();
+        this.visibleMonth = new Date(today.getFullYear(), today.getMonth(), 1);
+        // Ctrl+D reaches us from both the menu and the keyboard handler; open each day once
+        this.opening = null;
+    }
+
+    get db() {
+        return this.app.notesManager && this.app.notesManager.db && this.app.notesManager.db.initialized
+            ? this.app.notesManager.db
+            : null;
+    }
+
+    initialize() {
+        document.getElementById('today-note-btn')?.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.openToday();
+        });
+
+        const toggleBtn = document.getElementById('calendar-toggle-btn');
+        const calendar = document.getElementById('daily-calendar');
+        if (toggleBtn && calendar) {
+            const isCollapsed = localStorage.getItem('dailyCalendarCollapsed') === 'true';
+            toggleBtn.classList.toggle('collapsed', isCollapsed);
+            calendar.classList.toggle('collapsed', isCollapsed);
+
+            document.getElementById('calendar-divider').addEventListener('click', () => {
+                const collapsed = toggleBtn.classList.toggle('collapsed');
+                calendar.classList.toggle('collapsed', collapsed);
+                localStorage.setItem('dailyCalendarCollapsed', collapsed.toString());
+            });
+
+            calendar.addEventListener('click', (e) => this.handleCalendarClick(e));
+        }
+
+        window.addEventListener('languageChanged', () => this.renderCalendar());
+        this.renderCalendar();
+    }
+
+    // ID of the template new daily notes start from; the blank template when it was deleted
+    getTemplateId() {
+        return this.db ? this.db.getSetting('dailyNoteTemplate', DEFAULT_TEMPLATE_ID) : DEFAULT_TEMPLATE_ID;
+    }
+
+    // Content of a new entry for `date`; {{date}} in the template becomes that day, not today
+    buildContent(date) {
+        const templatesManager = this.app.templatesManager;
+        if (!templatesManager) return '';
+        const template = templatesManager.templates.find(item => item.id === this.getTemplateId());
+        return template ? templatesManager.processTemplateContent(template.content, { date }) || '' : '';
+    }
+
+    openToday() {
+        return this.openDailyNote(new Date());
+    }
+
+    /**
+     * Open the entry for `date`, creating it when there is none. An archived entry is
+     * restored, since archived notes cannot be opened.
+     * @param {Date} date
+     * @param {Object} [options]
+     * @param {boolean} [options.confirmCreate] - Ask before creating (days other than today)
+     */
+    async openDailyNote(date, { confirmCreate = false } = {}) {
+        if (!this.db) return;
+        if (this.opening) return this.opening;
+
+        this.opening = (async () => {
+            const dateKey = formatDateKey(date);
+            let entry = this.db.findNotesByTitles([dateKey]).get(dateKey);
+
+            if (!entry) {
+                if (confirmCreate) {
+                    const confirmed = await this.app.showConfirmation(
+                        t('dailyNotes.createTitle'),
+                        t('dailyNotes.createMessage', { date: this.formatDayLabel(date) })
+                    );
+                    if (!confirmed) return;
+                }
+                const content = this.buildContent(date);
+                const noteId = this.db.createNote({
+                    title: dateKey,
+                    content,
+                    preview: this.app.generatePreview(content)
+                });
+                entry = { id: noteId, is_archived: false };
+            } else if (entry.is_archived) {
+                this.db.archiveNote(entry.id, false);
+            }
+
+            // The entry would be invisible in the trash and archive views
+            if (this.app.currentFolder === 'trash' || this.app.currentFolder === 'archive') {
+                await this.app.switchFolder('all');
+            }
+            this.app.refreshLocalSyncChecksum();
+            const searchQuery = document.getElementById('search-input')?.value || '';
+            await this.app.notesManager.renderNotesList(searchQuery, this.app.currentFolder);
+            await this.app.switchToNoteWithWarning(entry.id);
+
+            this.visibleMonth = new Date(date.getFullYear(), date.getMonth(), 1);
+            this.renderCalendar();
+        })();
+
+        try {
+            await this.opening;
+        } catch (error) {
+            console.error('[DailyNotes] Failed to open daily note:', error);
+            this.app.showNotification(t('dailyNotes.openFailed'), 'error');
+        } finally {
+            this.opening = null;
+        }
+    }
+
+    handleCalendarClick(e) {
+        const nav = e.target.closest('[data-calendar-nav]');
+        if (nav) {
+            const step = { prev: -1, next: 1 }[nav.dataset.calendarNav];
+            const today = new Date();
+            this.visibleMonth = step
+                ? new Date(this.visibleMonth.getFullYear(), this.visibleMonth.getMonth() + step, 1)
+                : new Date(today.getFullYear(), today.getMonth(), 1);
+            this.renderCalendar();
+            return;
+        }
+
+        if (e.target.closest('[data-calendar-action="settings"]')) {
+            this.showSettingsDialog();
+            return;
+        }
+
+        const day = e.target.closest('.calendar-day');
+        if (day) {
+            const [year, month, date] = day.dataset.date.split('-').map(Number);
+            const isToday = day.dataset.date === formatDateKey(new Date());
+            this.openDailyNote(new Date(year, month - 1, date), { confirmCreate: !isToday });
+        }
+    }
+
+    formatDayLabel(date) {
+        const lang = window.i18n ? window.i18n.getLanguage() : 'en';
+        return new Intl.DateTimeFormat(lang, { dateStyle: 'full' }).format(date);
+    }
+
+    // Month grid of the visible month: six weeks, days with an entry marked
+    renderCalendar() {
+        const container = document.getElementById('daily-calendar');
+        if (!container || !this.db) return;
+
+        const lang = window.i18n ? window.i18n.getLanguage() : 'en';
+        const year = this.visibleMonth.getFullYear();
+        const month = this.visibleMonth.getMonth();
+        const firstDay = getFirstDayOfWeek(lang);
+        const leadingDays = (new Date(year, month, 1).getDay() - firstDay + 7) % 7;
+        const days = Array.from({ length: 42 }, (_, index) => new Date(year, month, 1 - leadingDays + index));
+        const entries = this.db.findNotesByTitles(days.map(formatDateKey));
+        const todayKey = formatDateKey(new Date());
+
+        // 2024-01-07 was a Sunday
+        const weekdayFormat = new Intl.DateTimeFormat(lang, { weekday: 'narrow' });
+        const weekdays = Array.from({ length: 7 }, (_, index) =>
+            `<span class="calendar-weekday">${weekdayFormat.format(new Date(2024, 0, 7 + firstDay + index))}</span>`).join('');
+
+        const cells = days.map(date => {
+            const dateKey = formatDateKey(date);
+            const classes = ['calendar-day'];
+            if (date.getMonth() !== month) classes.push('outside');
+            if (dateKey === todayKey) classes.push('today');
+            if (entries.has(dateKey)) classes.push('has-note');
+            const title = t(entries.has(dateKey) ? 'dailyNotes.openDay' : 'dailyNotes.createDay', { date: this.formatDayLabel(date) });
+            return `<button class="${classes.join(' ')}" data-date="${dateKey}" title="${this.app.escapeHtml(title)}">${date.getDate()}</button>`;
+        }).join('');
+
+        const monthLabel = new Intl.DateTimeFormat(lang, { month: 'long', year: 'numeric' }).format(this.visibleMonth);
+        container.innerHTML = `
+            <div class="calendar-header">
+                <button class="calendar-nav-btn" data-calendar-nav="prev" title="${t('dailyNotes.previousMonth')}"><i class="fas fa-chevron-left"></i></button>
+                <button class="calendar-month" data-calendar-nav="current" title="${t('dailyNotes.currentMonth')}">${this.app.escapeHtml(monthLabel)}</button>
+                <button class="calendar-nav-btn" data-calendar-nav="next" title="${t('dailyNotes.nextMonth')}"><i class="fas fa-chevron-right"></i></button>
+                <button class="calendar-nav-btn" data-calendar-action="settings" title="${t('dailyNotes.settings')}"><i class="fas fa-cog"></i></button>
+            </div>
+            <div class="calendar-grid">${weekdays}${cells}</div>
+        `;
+    }
+
+    showSettingsDialog() {
+        const templatesManager = this.app.templatesManager;
+        if (!this.db || !templatesManager) return;
+
+        const selectedId = this.getTemplateId();
+        const options = templatesManager.templates.map(template => `
+            <option value="${this.app.escapeHtml(template.id)}"${template.id === selectedId ? ' selected' : ''}>
+                ${this.app.escapeHtml(`${template.icon || ''} ${templatesManager.getTemplateName(template)}`.trim())}
+            </option>
+        `).join('');
+
+        const content = `
+            <div class="daily-notes-settings">
+                <label for="daily-note-template">${t('dailyNotes.templateLabel')}</label>
+                <select id="daily-note-template" class="filter-input">${options}</select>
+                <small class="filter-hint">${t('dailyNotes.templateHint')}</small>
+            </div>
+        `;
+
+        const modal = this.app.createModal(t('dailyNotes.settingsTitle'), content, [
+            { text: t('modals.cancel'), type: 'secondary', action: 'cancel' },
+            {
+                text: t('dailyNotes.saveSettings'), type: 'primary', action: 'save', callback: () => {
+                    try {
+                        this.db.setSetting('dailyNoteTemplate', modal.querySelector('#daily-note-template').value);
+                        this.app.showNotification(t('dailyNotes.settingsSaved'), 'success');
+                    } catch (error) {
+                        console.error('[DailyNotes] Failed to save settings:', error);
+                        this.app.showNotification(t('dailyNotes.settingsSaveFailed'), 'error');
+                    }
+                }
+            }
+        ]);
+        modal.querySelector('.modal-content').style.maxWidth = '420px';
+    }
+}
+
+module.exports = DailyNotesManager;
@@ -1,4 +1,4 @@
-// localStorage-based Database Manager for CogNotez
+// Database Manager for CogNotez (journaled file store, see persistence-store.js)
 const fs = require('fs');
 const path = require('path');
 
@@ -12,6 +12,25 @@ function getEncryptionManager() {
     return window.encryptionManager;
 }
 
+// Load a module from this directory; database.js is a plain <script> in the renderer,
+// where require() resolves relative to index.html instead of this file
+function requireSibling(name) {
+    if (typeof window === 'undefined') {
+        return require(`./${name}`);
+    }
+    return require(`./js/${name}`);
+}
+
+// Sections persisted record by record; all other sections are journaled as a whole
+const KEYED_SECTIONS = ['notes', 'ai_conversations', 'tags', 'note_tags', 'note_revisions', 'tombstones', 'saved_searches',
+    'property_definitions', 'reminders'];
+
+// How long tombstones of permanently deleted notes are kept for other devices to pick up
+const TOMBSTONE_RETENTION_DAYS = 180;
+
+// Copies of data taken before schema migrations that are kept, newest first
+const MAX_SCHEMA_BACKUPS = 10;
+
 let electronApp = null;
 try {
     const electron = require('electron');
@@ -20,14 +39,28 @@ try {
     electronApp = null;
 }
 class DatabaseManager {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {{id: string, directory: string}} [options.workspace] - Workspace whose data this is
+     *   (see workspace-registry.js); the renderer asks the main process for the open one
+     */
+    constructor(options = {}) {
+        this.workspace = options.workspace || null;
         this.initialized = false;
+        this.searchIndex = null; // Built on first search, see getSearchIndex()
+        this.taskIndex = null; // Built on first use, see getTaskIndex()
+        this.pendingBatch = null; // Change hints collected inside batch(), see persist()
         this.data = {
             notes: {},
             ai_conversations: {},
             settings: {},
             tags: {},
             note_tags: {},
+            note_revisions: {}, // { revisionId: { id, note_id, ... } } local only (never synced)
+            tombstones: {}, // { noteId: { id, deleted_at } } for permanently deleted notes (synced)
+            saved_searches: {}, // { id: { id, name, filters, created_at, updated_at, deleted_at? } } (synced)
+            property_definitions: {}, // { id: { id, name, type, options, created_at, updated_at, deleted_at? } } (synced)
+            reminders: {}, // { id: { id, note_id, due_at, repeat, fired_until, created_at, updated_at, deleted_at? } } (synced)
             encryption: {
                 enabled: false,
                 passphrase: null,
@@ -50,6 +83,7 @@ class DatabaseManager {
             },
             metadata: {
                 version: '1.0',
+                schemaVersion: requireSibling('schema-migrations').CURRENT_SCHEMA_VERSION,
                 lastBackup: null,
                 created: new Date().toISOString()
             }
@@ -58,10 +92,10 @@ class DatabaseManager {
 
     async initialize() {
         try {
-            console.log('[DEBUG] Initializing localStorage-based database...');
+            console.log('[DEBUG] Initializing database...');
 
-            // Load existing data from localStorage (only if available)
-            this.loadFromLocalStorage();
+            // Load the journaled store (migrating the legacy blob on first run)
+            await this.openStore();
 
             // Ensure data structure exists
             this.ensureDataStructure();
@@ -69,8 +103,11 @@ class DatabaseManager {
             // CRITICAL SECURITY: Clean up any existing plaintext leaks in password-protected notes
             this.sanitizePasswordProtectedNotes();
 
+            // Drop notes that have been in the trash longer than the retention period
+            this.purgeExpiredTrash();
+
             this.initialized = true;
-            console.log('[DEBUG] localStorage database initialized successfully');
+            console.log('[DEBUG] Database initialized successfully');
             console.log('[DEBUG] Database loaded with', Object.keys(this.data.notes).length, 'notes');
 
             return true;
@@ -80,103 +117,339 @@ class DatabaseManager {
         }
     }
 
-    loadFromLocalStorage() {
+    // Persistence
+    // Data lives in a PersistenceStore: a snapshot plus a journal of record-level changes.
+    // persistedRecords caches the serialized form of every record as last written, so a save
+    // only journals records whose serialization changed.
+
+    async openStore() {
+        const { PersistenceStore } = requireSibling('persistence-store');
+        this.store = new PersistenceStore(await this.getStoreDirectory());
+        this.recoveryInfo = null;
+        this.schemaError = null;
+
+        const result = this.store.load();
+        if (result.recovered) {
+            this.recoveryInfo = { source: result.source, directory: this.store.directory };
+        }
+
+        if (result.data) {
+            const data = this.migrateStoredData(result.data);
+            const listedRevisions = Object.values(data.note_revisions || {}).some(Array.isArray);
+            this.data = { ...this.data, ...data };
+            this.ensureDataStructure();
+            if (result.replayed > 0 || result.skipped > 0 || result.recovered || data !== result.data || listedRevisions) {
+                // Fold the journal into a fresh snapshot (this also drops a torn final line)
+                this.compactStore();
+            } else {
+                this.rebuildPersistedRecords();
+            }
+            console.log(`[DEBUG] Loaded data from ${result.source} (${result.replayed} journal entries replayed)`);
+            return;
+        }
+
+        // No snapshot yet: one-time migration from the single-blob format
+        const legacy = this.loadLegacyData();
+        if (legacy) {
+            this.data = { ...this.data, ...this.migrateStoredData(legacy.data) };
+        }
+        this.ensureDataStructure();
+        this.compactStore();
+        if (legacy) {
+            this.archiveLegacyData(legacy.raw);
+            console.log('[DEBUG] Migrated legacy data into', this.store.directory);
+        }
+    }
+
+    // Migrate the data read from the store. Data this version cannot read stays on disk as it
+    // is: the store is closed, so nothing is written over it.
+    migrateStoredData(data) {
+        try {
+            return this.migrateSchema(data, 'store');
+        } catch (error) {
+            if (error.name === 'SchemaError') this.schemaError = error;
+            this.store.close();
+            this.store = null;
+            throw error;
+        }
+    }
+
+    /**
+     * Bring data up to the current schema version (see schema-migrations.js), saving a copy of
+     * it before each migration
+     * @param {Object} data - From the store, an import, a backup or sync
+     * @param {string} source - 'store', 'import', 'restore' or 'sync'; names the backups
+     * @returns {Object} The migrated data (`data` itself when it was already current)
+     * @throws {SchemaError} For data from a newer version of the app, or a failed migration
+     */
+    migrateSchema(data, source) {
+        const { migrateData } = requireSibling('schema-migrations');
+        const result = migrateData(data, {
+            backup: (snapshot, version) => this.backupBeforeMigration(snapshot, version, source)
+        });
+        if (result.applied.length > 0) {
+            console.log(`[DEBUG] Migrated ${source} data from schema version ${result.fromVersion} to ${result.toVersion}`);
+        }
+        return result.data;
+    }
+
+    // Written to "schema-backups" in the store directory; only the newest MAX_SCHEMA_BACKUPS are kept
+    backupBeforeMigration(data, version, source) {
+        if (!this.store) throw new Error('No store to back up into');
+
+        const directory = path.join(this.store.directory, 'schema-backups');
+        fs.mkdirSync(directory, { recursive: true });
+        fs.writeFileSync(path.join(directory, `${source}-v${version}-${Date.now()}.json`), JSON.stringify(data), 'utf8');
+
+        const backups = fs.readdirSync(directory)
+            .filter(name => name.endsWith('.json'))
+            .map(name => ({ name, time: fs.statSync(path.join(directory, name)).mtimeMs }))
+            .sort((a, b) => b.time - a.time);
+        for (const backup of backups.slice(MAX_SCHEMA_BACKUPS)) {
+            fs.unlinkSync(path.join(directory, backup.name));
+        }
+    }
+
+    async getStoreDirectory() {
+        if (typeof window !== 'undefined') {
+            // Renderer process - ask the main process for the open workspace's directory
+            try {
+                const { ipcRenderer } = require('electron');
+                this.workspace = await ipcRenderer.invoke('get-workspace');
+                return path.join(this.workspace.directory, 'cognotez_store');
+            } catch (error) {
+                console.warn('[DEBUG] Could not resolve workspace directory:', error.message);
+                return path.join(process.env.HOME || process.cwd(), 'cognotez_store');
+            }
+        }
+        // Main process keeps its sync working copy separate from the renderer's store
+        const directory = this.workspace ? this.workspace.directory : path.dirname(this.getPersistenceFilePath());
+        return path.join(directory, 'cognotez_sync_store');
+    }
+
+    // Read the pre-journal data (localStorage in the renderer, a JSON file in the main process)
+    loadLegacyData() {
+        // It predates workspaces, so it belongs to the default one
+        const { DEFAULT_WORKSPACE_ID } = requireSibling('workspace-registry');
+        if (this.workspace && this.workspace.id !== DEFAULT_WORKSPACE_ID) return null;
+
         try {
-            // Check if localStorage is available (only in renderer process)
+            let raw = null;
             if (typeof localStorage !== 'undefined') {
-                const storedData = localStorage.getItem('cognotez_data');
-                if (storedData) {
-                    const parsedData = JSON.parse(storedData);
-                    this.data = { ...this.data, ...parsedData };
-                    console.log('[DEBUG] Loaded data from localStorage');
-                }
+                raw = localStorage.getItem('cognotez_data');
             } else {
-                // In main process: attempt to load from persisted file
                 const filePath = this.getPersistenceFilePath();
-                try {
-                    if (fs.existsSync(filePath)) {
-                        const content = fs.readFileSync(filePath, 'utf8');
-                        if (content) {
-                            const parsed = JSON.parse(content);
-                            this.data = { ...this.data, ...parsed };
-                            console.log('[DEBUG] Loaded data from file:', filePath);
-                        }
-                    } else {
-                        console.log('[DEBUG] No persisted data file at', filePath);
-                    }
-                } catch (fileError) {
-                    console.warn('[DEBUG] Failed to load data file:', fileError.message);
+                if (fs.existsSync(filePath)) {
+                    raw = fs.readFileSync(filePath, 'utf8');
                 }
             }
+            if (!raw) return null;
+            return { raw, data: JSON.parse(raw) };
         } catch (error) {
-            console.warn('[DEBUG] Failed to load data from localStorage:', error);
-            // Reset to default structure if corrupted
-            this.ensureDataStructure();
+            // Leave the legacy data where it is so nothing is lost
+            console.warn('[DEBUG] Failed to read legacy data, starting with an empty store:', error.message);
+            return null;
         }
     }
 
-    saveToLocalStorage() {
+    // Keep a copy of the migrated blob but make sure it is never loaded again
+    archiveLegacyData(raw) {
         try {
-            // CRITICAL SECURITY: Sanitize password-protected notes before saving
-            // This prevents plaintext content from being persisted to disk
-            const dataToSave = { ...this.data };
-            dataToSave.notes = {};
-
-            for (const [noteId, note] of Object.entries(this.data.notes)) {
-                if (note.password_protected) {
-                    // For password-protected notes, ensure content and preview are NEVER saved as plaintext
-                    dataToSave.notes[noteId] = {
-                        ...note,
-                        content: '',
-                        preview: ''
-                    };
-                } else {
-                    dataToSave.notes[noteId] = note;
-                }
-            }
-
-            // Check if localStorage is available (only in renderer process)
             if (typeof localStorage !== 'undefined') {
-                localStorage.setItem('cognotez_data', JSON.stringify(dataToSave));
-                console.log('[DEBUG] Data saved to localStorage');
+                fs.writeFileSync(path.join(this.store.directory, 'legacy-cognotez_data.json'), raw, 'utf8');
+                localStorage.removeItem('cognotez_data');
             } else {
-                // In main process: persist to file under userData
                 const filePath = this.getPersistenceFilePath();
-                try {
-                    const dir = path.dirname(filePath);
-                    if (!fs.existsSync(dir)) {
-                        fs.mkdirSync(dir, { recursive: true });
-                    }
-                    fs.writeFileSync(filePath, JSON.stringify(dataToSave, null, 2), 'utf8');
-                    console.log('[DEBUG] Data saved to file:', filePath);
-                } catch (fileError) {
-                    console.error('[DEBUG] Failed to save data file:', fileError);
+                fs.renameSync(filePath, `${filePath}.migrated`);
+            }
+        } catch (error) {
+            console.warn('[DEBUG] Failed to archive legacy data:', error.message);
+        }
+    }
+
+    /**
+     * Persist changes to the journal.
+     * @param {Object|null} changes - Changed sections, e.g. { notes: [id], settings: true }.
+     *   Keyed sections take the changed record IDs or true to compare every record; without
+     *   hints all sections are compared against what was last persisted.
+     */
+    persist(changes = null) {
+        if (this.pendingBatch) {
+            this.addBatchChanges(changes);
+            return;
+        }
+        if (!this.store) return;
+
+        try {
+            const sections = changes
+                ? Object.keys(changes)
+                : [...new Set([...Object.keys(this.data), ...this.persistedRecords.keys()])];
+
+            const entries = [];
+            for (const section of sections) {
+                const ids = changes && Array.isArray(changes[section]) ? changes[section] : null;
+                this.collectChanges(section, ids, entries);
+            }
+            if (entries.length === 0) return;
+
+            if (this.store.journalEntries + entries.length >= this.store.maxJournalEntries) {
+                // Large change sets (imports, sync replacements) are cheaper as a snapshot
+                this.compactStore();
+                return;
+            }
+
+            this.store.append(entries);
+            for (const entry of entries) {
+                if (KEYED_SECTIONS.includes(entry.collection)) {
+                    const cached = this.persistedRecords.get(entry.collection);
+                    if (entry.op === 'put') cached.set(entry.id, entry.json);
+                    else cached.delete(entry.id);
+                } else if (entry.op === 'set') {
+                    this.persistedRecords.set(entry.collection, entry.json);
+                } else {
+                    this.persistedRecords.delete(entry.collection);
                 }
             }
+
+            if (this.store.needsCompaction()) {
+                this.compactStore();
+            }
         } catch (error) {
-            console.error('[DEBUG] Failed to save data to localStorage:', error);
+            console.error('[DEBUG] Failed to persist data:', error);
             throw error;
         }
     }
 
+    /**
+     * Apply several changes as one write: persist() calls made inside `callback` are collected
+     * and written together when it returns, so bulk edits reach the journal (and the sync
+     * checksum) once instead of once per note. Nested batches join the outer one.
+     * @param {Function} callback - Synchronous; its return value is passed through
+     */
+    batch(callback) {
+        if (this.pendingBatch) return callback();
+
+        this.pendingBatch = { sections: {}, full: false };
+        let batch;
+        try {
+            return callback();
+        } finally {
+            batch = this.pendingBatch;
+            this.pendingBatch = null;
+            if (batch.full) {
+                this.persist();
+            } else if (Object.keys(batch.sections).length > 0) {
+                this.persist(batch.sections);
+            }
+        }
+    }
+
+    addBatchChanges(changes) {
+        if (!changes) {
+            this.pendingBatch.full = true;
+            return;
+        }
+        const sections = this.pendingBatch.sections;
+        for (const [section, ids] of Object.entries(changes)) {
+            if (sections[section] === true || !Array.isArray(ids)) {
+                sections[section] = true;
+            } else {
+                sections[section] = [...new Set([...(sections[section] || []), ...ids])];
+            }
+        }
+    }
+
+    // Append journal entries for the records of a section that differ from the persisted copy
+    collectChanges(section, ids, entries) {
+        const value = this.data[section];
+
+        if (!KEYED_SECTIONS.includes(section)) {
+            const json = value === undefined ? undefined : JSON.stringify(value);
+            const cached = this.persistedRecords.get(section);
+            if (json === undefined) {
+                if (cached !== undefined) entries.push({ op: 'delete', collection: section });
+            } else if (json !== cached) {
+                entries.push({ op: 'set', collection: section, json });
+            }
+            return;
+        }
+
+        if (!this.persistedRecords.has(section)) {
+            this.persistedRecords.set(section, new Map());
+        }
+        const cached = this.persistedRecords.get(section);
+        const records = value || {};
+        const candidates = ids || new Set([...Object.keys(records), ...cached.keys()]);
+
+        for (const id of candidates) {
+            if (Object.prototype.hasOwnProperty.call(records, id)) {
+                const json = this.serializeRecord(section, records[id]);
+                if (json !== cached.get(id)) {
+                    entries.push({ op: 'put', collection: section, id, json });
+                }
+            } else if (cached.has(id)) {
+                entries.push({ op: 'delete', collection: section, id });
+            }
+        }
+    }
+
+    // CRITICAL SECURITY: password-protected notes are never persisted with plaintext content or preview
+    serializeRecord(section, record) {
+        if (section === 'notes' && record && record.password_protected) {
+            return JSON.stringify({ ...record, content: '', preview: '' });
+        }
+        return JSON.stringify(record);
+    }
+
+    // Write the full state as a new snapshot and reset the journal
+    compactStore() {
+        const dataToSave = { ...this.data, notes: {} };
+        for (const [noteId, note] of Object.entries(this.data.notes)) {
+            dataToSave.notes[noteId] = note.password_protected
+                ? { ...note, content: '', preview: '' }
+                : note;
+        }
+
+        this.store.writeSnapshot(dataToSave);
+        this.rebuildPersistedRecords();
+        console.log('[DEBUG] Data snapshot written to', this.store.directory);
+    }
+
+    rebuildPersistedRecords() {
+        this.persistedRecords = new Map();
+        for (const [section, value] of Object.entries(this.data)) {
+            if (value === undefined) continue;
+            if (KEYED_SECTIONS.includes(section)) {
+                const cached = new Map();
+                for (const [id, record] of Object.entries(value || {})) {
+                    cached.set(id, this.serializeRecord(section, record));
+                }
+                this.persistedRecords.set(section, cached);
+            } else {
+                this.persistedRecords.set(section, JSON.stringify(value));
+            }
+        }
+    }
+
     // CRITICAL SECURITY: Sanitize any password-protected notes that have plaintext content
     sanitizePasswordProtectedNotes() {
-        let sanitizedCount = 0;
+        const sanitizedIds = [];
         for (const [noteId, note] of Object.entries(this.data.notes)) {
             if (note.password_protected && (note.content || note.preview)) {
                 // Found a password-protected note with plaintext - clean it immediately
                 note.content = '';
                 note.preview = '';
-                sanitizedCount++;
+                sanitizedIds.push(noteId);
             }
         }
-        if (sanitizedCount > 0) {
-            console.log(`[Database] SECURITY: Sanitized ${sanitizedCount} password-protected notes with leaked plaintext`);
+        if (sanitizedIds.length > 0) {
+            console.log(`[Database] SECURITY: Sanitized ${sanitizedIds.length} password-protected notes with leaked plaintext`);
             // Save immediately to persist the fix
-            this.saveToLocalStorage();
+            this.persist({ notes: sanitizedIds });
         }
     }
 
+    // Location of the legacy single-file data (main process only)
     getPersistenceFilePath() {
         try {
             const baseDir = electronApp && typeof electronApp.getPath === 'function'
@@ -195,6 +468,21 @@ class DatabaseManager {
         if (!this.data.settings) this.data.settings = {};
         if (!this.data.tags) this.data.tags = {};
         if (!this.data.note_tags) this.data.note_tags = {};
+        if (!this.data.note_revisions) this.data.note_revisions = {};
+        // Revisions used to be kept as one list per note, which was journaled whole on every save
+        for (const [noteId, revisions] of Object.entries(this.data.note_revisions)) {
+            if (!Array.isArray(revisions)) continue;
+            delete this.data.note_revisions[noteId];
+            for (const revision of revisions) {
+                if (!this.data.note_revisions[revision.id]) {
+                    this.data.note_revisions[revision.id] = { ...revision, note_id: revision.note_id || noteId };
+                }
+            }
+        }
+        if (!this.data.tombstones) this.data.tombstones = {};
+        if (!this.data.saved_searches) this.data.saved_searches = {};
+        if (!this.data.property_definitions) this.data.property_definitions = {};
+        if (!this.data.reminders) this.data.reminders = {};
         if (!this.data.encryption) {
             this.data.encryption = {
                 enabled: false,
@@ -220,6 +508,7 @@ class DatabaseManager {
         if (!this.data.metadata) {
             this.data.metadata = {
                 version: '1.0',
+                schemaVersion: requireSibling('schema-migrations').CURRENT_SCHEMA_VERSION,
                 lastBackup: null,
                 created: new Date().toISOString()
             };
@@ -241,6 +530,7 @@ class DatabaseManager {
             content: noteData.content || '',
             preview: noteData.preview || '',
             tags: noteData.tags || [],
+            properties: this.normalizeNoteProperties(noteData.properties),
             category: noteData.category || null,
             is_archived: noteData.is_archived || false,
             pinned: noteData.pinned || false,
@@ -265,14 +555,15 @@ class DatabaseManager {
         };
 
         this.data.notes[id] = note;
-        this.saveToLocalStorage();
+        this.indexNote(id);
+        this.persist({ notes: [id] });
 
         return id;
     }
 
     getNote(id) {
         const note = this.data.notes[id];
-        if (note && !note.is_archived) {
+        if (note && !note.is_archived && !note.deleted_at) {
             // Create a deep copy to prevent accidental mutation of database objects
             const noteCopy = JSON.parse(JSON.stringify(note));
 
@@ -287,7 +578,7 @@ class DatabaseManager {
     }
 
     getAllNotes(options = {}) {
-        let notes = Object.values(this.data.notes).filter(note => !note.is_archived);
+        let notes = Object.values(this.data.notes).filter(note => !note.is_archived && !note.deleted_at);
         console.log('[DEBUG] getAllNotes called, found', notes.length, 'non-archived notes');
 
         // Apply filters
@@ -295,59 +586,64 @@ class DatabaseManager {
             notes = notes.filter(note => note.category === options.category);
         }
 
-        if (options.search) {
-            const searchTerm = options.search.toLowerCase();
-            notes = notes.filter(note => {
-                // Search in title, and only in content/preview if not password protected
-                const safeContent = note.password_protected ? '' : (note.content || '');
-                const safePreview = note.password_protected ? '' : (note.preview || '');
-                const textMatch = note.title.toLowerCase().includes(searchTerm) ||
-                    safeContent.toLowerCase().includes(searchTerm) ||
-                    safePreview.toLowerCase().includes(searchTerm);
-
-                // Search in tags
-                let tagMatch = false;
-                if (note.tags && note.tags.length > 0) {
-                    for (const tagId of note.tags) {
-                        const tag = this.data.tags[tagId];
-                        if (tag && tag.name.toLowerCase().includes(searchTerm)) {
-                            tagMatch = true;
-                            break;
-                        }
-                    }
-                }
-
-                return textMatch || tagMatch;
-            });
+        let searchMatches = null;
+        if (options.search && options.search.trim()) {
+            searchMatches = this.searchNotes(options.search);
+            notes = notes.filter(note => searchMatches.has(note.id));
         }
 
-        // Sorting - pinned notes always come first
-        const sortBy = options.sortBy || 'updated_at';
+        // Sorting - search results default to relevance, other sorts keep pinned notes first
+        let sortBy = options.sortBy || (searchMatches ? 'relevance' : 'updated_at');
         const sortOrder = options.sortOrder || 'DESC';
 
-        notes.sort((a, b) => {
-            // Pinned notes always come first
-            const aPinned = a.pinned || false;
-            const bPinned = b.pinned || false;
-
-            if (aPinned && !bPinned) return -1;
-            if (!aPinned && bPinned) return 1;
+        if (sortBy === 'relevance' && searchMatches) {
+            // Filter-only queries score 0, so fall back to the most recently modified first
+            notes.sort((a, b) => (searchMatches.get(b.id).score - searchMatches.get(a.id).score) ||
+                (new Date(b.updated_at).getTime() - new Date(a.updated_at).getTime()));
+        } else {
+            if (sortBy === 'relevance') sortBy = 'updated_at';
+
+            // 'property:<id>' sorts by a property value; a deleted property falls back to the default
+            let sortProperty = null;
+            if (typeof sortBy === 'string' && sortBy.startsWith('property:')) {
+                sortProperty = this.getPropertyDefinition(sortBy.slice('property:'.length));
+                if (!sortProperty) sortBy = 'updated_at';
+            }
+            const { comparePropertyValues } = requireSibling('property-types');
+
+            notes.sort((a, b) => {
+                // Pinned notes always come first
+                const aPinned = a.pinned || false;
+                const bPinned = b.pinned || false;
+
+                if (aPinned && !bPinned) return -1;
+                if (!aPinned && bPinned) return 1;
+
+                if (sortProperty) {
+                    const aValue = (a.properties || {})[sortProperty.id] ?? null;
+                    const bValue = (b.properties || {})[sortProperty.id] ?? null;
+                    const order = comparePropertyValues(sortProperty.type, aValue, bValue);
+                    // Notes without a value stay last in either direction
+                    if (aValue === null || bValue === null) return order;
+                    return sortOrder === 'DESC' ? -order : order;
+                }
 
-            // Within pinned or unpinned groups, sort by the specified criteria
-            let aVal = a[sortBy];
-            let bVal = b[sortBy];
+                // Within pinned or unpinned groups, sort by the specified criteria
+                let aVal = a[sortBy];
+                let bVal = b[sortBy];
 
-            if (sortBy === 'created_at' || sortBy === 'updated_at') {
-                aVal = new Date(aVal).getTime();
-                bVal = new Date(bVal).getTime();
-            }
+                if (sortBy === 'created_at' || sortBy === 'updated_at') {
+                    aVal = new Date(aVal).getTime();
+                    bVal = new Date(bVal).getTime();
+                }
 
-            if (sortOrder === 'DESC') {
-                return bVal > aVal ? 1 : bVal < aVal ? -1 : 0;
-            } else {
-                return aVal > bVal ? 1 : aVal < bVal ? -1 : 0;
-            }
-        });
+                if (sortOrder === 'DESC') {
+                    return bVal > aVal ? 1 : bVal < aVal ? -1 : 0;
+                } else {
+                    return aVal > bVal ? 1 : aVal < bVal ? -1 : 0;
+                }
+            });
+        }
 
         // Pagination
         if (options.offset) {
@@ -358,12 +654,141 @@ class DatabaseManager {
             notes = notes.slice(0, options.limit);
         }
 
-        // Ensure proper date objects
-        return notes.map(note => ({
-            ...note,
-            created: typeof note.created === 'string' ? new Date(note.created_at || note.created) : note.created,
-            modified: typeof note.modified === 'string' ? new Date(note.updated_at || note.modified) : note.modified
-        }));
+        // Ensure proper date objects; search results also carry highlight data
+        return notes.map(note => {
+            const result = {
+                ...note,
+                created: typeof note.created === 'string' ? new Date(note.created_at || note.created) : note.created,
+                modified: typeof note.modified === 'string' ? new Date(note.updated_at || note.modified) : note.modified
+            };
+            if (searchMatches) {
+                result.search = this.getSearchMatch(note, searchMatches.get(note.id));
+            }
+            return result;
+        });
+    }
+
+    // Search operations
+    // The index is built on first use and kept current by createNote, updateNote and deleteNote.
+    // Bulk replacements of this.data drop it so the next search rebuilds it.
+
+    getSearchIndex() {
+        if (!this.searchIndex) {
+            const { SearchIndex } = requireSibling('search-index');
+            this.searchIndex = new SearchIndex();
+            for (const note of Object.values(this.data.notes)) {
+                this.searchIndex.addDocument(note.id, this.getSearchFields(note));
+            }
+        }
+        return this.searchIndex;
+    }
+
+    // Only the title and tags of a password-protected note are searchable
+    getSearchFields(note) {
+        return {
+            title: note.title || '',
+            content: note.password_protected ? '' : (note.content || ''),
+            tags: note.tags || []
+        };
+    }
+
+    indexNote(id) {
+        const note = this.data.notes[id];
+        if (this.taskIndex) {
+            this.indexNoteTasks(id, note);
+        }
+        if (!this.searchIndex) return;
+        if (note) {
+            this.searchIndex.addDocument(id, this.getSearchFields(note));
+        } else {
+            this.searchIndex.removeDocument(id);
+        }
+    }
+
+    // Drops the task index too; both are derived from the same notes
+    invalidateSearchIndex() {
+        this.searchIndex = null;
+        this.taskIndex = null;
+    }
+
+    /**
+     * Evaluate a search query (see search-query.js) against all notes, including archived and
+     * trashed ones. Bare words go through the search index and decide the ranking.
+     * @param {string} query - Search text
+     * @returns {Map<string, {id: string, score: number, terms: Set<string>}>} Matches, best first
+     * @throws {SearchQueryError} If the query is malformed
+     */
+    searchNotes(query) {
+        const { parseSearchQuery, evaluateSearchQuery, collectTerms } = requireSibling('search-query');
+        const { tokenize } = requireSibling('search-index');
+
+        const root = parseSearchQuery(query);
+        if (!root) return new Map();
+
+        const normalize = (text) => text.toLowerCase().normalize('NFKD').replace(/\p{M}/gu, '');
+        const matchTags = (word) => Object.values(this.data.tags)
+            .filter(tag => tag.name && normalize(tag.name).includes(word))
+            .map(tag => tag.id);
+
+        // Look up each bare word once; only the word at the very end may be unfinished.
+        // Words without any indexable characters (e.g. a stray "&") are ignored.
+        const index = this.getSearchIndex();
+        const wordMatches = new Map();
+        for (const term of collectTerms(root)) {
+            if (term.field !== null || term.kind !== 'word') continue;
+            const hits = tokenize(term.value).length > 0
+                ? index.search(term.value, { matchTags, allowPrefix: term.end === query.length })
+                : null;
+            wordMatches.set(term, hits ? new Map(hits.map(hit => [hit.id, hit])) : null);
+        }
+
+        const context = {
+            matchWord: (term, note) => wordMatches.get(term) === null || wordMatches.get(term).has(note.id),
+            tagNames: (note) => (note.tags || [])
+                .map(tagId => this.data.tags[tagId])
+                .filter(Boolean)
+                .map(tag => tag.name)
+        };
+
+        const positiveTerms = collectTerms(root, true);
+        const results = [];
+        for (const note of Object.values(this.data.notes)) {
+            if (!evaluateSearchQuery(root, note, context)) continue;
+
+            let score = 0;
+            const terms = new Set();
+            for (const term of positiveTerms) {
+                if (term.field === null && term.kind === 'word') {
+                    const hit = wordMatches.get(term) && wordMatches.get(term).get(note.id);
+                    if (hit) {
+                        score += hit.score;
+                        hit.terms.forEach(matched => terms.add(matched));
+                    }
+                } else if (term.kind !== 'regex' && (term.field === null || term.field === 'title' || term.field === 'content')) {
+                    // Highlight the words of phrases and field values as well
+                    tokenize(String(term.value)).forEach(token => terms.add(token.term));
+                }
+            }
+            results.push({ id: note.id, score, terms });
+        }
+
+        results.sort((a, b) => b.score - a.score);
+        return new Map(results.map(result => [result.id, result]));
+    }
+
+    /**
+     * Highlight data for showing a note as a search result
+     * @param {Object} note - Note
+     * @param {Object} match - The note's entry from searchNotes
+     * @returns {{score: number, titleHighlights: Array, snippet: Object|null}} Ranges are [start, end)
+     */
+    getSearchMatch(note, match) {
+        const { SearchIndex } = requireSibling('search-index');
+        return {
+            score: match.score,
+            titleHighlights: SearchIndex.findHighlights(note.title || '', match.terms),
+            snippet: note.password_protected ? null : SearchIndex.createSnippet(note.content || '', match.terms)
+        };
     }
 
     updateNote(id, noteData) {
@@ -372,6 +797,23 @@ class DatabaseManager {
 
         const now = new Date().toISOString();
 
+        // Keep the previous state as a revision before overwriting title/content.
+        // Revisions are stored in the note's protection mode, so toggling password
+        // protection resets the history (no plaintext revisions for a protected note).
+        const protectionChanged = noteData.password_protected !== undefined &&
+            !!noteData.password_protected !== !!note.password_protected;
+        let changedRevisions = [];
+        if (protectionChanged) {
+            changedRevisions = this.deleteNoteRevisions(id);
+        } else if (noteData.skip_revision !== true && this.hasRevisionableChange(note, noteData)) {
+            changedRevisions = this.recordNoteRevision(note);
+        }
+
+        // Links written against the old title are rewritten below, once this update is stored
+        const renamedFrom = noteData.title !== undefined && noteData.title !== note.title
+            ? { title: note.title, updated_at: note.updated_at }
+            : null;
+
         if (noteData.title !== undefined) {
             note.title = noteData.title;
         }
@@ -391,6 +833,10 @@ class DatabaseManager {
             note.tags = noteData.tags;
         }
 
+        if (noteData.properties !== undefined) {
+            note.properties = this.normalizeNoteProperties(noteData.properties);
+        }
+
         if (noteData.category !== undefined) {
             note.category = noteData.category;
         }
@@ -444,36 +890,751 @@ class DatabaseManager {
             }
         }
 
-        // Update timestamps
-        note.updated_at = now;
-        note.modified = new Date(now);
+        // Update timestamps
+        note.updated_at = now;
+        note.modified = new Date(now);
+
+        this.indexNote(id);
+        this.persist(changedRevisions.length > 0 ? { notes: [id], note_revisions: changedRevisions } : { notes: [id] });
+
+        if (renamedFrom) {
+            this.rewriteLinksToNote(id, renamedFrom);
+        }
+        return true;
+    }
+
+    // Note links
+
+    /**
+     * Resolve [[links]] against the notes outside the trash
+     * @param {Object} [overrides] - { noteId: fields } to resolve against, e.g. a title before a rename
+     * @returns {function(string): Object|null}
+     */
+    getLinkResolver(overrides = {}) {
+        const { createLinkResolver } = requireSibling('note-links');
+        const notes = Object.values(this.data.notes)
+            .filter(note => !note.deleted_at)
+            .map(note => overrides[note.id] ? { ...note, ...overrides[note.id] } : note);
+        return createLinkResolver(notes);
+    }
+
+    // Task operations
+    // Tasks are "- [ ]" list items (see note-tasks.js). Like the search index, the task index is
+    // built on first use and kept current by indexNote() whenever a note is saved.
+
+    getTaskIndex() {
+        if (!this.taskIndex) {
+            this.taskIndex = new Map();
+            for (const note of Object.values(this.data.notes)) {
+                this.indexNoteTasks(note.id, note);
+            }
+        }
+        return this.taskIndex;
+    }
+
+    // Encrypted notes keep no content to parse, so they have no tasks
+    indexNoteTasks(id, note) {
+        const { parseTasks } = requireSibling('note-tasks');
+        const tasks = note && !note.password_protected ? parseTasks(note.content) : [];
+        if (tasks.length > 0) {
+            this.taskIndex.set(id, tasks);
+        } else {
+            this.taskIndex.delete(id);
+        }
+    }
+
+    /**
+     * Tasks across all notes outside the archive and trash
+     * @param {Object} [filters]
+     * @param {string} [filters.status] - 'open' (default), 'done' or 'all'
+     * @param {string|null} [filters.tagId] - Only notes with this tag or one of its sub-tags
+     * @param {string} [filters.due] - 'any' (default), 'overdue', 'today', 'week' (due within
+     *   7 days, overdue included) or 'none' (no due date)
+     * @returns {Array<{noteId, noteTitle, line, checked, body, text, due, priority}>} Soonest due
+     *   first, then by priority; tasks of the same rank keep their note's order
+     */
+    getTasks({ status = 'open', tagId = null, due = 'any' } = {}) {
+        const { compareTasks } = requireSibling('note-tasks');
+        const { normalizePropertyValue } = requireSibling('property-types');
+        const now = new Date();
+        const today = normalizePropertyValue('date', now);
+        const weekEnd = normalizePropertyValue('date', new Date(now.getFullYear(), now.getMonth(), now.getDate() + 6));
+        const tagIds = tagId ? this.getTagSubtreeIds(tagId) : null;
+
+        const matchesDue = (task) => {
+            switch (due) {
+                case 'overdue': return task.due !== null && task.due < today;
+                case 'today': return task.due === today;
+                case 'week': return task.due !== null && task.due <= weekEnd;
+                case 'none': return task.due === null;
+                default: return true;
+            }
+        };
+
+        const notes = Object.values(this.data.notes)
+            .filter(note => !note.deleted_at && !note.is_archived && this.getTaskIndex().has(note.id))
+            .filter(note => !tagIds || (note.tags || []).some(id => tagIds.has(id)))
+            .sort((a, b) => new Date(b.updated_at) - new Date(a.updated_at));
+
+        const tasks = [];
+        for (const note of notes) {
+            for (const task of this.getTaskIndex().get(note.id)) {
+                if (status === 'open' && task.checked) continue;
+                if (status === 'done' && !task.checked) continue;
+                if (!matchesDue(task)) continue;
+                tasks.push({ noteId: note.id, noteTitle: note.title, ...task });
+            }
+        }
+
+        // Array.prototype.sort is stable, so equal tasks stay grouped by note
+        return tasks.sort(compareTasks);
+    }
+
+    /**
+     * Notes that link to a note, with the lines containing the links.
+     * Password-protected notes are not searched since their content is encrypted.
+     * @returns {Array<{note: Object, contexts: string[]}>} Most recently updated first
+     */
+    getBacklinks(noteId) {
+        const { parseWikiLinks } = requireSibling('note-links');
+        const resolve = this.getLinkResolver();
+        const backlinks = [];
+
+        for (const note of Object.values(this.data.notes)) {
+            if (note.deleted_at || note.id === noteId || note.password_protected) continue;
+
+            const contexts = [];
+            for (const link of parseWikiLinks(note.content)) {
+                const target = resolve(link.target);
+                if (!target || target.id !== noteId) continue;
+
+                const lineStart = note.content.lastIndexOf('\n', link.start - 1) + 1;
+                let lineEnd = note.content.indexOf('\n', link.end);
+                if (lineEnd === -1) lineEnd = note.content.length;
+                const line = note.content.slice(lineStart, lineEnd).trim();
+                if (!contexts.includes(line)) contexts.push(line);
+            }
+            if (contexts.length > 0) {
+                backlinks.push({ note, contexts });
+            }
+        }
+
+        return backlinks.sort((a, b) => new Date(b.note.updated_at) - new Date(a.note.updated_at));
+    }
+
+    /**
+     * After a rename, point [[Old Title]] links that meant this note at the new title.
+     * Links by ID need no change; encrypted notes cannot be rewritten.
+     * @param {string} noteId
+     * @param {{title: string, updated_at: string}} previous - The note's state before the rename
+     * @returns {string[]} IDs of the notes that were updated
+     */
+    rewriteLinksToNote(noteId, previous) {
+        const { rewriteWikiLinks } = requireSibling('note-links');
+        const note = this.data.notes[noteId];
+        if (!note || !previous.title) return [];
+
+        // Resolve as things stood before the rename so links to another note
+        // with the same old title are left alone
+        const resolveBefore = this.getLinkResolver({ [noteId]: previous });
+        const updatedIds = [];
+
+        for (const other of Object.values(this.data.notes)) {
+            if (other.id === noteId || other.password_protected || !other.content) continue;
+
+            const content = rewriteWikiLinks(other.content, link => {
+                if (link.target === noteId) return false;
+                const target = resolveBefore(link.target);
+                return target !== null && target.id === noteId;
+            }, note);
+            if (content !== other.content) {
+                this.updateNote(other.id, { content });
+                updatedIds.push(other.id);
+            }
+        }
+
+        if (updatedIds.length > 0) {
+            console.log(`[Database] Updated links to renamed note in ${updatedIds.length} note(s)`);
+        }
+        return updatedIds;
+    }
+
+    /**
+     * Nodes and edges for the graph view. Each pair of connected notes gets one edge,
+     * recording whether either links to the other and which tags they share.
+     * A note is an orphan when no wiki link points to or from it, whatever its tags.
+     * @param {string[]} [noteIds] - Limit the graph to these notes (default: all active notes)
+     * @returns {{nodes: Array<{id: string, title: string, tags: string[], orphan: boolean}>,
+     *            edges: Array<{source: string, target: string, link: boolean, tags: string[]}>}}
+     */
+    getNoteGraph(noteIds = null) {
+        const { parseWikiLinks } = requireSibling('note-links');
+        const resolve = this.getLinkResolver();
+        const active = Object.values(this.data.notes).filter(note => !note.is_archived && !note.deleted_at);
+        const included = noteIds ? new Set(noteIds.map(String)) : null;
+        const notes = included ? active.filter(note => included.has(String(note.id))) : active;
+
+        const edges = new Map(); // "idA\nidB" (sorted) -> edge
+        const edgeFor = (a, b) => {
+            const [source, target] = String(a) < String(b) ? [a, b] : [b, a];
+            const key = `${source}\n${target}`;
+            if (!edges.has(key)) edges.set(key, { source, target, link: false, tags: [] });
+            return edges.get(key);
+        };
+
+        // Orphan status looks at links across all active notes, not just the ones drawn
+        const linked = new Set();
+        for (const note of active) {
+            if (note.password_protected) continue;
+            for (const link of parseWikiLinks(note.content)) {
+                const target = resolve(link.target);
+                if (!target || target.id === note.id || target.is_archived) continue;
+                linked.add(note.id);
+                linked.add(target.id);
+                if (!included || (included.has(String(note.id)) && included.has(String(target.id)))) {
+                    edgeFor(note.id, target.id).link = true;
+                }
+            }
+        }
+
+        const notesByTag = new Map();
+        for (const note of notes) {
+            for (const tagId of note.tags || []) {
+                if (!notesByTag.has(tagId)) notesByTag.set(tagId, []);
+                notesByTag.get(tagId).push(note.id);
+            }
+        }
+        for (const [tagId, ids] of notesByTag) {
+            for (let i = 0; i < ids.length; i++) {
+                for (let j = i + 1; j < ids.length; j++) {
+                    edgeFor(ids[i], ids[j]).tags.push(tagId);
+                }
+            }
+        }
+
+        return {
+            nodes: notes.map(note => ({
+                id: note.id,
+                title: note.title,
+                tags: note.tags || [],
+                orphan: !linked.has(note.id)
+            })),
+            edges: Array.from(edges.values())
+        };
+    }
+
+    // Permanently delete a note (use trashNote for a recoverable delete)
+    deleteNote(id) {
+        if (this.data.notes[id]) {
+            // Delete associated AI conversations, revisions and tag links first
+            this.deleteAIConversations(id);
+            const removedRevisions = this.deleteNoteRevisions(id);
+            const removedTagLinks = [];
+            for (const [key, noteTag] of Object.entries(this.data.note_tags)) {
+                if (noteTag.note_id === id) {
+                    delete this.data.note_tags[key];
+                    removedTagLinks.push(key);
+                }
+            }
+
+            const removedReminders = this.getReminders(id).map(reminder => reminder.id);
+            removedReminders.forEach(reminderId => this.markReminderDeleted(reminderId));
+
+            // Then delete the note itself, leaving a tombstone for sync
+            delete this.data.notes[id];
+            this.data.tombstones[id] = { id, deleted_at: new Date().toISOString() };
+            this.indexNote(id);
+            this.persist({
+                notes: [id],
+                note_revisions: removedRevisions,
+                note_tags: removedTagLinks,
+                tombstones: [id],
+                reminders: removedReminders
+            });
+            return true;
+        }
+        return false;
+    }
+
+    archiveNote(id, archive = true) {
+        const note = this.data.notes[id];
+        if (note) {
+            const now = new Date().toISOString();
+            note.is_archived = archive;
+            // A note restored by hand is left alone by the auto-archive tag rule until archived again
+            note.restored_at = archive ? null : now;
+            note.updated_at = now;
+            this.persist({ notes: [id] });
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Get archived notes (not in the trash), most recently changed first
+     * @returns {Array} Archived notes
+     */
+    getArchivedNotes() {
+        return Object.values(this.data.notes)
+            .filter(note => note.is_archived && !note.deleted_at)
+            .sort((a, b) => new Date(b.updated_at) - new Date(a.updated_at))
+            .map(note => ({
+                ...note,
+                created: typeof note.created === 'string' ? new Date(note.created_at || note.created) : note.created,
+                modified: typeof note.modified === 'string' ? new Date(note.updated_at || note.modified) : note.modified
+            }));
+    }
+
+    /**
+     * Look notes up by exact title, archived ones included but not the trash. When several
+     * notes share a title the most recently modified one wins.
+     * @param {Iterable<string>} titles
+     * @returns {Map<string, {id, title, is_archived, updated_at}>} Title -> note
+     */
+    findNotesByTitles(titles) {
+        const wanted = new Set(titles);
+        const found = new Map();
+        for (const note of Object.values(this.data.notes)) {
+            if (note.deleted_at || !wanted.has(note.title)) continue;
+            const current = found.get(note.title);
+            if (!current || new Date(note.updated_at) > new Date(current.updated_at)) {
+                found.set(note.title, {
+                    id: note.id,
+                    title: note.title,
+                    is_archived: !!note.is_archived,
+                    updated_at: note.updated_at
+                });
+            }
+        }
+        return found;
+    }
+
+    // Auto-archive rules: { idleDays, tagIds }; a rule is off when idleDays is null / tagIds is empty
+    getAutoArchiveRules() {
+        const rules = this.getSetting('autoArchiveRules', null) || {};
+        return {
+            idleDays: Number.isInteger(rules.idleDays) && rules.idleDays > 0 ? rules.idleDays : null,
+            tagIds: Array.isArray(rules.tagIds) ? rules.tagIds.filter(id => this.data.tags[id]) : []
+        };
+    }
+
+    setAutoArchiveRules({ idleDays = null, tagIds = [] } = {}) {
+        const days = parseInt(idleDays, 10);
+        const rules = {
+            idleDays: Number.isFinite(days) && days > 0 ? Math.min(days, 3650) : null,
+            tagIds: [...new Set(tagIds)].filter(id => this.data.tags[id])
+        };
+        this.setSetting('autoArchiveRules', rules);
+        return rules;
+    }
+
+    /**
+     * Archive the notes matched by the auto-archive rules: not updated for `idleDays`, or tagged
+     * with one of `tagIds` or their sub-tags. Pinned notes are never archived automatically.
+     * @param {Set<string>} excludeIds - Notes to leave alone, e.g. the one open in the editor
+     * @returns {string[]} IDs of the archived notes
+     */
+    applyAutoArchiveRules(excludeIds = new Set()) {
+        const { idleDays, tagIds } = this.getAutoArchiveRules();
+        if (!idleDays && tagIds.length === 0) return [];
+
+        const cutoffTime = idleDays ? Date.now() - idleDays * 24 * 60 * 60 * 1000 : null;
+        const ruleTagIds = new Set(tagIds.flatMap(id => [...this.getTagSubtreeIds(id)]));
+        const archivedIds = [];
+
+        this.batch(() => {
+            for (const note of Object.values(this.data.notes)) {
+                if (note.is_archived || note.deleted_at || note.pinned || excludeIds.has(note.id)) continue;
+
+                const idle = cutoffTime !== null && new Date(note.updated_at).getTime() < cutoffTime;
+                const tagged = !note.restored_at && (note.tags || []).some(id => ruleTagIds.has(id));
+                if (idle || tagged) {
+                    this.archiveNote(note.id);
+                    archivedIds.push(note.id);
+                }
+            }
+        });
+        return archivedIds;
+    }
+
+    // Trash operations
+    // Deleting a note moves it to the trash (soft delete). Permanently deleting it leaves a
+    // tombstone behind so sync can remove the note on other devices instead of resurrecting it.
+
+    trashNote(id) {
+        const note = this.data.notes[id];
+        if (!note || note.deleted_at) return false;
+
+        const now = new Date().toISOString();
+        note.deleted_at = now;
+        // Bump updated_at so the trashed state wins timestamp-based sync merges
+        note.updated_at = now;
+        note.modified = new Date(now);
+        this.persist({ notes: [id] });
+        return true;
+    }
+
+    restoreNote(id) {
+        const note = this.data.notes[id];
+        if (!note || !note.deleted_at) return false;
+
+        const now = new Date().toISOString();
+        note.deleted_at = null;
+        note.updated_at = now;
+        note.modified = new Date(now);
+        this.persist({ notes: [id] });
+        return true;
+    }
+
+    /**
+     * Get notes currently in the trash, most recently deleted first
+     * @returns {Array} Trashed notes
+     */
+    getTrashedNotes() {
+        return Object.values(this.data.notes)
+            .filter(note => note.deleted_at)
+            .sort((a, b) => new Date(b.deleted_at) - new Date(a.deleted_at))
+            .map(note => ({
+                ...note,
+                created: typeof note.created === 'string' ? new Date(note.created_at || note.created) : note.created,
+                modified: typeof note.modified === 'string' ? new Date(note.updated_at || note.modified) : note.modified
+            }));
+    }
+
+    emptyTrash() {
+        const trashedIds = Object.keys(this.data.notes).filter(id => this.data.notes[id].deleted_at);
+        this.batch(() => trashedIds.forEach(id => this.deleteNote(id)));
+        return trashedIds.length;
+    }
+
+    getTrashRetentionDays() {
+        return this.getSetting('trashRetentionDays', 30);
+    }
+
+    setTrashRetentionDays(days) {
+        const num = parseInt(days, 10);
+        const retentionDays = Number.isFinite(num) ? Math.min(Math.max(num, 0), 365) : this.getTrashRetentionDays();
+        this.setSetting('trashRetentionDays', retentionDays);
+        this.purgeExpiredTrash();
+        return retentionDays;
+    }
+
+    /**
+     * Permanently delete trashed notes older than the retention period (0 keeps them forever)
+     * and forget tombstones that every device has had ample time to see
+     * @returns {number} Number of purged notes
+     */
+    purgeExpiredTrash() {
+        const retentionDays = this.getTrashRetentionDays();
+        let purgedCount = 0;
+
+        if (retentionDays > 0) {
+            const cutoffTime = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+            for (const [id, note] of Object.entries(this.data.notes)) {
+                if (note.deleted_at && new Date(note.deleted_at).getTime() < cutoffTime) {
+                    this.deleteNote(id);
+                    purgedCount++;
+                }
+            }
+        }
+
+        const tombstoneCutoff = Date.now() - TOMBSTONE_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+        const prunedTombstones = [];
+        for (const [id, tombstone] of Object.entries(this.data.tombstones)) {
+            if (new Date(tombstone.deleted_at).getTime() < tombstoneCutoff) {
+                delete this.data.tombstones[id];
+                prunedTombstones.push(id);
+            }
+        }
+        if (prunedTombstones.length > 0) {
+            this.persist({ tombstones: prunedTombstones });
+        }
+
+        const prunedSearches = [];
+        for (const [id, savedSearch] of Object.entries(this.data.saved_searches)) {
+            if (savedSearch.deleted_at && new Date(savedSearch.deleted_at).getTime() < tombstoneCutoff) {
+                delete this.data.saved_searches[id];
+                prunedSearches.push(id);
+            }
+        }
+        if (prunedSearches.length > 0) {
+            this.persist({ saved_searches: prunedSearches });
+        }
+
+        const prunedProperties = [];
+        for (const [id, definition] of Object.entries(this.data.property_definitions)) {
+            if (definition.deleted_at && new Date(definition.deleted_at).getTime() < tombstoneCutoff) {
+                delete this.data.property_definitions[id];
+                prunedProperties.push(id);
+            }
+        }
+        if (prunedProperties.length > 0) {
+            this.persist({ property_definitions: prunedProperties });
+        }
+
+        const prunedReminders = [];
+        for (const [id, reminder] of Object.entries(this.data.reminders)) {
+            if (reminder.deleted_at && new Date(reminder.deleted_at).getTime() < tombstoneCutoff) {
+                delete this.data.reminders[id];
+                prunedReminders.push(id);
+            }
+        }
+        if (prunedReminders.length > 0) {
+            this.persist({ reminders: prunedReminders });
+        }
+
+        if (purgedCount > 0) {
+            console.log(`[Database] Purged ${purgedCount} notes from trash (older than ${retentionDays} days)`);
+        }
+        return purgedCount;
+    }
+
+    /**
+     * Apply tombstones (permanent deletions from any device) to local notes.
+     * A note untouched since the deletion is removed if it was already in the trash and
+     * moved to the trash otherwise, so it stays recoverable until the local retention
+     * period runs out. A note edited after the deletion is kept.
+     * @param {Object} tombstones - { noteId: { id, deleted_at } }
+     * @returns {number} Number of notes removed or trashed
+     */
+    applyTombstones(tombstones = {}) {
+        let appliedCount = 0;
+
+        for (const [noteId, tombstone] of Object.entries(tombstones)) {
+            const known = this.data.tombstones[noteId];
+            if (!known || new Date(tombstone.deleted_at) > new Date(known.deleted_at)) {
+                this.data.tombstones[noteId] = { ...tombstone };
+            }
+
+            const note = this.data.notes[noteId];
+            if (!note) continue;
+
+            const deletedTime = new Date(this.data.tombstones[noteId].deleted_at).getTime();
+            if (new Date(note.updated_at || note.created_at).getTime() > deletedTime) {
+                // Edited after it was deleted elsewhere - keep it and forget the tombstone
+                delete this.data.tombstones[noteId];
+                continue;
+            }
+
+            if (!note.deleted_at) {
+                // Never seen in the trash here: trash it with the deletion time so it can still be recovered
+                note.deleted_at = this.data.tombstones[noteId].deleted_at;
+                appliedCount++;
+            } else if (new Date(note.deleted_at).getTime() < deletedTime) {
+                // Already trashed before the permanent delete happened elsewhere
+                this.deleteAIConversations(noteId);
+                this.deleteNoteRevisions(noteId);
+                for (const [key, noteTag] of Object.entries(this.data.note_tags)) {
+                    if (noteTag.note_id === noteId) delete this.data.note_tags[key];
+                }
+                delete this.data.notes[noteId];
+                this.indexNote(noteId);
+                appliedCount++;
+            }
+        }
+
+        return appliedCount;
+    }
+
+    // Revision history operations
+    // Revisions are kept locally, one record each so a save journals only the revision it adds,
+    // and are never included in sync payloads.
+
+    /**
+     * Get the revision retention policy, falling back to defaults for missing values
+     * @returns {{keepLast: number, keepDailyDays: number, mergeWindowSeconds: number}}
+     */
+    getRevisionRetention() {
+        const defaults = { keepLast: 50, keepDailyDays: 30, mergeWindowSeconds: 120 };
+        const stored = this.getSetting('revisionRetention', {}) || {};
+        return { ...defaults, ...stored };
+    }
+
+    /**
+     * Update the revision retention policy and prune existing revisions to match
+     * @param {Object} settings - Partial retention settings
+     * @returns {Object} The normalized retention policy
+     */
+    setRevisionRetention(settings = {}) {
+        const current = this.getRevisionRetention();
+        const clamp = (value, min, max, fallback) => {
+            const num = parseInt(value, 10);
+            return Number.isFinite(num) ? Math.min(Math.max(num, min), max) : fallback;
+        };
+
+        const retention = {
+            keepLast: clamp(settings.keepLast, 1, 500, current.keepLast),
+            keepDailyDays: clamp(settings.keepDailyDays, 0, 365, current.keepDailyDays),
+            mergeWindowSeconds: clamp(settings.mergeWindowSeconds, 0, 3600, current.mergeWindowSeconds)
+        };
+
+        this.setSetting('revisionRetention', retention);
+
+        const noteIds = new Set(Object.values(this.data.note_revisions).map(rev => rev.note_id));
+        const prunedIds = [];
+        for (const noteId of noteIds) {
+            prunedIds.push(...this.pruneNoteRevisions(noteId));
+        }
+        if (prunedIds.length > 0) {
+            this.persist({ note_revisions: prunedIds });
+            console.log(`[Database] Pruned ${prunedIds.length} note revisions after retention change`);
+        }
+
+        return retention;
+    }
+
+    // Whether an update would change the title or content of a note
+    hasRevisionableChange(note, noteData) {
+        if (noteData.title !== undefined && noteData.title !== note.title) return true;
+        if (note.password_protected) {
+            return noteData.encrypted_content !== undefined && noteData.encrypted_content !== note.encrypted_content;
+        }
+        return noteData.content !== undefined && noteData.content !== note.content;
+    }
+
+    /**
+     * Snapshot the current state of a note as a revision.
+     * Saves that land inside the merge window of the latest revision are coalesced into it,
+     * so a burst of autosaves only keeps the state from before the burst.
+     * @param {Object} note - The stored note object (before modification)
+     * @param {Object} options - { force: boolean } to bypass the merge window
+     * @returns {string[]} IDs of the new revision and the ones pruned to make room for it, for
+     *   persist(); empty if nothing was recorded
+     */
+    recordNoteRevision(note, options = {}) {
+        if (!note) return [];
+
+        // Nothing worth keeping for a note that was never written to
+        const hasBody = note.password_protected ? !!note.encrypted_content : !!note.content;
+        if (!hasBody && !options.force) return [];
+
+        const revisions = this.listNoteRevisions(note.id);
+        const retention = this.getRevisionRetention();
+        const now = new Date();
+
+        const latest = revisions[revisions.length - 1];
+        if (latest && !options.force) {
+            const elapsedMs = now.getTime() - new Date(latest.created_at).getTime();
+            if (elapsedMs < retention.mergeWindowSeconds * 1000) {
+                return [];
+            }
+        }
+
+        // Never keep plaintext for password-protected notes, only the encrypted envelope
+        const revision = {
+            id: this.generateId(),
+            note_id: note.id,
+            title: note.title,
+            content: note.password_protected ? '' : (note.content || ''),
+            preview: note.password_protected ? '' : (note.preview || ''),
+            encrypted_content: note.password_protected ? note.encrypted_content : null,
+            password_protected: !!note.password_protected,
+            word_count: note.word_count || 0,
+            note_updated_at: note.updated_at || null,
+            created_at: now.toISOString()
+        };
 
-        this.saveToLocalStorage();
-        return true;
+        this.data.note_revisions[revision.id] = revision;
+        return [revision.id, ...this.pruneNoteRevisions(note.id)];
     }
 
-    deleteNote(id) {
-        if (this.data.notes[id]) {
-            // Delete associated AI conversations first
-            this.deleteAIConversations(id);
+    // A note's revisions, oldest first
+    listNoteRevisions(noteId) {
+        return Object.values(this.data.note_revisions)
+            .filter(rev => rev.note_id === noteId)
+            .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+    }
 
-            // Then delete the note itself
-            delete this.data.notes[id];
-            this.saveToLocalStorage();
-            return true;
+    /**
+     * Apply the retention policy to a note's revisions: keep the newest N revisions
+     * plus the last revision of each day within the daily snapshot window
+     * @param {string} noteId - Note ID
+     * @returns {string[]} IDs of the pruned revisions
+     */
+    pruneNoteRevisions(noteId) {
+        const revisions = this.listNoteRevisions(noteId);
+        const { keepLast, keepDailyDays } = this.getRevisionRetention();
+        if (revisions.length <= keepLast) return [];
+
+        const newestFirst = revisions.slice().reverse();
+        const keep = new Set(newestFirst.slice(0, keepLast).map(rev => rev.id));
+
+        const cutoffTime = Date.now() - keepDailyDays * 24 * 60 * 60 * 1000;
+        const seenDays = new Set();
+        for (const rev of newestFirst) {
+            const stateTime = new Date(rev.note_updated_at || rev.created_at);
+            if (stateTime.getTime() < cutoffTime) continue;
+            const dayKey = stateTime.toDateString();
+            if (seenDays.has(dayKey)) continue;
+            seenDays.add(dayKey);
+            keep.add(rev.id);
         }
-        return false;
+
+        const prunedIds = revisions.filter(rev => !keep.has(rev.id)).map(rev => rev.id);
+        prunedIds.forEach(id => delete this.data.note_revisions[id]);
+        return prunedIds;
     }
 
-    archiveNote(id, archive = true) {
-        const note = this.data.notes[id];
-        if (note) {
-            note.is_archived = archive;
-            note.updated_at = new Date().toISOString();
-            this.saveToLocalStorage();
-            return true;
+    /**
+     * Get all revisions of a note, newest first
+     * @param {string} noteId - Note ID
+     * @returns {Array} Revision copies
+     */
+    getNoteRevisions(noteId) {
+        return this.listNoteRevisions(noteId).reverse().map(rev => ({ ...rev }));
+    }
+
+    getNoteRevision(noteId, revisionId) {
+        const revision = this.data.note_revisions[revisionId];
+        return revision && revision.note_id === noteId ? { ...revision } : null;
+    }
+
+    /**
+     * Restore a note to a previous revision. The current state is kept as a new
+     * revision first, so a restore can itself be undone.
+     * @param {string} noteId - Note ID
+     * @param {string} revisionId - Revision ID
+     * @returns {boolean} True if the note was restored
+     */
+    restoreRevision(noteId, revisionId) {
+        const note = this.data.notes[noteId];
+        const revision = this.getNoteRevision(noteId, revisionId);
+        if (!note || !revision) return false;
+
+        // An encrypted revision cannot be applied to an unprotected note and vice versa
+        if (!!revision.password_protected !== !!note.password_protected) {
+            console.warn('[Database] Cannot restore revision: password protection has changed since it was recorded');
+            return false;
         }
-        return false;
+
+        const restoreData = {
+            title: revision.title,
+            skip_revision: true
+        };
+        if (revision.password_protected) {
+            restoreData.content = '';
+            restoreData.preview = '';
+            restoreData.encrypted_content = revision.encrypted_content;
+        } else {
+            restoreData.content = revision.content;
+            restoreData.preview = revision.preview;
+        }
+
+        return this.batch(() => {
+            this.persist({ note_revisions: this.recordNoteRevision(note, { force: true }) });
+            return this.updateNote(noteId, restoreData);
+        });
+    }
+
+    /**
+     * @param {string} noteId - Note ID
+     * @returns {string[]} IDs of the deleted revisions
+     */
+    deleteNoteRevisions(noteId) {
+        if (!noteId) return [];
+        const deletedIds = this.listNoteRevisions(noteId).map(rev => rev.id);
+        deletedIds.forEach(id => delete this.data.note_revisions[id]);
+        return deletedIds;
     }
 
     // AI conversation operations
@@ -493,7 +1654,7 @@ class DatabaseManager {
         };
 
         this.data.ai_conversations[id] = conversation;
-        this.saveToLocalStorage();
+        this.persist({ ai_conversations: [id] });
 
         return id;
     }
@@ -534,7 +1695,7 @@ class DatabaseManager {
         });
 
         if (deletedCount > 0) {
-            this.saveToLocalStorage();
+            this.persist({ ai_conversations: conversationsToDelete });
         }
 
         return deletedCount;
@@ -553,7 +1714,7 @@ class DatabaseManager {
         });
 
         if (deletedCount > 0) {
-            this.saveToLocalStorage();
+            this.persist({ ai_conversations: conversationsToDelete });
             console.log(`[Database] Cleared ${deletedCount} AI conversations`);
         }
 
@@ -581,7 +1742,7 @@ class DatabaseManager {
         }
 
         if (prunedCount > 0) {
-            this.saveToLocalStorage();
+            this.persist({ ai_conversations: true });
             console.log(`[Database] Pruned ${prunedCount} old AI conversations (older than ${maxAgeDays} days)`);
         }
 
@@ -596,6 +1757,7 @@ class DatabaseManager {
         const notesCount = Object.keys(this.data.notes).length;
         const conversationsCount = Object.keys(this.data.ai_conversations).length;
         const tagsCount = Object.keys(this.data.tags).length;
+        const revisionsCount = Object.keys(this.data.note_revisions || {}).length;
 
         // Rough estimate of data size
         const dataSize = JSON.stringify(this.data).length;
@@ -604,6 +1766,7 @@ class DatabaseManager {
             notesCount,
             conversationsCount,
             tagsCount,
+            revisionsCount,
             estimatedSizeBytes: dataSize,
             estimatedSizeKB: Math.round(dataSize / 1024)
         };
@@ -615,7 +1778,7 @@ class DatabaseManager {
             value: value,
             updated_at: new Date().toISOString()
         };
-        this.saveToLocalStorage();
+        this.persist({ settings: true });
     }
 
     getSetting(key, defaultValue = null) {
@@ -678,7 +1841,7 @@ class DatabaseManager {
             iterations: this.data.encryption.iterations
         });
 
-        this.saveToLocalStorage();
+        this.persist({ encryption: true });
         console.log('[DEBUG] Encryption settings updated:', {
             enabled: this.data.encryption.enabled,
             hasPassphrase: !!this.data.encryption.passphrase,
@@ -704,41 +1867,136 @@ class DatabaseManager {
     }
 
     // Tag operations
+    // Nested tags are named by their path ("work/clientA/invoices", see tag-paths.js)
     createTag(tagData) {
+        const { normalizeTagPath } = requireSibling('tag-paths');
         const id = tagData.id || this.generateId();
+        const name = normalizeTagPath(tagData.name) || tagData.name;
+
+        // The parents of a nested tag are created along with it
+        const createdParents = this.createMissingTagParents(name, tagData.color);
 
         const tag = {
             id: id,
-            name: tagData.name,
+            name: name,
             color: tagData.color || '#BDABE3',
             created_at: new Date().toISOString()
         };
 
         this.data.tags[id] = tag;
-        this.saveToLocalStorage();
+        this.persist({ tags: [...createdParents, id] });
 
         return id;
     }
 
+    // Create the missing ancestors of a tag path without persisting them; returns their IDs
+    createMissingTagParents(path, color) {
+        const { getAncestorPaths } = requireSibling('tag-paths');
+        const created = [];
+        for (const ancestor of getAncestorPaths(path)) {
+            if (this.findTagByName(ancestor)) continue;
+            const id = this.generateId();
+            this.data.tags[id] = {
+                id,
+                name: ancestor,
+                color: color || '#BDABE3',
+                created_at: new Date().toISOString()
+            };
+            created.push(id);
+        }
+        return created;
+    }
+
     getAllTags() {
         const tags = Object.values(this.data.tags);
         return tags.sort((a, b) => a.name.localeCompare(b.name));
     }
 
+    findTagByName(name) {
+        const { normalizeTagPath } = requireSibling('tag-paths');
+        const wanted = normalizeTagPath(name).toLowerCase();
+        if (!wanted) return null;
+        return Object.values(this.data.tags).find(tag => normalizeTagPath(tag.name).toLowerCase() === wanted) || null;
+    }
+
+    getTagTree() {
+        const { buildTagTree } = requireSibling('tag-paths');
+        return buildTagTree(this.getAllTags());
+    }
+
+    /**
+     * IDs of a tag and all tags nested below it
+     * @returns {Set<string>} Empty when the tag does not exist
+     */
+    getTagSubtreeIds(tagId) {
+        const { isSameOrDescendantPath } = requireSibling('tag-paths');
+        const tag = this.data.tags[tagId];
+        if (!tag) return new Set();
+        return new Set(Object.values(this.data.tags)
+            .filter(candidate => isSameOrDescendantPath(candidate.name, tag.name))
+            .map(candidate => candidate.id));
+    }
+
+    /**
+     * Rename or move a tag by giving it a new path; the tags nested below it move along.
+     * Missing parents of the new path are created.
+     * @returns {string[]} IDs of the renamed tags
+     * @throws {TagError} If the tag is gone, the name is empty, a new path is taken or the
+     *   tag would move below itself
+     */
+    renameTag(tagId, newName) {
+        const { TagError, normalizeTagPath, isSameOrDescendantPath } = requireSibling('tag-paths');
+        const tag = this.data.tags[tagId];
+        if (!tag) throw new TagError('notFound');
+
+        const name = normalizeTagPath(newName);
+        if (!name) throw new TagError('nameRequired');
+        const oldName = tag.name;
+        if (name === oldName) return [];
+        // Changing only the case of a name is a rename, not a move into itself
+        if (name.toLowerCase() !== oldName.toLowerCase() && isSameOrDescendantPath(name, oldName)) {
+            throw new TagError('moveIntoSelf');
+        }
+
+        const subtreeIds = this.getTagSubtreeIds(tagId);
+        const renames = [...subtreeIds].map(id => ({
+            id,
+            name: name + this.data.tags[id].name.slice(oldName.length)
+        }));
+
+        // Every new path has to be free, apart from the tags that are moving away
+        for (const rename of renames) {
+            const existing = this.findTagByName(rename.name);
+            if (existing && !subtreeIds.has(existing.id)) {
+                throw new TagError('nameTaken', { name: rename.name });
+            }
+        }
+
+        const now = new Date().toISOString();
+        for (const rename of renames) {
+            this.data.tags[rename.id].name = rename.name;
+            this.data.tags[rename.id].updated_at = now;
+        }
+        const createdParents = this.createMissingTagParents(name, tag.color);
+        this.persist({ tags: [...createdParents, ...renames.map(rename => rename.id)] });
+
+        return renames.map(rename => rename.id);
+    }
+
     addTagToNote(noteId, tagId) {
         const noteTagKey = `${noteId}_${tagId}`;
         this.data.note_tags[noteTagKey] = {
             note_id: noteId,
             tag_id: tagId
         };
-        this.saveToLocalStorage();
+        this.persist({ note_tags: [noteTagKey] });
     }
 
     removeTagFromNote(noteId, tagId) {
         const noteTagKey = `${noteId}_${tagId}`;
         if (this.data.note_tags[noteTagKey]) {
             delete this.data.note_tags[noteTagKey];
-            this.saveToLocalStorage();
+            this.persist({ note_tags: [noteTagKey] });
         }
     }
 
@@ -772,7 +2030,7 @@ class DatabaseManager {
         });
 
         if (deletedCount > 0) {
-            this.saveToLocalStorage();
+            this.persist({ tags: unusedTagIds });
             console.log(`[Database] Cleared ${deletedCount} unused tags`);
         }
 
@@ -783,12 +2041,517 @@ class DatabaseManager {
         };
     }
 
+    // Saved search operations
+    // A saved search stores an advanced-search filter set: { text, tags, dateFrom, dateTo,
+    // pinnedOnly, protectedOnly, sortBy, sortOrder }. Deleted ones are kept as markers until
+    // they expire so the deletion reaches other devices.
+    createSavedSearch(searchData) {
+        const id = searchData.id || this.generateId();
+        const now = new Date().toISOString();
+
+        this.data.saved_searches[id] = {
+            id,
+            name: searchData.name,
+            filters: this.normalizeSearchFilters(searchData.filters),
+            created_at: now,
+            updated_at: now
+        };
+        this.persist({ saved_searches: [id] });
+
+        return id;
+    }
+
+    updateSavedSearch(id, searchData) {
+        const savedSearch = this.data.saved_searches[id];
+        if (!savedSearch || savedSearch.deleted_at) return false;
+
+        if (searchData.name !== undefined) savedSearch.name = searchData.name;
+        if (searchData.filters !== undefined) savedSearch.filters = this.normalizeSearchFilters(searchData.filters);
+        savedSearch.updated_at = new Date().toISOString();
+        this.persist({ saved_searches: [id] });
+
+        return true;
+    }
+
+    deleteSavedSearch(id) {
+        const savedSearch = this.data.saved_searches[id];
+        if (!savedSearch || savedSearch.deleted_at) return false;
+
+        const now = new Date().toISOString();
+        this.data.saved_searches[id] = { id, created_at: savedSearch.created_at, updated_at: now, deleted_at: now };
+        this.persist({ saved_searches: [id] });
+
+        return true;
+    }
+
+    getSavedSearch(id) {
+        const savedSearch = this.data.saved_searches[id];
+        return savedSearch && !savedSearch.deleted_at ? savedSearch : null;
+    }
+
+    getSavedSearches() {
+        return Object.values(this.data.saved_searches)
+            .filter(savedSearch => !savedSearch.deleted_at)
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    normalizeSearchFilters(filters = {}) {
+        return {
+            text: filters.text || '',
+            tags: Array.isArray(filters.tags) ? [...filters.tags] : [],
+            dateFrom: filters.dateFrom || null, // 'YYYY-MM-DD'
+            dateTo: filters.dateTo || null,
+            pinnedOnly: filters.pinnedOnly === true,
+            protectedOnly: filters.protectedOnly === true,
+            // Property conditions: [{ propertyId, operator, value }], all of which must match
+            properties: Array.isArray(filters.properties)
+                ? filters.properties
+                    .filter(condition => condition && condition.propertyId && condition.operator)
+                    .map(condition => ({
+                        propertyId: String(condition.propertyId),
+                        operator: condition.operator,
+                        value: condition.value ?? ''
+                    }))
+                : [],
+            sortBy: filters.sortBy || 'updated_at',
+            sortOrder: filters.sortOrder || 'DESC'
+        };
+    }
+
+    /**
+     * Run a saved search against the current notes
+     * @throws {SearchQueryError} If the stored query no longer parses
+     * @returns {Array} Matching notes in the saved sort order
+     */
+    getSavedSearchNotes(id) {
+        const savedSearch = this.getSavedSearch(id);
+        if (!savedSearch) return [];
+
+        const filters = savedSearch.filters;
+        const options = { sortBy: filters.sortBy, sortOrder: filters.sortOrder };
+        if (filters.text) {
+            options.search = filters.text;
+        }
+        return this.filterNotes(this.getAllNotes(options), filters);
+    }
+
+    // Apply the non-text advanced-search filters; dates may be Date objects or 'YYYY-MM-DD'
+    filterNotes(notes, filters) {
+        let filtered = notes;
+
+        // Filter by tags (any of them, including their sub-tags)
+        if (filters.tags && filters.tags.length > 0) {
+            const tagIds = new Set();
+            filters.tags.forEach(tagId => {
+                tagIds.add(tagId);
+                this.getTagSubtreeIds(tagId).forEach(id => tagIds.add(id));
+            });
+            filtered = filtered.filter(note => {
+                if (!note.tags || note.tags.length === 0) return false;
+                return note.tags.some(tagId => tagIds.has(tagId));
+            });
+        }
+
+        // Filter by date range
+        if (filters.dateFrom || filters.dateTo) {
+            const dateFrom = filters.dateFrom ? new Date(filters.dateFrom) : null;
+            let dateToEnd = null;
+            if (filters.dateTo) {
+                // Include the entire day of dateTo
+                dateToEnd = new Date(filters.dateTo);
+                dateToEnd.setHours(23, 59, 59, 999);
+            }
+
+            filtered = filtered.filter(note => {
+                const noteDate = new Date(note.updated_at || note.created_at);
+                if (dateFrom && noteDate < dateFrom) return false;
+                if (dateToEnd && noteDate > dateToEnd) return false;
+                return true;
+            });
+        }
+
+        if (filters.pinnedOnly) {
+            filtered = filtered.filter(note => note.pinned === true);
+        }
+
+        if (filters.protectedOnly) {
+            filtered = filtered.filter(note => note.password_protected === true);
+        }
+
+        // Conditions on properties that have since been deleted are ignored
+        const conditions = (filters.properties || [])
+            .map(condition => ({ ...condition, definition: this.getPropertyDefinition(condition.propertyId) }))
+            .filter(condition => condition.definition);
+        if (conditions.length > 0) {
+            const { matchPropertyFilter } = requireSibling('property-types');
+            filtered = filtered.filter(note => conditions.every(condition => matchPropertyFilter(
+                condition.definition.type,
+                (note.properties || {})[condition.propertyId],
+                condition.operator,
+                condition.value
+            )));
+        }
+
+        return filtered;
+    }
+
+    /**
+     * Merge saved searches from another device; the most recently changed side wins,
+     * including deletions
+     */
+    mergeSavedSearches(remoteSearches = {}) {
+        const changed = [];
+        for (const [id, remoteSearch] of Object.entries(remoteSearches)) {
+            const localSearch = this.data.saved_searches[id];
+            if (!localSearch || new Date(remoteSearch.updated_at) > new Date(localSearch.updated_at)) {
+                this.data.saved_searches[id] = { ...remoteSearch };
+                changed.push(id);
+            }
+        }
+        return changed;
+    }
+
+    // Property definitions
+    // Typed note properties (see property-types.js) are defined once and set per note in
+    // note.properties. Deleted definitions are kept as markers until they expire so the
+    // deletion reaches other devices; values left on notes are ignored from then on.
+
+    /**
+     * @param {{name: string, type: string, options?: string[]}} definitionData
+     * @throws {PropertyError} If the name is missing, reserved or taken, or the type is unknown
+     * @returns {string} ID of the new definition
+     */
+    createPropertyDefinition(definitionData) {
+        const { PROPERTY_TYPES, PropertyError } = requireSibling('property-types');
+        const name = this.validatePropertyName(definitionData.name);
+        if (!PROPERTY_TYPES.includes(definitionData.type)) {
+            throw new PropertyError('invalidType', { type: definitionData.type });
+        }
+
+        const id = definitionData.id || this.generateId();
+        const now = new Date().toISOString();
+        this.data.property_definitions[id] = {
+            id,
+            name,
+            type: definitionData.type,
+            options: definitionData.type === 'select' ? this.normalizePropertyOptions(definitionData.options) : [],
+            created_at: now,
+            updated_at: now
+        };
+        this.persist({ property_definitions: [id] });
+
+        return id;
+    }
+
+    /**
+     * Rename a property or change the options of a select property; the type is fixed
+     * @throws {PropertyError} If the definition does not exist or the new name is not allowed
+     */
+    updatePropertyDefinition(id, changes) {
+        const { PropertyError } = requireSibling('property-types');
+        const definition = this.getPropertyDefinition(id);
+        if (!definition) throw new PropertyError('notFound');
+
+        if (changes.name !== undefined) {
+            definition.name = this.validatePropertyName(changes.name, id);
+        }
+        if (changes.options !== undefined && definition.type === 'select') {
+            definition.options = this.normalizePropertyOptions(changes.options);
+        }
+        definition.updated_at = new Date().toISOString();
+        this.persist({ property_definitions: [id] });
+
+        return true;
+    }
+
+    deletePropertyDefinition(id) {
+        const definition = this.getPropertyDefinition(id);
+        if (!definition) return false;
+
+        const now = new Date().toISOString();
+        this.data.property_definitions[id] = { id, created_at: definition.created_at, updated_at: now, deleted_at: now };
+        this.persist({ property_definitions: [id] });
+
+        return true;
+    }
+
+    getPropertyDefinition(id) {
+        const definition = this.data.property_definitions[id];
+        return definition && !definition.deleted_at ? definition : null;
+    }
+
+    getPropertyDefinitions() {
+        return Object.values(this.data.property_definitions)
+            .filter(definition => !definition.deleted_at)
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    findPropertyDefinitionByName(name) {
+        const wanted = String(name || '').trim().toLowerCase();
+        return this.getPropertyDefinitions().find(definition => definition.name.toLowerCase() === wanted) || null;
+    }
+
+    // Property names are unique (ignoring case) and may not shadow the front matter fields
+    validatePropertyName(name, exceptId = null) {
+        const { RESERVED_PROPERTY_NAMES, PropertyError } = requireSibling('property-types');
+        const trimmed = String(name || '').replace(/\s+/g, ' ').trim();
+        if (!trimmed) throw new PropertyError('nameRequired');
+        if (RESERVED_PROPERTY_NAMES.includes(trimmed.toLowerCase())) {
+            throw new PropertyError('nameReserved', { name: trimmed });
+        }
+        const existing = this.findPropertyDefinitionByName(trimmed);
+        if (existing && existing.id !== exceptId) {
+            throw new PropertyError('nameTaken', { name: trimmed });
+        }
+        return trimmed;
+    }
+
+    normalizePropertyOptions(options) {
+        const unique = new Map();
+        for (const option of Array.isArray(options) ? options : []) {
+            const text = String(option ?? '').trim();
+            if (text && !unique.has(text.toLowerCase())) unique.set(text.toLowerCase(), text);
+        }
+        return Array.from(unique.values());
+    }
+
+    // Keep only values of existing properties, in their stored form. A property added to a
+    // note without a value is kept as null so it still shows in the editor.
+    normalizeNoteProperties(properties) {
+        const { normalizePropertyValue } = requireSibling('property-types');
+        const normalized = {};
+        for (const [id, value] of Object.entries(properties || {})) {
+            const definition = this.getPropertyDefinition(id);
+            if (!definition) continue;
+            normalized[id] = normalizePropertyValue(definition.type, value);
+        }
+        return normalized;
+    }
+
+    /**
+     * Set or clear (null/empty) one property of a note, adding the property to the note if
+     * needed. A select value that is not one of the options yet is added to them.
+     */
+    setNoteProperty(noteId, propertyId, value) {
+        const { normalizePropertyValue } = requireSibling('property-types');
+        const note = this.data.notes[noteId];
+        const definition = this.getPropertyDefinition(propertyId);
+        if (!note || !definition) return false;
+
+        const stored = normalizePropertyValue(definition.type, value);
+        if (definition.type === 'select' && stored !== null &&
+            !definition.options.some(option => option.toLowerCase() === stored.toLowerCase())) {
+            this.updatePropertyDefinition(propertyId, { options: [...definition.options, stored] });
+        }
+
+        const properties = { ...(note.properties || {}), [propertyId]: stored };
+        return this.updateNote(noteId, { properties });
+    }
+
+    removeNoteProperty(noteId, propertyId) {
+        const note = this.data.notes[noteId];
+        if (!note || !note.properties || !(propertyId in note.properties)) return false;
+
+        const properties = { ...note.properties };
+        delete properties[propertyId];
+        return this.updateNote(noteId, { properties });
+    }
+
+    /**
+     * Merge property definitions from another device; the most recently changed side wins,
+     * including deletions
+     */
+    mergePropertyDefinitions(remoteDefinitions = {}) {
+        const changed = [];
+        for (const [id, remoteDefinition] of Object.entries(remoteDefinitions)) {
+            const localDefinition = this.data.property_definitions[id];
+            if (!localDefinition || new Date(remoteDefinition.updated_at) > new Date(localDefinition.updated_at)) {
+                this.data.property_definitions[id] = { ...remoteDefinition };
+                changed.push(id);
+            }
+        }
+        return changed;
+    }
+
+    // Reminders
+    // Reminders (see note-reminders.js) belong to a note and are synced with it. Deleted ones
+    // are kept as markers until they expire so the deletion reaches other devices.
+
+    /**
+     * @param {{noteId: string, dueAt: Date|string, repeat?: string|null}} reminderData
+     * @throws {ReminderError} If the time is missing or (for a one-off) past, or the repeat
+     *   rule is unknown
+     * @returns {string} ID of the new reminder
+     */
+    createReminder(reminderData) {
+        const { ReminderError, normalizeReminderSchedule, getLastOccurrence } = requireSibling('note-reminders');
+        if (!this.data.notes[reminderData.noteId]) throw new ReminderError('notFound');
+
+        const now = new Date();
+        const schedule = normalizeReminderSchedule(reminderData, now);
+        // A repeating reminder starting in the past fires from its next occurrence on
+        const lastOccurrence = getLastOccurrence(schedule, now);
+
+        const id = reminderData.id || this.generateId();
+        this.data.reminders[id] = {
+            id,
+            note_id: reminderData.noteId,
+            ...schedule,
+            fired_until: lastOccurrence ? lastOccurrence.toISOString() : null,
+            created_at: now.toISOString(),
+            updated_at: now.toISOString()
+        };
+        this.persist({ reminders: [id] });
+
+        return id;
+    }
+
+    deleteReminder(id) {
+        if (!this.markReminderDeleted(id)) return false;
+        this.persist({ reminders: [id] });
+        return true;
+    }
+
+    markReminderDeleted(id) {
+        const reminder = this.getReminder(id);
+        if (!reminder) return false;
+        const now = new Date().toISOString();
+        this.data.reminders[id] = { id, note_id: reminder.note_id, created_at: reminder.created_at, updated_at: now, deleted_at: now };
+        return true;
+    }
+
+    /**
+     * Record that an occurrence was delivered, so neither this device nor another one shows it
+     * again. An older occurrence than the recorded one is ignored.
+     */
+    markReminderFired(id, occurrence) {
+        const reminder = this.getReminder(id);
+        const time = new Date(occurrence);
+        if (!reminder || Number.isNaN(time.getTime())) return false;
+        if (reminder.fired_until && new Date(reminder.fired_until) >= time) return false;
+
+        reminder.fired_until = time.toISOString();
+        reminder.updated_at = new Date().toISOString();
+        this.persist({ reminders: [id] });
+        return true;
+    }
+
+    getReminder(id) {
+        const reminder = this.data.reminders[id];
+        return reminder && !reminder.deleted_at ? reminder : null;
+    }
+
+    // Reminders of one note, or of all notes; earliest first
+    getReminders(noteId = null) {
+        return Object.values(this.data.reminders)
+            .filter(reminder => !reminder.deleted_at && (!noteId || reminder.note_id === noteId))
+            .sort((a, b) => a.due_at.localeCompare(b.due_at));
+    }
+
+    /**
+     * Merge reminders from another device (see mergeReminder in note-reminders.js for the
+     * rules)
+     */
+    mergeReminders(remoteReminders = {}) {
+        const { mergeReminder } = requireSibling('note-reminders');
+        const changed = [];
+        for (const [id, remoteReminder] of Object.entries(remoteReminders)) {
+            const localReminder = this.data.reminders[id];
+            const merged = mergeReminder(localReminder, remoteReminder);
+            if (merged !== localReminder) {
+                this.data.reminders[id] = { ...merged };
+                changed.push(id);
+            }
+        }
+        return changed;
+    }
+
+    // Markdown with front matter
+    // Exported notes start with a YAML block holding the title, tag names, dates and properties
+    // by name, so that importing the file restores them.
+
+    getNoteFrontMatter(note) {
+        const data = {
+            title: note.title,
+            tags: (note.tags || []).map(tagId => this.data.tags[tagId]).filter(Boolean).map(tag => tag.name),
+            created: note.created_at,
+            updated: note.updated_at
+        };
+        for (const definition of this.getPropertyDefinitions()) {
+            const properties = note.properties || {};
+            if (definition.id in properties) data[definition.name] = properties[definition.id];
+        }
+        return data;
+    }
+
+    /**
+     * Create a note from markdown, reading its title, tags and properties from front matter.
+     * Missing tags are created; unknown properties are created with a type guessed from the value.
+     * @param {string} text - File content
+     * @param {string} fallbackTitle - Title when the front matter has none (e.g. from the file name)
+     * @param {function(string): string} [buildPreview] - Makes the list preview from the note body
+     * @returns {string} ID of the new note
+     */
+    createNoteFromMarkdown(text, fallbackTitle, buildPreview = () => '') {
+        const { parseFrontMatter } = requireSibling('front-matter');
+        const { inferPropertyType, RESERVED_PROPERTY_NAMES } = requireSibling('property-types');
+        const { data, body } = parseFrontMatter(text);
+        const frontMatter = data || {};
+
+        const title = frontMatter.title !== undefined && frontMatter.title !== null
+            ? String(frontMatter.title).trim()
+            : '';
+
+        // Notes carry at most three tags
+        const tagNames = [].concat(frontMatter.tags ?? []).map(name => String(name).trim()).filter(Boolean);
+        const tagIds = [];
+        for (const name of tagNames.slice(0, 3)) {
+            const existing = this.findTagByName(name);
+            const tagId = existing ? existing.id : this.createTag({ name });
+            if (!tagIds.includes(tagId)) tagIds.push(tagId);
+        }
+
+        const properties = {};
+        for (const [key, rawValue] of Object.entries(frontMatter)) {
+            if (RESERVED_PROPERTY_NAMES.includes(key.trim().toLowerCase())) continue;
+            // Lists have no property type of their own; keep them readable as text
+            const joined = Array.isArray(rawValue) ? rawValue.join(', ') : rawValue;
+            // An empty field still adds the property to the note
+            const value = joined === '' ? null : joined;
+
+            let definition = this.findPropertyDefinitionByName(key);
+            if (!definition) {
+                try {
+                    const type = value === null ? 'text' : inferPropertyType(value);
+                    definition = this.getPropertyDefinition(this.createPropertyDefinition({ name: key, type }));
+                } catch (error) {
+                    console.warn(`[Database] Skipping front matter field "${key}":`, error.message);
+                    continue;
+                }
+            }
+            if (definition.type === 'select' && value !== null && !definition.options.some(option => option.toLowerCase() === String(value).trim().toLowerCase())) {
+                this.updatePropertyDefinition(definition.id, { options: [...definition.options, String(value)] });
+            }
+            properties[definition.id] = value;
+        }
+
+        const content = data ? body : text;
+        return this.createNote({
+            title: title || fallbackTitle,
+            content,
+            preview: buildPreview(content),
+            tags: tagIds,
+            properties
+        });
+    }
+
     // Statistics
     getStats() {
         const notes = Object.values(this.data.notes);
         const noteStats = {
             total_notes: notes.length,
             archived_notes: notes.filter(n => n.is_archived).length,
+            trashed_notes: notes.filter(n => n.deleted_at).length,
             total_words: notes.reduce((sum, n) => sum + (n.word_count || 0), 0),
             total_chars: notes.reduce((sum, n) => sum + (n.char_count || 0), 0)
         };
@@ -816,10 +2579,10 @@ class DatabaseManager {
         return Date.now().toString(36) + Math.random().toString(36).substr(2);
     }
 
-    // Backup and restore (localStorage-based)
+    // Backup and restore
     async backup(backupPath) {
         try {
-            // For localStorage, we export the data as JSON
+            // Export the in-memory data as JSON
             const backupData = {
                 ...this.data,
                 metadata: {
@@ -851,8 +2614,10 @@ class DatabaseManager {
             }
 
             // Restore the data
-            this.data = backupData;
-            this.saveToLocalStorage();
+            this.data = this.migrateSchema(backupData, 'restore');
+            this.ensureDataStructure();
+            this.invalidateSearchIndex();
+            this.persist();
 
             console.log('[DEBUG] Backup restored successfully from:', backupPath);
             return true;
@@ -891,8 +2656,14 @@ class DatabaseManager {
         return JSON.stringify(exportData, null, 2);
     }
 
-    // Import data from JSON string
-    importDataFromJSON(jsonString) {
+    /**
+     * Replace all data with an export or backup
+     * @param {string} jsonString
+     * @param {string} [source] - 'import' or 'restore', see migrateSchema()
+     * @returns {boolean} Whether the data was imported
+     * @throws {SchemaError} When the data cannot be brought up to the current schema version
+     */
+    importDataFromJSON(jsonString, source = 'import') {
         try {
             const importData = JSON.parse(jsonString);
 
@@ -901,12 +2672,15 @@ class DatabaseManager {
                 throw new Error('Invalid import data: missing notes');
             }
 
-            this.data = importData;
-            this.saveToLocalStorage();
+            this.data = this.migrateSchema(importData, source);
+            this.ensureDataStructure();
+            this.invalidateSearchIndex();
+            this.persist();
 
             return true;
         } catch (error) {
             console.error('[DEBUG] Import failed:', error);
+            if (error.name === 'SchemaError') throw error;
             return false;
         }
     }
@@ -915,17 +2689,27 @@ class DatabaseManager {
     enableSync(provider = 'google-drive') {
         this.data.sync.enabled = true;
         this.data.sync.provider = provider;
-        this.saveToLocalStorage();
+        this.persist({ sync: true });
         console.log(`[DEBUG] Sync enabled for provider: ${provider}`);
     }
 
     disableSync() {
         this.data.sync.enabled = false;
         this.data.sync.provider = null;
-        this.saveToLocalStorage();
+        this.persist({ sync: true });
         console.log('[DEBUG] Sync disabled');
     }
 
+    // Forget the last sync with the previous provider, so the first sync with another one
+    // merges instead of taking notes the new remote does not have for deleted there
+    clearSyncHistory() {
+        this.data.sync.lastSync = null;
+        this.data.sync.remoteFileId = null;
+        this.data.sync.remoteChecksum = null;
+        this.data.sync.remoteSyncVersion = 0;
+        this.persist({ sync: true });
+    }
+
     isSyncEnabled() {
         return this.data.sync.enabled === true;
     }
@@ -943,7 +2727,7 @@ class DatabaseManager {
         if (typeof syncData.syncOnStartup === 'boolean') this.data.sync.syncOnStartup = syncData.syncOnStartup;
         if (typeof syncData.syncVersion === 'number') this.data.sync.syncVersion = syncData.syncVersion;
         if (typeof syncData.remoteSyncVersion === 'number') this.data.sync.remoteSyncVersion = syncData.remoteSyncVersion;
-        this.saveToLocalStorage();
+        this.persist({ sync: true });
     }
 
     /**
@@ -957,7 +2741,7 @@ class DatabaseManager {
             this.data.sync.syncVersion = 0;
         }
         this.data.sync.syncVersion += 1;
-        this.saveToLocalStorage();
+        this.persist({ sync: true });
         return this.data.sync.syncVersion;
     }
 
@@ -984,7 +2768,7 @@ class DatabaseManager {
     setAutoSync(enabled, interval = 300000) {
         this.data.sync.autoSync = enabled;
         this.data.sync.syncInterval = interval;
-        this.saveToLocalStorage();
+        this.persist({ sync: true });
     }
 
     isAutoSyncEnabled() {
@@ -1002,7 +2786,7 @@ class DatabaseManager {
             timestamp: new Date().toISOString(),
             resolved: false
         });
-        this.saveToLocalStorage();
+        this.persist({ sync: true });
     }
 
     getSyncConflicts() {
@@ -1031,7 +2815,7 @@ class DatabaseManager {
             conflict.resolved = true;
             conflict.resolution = resolution;
             conflict.resolvedAt = new Date().toISOString();
-            this.saveToLocalStorage();
+            this.persist({ sync: true });
             return true;
         }
         return false;
@@ -1047,11 +2831,15 @@ class DatabaseManager {
         }
 
         this.data.sync.syncConflicts = this.data.sync.syncConflicts.filter(conflict => !conflict.resolved);
-        this.saveToLocalStorage();
+        this.persist({ sync: true });
     }
 
     // Enhanced export for sync (excludes local-only settings and secrets)
     exportDataForSync() {
+        // The stored data was not loaded (see openStore); syncing the empty stand-in would
+        // spread it to other devices
+        if (this.schemaError) throw this.schemaError;
+
         // Sanitize notes to prevent plaintext leakage for password-protected notes
         const sanitizedNotes = {};
         for (const [noteId, note] of Object.entries(this.data.notes)) {
@@ -1072,6 +2860,10 @@ class DatabaseManager {
             ai_conversations: this.data.ai_conversations,
             tags: this.data.tags,
             note_tags: this.data.note_tags,
+            tombstones: this.data.tombstones,
+            saved_searches: this.data.saved_searches,
+            property_definitions: this.data.property_definitions,
+            reminders: this.data.reminders,
             metadata: {
                 ...this.data.metadata,
                 exportedForSync: true,
@@ -1093,6 +2885,10 @@ class DatabaseManager {
             ai_conversations: this.data.ai_conversations,
             tags: this.data.tags,
             note_tags: this.data.note_tags,
+            tombstones: this.data.tombstones,
+            saved_searches: this.data.saved_searches,
+            property_definitions: this.data.property_definitions,
+            reminders: this.data.reminders,
             metadata: {
                 ...this.data.metadata,
                 exportVersion: '1.0'
@@ -1115,13 +2911,15 @@ class DatabaseManager {
     // Import data from sync (with conflict detection)
     importDataFromSync(syncData, options = {}) {
         try {
-            const importData = syncData.data || syncData;
+            let importData = syncData.data || syncData;
 
             // Validate import data
             if (!importData.notes || typeof importData.notes !== 'object') {
                 throw new Error('Invalid sync data: missing notes');
             }
 
+            importData = this.migrateSchema(importData, 'sync');
+
             // Never import settings, encryption, or sync objects from cloud
             if (importData.settings) delete importData.settings;
             if (importData.encryption) delete importData.encryption;
@@ -1148,13 +2946,34 @@ class DatabaseManager {
             try {
                 // Apply sync data
                 if (options.mergeStrategy === 'replace') {
-                    // Complete replacement but preserve local-only data (settings, encryption)
+                    // Complete replacement but preserve local-only data (settings, encryption, revisions)
                     const preservedSettings = { ...(this.data.settings || {}) };
                     const preservedEncryption = { ...(this.data.encryption || {}) };
+                    const preservedRevisions = { ...(this.data.note_revisions || {}) };
+                    const preservedSavedSearches = this.data.saved_searches || {};
+                    const preservedProperties = this.data.property_definitions || {};
+                    const preservedReminders = this.data.reminders || {};
                     this.data = importData;
                     // Restore preserved local-only fields
                     this.data.settings = preservedSettings;
                     this.data.encryption = preservedEncryption;
+                    // Data from a version without saved searches must not wipe the local ones
+                    if (!importData.saved_searches) {
+                        this.data.saved_searches = preservedSavedSearches;
+                    }
+                    if (!importData.property_definitions) {
+                        this.data.property_definitions = preservedProperties;
+                    }
+                    if (!importData.reminders) {
+                        this.data.reminders = preservedReminders;
+                    }
+                    // Drop revisions of notes that no longer exist after the replacement
+                    this.data.note_revisions = {};
+                    for (const [revisionId, revision] of Object.entries(preservedRevisions)) {
+                        if (importData.notes[revision.note_id]) {
+                            this.data.note_revisions[revisionId] = revision;
+                        }
+                    }
                 } else {
                     // Merge strategy (default)
                     this.mergeSyncData(importData, options);
@@ -1195,7 +3014,8 @@ class DatabaseManager {
                 this.data.sync.remoteChecksum = localSyncSettings.remoteChecksum || this.data.sync.remoteChecksum || null;
             }
 
-            this.saveToLocalStorage();
+            this.invalidateSearchIndex();
+            this.persist();
 
             // Log collaboration data that was imported
             const importedSharedNotes = Object.values(importData.notes).filter(n => n.collaboration?.is_shared);
@@ -1317,6 +3137,21 @@ class DatabaseManager {
             }
         }
 
+        // Apply permanent deletions from both sides so deleted notes are not resurrected
+        this.applyTombstones({ ...this.data.tombstones, ...(remoteData.tombstones || {}) });
+
+        if (remoteData.saved_searches) {
+            this.mergeSavedSearches(remoteData.saved_searches);
+        }
+
+        if (remoteData.property_definitions) {
+            this.mergePropertyDefinitions(remoteData.property_definitions);
+        }
+
+        if (remoteData.reminders) {
+            this.mergeReminders(remoteData.reminders);
+        }
+
         // Merge other data types - respect local deletions
         // Local state is the source of truth for deletions
 
@@ -1419,9 +3254,11 @@ class DatabaseManager {
 
     // Cleanup
     close() {
-        // For localStorage, we don't need to close connections
-        // Just save any pending changes
-        this.saveToLocalStorage();
+        // Save any pending changes and release the journal file
+        this.persist();
+        if (this.store) {
+            this.store.close();
+        }
         this.initialized = false;
     }
 }
@@ -3,9 +3,49 @@
 
 const crypto = require('crypto');
 
+// Derived keys kept per passphrase, salt and iterations. Sync encrypts every note separately, and
+// deriving the key again for each would take seconds per hundred notes.
+const KEY_CACHE_SIZE = 4;
+
 class EncryptionManager {
     constructor() {
         this.defaultIterations = 210000; // OWASP recommended minimum for PBKDF2
+        this.keyCache = new Map();
+    }
+
+    /**
+     * PBKDF2 key for encryptData()/decryptData(), derived once per passphrase, salt and iterations
+     * @param {string} passphrase
+     * @param {Buffer} salt
+     * @param {number} iterations
+     * @returns {Buffer} - 32-byte encryption key
+     */
+    getCachedKey(passphrase, salt, iterations) {
+        const cacheKey = crypto.createHash('sha256')
+            .update(JSON.stringify([passphrase, salt.toString('base64'), iterations]))
+            .digest('base64');
+        let key = this.keyCache.get(cacheKey);
+        if (!key) {
+            key = crypto.pbkdf2Sync(passphrase, salt, iterations, 32, 'sha256');
+            if (this.keyCache.size >= KEY_CACHE_SIZE) {
+                this.keyCache.delete(this.keyCache.keys().next().value);
+            }
+            this.keyCache.set(cacheKey, key);
+        }
+        return key;
+    }
+
+    /**
+     * Short fingerprint of the key encryptData() uses with these options, which tells whether
+     * data was encrypted with the same key without revealing anything easier to guess than the
+     * encrypted data itself
+     * @param {string} passphrase
+     * @param {Object} options - encryptData() options; saltBase64 is required
+     * @returns {string} - 16 hex characters
+     */
+    getKeyFingerprint(passphrase, options = {}) {
+        const key = this.getCachedKey(passphrase, Buffer.from(options.saltBase64, 'base64'), options.iterations || this.defaultIterations);
+        return crypto.createHmac('sha256', key).update('CogNotez-Key-Fingerprint').digest('hex').substring(0, 16);
     }
 
     /**
@@ -66,7 +106,7 @@ class EncryptionManager {
         const salt = options.saltBase64 ? Buffer.from(options.saltBase64, 'base64') : crypto.randomBytes(16);
         const iterations = options.iterations || this.defaultIterations;
 
-        const key = crypto.pbkdf2Sync(passphrase, salt, iterations, 32, 'sha256');
+        const key = this.getCachedKey(passphrase, salt, iterations);
 
         const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
         const plaintext = Buffer.from(JSON.stringify(data), 'utf8');
@@ -108,7 +148,7 @@ class EncryptionManager {
             const ct = Buffer.from(envelope.ct, 'base64');
             const iterations = envelope.iter || this.defaultIterations;
 
-            const key = crypto.pbkdf2Sync(passphrase, salt, iterations, 32, 'sha256');
+            const key = this.getCachedKey(passphrase, salt, iterations);
 
             const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
             decipher.setAuthTag(tag);
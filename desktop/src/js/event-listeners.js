@@ -67,6 +67,10 @@ function setupEventListeners(app) {
         }
     });
     document.getElementById('templates-btn').addEventListener('click', () => app.showTemplateChooser());
+    document.getElementById('graph-view-btn').addEventListener('click', () => app.showGraphView());
+    document.getElementById('task-view-btn').addEventListener('click', () => app.showTaskView());
+    document.getElementById('table-view-btn').addEventListener('click', () => app.toggleTableView());
+    document.getElementById('board-view-btn').addEventListener('click', () => app.toggleBoardView());
 
     // Mobile-specific overflow menu items
     const mobileThemeToggle = document.getElementById('mobile-theme-toggle');
@@ -145,10 +149,21 @@ function setupEventListeners(app) {
     document.getElementById('notes-list').addEventListener('click', async (e) => {
         const noteItem = e.target.closest('.note-item');
         if (noteItem) {
+            // Trashed notes can only be restored or deleted, not opened
+            if (noteItem.classList.contains('trashed')) return;
             const noteId = noteItem.dataset.id;
+            // Ctrl/Cmd and Shift clicks select notes for the bulk action bar
+            if (app.bulkActionsManager.handleNoteClick(noteId, e)) return;
+            // Archived notes are restored before they can be edited; a click selects them instead
+            if (noteItem.classList.contains('archived')) {
+                app.bulkActionsManager.selectOnly(noteId);
+                return;
+            }
+            app.bulkActionsManager.clearSelection();
             await app.switchToNoteWithWarning(noteId);
         } else {
             // Clicked on empty space in notes list - clear selection
+            app.bulkActionsManager.clearSelection();
             // Check for unsaved changes before clearing
             if (app.currentNote && app.notesManager && app.notesManager.hasUnsavedChanges()) {
                 const shouldClear = await app.showUnsavedChangesWarning();
@@ -204,6 +219,7 @@ function setupEventListeners(app) {
     document.getElementById('export-btn').addEventListener('click', () => app.exportNote());
     document.getElementById('share-btn').addEventListener('click', () => app.showShareOptions());
     document.getElementById('password-lock-btn').addEventListener('click', () => app.showPasswordProtectionDialog());
+    document.getElementById('revision-history-btn').addEventListener('click', () => app.showRevisionHistory());
 
     // Placeholder actions
     document.getElementById('create-first-note-btn').addEventListener('click', () => app.createNewNote());
@@ -230,6 +246,30 @@ function setupEventListeners(app) {
         }
     });
 
+    // [[Wiki link]] autocomplete and the backlinks panel
+    app.backlinksManager.initialize();
+
+    // Typed properties in the editor header
+    app.propertiesManager.initialize();
+
+    // Table view of the notes list
+    app.tableViewManager.initialize();
+
+    // Board view of the notes list
+    app.boardViewManager.initialize();
+
+    // Note reminders and their notifications
+    app.remindersManager.initialize();
+
+    // Workspace switcher in the header
+    app.workspacesManager.initialize();
+
+    // Multi-selection and bulk actions in the notes list
+    app.bulkActionsManager.initialize();
+
+    // Daily notes and the sidebar calendar
+    app.dailyNotesManager.initialize();
+
     // AI Panel
     document.getElementById('ai-panel-close').addEventListener('click', () => {
         console.log('[DEBUG] AI panel close button clicked');
@@ -0,0 +1,600 @@
+// Folder Sync Manager for CogNotez
+// Syncs notes data through a directory the user picks: a folder kept in step by Syncthing or a
+// similar tool, or a mounted NAS share. The directory holds the same layout as the Google Drive
+// folder; merging, encryption and media sync are SyncManager's:
+//   <directory>/<sync folder>/cognotez_sync_manifest.json   (the manifest)
+//   <directory>/<sync folder>/objects/<object name>         (one note, tag or AI conversation each)
+//   <directory>/<sync folder>/media/<media file id>
+// Devices writing to the same share take turns through a lock file, held from download to
+// upload. Files are written to a temporary name and renamed, so no device ever reads half a file.
+// Syncthing only passes the lock on after the fact, so two devices can still write the sync file
+// at once; it then keeps the other version as a "sync-conflict" copy, which is merged in on the
+// next sync and removed once the merged data is written. Main process only.
+
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { SyncManager } = require('./sync-manager');
+
+const SETTINGS_FILE = 'folder-sync-settings.json';
+const LOCK_FILE = 'cognotez_sync.lock';
+const LOCK_WAIT_MS = 30 * 1000;
+const LOCK_RETRY_MS = 500;
+// A held lock is touched this often; one left alone for LOCK_STALE_MS belongs to a device that
+// crashed or went away mid-sync
+const LOCK_HEARTBEAT_MS = 15 * 1000;
+const LOCK_STALE_MS = 2 * 60 * 1000;
+// How Syncthing names the copy it keeps of a file changed on two devices at once
+const CONFLICT_COPY_PATTERN = /^cognotez_sync_manifest\.sync-conflict-[^/]*\.json$/;
+
+// Error codes double as i18n keys under "folderSync.errors."; `message` is the English fallback
+const ERROR_MESSAGES = {
+    directoryRequired: 'Choose a folder to sync with',
+    notFound: 'The folder {{directory}} does not exist',
+    notADirectory: '{{directory}} is not a folder',
+    notWritable: 'CogNotez cannot write to the folder {{directory}}',
+    unavailable: 'The sync folder {{directory}} is not available. Is the drive or network share connected?',
+    locked: '{{device}} is syncing with this folder. Try again in a moment.',
+    notConnected: 'No sync folder is set up'
+};
+
+class FolderSyncError extends Error {
+    /**
+     * @param {string} code - Error code (see ERROR_MESSAGES)
+     * @param {Object} params - { directory, device }
+     */
+    constructor(code, params = {}) {
+        const message = ERROR_MESSAGES[code].replace(/\{\{(\w+)\}\}/g, (_, key) =>
+            params[key] !== undefined ? String(params[key]) : '');
+        super(message);
+        this.name = 'FolderSyncError';
+        this.code = code;
+        this.params = params;
+    }
+}
+
+/**
+ * @param {string} directory
+ * @throws {FolderSyncError} directoryRequired, notFound, notADirectory or notWritable
+ */
+async function checkDirectory(directory) {
+    if (!directory || !path.isAbsolute(directory)) throw new FolderSyncError('directoryRequired');
+
+    let stat;
+    try {
+        stat = await fs.stat(directory);
+    } catch (error) {
+        throw new FolderSyncError('notFound', { directory });
+    }
+    if (!stat.isDirectory()) throw new FolderSyncError('notADirectory', { directory });
+
+    const probePath = path.join(directory, `.cognotez-write-test-${process.pid}`);
+    try {
+        await fs.writeFile(probePath, '');
+        await fs.unlink(probePath);
+    } catch (error) {
+        throw new FolderSyncError('notWritable', { directory });
+    }
+}
+
+// Write to a temporary file next to the target and rename it over the target
+async function writeFileAtomic(filePath, data) {
+    const tempPath = path.join(path.dirname(filePath), `.${path.basename(filePath)}.${process.pid}.tmp`);
+    await fs.writeFile(tempPath, data);
+    await fs.rename(tempPath, filePath);
+}
+
+class FolderSyncConnection {
+    /**
+     * @param {string} directory - The open workspace's directory (see workspace-registry.js)
+     */
+    constructor(directory) {
+        this.settingsPath = path.join(directory, SETTINGS_FILE);
+        this.directory = null; // The folder synced with
+        this.isAuthenticated = false; // Named as on the other providers' auth managers
+
+        this._initPromise = this.initialize();
+    }
+
+    async initialize() {
+        try {
+            const saved = JSON.parse(await fs.readFile(this.settingsPath, 'utf8'));
+            if (saved && saved.directory) {
+                // Kept even when the folder is missing now; a share mounted later is picked up
+                this.directory = saved.directory;
+                this.isAuthenticated = true;
+                console.log('[FolderSync] Syncing with', this.directory);
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn('[FolderSync] Could not read the folder sync settings:', error.message);
+            }
+        }
+    }
+
+    /**
+     * @param {{directory: string}} settings
+     * @throws {FolderSyncError} directoryRequired, notFound, notADirectory or notWritable
+     */
+    async connect({ directory }) {
+        const resolved = directory ? path.resolve(String(directory).trim()) : '';
+        await checkDirectory(resolved);
+
+        await fs.mkdir(path.dirname(this.settingsPath), { recursive: true });
+        await fs.writeFile(this.settingsPath, JSON.stringify({ directory: resolved }, null, 2), 'utf8');
+        this.directory = resolved;
+        this.isAuthenticated = true;
+        console.log('[FolderSync] Syncing with', resolved);
+    }
+
+    async disconnect() {
+        try {
+            await fs.unlink(this.settingsPath);
+        } catch (error) {
+            if (error.code !== 'ENOENT') console.warn('[FolderSync] Could not remove the folder sync settings:', error.message);
+        }
+        this.directory = null;
+        this.isAuthenticated = false;
+        console.log('[FolderSync] Disconnected');
+    }
+
+    getAuthStatus() {
+        return {
+            isAuthenticated: this.isAuthenticated,
+            directory: this.directory
+        };
+    }
+}
+
+class FolderSyncManager extends SyncManager {
+    /**
+     * @param {FolderSyncConnection} connection
+     * @param {Object|null} encryptionSettings
+     * @param {Object} [options] - See SyncManager; appFolderName is the sync folder
+     *   inside the chosen directory
+     */
+    constructor(connection, encryptionSettings = null, options = {}) {
+        super(connection, encryptionSettings, options);
+        // Calls of withLock() take turns through lockQueue; lockContext tells a nested call
+        // (uploadData() within sync()) from one that overlaps from elsewhere
+        this.lockQueue = Promise.resolve();
+        this.lockContext = new AsyncLocalStorage();
+        this.lockToken = null;
+        this.lockHeartbeat = null;
+        this.mergedConflictCopies = []; // Paths of conflict copies in the last download
+    }
+
+    async initialize() {
+        try {
+            await this.ensureInitialized();
+            console.log('[FolderSync] Initialized successfully');
+        } catch (error) {
+            console.error('[FolderSync] Initialization failed:', error.message);
+        }
+    }
+
+    // Checked on every use: a share that is not mounted must never be recreated on the local disk
+    async ensureInitialized() {
+        if (!this.authManager || !this.authManager.isAuthenticated) {
+            throw new FolderSyncError('notConnected');
+        }
+        const directory = this.authManager.directory;
+        try {
+            if (!(await fs.stat(directory)).isDirectory()) throw new Error('Not a directory');
+        } catch (error) {
+            this.initialized = false;
+            const unavailableError = new FolderSyncError('unavailable', { directory });
+            unavailableError.isOffline = true;
+            throw unavailableError;
+        }
+
+        if (!this.initialized) {
+            await this.ensureAppFolder();
+            this.initialized = true;
+        }
+        return this.initialized;
+    }
+
+    getAppFolderPath() {
+        return path.join(this.authManager.directory, this.appFolderName);
+    }
+
+    getDataFilePath(fileName = this.backupFileName) {
+        return path.join(this.getAppFolderPath(), fileName);
+    }
+
+    getMediaFilePath(fileName) {
+        return path.join(this.getAppFolderPath(), 'media', path.basename(fileName));
+    }
+
+    getObjectPath(name) {
+        return path.join(this.getAppFolderPath(), 'objects', path.basename(name));
+    }
+
+    async ensureAppFolder() {
+        await fs.mkdir(this.getAppFolderPath(), { recursive: true });
+        this.appFolderId = this.appFolderName;
+        return true;
+    }
+
+    async getMediaFolderId() {
+        if (!this.mediaFolderId) {
+            await fs.mkdir(path.join(this.getAppFolderPath(), 'media'), { recursive: true });
+            this.mediaFolderId = path.join(this.appFolderName, 'media');
+        }
+        return this.mediaFolderId;
+    }
+
+    async getObjectsFolderId() {
+        if (!this.objectsFolderId) {
+            await fs.mkdir(path.join(this.getAppFolderPath(), 'objects'), { recursive: true });
+            this.objectsFolderId = path.join(this.appFolderName, 'objects');
+        }
+        return this.objectsFolderId;
+    }
+
+    // =====================================================
+    // Lock file
+    // =====================================================
+
+    /**
+     * Take the sync folder's lock, waiting for another device to finish
+     * @throws {FolderSyncError} locked, when the other device still holds it after LOCK_WAIT_MS
+     */
+    async acquireLock() {
+        const lockPath = path.join(this.getAppFolderPath(), LOCK_FILE);
+        const token = crypto.randomBytes(8).toString('hex');
+        const deadline = Date.now() + LOCK_WAIT_MS;
+        let owner = null;
+
+        while (true) {
+            try {
+                await fs.writeFile(lockPath, JSON.stringify({
+                    token,
+                    device: os.hostname(),
+                    created: new Date().toISOString()
+                }), { flag: 'wx' });
+                break;
+            } catch (error) {
+                if (error.code !== 'EEXIST') throw error;
+            }
+
+            try {
+                const stat = await fs.stat(lockPath);
+                if (Date.now() - stat.mtimeMs > LOCK_STALE_MS) {
+                    await this.removeStaleLock(lockPath);
+                    continue;
+                }
+                owner = JSON.parse(await fs.readFile(lockPath, 'utf8')).device || owner;
+            } catch (error) {
+                // Released or half-written meanwhile; try again
+            }
+
+            if (Date.now() >= deadline) {
+                throw new FolderSyncError('locked', { device: owner || 'Another device' });
+            }
+            await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+        }
+
+        this.lockToken = token;
+        this.lockHeartbeat = setInterval(() => {
+            const now = new Date();
+            fs.utimes(lockPath, now, now).catch(() => { });
+        }, LOCK_HEARTBEAT_MS);
+        if (this.lockHeartbeat.unref) this.lockHeartbeat.unref();
+    }
+
+    /**
+     * Move a lock that was left alone for LOCK_STALE_MS out of the way. Renaming is atomic, so
+     * of two devices that find it stale only one moves it; the other then moves the fresh lock
+     * the first one took meanwhile, sees that it is fresh and puts it back.
+     * @param {string} lockPath
+     */
+    async removeStaleLock(lockPath) {
+        const movedPath = `${lockPath}.${crypto.randomBytes(8).toString('hex')}.stale`;
+        try {
+            await fs.rename(lockPath, movedPath);
+        } catch (error) {
+            // Released or moved by another device meanwhile
+            if (error.code === 'ENOENT') return;
+            throw error;
+        }
+
+        const stat = await fs.stat(movedPath);
+        if (Date.now() - stat.mtimeMs > LOCK_STALE_MS) {
+            console.warn('[FolderSync] Removed a stale lock from', new Date(stat.mtimeMs).toISOString());
+        } else {
+            // Linking fails when yet another lock was taken meanwhile, which then stays
+            await fs.link(movedPath, lockPath).catch(error => {
+                if (error.code !== 'EEXIST') return fs.rename(movedPath, lockPath);
+            });
+        }
+        await fs.unlink(movedPath).catch(() => { });
+    }
+
+    // Only removes the lock while it is still this manager's
+    async releaseLock() {
+        clearInterval(this.lockHeartbeat);
+        this.lockHeartbeat = null;
+        const lockPath = path.join(this.getAppFolderPath(), LOCK_FILE);
+        try {
+            const lock = JSON.parse(await fs.readFile(lockPath, 'utf8'));
+            if (lock.token === this.lockToken) await fs.unlink(lockPath);
+        } catch (error) {
+            if (error.code !== 'ENOENT') console.warn('[FolderSync] Could not release the lock:', error.message);
+        }
+        this.lockToken = null;
+    }
+
+    // Re-entrant, so uploadData() within sync() runs under sync()'s lock; overlapping calls
+    // (a sync and an upload started from the window) wait for each other
+    async withLock(fn) {
+        if (this.lockContext.getStore()) return fn();
+
+        const run = this.lockQueue.then(async () => {
+            await this.ensureInitialized();
+            await this.acquireLock();
+            try {
+                return await this.lockContext.run(true, fn);
+            } finally {
+                await this.releaseLock();
+            }
+        });
+        this.lockQueue = run.catch(() => { });
+        return run;
+    }
+
+    async sync(options = {}) {
+        return this.withLock(() => super.sync(options));
+    }
+
+    // =====================================================
+    // Sync file
+    // =====================================================
+
+    async findRemoteFile() {
+        try {
+            await this.ensureInitialized();
+            const filePath = this.getDataFilePath();
+            const stat = await fs.stat(filePath);
+            this.syncMetadata.remoteFileId = filePath;
+            return { id: filePath, name: this.backupFileName, modifiedTime: stat.mtime.toISOString(), size: stat.size };
+        } catch (error) {
+            if (error.code !== 'ENOENT') console.error('[FolderSync] Failed to find remote file:', error.message);
+            this.syncMetadata.remoteFileId = null;
+            return null;
+        }
+    }
+
+    /**
+     * Syncthing keeps modification times, so the revision is a hash of the content instead
+     * @returns {Promise<string>}
+     */
+    async getRemoteRevision() {
+        const content = await fs.readFile(this.getDataFilePath());
+        return crypto.createHash('sha256').update(content).digest('hex');
+    }
+
+    /**
+     * @param {Object} data
+     * @param {Object} [options] - expectedRemoteModifiedTime is the revision (getRemoteRevision())
+     *   the sync file must still have; see SyncManager.uploadData() for the rest
+     */
+    async uploadData(data, options = {}) {
+        return this.withLock(async () => {
+            const filePath = this.getDataFilePath(options.filename);
+
+            // A device that does not take the lock (an older CogNotez, or a Syncthing copy that
+            // arrived meanwhile) may still have replaced the file
+            if (options.expectedRemoteModifiedTime) {
+                let currentRevision = null;
+                try {
+                    currentRevision = await this.getRemoteRevision();
+                } catch (error) {
+                    if (error.code !== 'ENOENT') throw error;
+                }
+                if (currentRevision !== options.expectedRemoteModifiedTime) {
+                    console.warn('[FolderSync] Version conflict detected, the sync file changed since it was read');
+                    const conflictError = new Error('Version conflict: another device synced since last download');
+                    conflictError.versionConflict = true;
+                    throw conflictError;
+                }
+            }
+
+            const { jsonData, checksum, syncVersion } = this.encodeSyncData(data, options);
+            await writeFileAtomic(filePath, jsonData);
+
+            // Their content is in the data just written
+            for (const copyPath of this.mergedConflictCopies) {
+                await fs.unlink(copyPath).catch(() => { });
+            }
+            this.mergedConflictCopies = [];
+
+            this.syncMetadata.remoteFileId = filePath;
+            this.syncMetadata.lastSync = new Date().toISOString();
+            this.syncMetadata.lastSyncVersion = data.metadata?.version || '1.0';
+            this.syncMetadata.remoteChecksum = checksum;
+            console.log('[FolderSync] Upload successful, syncVersion:', syncVersion);
+
+            return {
+                success: true,
+                fileId: filePath,
+                checksum: checksum,
+                size: Buffer.byteLength(jsonData),
+                modifiedTime: crypto.createHash('sha256').update(jsonData).digest('hex'),
+                syncVersion: syncVersion
+            };
+        });
+    }
+
+    async downloadData() {
+        await this.ensureInitialized();
+        if (!this.syncMetadata.remoteFileId) {
+            throw new Error('No remote data file to download');
+        }
+
+        let jsonData;
+        try {
+            jsonData = await fs.readFile(this.syncMetadata.remoteFileId, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') this.syncMetadata.remoteFileId = null;
+            throw error;
+        }
+
+        const downloadResult = this.decodeSyncData(jsonData);
+        console.log('[FolderSync] Download successful, size:', downloadResult.size);
+        return downloadResult;
+    }
+
+    // Conflict copies are manifests as well, so they are merged once the objects are read
+    async downloadSyncData(localData = null) {
+        const downloadResult = await super.downloadSyncData(localData);
+        if (!downloadResult.legacy) await this.mergeConflictCopies(downloadResult, localData);
+        return downloadResult;
+    }
+
+    /**
+     * Fold Syncthing's conflict copies of the sync file into the downloaded data, with the same
+     * merge as two devices' data. Nothing is inferred as deleted, since neither copy is local.
+     * @param {Object} downloadResult - downloadSyncData() result, updated in place
+     * @param {Object|null} localData - See SyncManager.assembleSyncData()
+     */
+    async mergeConflictCopies(downloadResult, localData = null) {
+        const names = (await fs.readdir(this.getAppFolderPath())).filter(name => CONFLICT_COPY_PATTERN.test(name));
+        this.mergedConflictCopies = [];
+
+        for (const name of names) {
+            const copyPath = path.join(this.getAppFolderPath(), name);
+            const copy = await this.assembleSyncData(this.decodeSyncData(await fs.readFile(copyPath, 'utf8')), localData);
+            const { mergedData } = await this.resolveConflicts(downloadResult.data, copy.data, 'merge');
+            // Keep the higher sync version, so every device sees the merge as new
+            mergedData._syncMeta = (copy.data._syncMeta?.syncVersion || 0) > (downloadResult.data._syncMeta?.syncVersion || 0)
+                ? copy.data._syncMeta
+                : downloadResult.data._syncMeta;
+            downloadResult.data = mergedData;
+            this.mergedConflictCopies.push(copyPath);
+            console.log('[FolderSync] Merged conflict copy:', name);
+        }
+    }
+
+    async deleteRemoteData() {
+        try {
+            if (!this.syncMetadata.remoteFileId) return false;
+            await this.withLock(() => fs.unlink(this.syncMetadata.remoteFileId));
+            this.syncMetadata.remoteFileId = null;
+            return true;
+        } catch (error) {
+            console.error('[FolderSync] Failed to delete remote data:', error.message);
+            return false;
+        }
+    }
+
+    // =====================================================
+    // Media files, addressed by name, which is also their id here
+    // =====================================================
+
+    /**
+     * @returns {Promise<Array<{id: string, name: string, size: string, modifiedTime: string}>>}
+     *   In the shape of Google Drive's file list
+     */
+    async listMediaFiles() {
+        await this.ensureInitialized();
+        const mediaDirectory = path.join(this.getAppFolderPath(), 'media');
+        await this.getMediaFolderId();
+
+        const files = [];
+        for (const name of await fs.readdir(mediaDirectory)) {
+            if (name.startsWith('.')) continue; // Temporary files of writes in progress
+            const stat = await fs.stat(path.join(mediaDirectory, name));
+            if (!stat.isFile()) continue;
+            files.push({ id: name, name, size: String(stat.size), modifiedTime: stat.mtime.toISOString() });
+        }
+        return files;
+    }
+
+    async uploadMediaFile(fileName, fileData, mtime = null) {
+        await this.ensureInitialized();
+        await this.getMediaFolderId();
+        const filePath = this.getMediaFilePath(fileName);
+        await writeFileAtomic(filePath, fileData);
+        if (mtime) {
+            const modified = new Date(mtime);
+            await fs.utimes(filePath, modified, modified);
+        }
+        console.log('[FolderSync] Copied media file:', fileName);
+        return true;
+    }
+
+    async downloadMediaFile(fileId) {
+        await this.ensureInitialized();
+        return fs.readFile(this.getMediaFilePath(fileId));
+    }
+
+    async deleteMediaFile(fileId) {
+        await this.ensureInitialized();
+        try {
+            await fs.unlink(this.getMediaFilePath(fileId));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+        console.log('[FolderSync] Deleted media file:', fileId);
+        return true;
+    }
+
+    // =====================================================
+    // Per-item objects, addressed by name as well
+    // =====================================================
+
+    async listSyncObjects() {
+        await this.ensureInitialized();
+        await this.getObjectsFolderId();
+        const objectsDirectory = path.join(this.getAppFolderPath(), 'objects');
+
+        const objects = [];
+        for (const name of await fs.readdir(objectsDirectory)) {
+            if (name.startsWith('.')) continue; // Temporary files of writes in progress
+            const stat = await fs.stat(path.join(objectsDirectory, name));
+            if (!stat.isFile()) continue;
+            objects.push({ id: name, name, modifiedTime: stat.mtime.toISOString() });
+        }
+        return objects;
+    }
+
+    async uploadSyncObject(name, content) {
+        await this.ensureInitialized();
+        await this.getObjectsFolderId();
+        await writeFileAtomic(this.getObjectPath(name), content);
+    }
+
+    async downloadSyncObject(objectId) {
+        await this.ensureInitialized();
+        return fs.readFile(this.getObjectPath(objectId), 'utf8');
+    }
+
+    async deleteSyncObject(objectId) {
+        await this.ensureInitialized();
+        try {
+            await fs.unlink(this.getObjectPath(objectId));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+    }
+
+    _formatSyncErrorMessage(error) {
+        if (error && error.name === 'FolderSyncError') {
+            // The main process has no translations, so it keeps the English message
+            return typeof window !== 'undefined' && window.i18n
+                ? window.i18n.t(`folderSync.errors.${error.code}`, error.params)
+                : error.message;
+        }
+        return super._formatSyncErrorMessage(error);
+    }
+}
+
+module.exports = {
+    FolderSyncError,
+    FolderSyncConnection,
+    FolderSyncManager
+};
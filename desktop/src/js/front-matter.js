@@ -0,0 +1,154 @@
+// YAML front matter for markdown export and import
+// Handles the flat subset notes use: `key: scalar`, inline lists (`key: [a, b]`) and block
+// lists (`- item` lines under `key:`). Nested maps and multi-line strings are not supported;
+// lines that cannot be read are skipped.
+
+const FRONT_MATTER_PATTERN = /^\uFEFF?---[ \t]*\r?\n(?:([\s\S]*?)\r?\n)?(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/;
+const KEY_VALUE_PATTERN = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s#'"-][^:]*?|-[^\s:][^:]*?)\s*:(?:\s+(.*))?$/;
+const NUMBER_PATTERN = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+
+/**
+ * Split markdown into its front matter and body
+ * @param {string} text
+ * @returns {{data: Object|null, body: string}} data is null when there is no front matter
+ */
+function parseFrontMatter(text) {
+    const match = FRONT_MATTER_PATTERN.exec(text || '');
+    if (!match) return { data: null, body: text || '' };
+
+    const data = {};
+    let listKey = null; // Key whose block list is being read
+    for (const line of (match[1] || '').split(/\r?\n/)) {
+        const trimmed = line.trim();
+        if (!trimmed || trimmed.startsWith('#')) continue;
+
+        if (listKey !== null && /^-(\s|$)/.test(trimmed)) {
+            const item = parseScalar(trimmed.slice(1).trim());
+            if (data[listKey] === null) data[listKey] = [];
+            if (item !== null) data[listKey].push(item);
+            continue;
+        }
+        listKey = null;
+
+        // Only top-level keys; indented lines belong to structures we do not read
+        if (/^\s/.test(line)) continue;
+        const pair = KEY_VALUE_PATTERN.exec(trimmed);
+        if (!pair) continue;
+
+        const key = parseScalar(pair[1]);
+        const rawValue = pair[2] === undefined ? '' : stripComment(pair[2]);
+        if (rawValue === '') {
+            // Either an empty value or the start of a block list
+            data[key] = null;
+            listKey = key;
+        } else {
+            data[key] = parseValue(rawValue);
+        }
+    }
+
+    return { data, body: text.slice(match[0].length).replace(/^\r?\n/, '') };
+}
+
+function parseValue(raw) {
+    if (raw.startsWith('[') && raw.endsWith(']')) {
+        return splitInlineList(raw.slice(1, -1))
+            .map(item => parseScalar(item.trim()))
+            .filter(item => item !== null);
+    }
+    return parseScalar(raw);
+}
+
+// Split "a, 'b, c', d" on the commas outside quotes
+function splitInlineList(text) {
+    const items = [];
+    let current = '';
+    let quote = null;
+    for (const char of text) {
+        if (quote) {
+            if (char === quote) quote = null;
+            current += char;
+        } else if (char === '"' || char === '\'') {
+            quote = char;
+            current += char;
+        } else if (char === ',') {
+            items.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    if (current.trim()) items.push(current);
+    return items;
+}
+
+function stripComment(raw) {
+    const text = raw.trim();
+    if (text.startsWith('"') || text.startsWith('\'')) return text;
+    const comment = text.search(/\s#/);
+    return comment === -1 ? text : text.slice(0, comment).trim();
+}
+
+function parseScalar(raw) {
+    const text = raw.trim();
+    if (text === '' || text === '~' || text === 'null') return null;
+    if (text === 'true') return true;
+    if (text === 'false') return false;
+    if (text.startsWith('"') && text.endsWith('"') && text.length >= 2) {
+        try {
+            return JSON.parse(text);
+        } catch (_) {
+            return text.slice(1, -1);
+        }
+    }
+    if (text.startsWith('\'') && text.endsWith('\'') && text.length >= 2) {
+        return text.slice(1, -1).replace(/''/g, '\'');
+    }
+    if (NUMBER_PATTERN.test(text)) return Number(text);
+    return text;
+}
+
+/**
+ * Serialize a flat object as a front matter block, including the closing "---" line
+ * @param {Object} data - Values may be strings, numbers, booleans, null or arrays of those
+ * @returns {string}
+ */
+function stringifyFrontMatter(data) {
+    const lines = ['---'];
+    for (const [key, value] of Object.entries(data)) {
+        if (value === undefined) continue;
+        const name = formatScalar(key);
+        if (Array.isArray(value)) {
+            if (value.length === 0) {
+                lines.push(`${name}: []`);
+            } else {
+                lines.push(`${name}:`);
+                value.forEach(item => lines.push(`  - ${formatScalar(item)}`));
+            }
+        } else {
+            lines.push(value === null ? `${name}:` : `${name}: ${formatScalar(value)}`);
+        }
+    }
+    lines.push('---');
+    return lines.join('\n') + '\n';
+}
+
+function formatScalar(value) {
+    if (value === null) return 'null';
+    if (typeof value === 'boolean' || typeof value === 'number') return String(value);
+
+    const text = String(value);
+    // Quote anything a YAML reader would not give back as the same plain string
+    const needsQuotes = text === '' ||
+        text !== text.trim() ||
+        /[\n\r\t]/.test(text) ||
+        /^[-?:,[\]{}#&*!|>'"%@`]/.test(text) ||
+        /: |:$| #/.test(text) ||
+        /^(true|false|null|~|yes|no|on|off)$/i.test(text) ||
+        NUMBER_PATTERN.test(text);
+    return needsQuotes ? JSON.stringify(text) : text;
+}
+
+module.exports = {
+    parseFrontMatter,
+    stringifyFrontMatter
+};
@@ -6,7 +6,12 @@ const fs = require('fs').promises;
 const path = require('path');
 
 class GoogleAuthManager {
-    constructor() {
+    /**
+     * @param {string|null} directory - Where the credentials and tokens are kept: the open
+     *   workspace's directory (see workspace-registry.js), or userData when not given
+     */
+    constructor(directory = null) {
+        this.directory = directory;
         this.oauth2Client = null;
         this.isAuthenticated = false;
         this.tokens = null;
@@ -45,6 +50,8 @@ class GoogleAuthManager {
     }
 
     async getUserDataPath() {
+        if (this.directory) return this.directory;
+
         // Get the user data directory from Electron
         // Use different methods for main vs renderer process
         if (typeof window !== 'undefined') {
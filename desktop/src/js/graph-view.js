@@ -0,0 +1,570 @@
+// Graph View Manager
+// Draws notes as a force-directed graph, connected by [[wiki links]] and shared tags.
+// Layout and drawing happen here on a plain canvas, so the view works fully offline.
+
+const { t } = require('./shared');
+
+// Force layout tuning, in graph units (1 unit = 1 CSS pixel at 100% zoom)
+const LAYOUT = {
+    repulsion: 2400,
+    repulsionRange: 600,
+    linkDistance: 80,
+    linkStrength: 0.05,
+    tagDistance: 140,
+    tagStrength: 0.01,
+    gravity: 0.015,
+    damping: 0.82,
+    alphaDecay: 0.985,
+    alphaMin: 0.004
+};
+const MIN_ZOOM = 0.15;
+const MAX_ZOOM = 4;
+const CLICK_TOLERANCE = 4; // Pointer travel (px) below which a drag counts as a click
+const LABEL_MAX_LENGTH = 28;
+
+class GraphViewManager {
+    constructor(app) {
+        this.app = app;
+        this.folder = 'all';
+        this.showTagEdges = localStorage.getItem('graphShowTagEdges') !== 'false';
+        this.view = null; // Canvas, layout and pointer state while the graph is open
+    }
+
+    get db() {
+        return this.app.notesManager && this.app.notesManager.db && this.app.notesManager.db.initialized
+            ? this.app.notesManager.db
+            : null;
+    }
+
+    async showGraphView() {
+        if (!this.db) return;
+
+        // Save pending edits so links typed in the open note show up
+        if (this.app.notesManager.hasUnsavedChanges()) {
+            await this.app.saveCurrentNote(true);
+        }
+
+        this.destroy();
+        const folder = this.app.currentFolder;
+        this.folder = folder && folder !== 'trash' && folder !== 'archive' ? folder : 'all';
+
+        const content = `
+            <div class="graph-view">
+                <div class="graph-toolbar">
+                    <select id="graph-folder-select" class="graph-folder-select" title="${this.app.escapeHtml(t('graph.folder', 'Show notes from'))}">
+                        ${this.renderFolderOptions()}
+                    </select>
+                    <label class="graph-option">
+                        <input type="checkbox" id="graph-tag-edges"${this.showTagEdges ? ' checked' : ''}>
+                        <span>${this.app.escapeHtml(t('graph.showTagEdges', 'Connect notes with shared tags'))}</span>
+                    </label>
+                    <button id="graph-fit-btn" class="btn-secondary graph-fit-btn">
+                        <i class="fas fa-expand"></i> ${this.app.escapeHtml(t('graph.fit', 'Fit to view'))}
+                    </button>
+                </div>
+                <div id="graph-canvas-container" class="graph-canvas-container">
+                    <canvas id="graph-canvas" class="graph-canvas"></canvas>
+                    <div id="graph-empty" class="graph-empty hidden">${this.app.escapeHtml(t('graph.empty', 'No notes to show'))}</div>
+                    <div id="graph-tooltip" class="graph-tooltip hidden"></div>
+                </div>
+                <div class="graph-legend">
+                    <span class="graph-legend-item"><span class="graph-legend-line"></span>${this.app.escapeHtml(t('graph.legendLink', 'Link'))}</span>
+                    <span class="graph-legend-item"><span class="graph-legend-line tag"></span>${this.app.escapeHtml(t('graph.legendTag', 'Shared tag'))}</span>
+                    <span class="graph-legend-item"><span class="graph-legend-dot orphan"></span><span id="graph-orphan-count"></span></span>
+                    <span class="graph-hint">${this.app.escapeHtml(t('graph.hint', 'Click a note to open it. Drag to move, scroll to zoom.'))}</span>
+                </div>
+            </div>
+        `;
+
+        const modal = this.app.createModal(t('graph.title', 'Graph View'), content);
+        modal.classList.add('graph-modal');
+        modal.querySelector('.modal-content').style.maxWidth = '1100px';
+
+        const canvas = modal.querySelector('#graph-canvas');
+        this.view = {
+            modal,
+            canvas,
+            ctx: canvas.getContext('2d'),
+            container: modal.querySelector('#graph-canvas-container'),
+            tooltip: modal.querySelector('#graph-tooltip'),
+            nodes: [],
+            edges: [],
+            neighbors: new Map(), // node id -> Set of connected node ids
+            width: 0,
+            height: 0,
+            scale: 1,
+            offsetX: 0,
+            offsetY: 0,
+            alpha: 1,
+            frame: null,
+            fitPending: true, // Fit the first finished layout into the canvas
+            hovered: null,
+            pointer: null, // { mode: 'node' | 'pan', node, startX, startY, lastX, lastY, moved }
+            colors: this.readThemeColors(),
+            fontFamily: getComputedStyle(document.body).fontFamily || 'sans-serif'
+        };
+
+        modal.querySelector('#graph-folder-select').addEventListener('change', (e) => {
+            this.folder = e.target.value;
+            this.loadGraph();
+        });
+        modal.querySelector('#graph-tag-edges').addEventListener('change', (e) => {
+            this.showTagEdges = e.target.checked;
+            localStorage.setItem('graphShowTagEdges', this.showTagEdges.toString());
+            this.loadGraph();
+        });
+        modal.querySelector('#graph-fit-btn').addEventListener('click', () => this.fitToView());
+        this.setupPointerHandlers(canvas);
+
+        this.view.resizeObserver = new ResizeObserver(() => this.resizeCanvas());
+        this.view.resizeObserver.observe(this.view.container);
+        this.resizeCanvas();
+        this.loadGraph();
+    }
+
+    renderFolderOptions() {
+        const option = (value, label) =>
+            `<option value="${this.app.escapeHtml(value)}"${value === this.folder ? ' selected' : ''}>${this.app.escapeHtml(label)}</option>`;
+
+        let html = option('all', t('sidebar.allNotes', 'All Notes')) + option('untagged', t('sidebar.untagged', 'Untagged'));
+
+        const tags = this.db.getAllTags();
+        if (tags.length > 0) {
+            html += `<optgroup label="${this.app.escapeHtml(t('sidebar.tags', 'Tags'))}">`;
+            html += tags.map(tag => option(tag.id, tag.name)).join('');
+            html += '</optgroup>';
+        }
+
+        const savedSearches = this.db.getSavedSearches();
+        if (savedSearches.length > 0) {
+            html += `<optgroup label="${this.app.escapeHtml(t('sidebar.smartFolders', 'Smart Folders'))}">`;
+            html += savedSearches.map(search => option(`saved-search:${search.id}`, search.name)).join('');
+            html += '</optgroup>';
+        }
+
+        return html;
+    }
+
+    // Build the nodes and edges for the selected folder, keeping positions of notes already placed
+    loadGraph() {
+        const view = this.view;
+        if (!view) return;
+
+        let noteIds = null;
+        if (this.folder !== 'all') {
+            try {
+                noteIds = this.app.notesManager.filterNotesByFolder(this.db.getAllNotes(), this.folder).map(note => note.id);
+            } catch (error) {
+                console.warn('[Graph] Failed to filter notes by folder:', error);
+                this.app.showNotification(t('graph.folderFailed', 'Could not load the notes of this folder'), 'warning');
+                noteIds = [];
+            }
+        }
+
+        const graph = this.db.getNoteGraph(noteIds);
+        const previous = new Map(view.nodes.map(node => [node.id, node]));
+        const currentId = this.app.currentNote ? this.app.currentNote.id : null;
+
+        view.nodes = graph.nodes.map((node, index) => {
+            const placed = previous.get(node.id);
+            // New notes start on a sunflower spiral so no two share a position
+            const angle = index * 2.39996;
+            const radius = 12 * Math.sqrt(index + 1);
+            return {
+                ...node,
+                current: node.id === currentId,
+                degree: 0,
+                x: placed ? placed.x : Math.cos(angle) * radius,
+                y: placed ? placed.y : Math.sin(angle) * radius,
+                vx: 0,
+                vy: 0
+            };
+        });
+
+        const byId = new Map(view.nodes.map(node => [node.id, node]));
+        view.neighbors = new Map(view.nodes.map(node => [node.id, new Set()]));
+        view.edges = graph.edges
+            .filter(edge => edge.link || (this.showTagEdges && edge.tags.length > 0))
+            .map(edge => ({ ...edge, source: byId.get(edge.source), target: byId.get(edge.target) }));
+        for (const edge of view.edges) {
+            edge.source.degree++;
+            edge.target.degree++;
+            view.neighbors.get(edge.source.id).add(edge.target.id);
+            view.neighbors.get(edge.target.id).add(edge.source.id);
+        }
+
+        const orphanCount = view.nodes.filter(node => node.orphan).length;
+        view.modal.querySelector('#graph-orphan-count').textContent = t('graph.orphans', { count: orphanCount });
+        view.modal.querySelector('#graph-empty').classList.toggle('hidden', view.nodes.length > 0);
+
+        view.hovered = null;
+        this.hideTooltip();
+        this.restartLayout(1);
+    }
+
+    // =====================================================
+    // Layout
+    // =====================================================
+
+    restartLayout(alpha) {
+        const view = this.view;
+        if (!view) return;
+        view.alpha = Math.max(view.alpha, alpha);
+        if (view.frame === null) {
+            view.frame = requestAnimationFrame(() => this.animate());
+        }
+    }
+
+    animate() {
+        const view = this.view;
+        if (!view) return;
+        if (!view.canvas.isConnected) {
+            this.destroy();
+            return;
+        }
+
+        this.stepLayout();
+        this.draw();
+
+        if (view.alpha > LAYOUT.alphaMin || view.pointer) {
+            view.frame = requestAnimationFrame(() => this.animate());
+        } else {
+            view.frame = null;
+            if (view.fitPending) {
+                view.fitPending = false;
+                this.fitToView();
+            }
+        }
+    }
+
+    stepLayout() {
+        const { nodes, edges } = this.view;
+        const alpha = this.view.alpha;
+        const range2 = LAYOUT.repulsionRange * LAYOUT.repulsionRange;
+
+        // Every pair of nodes pushes apart, nearby pairs the hardest
+        for (let i = 0; i < nodes.length; i++) {
+            const a = nodes[i];
+            for (let j = i + 1; j < nodes.length; j++) {
+                const b = nodes[j];
+                let dx = b.x - a.x;
+                let dy = b.y - a.y;
+                let distance2 = dx * dx + dy * dy;
+                if (distance2 > range2) continue;
+                if (distance2 < 0.01) {
+                    dx = (i - j) * 0.1;
+                    dy = 0.1;
+                    distance2 = dx * dx + dy * dy;
+                }
+                const distance = Math.sqrt(distance2);
+                const force = LAYOUT.repulsion * alpha / distance2;
+                const fx = dx / distance * force;
+                const fy = dy / distance * force;
+                a.vx -= fx;
+                a.vy -= fy;
+                b.vx += fx;
+                b.vy += fy;
+            }
+        }
+
+        // Edges pull towards their rest length; links hold tighter than shared tags
+        for (const edge of edges) {
+            const { source, target } = edge;
+            const dx = target.x - source.x;
+            const dy = target.y - source.y;
+            const distance = Math.sqrt(dx * dx + dy * dy) || 0.01;
+            const restLength = edge.link ? LAYOUT.linkDistance : LAYOUT.tagDistance;
+            const strength = edge.link ? LAYOUT.linkStrength : LAYOUT.tagStrength;
+            const force = (distance - restLength) * strength * alpha;
+            const fx = dx / distance * force;
+            const fy = dy / distance * force;
+            source.vx += fx;
+            source.vy += fy;
+            target.vx -= fx;
+            target.vy -= fy;
+        }
+
+        const dragged = this.view.pointer && this.view.pointer.mode === 'node' ? this.view.pointer.node : null;
+        for (const node of nodes) {
+            if (node === dragged) {
+                node.vx = 0;
+                node.vy = 0;
+                continue;
+            }
+            // A weak pull to the centre keeps unconnected notes from drifting away
+            node.vx = (node.vx - node.x * LAYOUT.gravity * alpha) * LAYOUT.damping;
+            node.vy = (node.vy - node.y * LAYOUT.gravity * alpha) * LAYOUT.damping;
+            node.x += node.vx;
+            node.y += node.vy;
+        }
+
+        this.view.alpha *= LAYOUT.alphaDecay;
+    }
+
+    // =====================================================
+    // Drawing
+    // =====================================================
+
+    readThemeColors() {
+        const style = getComputedStyle(document.body);
+        const color = (name, fallback) => style.getPropertyValue(name).trim() || fallback;
+        return {
+            node: color('--text-tertiary', '#94a3b8'),
+            current: color('--accent-color', '#bdabe3'),
+            orphan: color('--warning-color', '#f59e0b'),
+            link: color('--text-secondary', '#64748b'),
+            tag: color('--border-color', '#e2e8f0'),
+            label: color('--text-primary', '#1e293b'),
+            background: color('--bg-primary', '#ffffff')
+        };
+    }
+
+    resizeCanvas() {
+        const view = this.view;
+        if (!view) return;
+        const rect = view.container.getBoundingClientRect();
+        if (rect.width === 0 || rect.height === 0) return;
+
+        // Keep the graph centred when the container changes size
+        view.offsetX += (rect.width - view.width) / 2;
+        view.offsetY += (rect.height - view.height) / 2;
+        view.width = rect.width;
+        view.height = rect.height;
+
+        const ratio = window.devicePixelRatio || 1;
+        view.canvas.width = Math.round(rect.width * ratio);
+        view.canvas.height = Math.round(rect.height * ratio);
+        view.canvas.style.width = `${rect.width}px`;
+        view.canvas.style.height = `${rect.height}px`;
+        this.draw();
+    }
+
+    nodeRadius(node) {
+        return 4 + Math.min(Math.sqrt(node.degree) * 1.5, 8);
+    }
+
+    draw() {
+        const view = this.view;
+        if (!view || view.width === 0) return;
+        const { ctx, colors, scale, hovered } = view;
+        const ratio = window.devicePixelRatio || 1;
+        const focus = hovered ? view.neighbors.get(hovered.id) : null;
+        const inFocus = (node) => !hovered || node === hovered || focus.has(node.id);
+
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, view.width, view.height);
+        ctx.translate(view.offsetX, view.offsetY);
+        ctx.scale(scale, scale);
+
+        for (const edge of view.edges) {
+            const highlighted = hovered && (edge.source === hovered || edge.target === hovered);
+            ctx.globalAlpha = hovered && !highlighted ? 0.15 : (edge.link ? 0.8 : 0.6);
+            ctx.strokeStyle = highlighted ? colors.current : (edge.link ? colors.link : colors.tag);
+            ctx.lineWidth = (edge.link ? 1.5 : 1) / scale;
+            ctx.setLineDash(edge.link ? [] : [4 / scale, 4 / scale]);
+            ctx.beginPath();
+            ctx.moveTo(edge.source.x, edge.source.y);
+            ctx.lineTo(edge.target.x, edge.target.y);
+            ctx.stroke();
+        }
+        ctx.setLineDash([]);
+
+        const showAllLabels = scale >= 1.2 || view.nodes.length <= 30;
+        ctx.font = `${11 / scale}px ${view.fontFamily}`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+
+        for (const node of view.nodes) {
+            const radius = this.nodeRadius(node);
+            ctx.globalAlpha = inFocus(node) ? 1 : 0.2;
+            ctx.fillStyle = node.current ? colors.current : (node.orphan ? colors.orphan : colors.node);
+            ctx.beginPath();
+            ctx.arc(node.x, node.y, radius, 0, Math.PI * 2);
+            ctx.fill();
+
+            // Orphans get a ring so they stand out even next to the current note
+            if (node.orphan || node === hovered) {
+                ctx.strokeStyle = node === hovered ? colors.label : colors.orphan;
+                ctx.lineWidth = 1.5 / scale;
+                ctx.beginPath();
+                ctx.arc(node.x, node.y, radius + 3 / scale, 0, Math.PI * 2);
+                ctx.stroke();
+            }
+
+            if (showAllLabels || node.current || (hovered && inFocus(node))) {
+                const title = node.title || t('editor.untitledNoteTitle', 'Untitled Note');
+                ctx.fillStyle = colors.label;
+                ctx.fillText(title.length > LABEL_MAX_LENGTH ? title.slice(0, LABEL_MAX_LENGTH - 1) + '…' : title,
+                    node.x, node.y + radius + 3 / scale);
+            }
+        }
+        ctx.globalAlpha = 1;
+    }
+
+    fitToView() {
+        const view = this.view;
+        if (!view || view.nodes.length === 0 || view.width === 0) return;
+
+        const padding = 40;
+        const xs = view.nodes.map(node => node.x);
+        const ys = view.nodes.map(node => node.y);
+        const minX = Math.min(...xs);
+        const maxX = Math.max(...xs);
+        const minY = Math.min(...ys);
+        const maxY = Math.max(...ys);
+        const scale = Math.min(
+            (view.width - padding * 2) / Math.max(maxX - minX, 1),
+            (view.height - padding * 2) / Math.max(maxY - minY, 1)
+        );
+
+        view.scale = Math.min(Math.max(scale, MIN_ZOOM), 2);
+        view.offsetX = view.width / 2 - (minX + maxX) / 2 * view.scale;
+        view.offsetY = view.height / 2 - (minY + maxY) / 2 * view.scale;
+        this.draw();
+    }
+
+    // =====================================================
+    // Pointer interaction
+    // =====================================================
+
+    setupPointerHandlers(canvas) {
+        canvas.addEventListener('pointerdown', (e) => {
+            const view = this.view;
+            const node = this.nodeAt(e.offsetX, e.offsetY);
+            view.pointer = {
+                mode: node ? 'node' : 'pan',
+                node,
+                startX: e.offsetX,
+                startY: e.offsetY,
+                lastX: e.offsetX,
+                lastY: e.offsetY,
+                moved: false
+            };
+            canvas.setPointerCapture(e.pointerId);
+            this.hideTooltip();
+        });
+
+        canvas.addEventListener('pointermove', (e) => {
+            const view = this.view;
+            if (!view) return;
+            const pointer = view.pointer;
+
+            if (!pointer) {
+                this.updateHover(e.offsetX, e.offsetY);
+                return;
+            }
+
+            if (Math.hypot(e.offsetX - pointer.startX, e.offsetY - pointer.startY) > CLICK_TOLERANCE) {
+                pointer.moved = true;
+            }
+            if (pointer.mode === 'node') {
+                const [x, y] = this.toGraph(e.offsetX, e.offsetY);
+                pointer.node.x = x;
+                pointer.node.y = y;
+                this.restartLayout(0.3);
+            } else {
+                view.offsetX += e.offsetX - pointer.lastX;
+                view.offsetY += e.offsetY - pointer.lastY;
+                this.draw();
+            }
+            pointer.lastX = e.offsetX;
+            pointer.lastY = e.offsetY;
+        });
+
+        canvas.addEventListener('pointerup', (e) => {
+            const view = this.view;
+            if (!view || !view.pointer) return;
+            const { mode, node, moved } = view.pointer;
+            view.pointer = null;
+            canvas.releasePointerCapture(e.pointerId);
+
+            if (mode === 'node' && !moved) {
+                this.openNote(node.id);
+            } else {
+                this.updateHover(e.offsetX, e.offsetY);
+            }
+        });
+
+        canvas.addEventListener('pointerleave', () => {
+            if (this.view && !this.view.pointer && this.view.hovered) {
+                this.view.hovered = null;
+                this.hideTooltip();
+                this.draw();
+            }
+        });
+
+        canvas.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            const view = this.view;
+            const scale = Math.min(Math.max(view.scale * Math.exp(-e.deltaY * 0.0015), MIN_ZOOM), MAX_ZOOM);
+            // Zoom around the pointer
+            const [x, y] = this.toGraph(e.offsetX, e.offsetY);
+            view.scale = scale;
+            view.offsetX = e.offsetX - x * scale;
+            view.offsetY = e.offsetY - y * scale;
+            this.draw();
+        }, { passive: false });
+    }
+
+    toGraph(screenX, screenY) {
+        const view = this.view;
+        return [(screenX - view.offsetX) / view.scale, (screenY - view.offsetY) / view.scale];
+    }
+
+    nodeAt(screenX, screenY) {
+        const view = this.view;
+        const [x, y] = this.toGraph(screenX, screenY);
+        // Topmost (last drawn) node first
+        for (let i = view.nodes.length - 1; i >= 0; i--) {
+            const node = view.nodes[i];
+            const hitRadius = this.nodeRadius(node) + 3 / view.scale;
+            if ((node.x - x) ** 2 + (node.y - y) ** 2 <= hitRadius * hitRadius) return node;
+        }
+        return null;
+    }
+
+    updateHover(screenX, screenY) {
+        const view = this.view;
+        const node = this.nodeAt(screenX, screenY);
+        view.canvas.style.cursor = node ? 'pointer' : 'grab';
+        if (node !== view.hovered) {
+            view.hovered = node;
+            this.draw();
+        }
+
+        if (!node) {
+            this.hideTooltip();
+            return;
+        }
+
+        const tagNames = node.tags.map(tagId => this.app.notesManager.getTagName(tagId)).filter(Boolean);
+        let text = node.title || t('editor.untitledNoteTitle', 'Untitled Note');
+        if (tagNames.length > 0) text += `\n${tagNames.map(name => `#${name}`).join(' ')}`;
+        if (node.orphan) text += `\n${t('graph.orphanNote', 'No links to or from this note')}`;
+
+        view.tooltip.textContent = text;
+        view.tooltip.classList.remove('hidden');
+        view.tooltip.style.left = `${Math.min(screenX + 14, view.width - view.tooltip.offsetWidth - 8)}px`;
+        view.tooltip.style.top = `${Math.min(screenY + 14, view.height - view.tooltip.offsetHeight - 8)}px`;
+    }
+
+    hideTooltip() {
+        if (this.view) this.view.tooltip.classList.add('hidden');
+    }
+
+    async openNote(noteId) {
+        const modal = this.view.modal;
+        this.destroy();
+        this.app.closeModal(modal);
+        await this.app.openLinkedNote(noteId);
+    }
+
+    destroy() {
+        if (!this.view) return;
+        if (this.view.frame !== null) cancelAnimationFrame(this.view.frame);
+        if (this.view.resizeObserver) this.view.resizeObserver.disconnect();
+        this.view = null;
+    }
+}
+
+module.exports = GraphViewManager;
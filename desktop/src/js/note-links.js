@@ -0,0 +1,156 @@
+// Wiki-style note links for CogNotez
+// [[Note Title]] links by title, [[noteId|alias]] by ID with custom text ([[Title|alias]] works too).
+// Links inside code spans and fenced code blocks are plain text.
+
+// Target: anything up to "|" or "]]" on one line; alias: anything up to "]]"
+const WIKI_LINK_SOURCE = '\\[\\[([^\\[\\]|\\n]+)(?:\\|([^\\[\\]\\n]+))?\\]\\]';
+// Characters a title cannot contain and still be written as [[Title]]
+const UNSAFE_TARGET_PATTERN = /[[\]|\n]/;
+
+/**
+ * Find the [start, end) ranges of fenced code blocks and inline code spans
+ * @param {string} text
+ * @returns {Array<[number, number]>} Sorted, non-overlapping ranges
+ */
+function findCodeRanges(text) {
+    const ranges = [];
+    const fencePattern = /^ {0,3}(`{3,}|~{3,})/;
+    let fence = null; // { marker, start } of the open fenced block
+    let position = 0;
+
+    // Fenced blocks, line by line; an unclosed fence runs to the end of the text
+    const proseRanges = [];
+    let proseStart = 0;
+    for (const line of text.split('\n')) {
+        const lineEnd = position + line.length;
+        const match = fencePattern.exec(line);
+        if (fence) {
+            if (match && match[1][0] === fence.marker[0] && match[1].length >= fence.marker.length &&
+                !line.slice(match[0].length).trim()) {
+                ranges.push([fence.start, lineEnd]);
+                fence = null;
+                proseStart = lineEnd + 1;
+            }
+        } else if (match) {
+            fence = { marker: match[1], start: position };
+            proseRanges.push([proseStart, position]);
+        }
+        position = lineEnd + 1;
+    }
+    if (fence) {
+        ranges.push([fence.start, text.length]);
+    } else {
+        proseRanges.push([proseStart, text.length]);
+    }
+
+    // Inline code spans: a run of backticks closed by a run of the same length
+    const spanPattern = /(`+)[\s\S]*?[^`]\1(?!`)/g;
+    for (const [start, end] of proseRanges) {
+        const prose = text.slice(start, end);
+        let match;
+        spanPattern.lastIndex = 0;
+        while ((match = spanPattern.exec(prose)) !== null) {
+            ranges.push([start + match.index, start + match.index + match[0].length]);
+        }
+    }
+
+    return ranges.sort((a, b) => a[0] - b[0]);
+}
+
+/**
+ * Find every wiki link outside code
+ * @param {string} text - Markdown content
+ * @returns {Array<{raw: string, target: string, alias: string|null, start: number, end: number}>}
+ */
+function parseWikiLinks(text) {
+    if (!text || text.indexOf('[[') === -1) return [];
+
+    const codeRanges = findCodeRanges(text);
+    const links = [];
+    const pattern = new RegExp(WIKI_LINK_SOURCE, 'g');
+    let rangeIndex = 0;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        const start = match.index;
+        while (rangeIndex < codeRanges.length && codeRanges[rangeIndex][1] <= start) rangeIndex++;
+        if (rangeIndex < codeRanges.length && codeRanges[rangeIndex][0] <= start) continue;
+
+        const target = match[1].trim();
+        if (!target) continue;
+        links.push({
+            raw: match[0],
+            target,
+            alias: match[2] ? match[2].trim() : null,
+            start,
+            end: start + match[0].length
+        });
+    }
+    return links;
+}
+
+/**
+ * Build a lookup from link target to note. IDs win over titles; titles compare
+ * case-insensitively and a duplicate title goes to the most recently updated note.
+ * @param {Array<Object>} notes - Candidate notes (callers leave out trashed ones)
+ * @returns {function(string): Object|null}
+ */
+function createLinkResolver(notes) {
+    const byId = new Map();
+    const byTitle = new Map();
+    for (const note of notes) {
+        byId.set(String(note.id), note);
+        const key = normalizeTitle(note.title);
+        if (!key) continue;
+        const existing = byTitle.get(key);
+        if (!existing || new Date(note.updated_at || 0) > new Date(existing.updated_at || 0)) {
+            byTitle.set(key, note);
+        }
+    }
+    return (target) => byId.get(String(target).trim()) || byTitle.get(normalizeTitle(target)) || null;
+}
+
+function normalizeTitle(title) {
+    return (title || '').trim().toLowerCase();
+}
+
+/**
+ * Markdown for a link to a note; falls back to [[id|title]] when the title
+ * cannot be written inside [[ ]]
+ */
+function formatWikiLink(note, alias = null) {
+    const title = (note.title || '').trim();
+    if (!title || UNSAFE_TARGET_PATTERN.test(title)) {
+        const text = alias || title.replace(/[[\]|\n]+/g, ' ').replace(/\s+/g, ' ').trim() || note.id;
+        return `[[${note.id}|${text}]]`;
+    }
+    return alias ? `[[${title}|${alias}]]` : `[[${title}]]`;
+}
+
+/**
+ * Rewrite the links in a text that match a predicate to point at a note again
+ * @param {string} text
+ * @param {function(Object): boolean} shouldRewrite - Receives each parsed link
+ * @param {Object} note - Link destination ({ id, title })
+ * @returns {string} The text, unchanged if nothing matched
+ */
+function rewriteWikiLinks(text, shouldRewrite, note) {
+    const links = parseWikiLinks(text).filter(shouldRewrite);
+    if (links.length === 0) return text;
+
+    let result = '';
+    let position = 0;
+    for (const link of links) {
+        result += text.slice(position, link.start) + formatWikiLink(note, link.alias);
+        position = link.end;
+    }
+    return result + text.slice(position);
+}
+
+module.exports = {
+    WIKI_LINK_SOURCE,
+    findCodeRanges,
+    parseWikiLinks,
+    createLinkResolver,
+    formatWikiLink,
+    rewriteWikiLinks
+};
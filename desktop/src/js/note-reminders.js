@@ -0,0 +1,163 @@
+// Note reminders for CogNotez
+// A reminder { id, note_id, due_at, repeat, fired_until } first fires at due_at and, when it
+// repeats, at every later occurrence in local time:
+//   daily, weekdays (Monday to Friday), weekly, monthly (same day, or the month's last day),
+//   yearly
+// fired_until is the last occurrence that was delivered. It is synced with the reminder, so an
+// occurrence one device has shown is not shown again by another.
+
+const REPEAT_RULES = ['daily', 'weekdays', 'weekly', 'monthly', 'yearly'];
+
+// Upper bound on the occurrences walked through, e.g. 100 years of daily reminders
+const MAX_OCCURRENCES = 36600;
+
+// Error codes double as i18n keys under "reminders.errors."; `message` is the English fallback
+const ERROR_MESSAGES = {
+    invalidDate: 'Please choose a date and time for the reminder',
+    invalidRepeat: 'Unknown repeat rule "{{repeat}}"',
+    pastDate: 'The reminder time has already passed',
+    notFound: 'The reminder no longer exists'
+};
+
+class ReminderError extends Error {
+    /**
+     * @param {string} code - Error code (see ERROR_MESSAGES)
+     * @param {Object} params - { repeat }
+     */
+    constructor(code, params = {}) {
+        const message = ERROR_MESSAGES[code].replace(/\{\{(\w+)\}\}/g, (_, key) =>
+            params[key] !== undefined ? String(params[key]) : '');
+        super(message);
+        this.name = 'ReminderError';
+        this.code = code;
+        this.params = params;
+    }
+}
+
+// Same wall-clock time `days` later, also across daylight saving changes
+function addDays(date, days) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days,
+        date.getHours(), date.getMinutes(), date.getSeconds());
+}
+
+// The first occurrence's day in a later month, clamped to that month's last day (Jan 31 -> Feb 28)
+function addMonths(first, months) {
+    const year = first.getFullYear();
+    const month = first.getMonth() + months;
+    const lastDay = new Date(year, month + 1, 0).getDate();
+    return new Date(year, month, Math.min(first.getDate(), lastDay),
+        first.getHours(), first.getMinutes(), first.getSeconds());
+}
+
+/**
+ * Walk through a reminder's occurrences in order
+ * @param {{due_at: string, repeat: string|null}} reminder
+ * @returns {Generator<Date>}
+ */
+function* iterateOccurrences(reminder) {
+    const first = new Date(reminder.due_at);
+    if (Number.isNaN(first.getTime())) return;
+    yield first;
+    if (!REPEAT_RULES.includes(reminder.repeat)) return;
+
+    let current = first;
+    for (let step = 1; step < MAX_OCCURRENCES; step++) {
+        switch (reminder.repeat) {
+            case 'daily':
+                current = addDays(current, 1);
+                break;
+            case 'weekdays':
+                do {
+                    current = addDays(current, 1);
+                } while (current.getDay() === 0 || current.getDay() === 6);
+                break;
+            case 'weekly':
+                current = addDays(current, 7);
+                break;
+            case 'monthly':
+                current = addMonths(first, step);
+                break;
+            case 'yearly':
+                current = addMonths(first, step * 12);
+                break;
+        }
+        yield current;
+    }
+}
+
+/**
+ * Where a reminder stands at `now`
+ * @param {{due_at: string, repeat: string|null, fired_until: string|null}} reminder
+ * @param {Date} [now]
+ * @returns {{missed: Date|null, next: Date|null}} `missed` is the latest occurrence that is due
+ *   but was never delivered (earlier missed ones are skipped); `next` the first one to come
+ */
+function getReminderSchedule(reminder, now = new Date()) {
+    const firedUntil = reminder.fired_until ? new Date(reminder.fired_until).getTime() : -Infinity;
+    let missed = null;
+
+    for (const occurrence of iterateOccurrences(reminder)) {
+        const time = occurrence.getTime();
+        if (time <= firedUntil) continue;
+        if (time > now.getTime()) return { missed, next: occurrence };
+        missed = occurrence;
+    }
+    return { missed, next: null };
+}
+
+// The last occurrence at or before `now`, or null when the first one is still to come
+function getLastOccurrence(reminder, now = new Date()) {
+    let last = null;
+    for (const occurrence of iterateOccurrences(reminder)) {
+        if (occurrence.getTime() > now.getTime()) break;
+        last = occurrence;
+    }
+    return last;
+}
+
+/**
+ * Check and normalize the schedule of a new reminder
+ * @param {{dueAt: Date|string, repeat?: string|null}} reminderData
+ * @returns {{due_at: string, repeat: string|null}}
+ * @throws {ReminderError} invalidDate, invalidRepeat, or pastDate for a one-off in the past
+ */
+function normalizeReminderSchedule({ dueAt, repeat = null }, now = new Date()) {
+    const due = dueAt instanceof Date ? dueAt : new Date(dueAt || NaN);
+    if (Number.isNaN(due.getTime())) throw new ReminderError('invalidDate');
+    if (repeat && !REPEAT_RULES.includes(repeat)) throw new ReminderError('invalidRepeat', { repeat });
+    if (!repeat && due.getTime() <= now.getTime()) throw new ReminderError('pastDate');
+    return { due_at: due.toISOString(), repeat: repeat || null };
+}
+
+/**
+ * Combine two copies of a reminder from different devices. A deletion on either side wins;
+ * otherwise the most recently changed copy wins but keeps the later fired_until of the two,
+ * so a delivered occurrence never becomes due again.
+ * @returns {Object} The merged reminder (one of the inputs when nothing needs combining)
+ */
+function mergeReminder(local, remote) {
+    if (!local) return remote;
+    if (!remote) return local;
+    if (local.deleted_at || remote.deleted_at) {
+        if (!remote.deleted_at) return local;
+        if (!local.deleted_at) return remote;
+        return new Date(remote.deleted_at) > new Date(local.deleted_at) ? remote : local;
+    }
+
+    const newer = new Date(remote.updated_at) > new Date(local.updated_at) ? remote : local;
+    const older = newer === local ? remote : local;
+    if (older.fired_until && (!newer.fired_until || new Date(older.fired_until) > new Date(newer.fired_until))) {
+        return { ...newer, fired_until: older.fired_until };
+    }
+    return newer;
+}
+
+module.exports = {
+    REPEAT_RULES,
+    ReminderError,
+    iterateOccurrences,
+    getReminderSchedule,
+    getLastOccurrence,
+    normalizeReminderSchedule,
+    mergeReminder
+};
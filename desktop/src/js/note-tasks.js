@@ -0,0 +1,128 @@
+// Markdown tasks for CogNotez
+// A task is a list item with a checkbox, "- [ ] Call Anna" or "1. [x] Send invoice", and may
+// carry inline metadata anywhere in its text:
+//   @due(2026-11-01)    due date
+//   @priority(high)     high, medium or low
+// Tasks inside fenced code blocks are examples, not tasks.
+
+const { findCodeRanges } = require('./note-links');
+const { normalizePropertyValue } = require('./property-types');
+
+// prefix "- [", mark " " or "x", "] ", body, optional "\r" of Windows line endings
+const TASK_PATTERN = /^(\s*(?:[-*+]|\d+[.)])\s+\[)([ xX])(\]\s+)(.*?)(\r?)$/;
+const DUE_PATTERN = /@due\(([^)\s]*)\)/i;
+const PRIORITY_PATTERN = /@priority\((high|medium|low)\)/i;
+const PRIORITIES = ['high', 'medium', 'low'];
+
+// Error codes double as i18n keys under "tasks.errors."; `message` is the English fallback
+const ERROR_MESSAGES = {
+    taskChanged: 'This task was changed in its note since the list was loaded',
+    noteLocked: 'Tasks in password-protected notes cannot be changed here',
+    notFound: 'The note no longer exists'
+};
+
+class TaskError extends Error {
+    /**
+     * @param {string} code - Error code (see ERROR_MESSAGES)
+     */
+    constructor(code) {
+        super(ERROR_MESSAGES[code]);
+        this.name = 'TaskError';
+        this.code = code;
+    }
+}
+
+/**
+ * Find the tasks in a note's content
+ * @param {string} content
+ * @returns {Array<{line: number, checked: boolean, body: string, text: string, due: string|null,
+ *   priority: string|null}>} In document order; `line` is 0-based, `body` the raw text after the
+ *   checkbox and `text` the same without metadata
+ */
+function parseTasks(content) {
+    if (!content || !content.includes('[')) return [];
+
+    const codeRanges = findCodeRanges(content);
+    const tasks = [];
+    let position = 0;
+    let rangeIndex = 0;
+
+    content.split('\n').forEach((line, index) => {
+        const lineStart = position;
+        position += line.length + 1;
+
+        while (rangeIndex < codeRanges.length && codeRanges[rangeIndex][1] <= lineStart) rangeIndex++;
+        const range = codeRanges[rangeIndex];
+        if (range && range[0] <= lineStart) return;
+
+        const match = TASK_PATTERN.exec(line);
+        if (!match || !match[4].trim()) return;
+
+        const body = match[4];
+        const dueMatch = DUE_PATTERN.exec(body);
+        // An invalid date such as @due(2026-02-31) stays visible in the text
+        const due = dueMatch ? normalizePropertyValue('date', dueMatch[1]) : null;
+        const priorityMatch = PRIORITY_PATTERN.exec(body);
+        let text = body.replace(PRIORITY_PATTERN, '');
+        if (due) text = text.replace(DUE_PATTERN, '');
+        text = text.replace(/\s+/g, ' ').trim();
+
+        tasks.push({
+            line: index,
+            checked: match[2] !== ' ',
+            body,
+            text: text || body.trim(),
+            due,
+            priority: priorityMatch ? priorityMatch[1].toLowerCase() : null
+        });
+    });
+
+    return tasks;
+}
+
+/**
+ * Tick or untick a task in place, leaving the rest of the content untouched. The task is found
+ * on its recorded line, or by its text when lines were added above it since it was parsed.
+ * @param {string} content
+ * @param {{line: number, body: string}} task - From parseTasks()
+ * @param {boolean} checked
+ * @returns {string} The new content
+ * @throws {TaskError} taskChanged when the task is gone or no longer unambiguous
+ */
+function setTaskChecked(content, task, checked) {
+    const lines = content.split('\n');
+    const isTask = (index) => {
+        const match = TASK_PATTERN.exec(lines[index]);
+        return match && match[4] === task.body ? match : null;
+    };
+
+    let index = task.line;
+    if (index >= lines.length || !isTask(index)) {
+        const candidates = lines.map((_, i) => i).filter(isTask);
+        if (candidates.length !== 1) throw new TaskError('taskChanged');
+        index = candidates[0];
+    }
+
+    const [, prefix, , separator, body, lineEnd] = isTask(index);
+    lines[index] = `${prefix}${checked ? 'x' : ' '}${separator}${body}${lineEnd}`;
+    return lines.join('\n');
+}
+
+// Sort order for the task list: overdue and soonest due first, undated last, then by priority
+function compareTasks(a, b) {
+    if (a.due !== b.due) {
+        if (!a.due) return 1;
+        if (!b.due) return -1;
+        return a.due < b.due ? -1 : 1;
+    }
+    const rank = (task) => task.priority ? PRIORITIES.indexOf(task.priority) : PRIORITIES.length;
+    return rank(a) - rank(b);
+}
+
+module.exports = {
+    PRIORITIES,
+    TaskError,
+    parseTasks,
+    setTaskChecked,
+    compareTasks
+};
@@ -5,6 +5,16 @@ class NotesManager {
         this.notesListElement = document.getElementById('notes-list');
         this.db = null;
         this.currentNotes = [];
+
+        // Only the rows near the viewport are in the DOM; required here because this is a plain
+        // <script>, where require() resolves relative to index.html
+        const VirtualList = require('./js/virtual-list');
+        this.virtualList = new VirtualList(this.notesListElement, {
+            renderItem: (note) => this.createNoteElement(note),
+            getKey: (note) => note.id
+        });
+        // Folder and search the list was last rendered for; refreshing the same view keeps the scroll position
+        this.listViewKey = null;
     }
 
     async initialize() {
@@ -20,9 +30,22 @@ class NotesManager {
     }
 
     async renderNotesList(searchQuery = '', folderFilter = null) {
+        if (folderFilter === 'trash' && this.db && this.db.initialized) {
+            return this.renderTrashList(searchQuery);
+        }
+        if (folderFilter === 'archive' && this.db && this.db.initialized) {
+            return this.renderArchiveList(searchQuery);
+        }
+
+        const viewKey = this.getListViewKey(folderFilter, searchQuery);
         try {
             let notes;
-            if (this.db && this.db.initialized) {
+            const savedSearchId = this.getSavedSearchId(folderFilter);
+            if (savedSearchId && !searchQuery.trim() && this.db && this.db.initialized) {
+                // Smart folder on its own: keep the saved sort order and match highlights
+                notes = this.db.getSavedSearchNotes(savedSearchId);
+                folderFilter = null;
+            } else if (this.db && this.db.initialized) {
                 // Use database
                 notes = await this.getNotesFromDatabase(searchQuery);
                 console.log('[DEBUG] NotesManager.renderNotesList got', notes.length, 'notes from database');
@@ -42,26 +65,201 @@ class NotesManager {
             }
 
             this.currentNotes = notes;
-            this.notesListElement.innerHTML = '';
+            this.app.renderTableView();
+            this.app.renderBoardView();
+            this.app.refreshBulkSelection();
+            this.renderListItems(notes, viewKey);
 
             if (notes.length === 0) {
-                this.renderEmptyState(folderFilter);
+                this.renderEmptyState(savedSearchId ? `saved-search:${savedSearchId}` : folderFilter);
                 return;
             }
 
-            notes.forEach(note => {
-                const noteElement = this.createNoteElement(note);
-                this.notesListElement.appendChild(noteElement);
-            });
-
             // Update folder counts after rendering
             this.updateFolderCounts();
         } catch (error) {
+            if (error.name === 'SearchQueryError') {
+                this.virtualList.setItems([]);
+                this.renderEmptyState(folderFilter, error);
+                return;
+            }
             console.error('Error rendering notes list:', error);
             this.renderEmptyState(folderFilter);
         }
     }
 
+    // Render the trash view: trashed notes with restore / delete forever actions
+    async renderTrashList(searchQuery = '') {
+        try {
+            this.db.purgeExpiredTrash();
+
+            let notes = this.db.getTrashedNotes();
+            if (searchQuery && searchQuery.trim()) {
+                const matches = this.db.searchNotes(searchQuery);
+                notes = notes
+                    .filter(note => matches.has(note.id))
+                    .map(note => ({ ...note, search: this.db.getSearchMatch(note, matches.get(note.id)) }));
+            }
+
+            this.currentNotes = notes;
+            this.app.renderTableView();
+            this.app.renderBoardView();
+            this.app.refreshBulkSelection();
+            this.renderListItems(notes, this.getListViewKey('trash', searchQuery), this.createTrashToolbar(notes.length));
+
+            if (notes.length === 0) {
+                this.renderEmptyState('trash');
+            }
+
+            this.updateFolderCounts();
+        } catch (error) {
+            if (error.name === 'SearchQueryError') {
+                this.virtualList.setItems([]);
+                this.renderEmptyState('trash', error);
+                return;
+            }
+            console.error('Error rendering trash:', error);
+            this.renderEmptyState('trash');
+        }
+    }
+
+    getListViewKey(folderFilter, searchQuery = '') {
+        return `${folderFilter || 'all'}\n${searchQuery.trim()}`;
+    }
+
+    /**
+     * Show notes in the list. Only the visible rows are built (see virtual-list.js); the scroll
+     * position is kept when the same view is refreshed and reset when the folder or search changes.
+     * @param {Array} notes
+     * @param {string} viewKey - From getListViewKey(), or any other name for the view
+     * @param {HTMLElement|null} header - Toolbar shown above the notes
+     */
+    renderListItems(notes, viewKey, header = null) {
+        const resetScroll = viewKey !== this.listViewKey;
+        this.listViewKey = viewKey;
+        this.virtualList.setItems(notes, { header, resetScroll });
+    }
+
+    /**
+     * Refresh one note's row after a save instead of querying and rebuilding the whole list.
+     * Search results and smart folders depend on the content just saved, and the trash and
+     * archive never hold the open note, so those return false and the caller re-renders.
+     * @returns {boolean} Whether the list is up to date
+     */
+    updateNoteInList(noteId, searchQuery = '', folderFilter = null) {
+        if (!this.db || !this.db.initialized || searchQuery.trim()) return false;
+        if (folderFilter === 'trash' || folderFilter === 'archive' || this.getSavedSearchId(folderFilter)) return false;
+        if (this.listViewKey !== this.getListViewKey(folderFilter, searchQuery)) return false;
+
+        const index = this.currentNotes.findIndex(note => note.id === noteId);
+        const note = this.db.getNote(noteId);
+        if (index === -1 || !note || this.filterNotesByFolder([note], folderFilter).length === 0) return false;
+
+        // Same order as getNotesFromDatabase(): pinned first, then most recently modified
+        const notes = this.currentNotes.filter(other => other.id !== noteId);
+        let position = notes.findIndex(other => this.compareByModified(note, other) <= 0);
+        if (position === -1) position = notes.length;
+        notes.splice(position, 0, note);
+
+        this.currentNotes = notes;
+        if (position === index) {
+            this.virtualList.updateItem(note);
+        } else {
+            this.virtualList.setItems(notes);
+        }
+        this.app.renderTableView();
+        this.app.renderBoardView();
+        return true;
+    }
+
+    compareByModified(a, b) {
+        if (Boolean(a.pinned) !== Boolean(b.pinned)) return a.pinned ? -1 : 1;
+        return new Date(b.updated_at).getTime() - new Date(a.updated_at).getTime();
+    }
+
+    createTrashToolbar(count) {
+        const toolbar = document.createElement('div');
+        toolbar.className = 'trash-toolbar';
+        // Keep clicks here from reaching the notes list "clear selection" handler
+        toolbar.addEventListener('click', (e) => e.stopPropagation());
+
+        const info = document.createElement('div');
+        info.className = 'trash-toolbar-info';
+        const retentionDays = this.db.getTrashRetentionDays();
+        info.textContent = retentionDays > 0
+            ? t('notes.trashRetentionInfo', { days: retentionDays })
+            : t('notes.trashRetentionForever');
+        toolbar.appendChild(info);
+
+        const emptyBtn = document.createElement('button');
+        emptyBtn.className = 'trash-empty-btn';
+        emptyBtn.disabled = count === 0;
+        const emptyIcon = document.createElement('i');
+        emptyIcon.className = 'fas fa-dumpster';
+        emptyBtn.appendChild(emptyIcon);
+        emptyBtn.appendChild(document.createTextNode(' ' + t('notes.emptyTrash')));
+        emptyBtn.addEventListener('click', () => this.emptyTrash());
+        toolbar.appendChild(emptyBtn);
+
+        return toolbar;
+    }
+
+    // Render the archive view: archived notes with restore actions and the auto-archive rules
+    async renderArchiveList(searchQuery = '') {
+        try {
+            let notes = this.db.getArchivedNotes();
+            if (searchQuery && searchQuery.trim()) {
+                const matches = this.db.searchNotes(searchQuery);
+                notes = notes
+                    .filter(note => matches.has(note.id))
+                    .map(note => ({ ...note, search: this.db.getSearchMatch(note, matches.get(note.id)) }));
+            }
+
+            this.currentNotes = notes;
+            this.app.renderTableView();
+            this.app.renderBoardView();
+            this.app.refreshBulkSelection();
+            this.renderListItems(notes, this.getListViewKey('archive', searchQuery), this.createArchiveToolbar());
+
+            if (notes.length === 0) {
+                this.renderEmptyState('archive');
+            }
+
+            this.updateFolderCounts();
+        } catch (error) {
+            if (error.name === 'SearchQueryError') {
+                this.virtualList.setItems([]);
+                this.renderEmptyState('archive', error);
+                return;
+            }
+            console.error('Error rendering archive:', error);
+            this.renderEmptyState('archive');
+        }
+    }
+
+    createArchiveToolbar() {
+        const toolbar = document.createElement('div');
+        toolbar.className = 'archive-toolbar';
+        // Keep clicks here from reaching the notes list "clear selection" handler
+        toolbar.addEventListener('click', (e) => e.stopPropagation());
+
+        const info = document.createElement('div');
+        info.className = 'archive-toolbar-info';
+        info.textContent = this.app.archiveManager.describeRules();
+        toolbar.appendChild(info);
+
+        const rulesBtn = document.createElement('button');
+        rulesBtn.className = 'archive-rules-btn';
+        const rulesIcon = document.createElement('i');
+        rulesIcon.className = 'fas fa-sliders-h';
+        rulesBtn.appendChild(rulesIcon);
+        rulesBtn.appendChild(document.createTextNode(' ' + t('archive.rules')));
+        rulesBtn.addEventListener('click', () => this.app.archiveManager.showRulesDialog());
+        toolbar.appendChild(rulesBtn);
+
+        return toolbar;
+    }
+
     // Filter notes by folder (tag or special folder)
     filterNotesByFolder(notes, folderFilter) {
         if (!folderFilter || folderFilter === 'all') {
@@ -72,8 +270,23 @@ class NotesManager {
             return notes.filter(note => !note.tags || note.tags.length === 0);
         }
 
-        // Filter by specific tag ID
-        return notes.filter(note => note.tags && note.tags.includes(folderFilter));
+        const savedSearchId = this.getSavedSearchId(folderFilter);
+        if (savedSearchId) {
+            if (!this.db || !this.db.initialized) return [];
+            const matchingIds = new Set(this.db.getSavedSearchNotes(savedSearchId).map(note => note.id));
+            return notes.filter(note => matchingIds.has(note.id));
+        }
+
+        // Filter by specific tag ID, including notes filed under its sub-tags
+        const tagIds = this.db && this.db.initialized ? this.db.getTagSubtreeIds(folderFilter) : new Set([folderFilter]);
+        return notes.filter(note => note.tags && note.tags.some(id => tagIds.has(id)));
+    }
+
+    // Smart folder IDs are 'saved-search:<id>'; returns the saved search ID or null
+    getSavedSearchId(folderFilter) {
+        return typeof folderFilter === 'string' && folderFilter.startsWith('saved-search:')
+            ? folderFilter.slice('saved-search:'.length)
+            : null;
     }
 
     // Update folder counts in the sidebar
@@ -99,6 +312,18 @@ class NotesManager {
                 untaggedCountEl.textContent = untaggedCount;
             }
 
+            // Update "Trash" count
+            const trashCountEl = document.getElementById('folder-count-trash');
+            if (trashCountEl && this.db && this.db.initialized) {
+                trashCountEl.textContent = this.db.getTrashedNotes().length;
+            }
+
+            // Update "Archive" count
+            const archiveCountEl = document.getElementById('folder-count-archive');
+            if (archiveCountEl && this.db && this.db.initialized) {
+                archiveCountEl.textContent = this.db.getArchivedNotes().length;
+            }
+
             // Update tag folder counts
             const tagCounts = {};
             allNotes.forEach(note => {
@@ -117,12 +342,56 @@ class NotesManager {
                 }
             });
 
-            return { total: allNotes.length, tagCounts };
+            // Days with an entry may have changed
+            this.app.dailyNotesManager.renderCalendar();
+
+            // Reminders follow their notes into the trash or archive, renames and synced changes
+            this.app.remindersManager.schedule();
+            this.app.remindersManager.renderBadge();
+
+            // Update smart folder counts
+            const savedSearchCounts = {};
+            if (this.db && this.db.initialized) {
+                document.querySelectorAll('.saved-search-item').forEach(item => {
+                    const countEl = item.querySelector('.folder-count');
+                    const savedSearchId = item.dataset.savedSearchId;
+                    try {
+                        savedSearchCounts[savedSearchId] = this.db.getSavedSearchNotes(savedSearchId).length;
+                        item.classList.remove('saved-search-invalid');
+                        if (countEl) countEl.textContent = savedSearchCounts[savedSearchId];
+                    } catch (error) {
+                        if (error.name !== 'SearchQueryError') throw error;
+                        // Stored by a newer version or edited elsewhere; opening the folder shows the error
+                        item.classList.add('saved-search-invalid');
+                        if (countEl) countEl.textContent = '!';
+                    }
+                });
+            }
+
+            return { total: allNotes.length, tagCounts, savedSearchCounts };
         } catch (error) {
             console.error('Error updating folder counts:', error);
         }
     }
 
+    // Append text with the given [start, end) ranges wrapped in <mark>
+    appendHighlightedText(parent, text, ranges = []) {
+        let position = 0;
+        for (const [start, end] of ranges) {
+            if (start > position) {
+                parent.appendChild(document.createTextNode(text.slice(position, start)));
+            }
+            const mark = document.createElement('mark');
+            mark.className = 'search-highlight';
+            mark.textContent = text.slice(start, end);
+            parent.appendChild(mark);
+            position = end;
+        }
+        if (position < text.length) {
+            parent.appendChild(document.createTextNode(text.slice(position)));
+        }
+    }
+
     hasMedia(note) {
         if (!note.content || note.password_protected) return false;
         return /!\[.*?\]\(.*?\)|<img |<video |<iframe /i.test(note.content);
@@ -143,10 +412,20 @@ class NotesManager {
             element.classList.add('active');
         }
 
+        if (this.app.bulkActionsManager.isSelected(note.id)) {
+            element.classList.add('selected');
+        }
+
         if (note.pinned) {
             element.classList.add('pinned');
         }
 
+        if (note.deleted_at) {
+            element.classList.add('trashed');
+        } else if (note.is_archived) {
+            element.classList.add('archived');
+        }
+
         const content = document.createElement('div');
         content.className = 'note-item-content';
 
@@ -161,13 +440,22 @@ class NotesManager {
             titleDiv.appendChild(lockIcon);
             titleDiv.appendChild(document.createTextNode(' '));
         }
-        titleDiv.appendChild(document.createTextNode(note.title));
+        if (note.search) {
+            this.appendHighlightedText(titleDiv, note.title, note.search.titleHighlights);
+        } else {
+            titleDiv.appendChild(document.createTextNode(note.title));
+        }
         content.appendChild(titleDiv);
 
-        // Preview
+        // Preview (search results show the matching excerpt instead)
         const previewDiv = document.createElement('div');
         previewDiv.className = 'note-item-preview';
-        previewDiv.textContent = note.password_protected ? '' : (note.preview || '');
+        if (note.search && note.search.snippet) {
+            previewDiv.classList.add('search-snippet');
+            this.appendHighlightedText(previewDiv, note.search.snippet.text, note.search.snippet.highlights);
+        } else {
+            previewDiv.textContent = note.password_protected ? '' : (note.preview || '');
+        }
         content.appendChild(previewDiv);
 
         // Indicators row (pin, media, word count)
@@ -207,7 +495,9 @@ class NotesManager {
         // Date
         const dateDiv = document.createElement('div');
         dateDiv.className = 'note-item-date';
-        dateDiv.textContent = this.app.formatLocalizedDateTime(note.modified, false);
+        dateDiv.textContent = note.deleted_at
+            ? t('notes.deletedOn', { date: this.app.formatLocalizedDateTime(note.deleted_at, false) })
+            : this.app.formatLocalizedDateTime(note.modified, false);
         metaDiv.appendChild(dateDiv);
 
         // Tags
@@ -241,6 +531,18 @@ class NotesManager {
         const actionsOverlay = document.createElement('div');
         actionsOverlay.className = 'note-actions-overlay';
 
+        if (note.deleted_at) {
+            this.appendTrashActions(actionsOverlay, note);
+            element.appendChild(actionsOverlay);
+            return element;
+        }
+
+        if (note.is_archived) {
+            this.appendArchiveActions(actionsOverlay, note);
+            element.appendChild(actionsOverlay);
+            return element;
+        }
+
         // Pin Button
         const pinBtn = document.createElement('button');
         pinBtn.className = `note-action-btn note-pin-btn ${note.pinned ? 'pinned' : ''}`;
@@ -279,7 +581,54 @@ class NotesManager {
         return element;
     }
 
-    renderEmptyState(folderFilter = null) {
+    appendTrashActions(actionsOverlay, note) {
+        const restoreBtn = document.createElement('button');
+        restoreBtn.className = 'note-action-btn note-restore-btn';
+        restoreBtn.dataset.noteId = note.id;
+        restoreBtn.title = t('notes.restoreNote');
+        const restoreIcon = document.createElement('i');
+        restoreIcon.className = 'fas fa-undo';
+        restoreBtn.appendChild(restoreIcon);
+
+        const deleteForeverBtn = document.createElement('button');
+        deleteForeverBtn.className = 'note-action-btn note-delete-btn';
+        deleteForeverBtn.dataset.noteId = note.id;
+        deleteForeverBtn.title = t('notes.deleteForever');
+        const deleteIcon = document.createElement('i');
+        deleteIcon.className = 'fas fa-times';
+        deleteForeverBtn.appendChild(deleteIcon);
+
+        actionsOverlay.appendChild(restoreBtn);
+        actionsOverlay.appendChild(deleteForeverBtn);
+
+        restoreBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.restoreNoteFromTrash(note.id);
+        });
+
+        deleteForeverBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.permanentlyDeleteNote(note.id);
+        });
+    }
+
+    appendArchiveActions(actionsOverlay, note) {
+        const restoreBtn = document.createElement('button');
+        restoreBtn.className = 'note-action-btn note-restore-btn';
+        restoreBtn.dataset.noteId = note.id;
+        restoreBtn.title = t('archive.restoreNote');
+        const restoreIcon = document.createElement('i');
+        restoreIcon.className = 'fas fa-box-open';
+        restoreBtn.appendChild(restoreIcon);
+        actionsOverlay.appendChild(restoreBtn);
+
+        restoreBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.restoreNoteFromArchive(note.id);
+        });
+    }
+
+    renderEmptyState(folderFilter = null, searchError = null) {
         const emptyState = document.createElement('div');
         emptyState.className = 'empty-state';
 
@@ -287,10 +636,27 @@ class NotesManager {
         let title = 'No notes yet';
         let subtitle = 'Click the + button to create your first note';
 
-        if (folderFilter === 'untagged') {
+        if (searchError) {
+            icon = 'fa-exclamation-circle';
+            title = t('searchQuery.invalidQuery', 'Invalid search query');
+            subtitle = this.formatSearchError(searchError);
+        } else if (folderFilter === 'trash') {
+            icon = 'fa-trash';
+            title = t('notes.trashEmpty');
+            subtitle = t('notes.trashEmptySubtitle');
+        } else if (folderFilter === 'archive') {
+            icon = 'fa-box-archive';
+            title = t('archive.empty');
+            subtitle = t('archive.emptySubtitle');
+        } else if (folderFilter === 'untagged') {
             icon = 'fa-file-alt';
             title = 'No untagged notes';
             subtitle = 'All your notes have been organized with tags';
+        } else if (this.getSavedSearchId(folderFilter)) {
+            icon = 'fa-search';
+            const savedSearch = this.db && this.db.initialized ? this.db.getSavedSearch(this.getSavedSearchId(folderFilter)) : null;
+            title = t('savedSearches.emptyTitle', { name: savedSearch ? savedSearch.name : '' });
+            subtitle = t('savedSearches.emptySubtitle');
         } else if (folderFilter && folderFilter !== 'all') {
             icon = 'fa-folder-open';
             const tagName = this.getTagName(folderFilter);
@@ -330,7 +696,12 @@ class NotesManager {
         container.appendChild(subtitleDiv);
 
         emptyState.appendChild(container);
-        this.notesListElement.appendChild(emptyState);
+        this.virtualList.showMessage(emptyState);
+    }
+
+    // Localized message for a SearchQueryError, pointing at the part of the query that failed
+    formatSearchError(error) {
+        return t(`searchQuery.${error.code}`, error.message, error.params);
     }
 
     escapeHtml(text) {
@@ -369,14 +740,10 @@ class NotesManager {
 
     // Database methods
     async getNotesFromDatabase(searchQuery = '') {
-        const options = {
-            sortBy: 'updated_at',
-            sortOrder: 'DESC'
-        };
-
-        if (searchQuery) {
-            options.search = searchQuery;
-        }
+        // Search results are ranked by relevance, everything else by last modification
+        const options = searchQuery
+            ? { search: searchQuery, sortBy: 'relevance' }
+            : { sortBy: 'updated_at', sortOrder: 'DESC' };
 
         return await this.db.getAllNotes(options);
     }
@@ -441,37 +808,35 @@ class NotesManager {
     }
 
     // Note operations
+    // With the database available, deleting moves the note to the trash; it can be restored from there
     async deleteNote(noteId) {
         try {
             if (this.db && this.db.initialized) {
                 const note = await this.db.getNote(noteId);
                 if (!note) return;
 
-                // Use custom modal instead of native confirm() to avoid focus/rendering issues
-                const shouldDelete = await this.showDeleteConfirmation(note.title);
+                this.db.trashNote(noteId);
 
-                if (shouldDelete) {
-                    await this.db.deleteNote(noteId);
+                // Close any open tab for this note
+                if (this.app && typeof this.app.closeTab === 'function') {
+                    this.app.closeTab(noteId, true);
+                }
 
-                    // Close any open tab for this note
-                    if (this.app && typeof this.app.closeTab === 'function') {
-                        this.app.closeTab(noteId, true);
-                    }
+                if (this.app.currentNote && this.app.currentNote.id === noteId) {
+                    this.app.currentNote = null;
+                    this.clearEditor();
+                    this.app.showNoNotePlaceholder();
+                }
 
-                    if (this.app.currentNote && this.app.currentNote.id === noteId) {
-                        this.app.currentNote = null;
-                        this.clearEditor();
-                        this.app.showNoNotePlaceholder();
-                    }
+                await this.renderNotesList('', this.app.currentFolder);
 
-                    await this.renderNotesList('', this.app.currentFolder);
+                // Update folder counts
+                await this.app.renderTagFolders();
 
-                    // Update folder counts
-                    await this.app.renderTagFolders();
+                this.app.showNotification(t('notes.movedToTrash', { title: note.title }), 'success');
 
-                    // Force a reflow/repaint to ensure UI is responsive
-                    this.forceReflow();
-                }
+                // Force a reflow/repaint to ensure UI is responsive
+                this.forceReflow();
             } else {
                 // Fallback to localStorage
                 const index = this.app.notes.findIndex(note => note.id === noteId);
@@ -511,6 +876,59 @@ class NotesManager {
         }
     }
 
+    async restoreNoteFromTrash(noteId) {
+        if (!this.db || !this.db.initialized) return;
+        if (!this.db.restoreNote(noteId)) return;
+
+        const searchInput = document.getElementById('search-input');
+        await this.renderNotesList(searchInput ? (searchInput.value || '') : '', this.app.currentFolder);
+        await this.app.renderTagFolders();
+        this.app.showNotification(t('notes.noteRestored'), 'success');
+    }
+
+    async restoreNoteFromArchive(noteId) {
+        if (!this.db || !this.db.initialized) return;
+        const note = this.db.data.notes[noteId];
+        if (!note || !note.is_archived) return;
+
+        this.db.archiveNote(noteId, false);
+        const searchInput = document.getElementById('search-input');
+        await this.renderNotesList(searchInput ? (searchInput.value || '') : '', this.app.currentFolder);
+        await this.app.renderTagFolders();
+        this.app.showNotification(t('archive.noteRestored', { title: note.title }), 'success');
+    }
+
+    async permanentlyDeleteNote(noteId) {
+        if (!this.db || !this.db.initialized) return;
+        const note = this.db.data.notes[noteId];
+        if (!note) return;
+
+        const shouldDelete = await this.showDeleteConfirmation(note.title);
+        if (!shouldDelete) return;
+
+        this.db.deleteNote(noteId);
+        const searchInput = document.getElementById('search-input');
+        await this.renderNotesList(searchInput ? (searchInput.value || '') : '', this.app.currentFolder);
+        await this.app.renderTagFolders();
+        this.forceReflow();
+    }
+
+    async emptyTrash() {
+        if (!this.db || !this.db.initialized) return;
+
+        const confirmed = await this.app.showConfirmation(
+            t('notes.emptyTrashTitle'),
+            t('notes.emptyTrashMessage')
+        );
+        if (!confirmed) return;
+
+        const deletedCount = this.db.emptyTrash();
+        await this.renderNotesList('', this.app.currentFolder);
+        await this.app.renderTagFolders();
+        this.app.showNotification(t('notes.trashEmptied', { count: deletedCount }), 'success');
+        this.forceReflow();
+    }
+
     // Show delete confirmation using custom modal (avoids native confirm() focus issues)
     showDeleteConfirmation(noteTitle) {
         return new Promise((resolve) => {
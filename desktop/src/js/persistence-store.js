@@ -0,0 +1,269 @@
+// Journaled persistence store for CogNotez
+// State lives in a compacted snapshot plus an append-only journal of record-level changes.
+// A save appends only what changed; snapshots are replaced atomically (write temp file,
+// fsync, rename), so a crash at any point leaves a readable snapshot behind. The previous
+// snapshot and its journal are kept so a damaged snapshot can be rebuilt from them.
+const fs = require('fs');
+const path = require('path');
+
+const SNAPSHOT_FILE = 'snapshot.json';
+const PREVIOUS_SNAPSHOT_FILE = 'snapshot.prev.json';
+const TEMP_SNAPSHOT_FILE = 'snapshot.json.tmp';
+const JOURNAL_FILE = 'journal.log';
+const PREVIOUS_JOURNAL_FILE = 'journal.prev.log';
+const SNAPSHOT_FORMAT = 1;
+
+class PersistenceStore {
+    constructor(directory, options = {}) {
+        this.directory = directory;
+        this.maxJournalEntries = options.maxJournalEntries || 1000;
+        this.maxJournalBytes = options.maxJournalBytes || 8 * 1024 * 1024;
+        this.generation = null; // ID of the current snapshot; journal lines carry it
+        this.journalEntries = 0;
+        this.journalBytes = 0;
+        this.journalFd = null;
+    }
+
+    filePath(name) {
+        return path.join(this.directory, name);
+    }
+
+    /**
+     * Load the newest readable snapshot and replay its journal.
+     * An unreadable snapshot is moved aside and the previous one is used instead.
+     * @returns {{data: Object|null, source: string, replayed: number, skipped: number, recovered: boolean}}
+     */
+    load() {
+        fs.mkdirSync(this.directory, { recursive: true });
+
+        // Leftover from an interrupted compaction. Once the current snapshot has been rotated
+        // away it is the only copy of the compacted state, whose journal lines may be gone.
+        const tempPath = this.filePath(TEMP_SNAPSHOT_FILE);
+        const currentPath = this.filePath(SNAPSHOT_FILE);
+        if (fs.existsSync(tempPath)) {
+            if (!fs.existsSync(currentPath) && this.readSnapshot(tempPath)) {
+                fs.renameSync(tempPath, currentPath);
+                this.syncDirectory();
+                console.warn('[PersistenceStore] Finished an interrupted compaction');
+            } else {
+                fs.unlinkSync(tempPath);
+            }
+        }
+
+        let snapshot = this.readSnapshot(currentPath);
+        let source = 'snapshot';
+        let recovered = false;
+
+        if (!snapshot) {
+            if (fs.existsSync(currentPath)) {
+                // Keep the damaged file for inspection, but never promote it to the previous snapshot
+                const corruptPath = this.filePath(`snapshot.corrupt-${Date.now()}.json`);
+                fs.renameSync(currentPath, corruptPath);
+                console.warn('[PersistenceStore] Snapshot unreadable, moved to', corruptPath);
+                recovered = true;
+            }
+            snapshot = this.readSnapshot(this.filePath(PREVIOUS_SNAPSHOT_FILE));
+            source = 'previous';
+        }
+
+        if (!snapshot) {
+            return { data: null, source: 'none', replayed: 0, skipped: 0, recovered };
+        }
+
+        this.generation = snapshot.generation;
+        let replayed = 0;
+        let skipped = 0;
+        if (source === 'previous') {
+            // The damaged snapshot was the previous one plus its journal, and the current journal
+            // continues from there (or still belongs to the previous snapshot if the crash hit
+            // before the journal was rotated), so replaying both restores the latest state
+            const previous = this.replayJournal(snapshot.data, PREVIOUS_JOURNAL_FILE, entry => entry.g === this.generation);
+            const current = this.replayJournal(snapshot.data, JOURNAL_FILE, () => true);
+            replayed = previous.replayed + current.replayed;
+            skipped = previous.skipped + current.skipped;
+            console.warn('[PersistenceStore] Recovered from previous snapshot saved at', snapshot.savedAt);
+        } else {
+            // Lines from an older generation are already contained in the snapshot
+            ({ replayed, skipped } = this.replayJournal(snapshot.data, JOURNAL_FILE, entry => entry.g === this.generation));
+        }
+
+        return { data: snapshot.data, source, replayed, skipped, recovered };
+    }
+
+    readSnapshot(filePath) {
+        try {
+            if (!fs.existsSync(filePath)) return null;
+            const snapshot = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            if (!snapshot || snapshot.format !== SNAPSHOT_FORMAT || !snapshot.generation ||
+                !snapshot.data || typeof snapshot.data.notes !== 'object') {
+                throw new Error('unexpected snapshot structure');
+            }
+            return snapshot;
+        } catch (error) {
+            console.warn('[PersistenceStore] Failed to read snapshot', filePath, error.message);
+            return null;
+        }
+    }
+
+    // Apply the accepted lines of a journal file; a torn final line from a crash is skipped
+    replayJournal(data, fileName, accept) {
+        const journalPath = this.filePath(fileName);
+        let replayed = 0;
+        let skipped = 0;
+        if (!fs.existsSync(journalPath)) return { replayed, skipped };
+
+        const lines = fs.readFileSync(journalPath, 'utf8').split('\n');
+        // Every complete line ends with a newline, so anything after the last one is torn
+        if (lines.pop()) skipped++;
+
+        for (const line of lines) {
+            if (!line) continue;
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (_) {
+                skipped++;
+                continue;
+            }
+            if (!accept(entry)) continue;
+
+            this.applyEntry(data, entry);
+            replayed++;
+        }
+
+        if (fileName === JOURNAL_FILE) {
+            this.journalEntries = replayed;
+            this.journalBytes = fs.statSync(journalPath).size;
+        }
+        if (skipped > 0) {
+            console.warn(`[PersistenceStore] Skipped ${skipped} unreadable journal line(s)`);
+        }
+        return { replayed, skipped };
+    }
+
+    applyEntry(data, entry) {
+        switch (entry.op) {
+            case 'put':
+                if (!data[entry.c] || typeof data[entry.c] !== 'object') data[entry.c] = {};
+                data[entry.c][entry.id] = entry.v;
+                break;
+            case 'delete':
+                if (entry.id === undefined) {
+                    delete data[entry.c];
+                } else if (data[entry.c]) {
+                    delete data[entry.c][entry.id];
+                }
+                break;
+            case 'set':
+                data[entry.c] = entry.v;
+                break;
+        }
+    }
+
+    /**
+     * Append changes to the journal and flush them to disk.
+     * @param {Array<{op: string, collection: string, id?: string, json?: string}>} entries -
+     *   `json` is the already serialized record value (for 'put' and 'set')
+     */
+    append(entries) {
+        if (!entries || entries.length === 0) return;
+        if (this.generation === null) {
+            throw new Error('Persistence store has no snapshot to journal against');
+        }
+
+        const lines = entries.map(entry => {
+            const head = { g: this.generation, op: entry.op, c: entry.collection };
+            if (entry.id !== undefined) head.id = entry.id;
+            const headJson = JSON.stringify(head);
+            return entry.json !== undefined
+                ? `${headJson.slice(0, -1)},"v":${entry.json}}`
+                : headJson;
+        }).join('\n') + '\n';
+
+        if (this.journalFd === null) {
+            this.journalFd = fs.openSync(this.filePath(JOURNAL_FILE), 'a');
+        }
+        fs.writeSync(this.journalFd, lines);
+        fs.fdatasyncSync(this.journalFd);
+
+        this.journalEntries += entries.length;
+        this.journalBytes += Buffer.byteLength(lines, 'utf8');
+    }
+
+    needsCompaction() {
+        return this.journalEntries >= this.maxJournalEntries || this.journalBytes >= this.maxJournalBytes;
+    }
+
+    /**
+     * Atomically replace the snapshot with the full state and start an empty journal.
+     * The snapshot being replaced is kept as the previous snapshot for recovery.
+     * @param {Object} data - Full (already sanitized) state
+     */
+    writeSnapshot(data) {
+        fs.mkdirSync(this.directory, { recursive: true });
+
+        const generation = `${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 8)}`;
+        const snapshot = {
+            format: SNAPSHOT_FORMAT,
+            generation,
+            savedAt: new Date().toISOString(),
+            data
+        };
+
+        const tempPath = this.filePath(TEMP_SNAPSHOT_FILE);
+        const currentPath = this.filePath(SNAPSHOT_FILE);
+        const fd = fs.openSync(tempPath, 'w');
+        try {
+            fs.writeSync(fd, JSON.stringify(snapshot));
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+
+        const rotated = fs.existsSync(currentPath);
+        if (rotated) {
+            fs.renameSync(currentPath, this.filePath(PREVIOUS_SNAPSHOT_FILE));
+        }
+        fs.renameSync(tempPath, currentPath);
+
+        // Journal lines of the old generation are now part of the snapshot; keep them next to
+        // the previous snapshot for recovery
+        this.generation = generation;
+        this.closeJournal();
+        const journalPath = this.filePath(JOURNAL_FILE);
+        if (rotated && fs.existsSync(journalPath)) {
+            fs.renameSync(journalPath, this.filePath(PREVIOUS_JOURNAL_FILE));
+        }
+        fs.writeFileSync(journalPath, '');
+        this.syncDirectory();
+        this.journalEntries = 0;
+        this.journalBytes = 0;
+    }
+
+    // Make the renames durable; not supported on every platform (e.g. Windows), so best effort
+    syncDirectory() {
+        try {
+            const dirFd = fs.openSync(this.directory, 'r');
+            try {
+                fs.fsyncSync(dirFd);
+            } finally {
+                fs.closeSync(dirFd);
+            }
+        } catch (_) {
+            // Ignore - the rename itself is still atomic
+        }
+    }
+
+    closeJournal() {
+        if (this.journalFd !== null) {
+            fs.closeSync(this.journalFd);
+            this.journalFd = null;
+        }
+    }
+
+    close() {
+        this.closeJournal();
+    }
+}
+
+module.exports = { PersistenceStore };
@@ -0,0 +1,522 @@
+// Properties Manager
+// Typed properties in the editor header, the dialogs that define them and the property
+// conditions of the advanced search panel
+
+const { t } = require('./shared');
+const { PROPERTY_TYPES, PROPERTY_OPERATORS } = require('./property-types');
+
+const TYPE_ICONS = {
+    text: 'fas fa-align-left',
+    number: 'fas fa-hashtag',
+    date: 'fas fa-calendar-alt',
+    checkbox: 'fas fa-check-square',
+    select: 'fas fa-list-ul',
+    url: 'fas fa-link'
+};
+
+// Operators that compare against a value entered by the user
+const VALUE_OPERATORS = ['contains', 'equals', 'notEquals', 'greaterThan', 'lessThan'];
+
+// Gives each condition row's datalist a unique id
+let conditionCount = 0;
+
+class PropertiesManager {
+    constructor(app) {
+        this.app = app;
+    }
+
+    get db() {
+        return this.app.notesManager && this.app.notesManager.db && this.app.notesManager.db.initialized
+            ? this.app.notesManager.db
+            : null;
+    }
+
+    initialize() {
+        const addButton = document.getElementById('add-property-btn');
+        if (addButton) {
+            addButton.addEventListener('click', () => this.showAddPropertyDialog());
+        }
+    }
+
+    // =====================================================
+    // Editor panel
+    // =====================================================
+
+    renderProperties(note = this.app.currentNote) {
+        const panel = document.getElementById('note-properties');
+        const list = document.getElementById('note-properties-list');
+        if (!panel || !list) return;
+
+        if (!note || !this.db) {
+            panel.classList.add('hidden');
+            return;
+        }
+
+        panel.classList.remove('hidden');
+        list.innerHTML = '';
+
+        const values = note.properties || {};
+        for (const definition of this.db.getPropertyDefinitions()) {
+            if (definition.id in values) {
+                list.appendChild(this.createPropertyRow(definition, values[definition.id]));
+            }
+        }
+    }
+
+    createPropertyRow(definition, value) {
+        const row = document.createElement('div');
+        row.className = 'note-property';
+        row.dataset.propertyId = definition.id;
+
+        const name = document.createElement('button');
+        name.className = 'note-property-name';
+        name.title = t('properties.editProperty', 'Edit property');
+        const icon = document.createElement('i');
+        icon.className = TYPE_ICONS[definition.type];
+        const label = document.createElement('span');
+        label.textContent = definition.name;
+        name.append(icon, label);
+        name.addEventListener('click', () => this.showEditPropertyDialog(definition.id));
+
+        const valueCell = document.createElement('div');
+        valueCell.className = 'note-property-value';
+        const input = this.createValueInput(definition, value);
+        input.addEventListener('change', () => this.saveValue(definition, input));
+        if (input.tagName === 'INPUT' && input.type !== 'checkbox') {
+            input.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    input.blur();
+                }
+            });
+        }
+        valueCell.appendChild(input);
+        if (definition.type === 'select') {
+            valueCell.appendChild(this.createOptionsList(definition, input, `property-options-${definition.id}`));
+        }
+
+        if (definition.type === 'url') {
+            const open = document.createElement('button');
+            open.className = 'note-property-action';
+            open.title = t('properties.openLink', 'Open link');
+            open.innerHTML = '<i class="fas fa-external-link-alt"></i>';
+            open.addEventListener('click', () => this.openUrl(input.value));
+            valueCell.appendChild(open);
+        }
+
+        const remove = document.createElement('button');
+        remove.className = 'note-property-action note-property-remove';
+        remove.title = t('properties.removeFromNote', 'Remove from this note');
+        remove.innerHTML = '<i class="fas fa-times"></i>';
+        remove.addEventListener('click', () => this.removeFromNote(definition.id));
+
+        row.append(name, valueCell, remove);
+        return row;
+    }
+
+    // Input matching the property type; select properties also accept new options
+    createValueInput(definition, value) {
+        const input = document.createElement('input');
+        input.className = 'note-property-input';
+        input.setAttribute('aria-label', definition.name);
+
+        switch (definition.type) {
+            case 'checkbox':
+                input.type = 'checkbox';
+                input.checked = value === true;
+                return input;
+            case 'number':
+                input.type = 'number';
+                input.step = 'any';
+                break;
+            case 'date':
+                input.type = 'date';
+                break;
+            case 'url':
+                input.type = 'url';
+                input.placeholder = 'https://';
+                break;
+            case 'select':
+                // Suggests the options from a datalist (see createOptionsList) but takes new ones too
+                input.type = 'text';
+                input.placeholder = t('properties.chooseOption', 'Choose or type an option');
+                break;
+            default:
+                input.type = 'text';
+                input.placeholder = t('properties.empty', 'Empty');
+        }
+
+        input.value = value === null || value === undefined ? '' : String(value);
+        return input;
+    }
+
+    // Datalist with the options of a select property, linked to its input
+    createOptionsList(definition, input, id) {
+        const datalist = document.createElement('datalist');
+        datalist.id = id;
+        definition.options.forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            datalist.appendChild(option);
+        });
+        input.setAttribute('list', id);
+        return datalist;
+    }
+
+    saveValue(definition, input) {
+        const note = this.app.currentNote;
+        if (!note || !this.db) return;
+
+        const value = input.type === 'checkbox' ? input.checked : input.value;
+        const optionCount = definition.options.length;
+        if (!this.db.setNoteProperty(note.id, definition.id, value)) return;
+
+        this.syncCurrentNote();
+        // Show the value as it was stored (e.g. a URL that gained a scheme)
+        const stored = this.app.currentNote.properties[definition.id];
+        if (input.type !== 'checkbox') {
+            input.value = stored === null || stored === undefined ? '' : String(stored);
+        }
+        // A new select option was added to the definition
+        const updated = this.db.getPropertyDefinition(definition.id);
+        if (updated && updated.options.length !== optionCount) this.renderProperties();
+        this.refreshNotesList();
+    }
+
+    removeFromNote(propertyId) {
+        const note = this.app.currentNote;
+        if (!note || !this.db) return;
+
+        this.db.removeNoteProperty(note.id, propertyId);
+        this.syncCurrentNote();
+        this.renderProperties();
+        this.refreshNotesList();
+    }
+
+    // Copy the stored properties to the open note without touching its (possibly decrypted) content
+    syncCurrentNote() {
+        const note = this.app.currentNote;
+        const stored = note && this.db ? this.db.data.notes[note.id] : null;
+        if (!stored) return;
+        note.properties = { ...(stored.properties || {}) };
+        note.updated_at = stored.updated_at;
+    }
+
+    refreshNotesList() {
+        if (this.app.notesManager) {
+            this.app.notesManager.renderNotesList('', this.app.currentFolder);
+        }
+    }
+
+    openUrl(url) {
+        if (!/^https?:\/\//i.test(url)) return;
+        try {
+            const { shell } = require('electron');
+            shell.openExternal(url);
+        } catch (error) {
+            console.error('[Properties] Failed to open link:', error);
+            window.open(url, '_blank');
+        }
+    }
+
+    // =====================================================
+    // Defining properties
+    // =====================================================
+
+    showAddPropertyDialog() {
+        const note = this.app.currentNote;
+        if (!note || !this.db) return;
+
+        const escape = (text) => this.app.escapeHtml(text);
+        const unused = this.db.getPropertyDefinitions().filter(definition => !(definition.id in (note.properties || {})));
+        const typeOptions = PROPERTY_TYPES.map(type =>
+            `<option value="${type}">${escape(t(`properties.types.${type}`, type))}</option>`).join('');
+
+        const content = `
+            <div class="property-form">
+                <div class="form-group">
+                    <label for="property-name">${escape(t('properties.name', 'Name'))}</label>
+                    <input type="text" id="property-name" class="filter-input" list="property-name-suggestions"
+                           placeholder="${escape(t('properties.namePlaceholder', 'e.g. Status, Due date, Rating'))}">
+                    <datalist id="property-name-suggestions">
+                        ${unused.map(definition => `<option value="${escape(definition.name)}"></option>`).join('')}
+                    </datalist>
+                </div>
+                <div class="form-group">
+                    <label for="property-type">${escape(t('properties.type', 'Type'))}</label>
+                    <select id="property-type" class="filter-select">${typeOptions}</select>
+                    <small id="property-existing-hint" class="filter-hint hidden">${escape(t('properties.existingHint', 'This property already exists and keeps its type'))}</small>
+                </div>
+                <div class="form-group hidden" id="property-options-group">
+                    <label for="property-options">${escape(t('properties.options', 'Options'))}</label>
+                    <textarea id="property-options" class="filter-input" rows="4"
+                              placeholder="${escape(t('properties.optionsPlaceholder', 'One option per line'))}"></textarea>
+                </div>
+            </div>
+        `;
+
+        const modal = this.app.createModal(t('properties.addProperty', 'Add Property'), content, [
+            { text: t('modals.cancel', 'Cancel'), type: 'secondary', action: 'cancel' },
+            { text: t('properties.add', 'Add'), type: 'primary', action: 'add', callback: () => this.addProperty(modal) }
+        ]);
+        modal.querySelector('.modal-content').style.maxWidth = '440px';
+
+        const nameInput = modal.querySelector('#property-name');
+        const typeSelect = modal.querySelector('#property-type');
+        const optionsGroup = modal.querySelector('#property-options-group');
+        const existingHint = modal.querySelector('#property-existing-hint');
+
+        // Picking an existing property locks its type
+        const updateForm = () => {
+            const existing = this.db.findPropertyDefinitionByName(nameInput.value);
+            if (existing) typeSelect.value = existing.type;
+            typeSelect.disabled = !!existing;
+            existingHint.classList.toggle('hidden', !existing);
+            optionsGroup.classList.toggle('hidden', !!existing || typeSelect.value !== 'select');
+        };
+        nameInput.addEventListener('input', updateForm);
+        typeSelect.addEventListener('change', updateForm);
+        nameInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                modal.querySelector('[data-action="add"]')?.click();
+            }
+        });
+        setTimeout(() => nameInput.focus(), 100);
+    }
+
+    addProperty(modal) {
+        const note = this.app.currentNote;
+        if (!note || !this.db) return;
+
+        const name = modal.querySelector('#property-name').value;
+        try {
+            const definition = this.db.findPropertyDefinitionByName(name);
+            const propertyId = definition
+                ? definition.id
+                : this.db.createPropertyDefinition({
+                    name,
+                    type: modal.querySelector('#property-type').value,
+                    options: modal.querySelector('#property-options').value.split('\n')
+                });
+
+            const currentValue = (note.properties || {})[propertyId];
+            this.db.setNoteProperty(note.id, propertyId, currentValue ?? null);
+            this.syncCurrentNote();
+            this.renderProperties();
+            this.refreshNotesList();
+
+            // Start typing the value straight away
+            const input = document.querySelector(`.note-property[data-property-id="${propertyId}"] .note-property-input`);
+            if (input) setTimeout(() => input.focus(), 0);
+        } catch (error) {
+            this.showPropertyError(error);
+        }
+    }
+
+    showEditPropertyDialog(propertyId) {
+        const definition = this.db && this.db.getPropertyDefinition(propertyId);
+        if (!definition) return;
+
+        const escape = (text) => this.app.escapeHtml(text);
+        const usage = Object.values(this.db.data.notes)
+            .filter(note => !note.deleted_at && note.properties && propertyId in note.properties).length;
+        const optionsField = definition.type === 'select' ? `
+                <div class="form-group">
+                    <label for="property-options">${escape(t('properties.options', 'Options'))}</label>
+                    <textarea id="property-options" class="filter-input" rows="5"
+                              placeholder="${escape(t('properties.optionsPlaceholder', 'One option per line'))}">${escape(definition.options.join('\n'))}</textarea>
+                </div>` : '';
+
+        const content = `
+            <div class="property-form">
+                <div class="form-group">
+                    <label for="property-name">${escape(t('properties.name', 'Name'))}</label>
+                    <input type="text" id="property-name" class="filter-input" value="${escape(definition.name)}">
+                </div>
+                <div class="form-group">
+                    <label>${escape(t('properties.type', 'Type'))}</label>
+                    <div class="property-type-label">
+                        <i class="${TYPE_ICONS[definition.type]}"></i>
+                        ${escape(t(`properties.types.${definition.type}`, definition.type))}
+                    </div>
+                </div>
+                ${optionsField}
+                <small class="filter-hint">${escape(t('properties.usage', { count: usage }))}</small>
+            </div>
+        `;
+
+        const modal = this.app.createModal(t('properties.editProperty', 'Edit property'), content, [
+            { text: t('properties.deleteProperty', 'Delete Property'), type: 'secondary', action: 'delete', callback: () => this.deleteProperty(propertyId) },
+            { text: t('modals.cancel', 'Cancel'), type: 'secondary', action: 'cancel' },
+            { text: t('properties.save', 'Save'), type: 'primary', action: 'save', callback: () => this.updateProperty(propertyId, modal) }
+        ]);
+        modal.querySelector('.modal-content').style.maxWidth = '440px';
+
+        const nameInput = modal.querySelector('#property-name');
+        nameInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                modal.querySelector('[data-action="save"]')?.click();
+            }
+        });
+        setTimeout(() => nameInput.select(), 100);
+    }
+
+    updateProperty(propertyId, modal) {
+        const changes = { name: modal.querySelector('#property-name').value };
+        const options = modal.querySelector('#property-options');
+        if (options) changes.options = options.value.split('\n');
+
+        try {
+            this.db.updatePropertyDefinition(propertyId, changes);
+            this.afterDefinitionsChanged();
+        } catch (error) {
+            this.showPropertyError(error);
+        }
+    }
+
+    async deleteProperty(propertyId) {
+        const definition = this.db && this.db.getPropertyDefinition(propertyId);
+        if (!definition) return;
+
+        const confirmed = await this.app.showConfirmation(
+            t('properties.deleteProperty', 'Delete Property'),
+            t('properties.deleteConfirm', { name: definition.name })
+        );
+        if (!confirmed) return;
+
+        this.db.deletePropertyDefinition(propertyId);
+        this.afterDefinitionsChanged();
+        this.app.showNotification(t('properties.deleted', { name: definition.name }), 'success');
+    }
+
+    afterDefinitionsChanged() {
+        this.renderProperties();
+        this.refreshNotesList();
+        if (this.app.advancedSearchManager) this.app.advancedSearchManager.populatePropertyFilters();
+    }
+
+    showPropertyError(error) {
+        if (error.name !== 'PropertyError') throw error;
+        this.app.showNotification(t(`properties.errors.${error.code}`, error.message, error.params), 'warning');
+    }
+
+    // =====================================================
+    // Advanced search conditions
+    // =====================================================
+
+    /**
+     * Fill a container with condition rows
+     * @param {HTMLElement} container
+     * @param {Array<{propertyId, operator, value}>} conditions
+     */
+    renderFilterConditions(container, conditions = []) {
+        if (!container) return;
+        container.innerHTML = '';
+        conditions
+            .filter(condition => this.db && this.db.getPropertyDefinition(condition.propertyId))
+            .forEach(condition => this.addFilterCondition(container, condition));
+    }
+
+    addFilterCondition(container, condition = {}) {
+        const definitions = this.db ? this.db.getPropertyDefinitions() : [];
+        if (!container || definitions.length === 0) return;
+
+        const row = document.createElement('div');
+        row.className = 'property-condition';
+
+        const propertySelect = document.createElement('select');
+        propertySelect.className = 'filter-select property-condition-property';
+        definitions.forEach(definition => {
+            const option = document.createElement('option');
+            option.value = definition.id;
+            option.textContent = definition.name;
+            propertySelect.appendChild(option);
+        });
+        propertySelect.value = condition.propertyId && this.db.getPropertyDefinition(condition.propertyId)
+            ? condition.propertyId
+            : definitions[0].id;
+
+        const operatorSelect = document.createElement('select');
+        operatorSelect.className = 'filter-select property-condition-operator';
+
+        const valueHolder = document.createElement('div');
+        valueHolder.className = 'property-condition-value';
+
+        const remove = document.createElement('button');
+        remove.className = 'property-condition-remove';
+        remove.title = t('advancedSearch.removeCondition', 'Remove condition');
+        remove.innerHTML = '<i class="fas fa-times"></i>';
+        remove.addEventListener('click', () => row.remove());
+
+        // Operators and the value input depend on the property type
+        const updateOperators = (operator, value) => {
+            const definition = this.db.getPropertyDefinition(propertySelect.value);
+            const operators = PROPERTY_OPERATORS[definition.type];
+            operatorSelect.innerHTML = '';
+            operators.forEach(name => {
+                const option = document.createElement('option');
+                option.value = name;
+                option.textContent = t(`properties.operators.${name}`, name);
+                operatorSelect.appendChild(option);
+            });
+            operatorSelect.value = operators.includes(operator) ? operator : operators[0];
+            updateValueInput(definition, value);
+        };
+        const updateValueInput = (definition, value) => {
+            const previous = valueHolder.querySelector('input');
+            valueHolder.innerHTML = '';
+            if (!VALUE_OPERATORS.includes(operatorSelect.value)) return;
+
+            const input = this.createValueInput(definition, value ?? (previous ? previous.value : ''));
+            input.className = 'filter-input property-condition-input';
+            valueHolder.appendChild(input);
+            if (definition.type === 'select') {
+                const listId = `property-condition-options-${++conditionCount}`;
+                valueHolder.appendChild(this.createOptionsList(definition, input, listId));
+            }
+        };
+
+        propertySelect.addEventListener('change', () => updateOperators(operatorSelect.value, ''));
+        operatorSelect.addEventListener('change', () =>
+            updateValueInput(this.db.getPropertyDefinition(propertySelect.value)));
+        updateOperators(condition.operator, condition.value);
+
+        row.append(propertySelect, operatorSelect, valueHolder, remove);
+        container.appendChild(row);
+    }
+
+    getFilterConditions(container) {
+        if (!container) return [];
+        return Array.from(container.querySelectorAll('.property-condition')).map(row => {
+            const input = row.querySelector('.property-condition-input');
+            return {
+                propertyId: row.querySelector('.property-condition-property').value,
+                operator: row.querySelector('.property-condition-operator').value,
+                value: input ? input.value : null
+            };
+        });
+    }
+
+    // Sort options for every property, after the built-in ones
+    populateSortOptions(select) {
+        if (!select) return;
+        const selected = select.value;
+        select.querySelectorAll('option[data-property-sort]').forEach(option => option.remove());
+
+        for (const definition of this.db ? this.db.getPropertyDefinitions() : []) {
+            for (const order of ['asc', 'desc']) {
+                const option = document.createElement('option');
+                option.value = `property:${definition.id}_${order}`;
+                option.dataset.propertySort = 'true';
+                option.textContent = t(`advancedSearch.propertySort_${order}`, { name: definition.name });
+                select.appendChild(option);
+            }
+        }
+        select.value = selected;
+        if (!select.value) select.value = 'updated_at_desc';
+    }
+}
+
+module.exports = PropertiesManager;
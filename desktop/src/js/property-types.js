@@ -0,0 +1,177 @@
+// Typed note properties for CogNotez
+// A property definition ({ id, name, type, options }) is shared by all notes; each note keeps
+// its values in note.properties as { [definitionId]: value }. Values are stored normalized:
+//   text, select, url -> string    number -> number    date -> 'YYYY-MM-DD'    checkbox -> boolean
+
+const PROPERTY_TYPES = ['text', 'number', 'date', 'checkbox', 'select', 'url'];
+
+// Front matter keys CogNotez writes itself, so no property may use them
+const RESERVED_PROPERTY_NAMES = ['title', 'tags', 'created', 'updated'];
+
+// Filter operators per type (see matchPropertyFilter)
+const PROPERTY_OPERATORS = {
+    text: ['contains', 'equals', 'notEquals', 'isEmpty', 'isNotEmpty'],
+    url: ['contains', 'equals', 'notEquals', 'isEmpty', 'isNotEmpty'],
+    number: ['equals', 'notEquals', 'greaterThan', 'lessThan', 'isEmpty', 'isNotEmpty'],
+    date: ['equals', 'notEquals', 'greaterThan', 'lessThan', 'isEmpty', 'isNotEmpty'],
+    select: ['equals', 'notEquals', 'isEmpty', 'isNotEmpty'],
+    checkbox: ['isChecked', 'isNotChecked']
+};
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})/;
+
+// Error codes double as i18n keys under "properties."; `message` is the English fallback
+const ERROR_MESSAGES = {
+    nameRequired: 'Please enter a property name',
+    nameReserved: '"{{name}}" is reserved and cannot be used as a property name',
+    nameTaken: 'A property called "{{name}}" already exists',
+    invalidType: 'Unknown property type "{{type}}"',
+    notFound: 'The property no longer exists'
+};
+
+class PropertyError extends Error {
+    /**
+     * @param {string} code - Error code (see ERROR_MESSAGES)
+     * @param {Object} params - { name, type }
+     */
+    constructor(code, params = {}) {
+        const message = ERROR_MESSAGES[code].replace(/\{\{(\w+)\}\}/g, (_, key) =>
+            params[key] !== undefined ? String(params[key]) : '');
+        super(message);
+        this.name = 'PropertyError';
+        this.code = code;
+        this.params = params;
+    }
+}
+
+/**
+ * Convert user input or imported data to the stored form of a type
+ * @returns {*} The normalized value, or null when the value is empty or invalid
+ */
+function normalizePropertyValue(type, value) {
+    if (value === undefined || value === null) return null;
+
+    switch (type) {
+        case 'number': {
+            if (typeof value === 'string' && !value.trim()) return null;
+            const number = typeof value === 'number' ? value : Number(String(value).trim());
+            return Number.isFinite(number) ? number : null;
+        }
+        case 'date':
+            return normalizeDate(value);
+        case 'checkbox':
+            if (typeof value === 'boolean') return value;
+            return ['true', 'yes', 'on', '1'].includes(String(value).trim().toLowerCase());
+        case 'url': {
+            const url = String(value).trim();
+            if (!url) return null;
+            // Bare domains get a scheme so the link opens in the browser
+            return /^[a-z][a-z0-9+.-]*:/i.test(url) ? url : `https://${url}`;
+        }
+        case 'text':
+        case 'select':
+        default: {
+            const text = String(value).replace(/\s*\n\s*/g, ' ').trim();
+            return text || null;
+        }
+    }
+}
+
+function normalizeDate(value) {
+    if (value instanceof Date) {
+        return Number.isNaN(value.getTime()) ? null : formatDate(value);
+    }
+    const match = DATE_PATTERN.exec(String(value).trim());
+    if (!match) return null;
+    const [, year, month, day] = match.map(Number);
+    const date = new Date(year, month - 1, day);
+    // Reject dates such as 2026-02-31 that Date would silently roll over
+    if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) return null;
+    return formatDate(date);
+}
+
+function formatDate(date) {
+    const pad = (number) => String(number).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Pick a type for a value found in imported front matter
+ */
+function inferPropertyType(value) {
+    if (typeof value === 'boolean') return 'checkbox';
+    if (typeof value === 'number') return 'number';
+    if (value instanceof Date) return 'date';
+    const text = String(value).trim();
+    if (/^\d{4}-\d{2}-\d{2}$/.test(text) && normalizeDate(text)) return 'date';
+    if (/^https?:\/\/\S+$/i.test(text)) return 'url';
+    return 'text';
+}
+
+/**
+ * Order two stored values of a type; empty values sort last in either direction
+ * @returns {number} Negative, zero or positive as for Array.prototype.sort (ascending)
+ */
+function comparePropertyValues(type, a, b) {
+    const aEmpty = a === null || a === undefined;
+    const bEmpty = b === null || b === undefined;
+    if (aEmpty || bEmpty) return aEmpty === bEmpty ? 0 : (aEmpty ? 1 : -1);
+
+    if (type === 'number') return a - b;
+    if (type === 'checkbox') return (a ? 1 : 0) - (b ? 1 : 0);
+    // Dates are stored as YYYY-MM-DD, so they compare as strings
+    if (type === 'date') return a < b ? -1 : a > b ? 1 : 0;
+    return String(a).localeCompare(String(b), undefined, { sensitivity: 'base', numeric: true });
+}
+
+/**
+ * Test a stored value against a filter condition
+ * @param {string} type - Property type
+ * @param {*} value - Stored value (null/undefined when the note has none)
+ * @param {string} operator - One of PROPERTY_OPERATORS[type]
+ * @param {*} operand - Raw operand from the filter, normalized here
+ */
+function matchPropertyFilter(type, value, operator, operand) {
+    const empty = value === null || value === undefined || value === '';
+    switch (operator) {
+        case 'isEmpty':
+            return empty;
+        case 'isNotEmpty':
+            return !empty;
+        case 'isChecked':
+            return value === true;
+        case 'isNotChecked':
+            return value !== true;
+    }
+
+    const expected = normalizePropertyValue(type, operand);
+    if (expected === null) return true; // An incomplete condition does not filter anything
+    if (operator === 'notEquals') {
+        return empty || comparePropertyValues(type, value, expected) !== 0;
+    }
+    if (empty) return false;
+
+    switch (operator) {
+        case 'contains':
+            return String(value).toLowerCase().includes(String(expected).toLowerCase());
+        case 'equals':
+            return comparePropertyValues(type, value, expected) === 0;
+        case 'greaterThan':
+            return comparePropertyValues(type, value, expected) > 0;
+        case 'lessThan':
+            return comparePropertyValues(type, value, expected) < 0;
+        default:
+            return true;
+    }
+}
+
+module.exports = {
+    PROPERTY_TYPES,
+    PROPERTY_OPERATORS,
+    RESERVED_PROPERTY_NAMES,
+    PropertyError,
+    normalizePropertyValue,
+    inferPropertyType,
+    comparePropertyValues,
+    matchPropertyFilter
+};
@@ -0,0 +1,244 @@
+// Reminders Manager
+// Reminders on notes (see note-reminders.js): the reminders dialog and header bell of the open
+// note, and the schedule handed to the main process, which shows the native notifications.
+// Clicking a notification opens its note.
+
+const { ipcRenderer } = require('electron');
+const { t } = require('./shared');
+const { REPEAT_RULES, getReminderSchedule } = require('./note-reminders');
+
+// Occurrences missed while the app was closed wait this long after startup, so the startup sync
+// can first report the ones another device has already shown
+const CATCH_UP_DELAY_MS = 60 * 1000;
+
+class RemindersManager {
+    constructor(app) {
+        this.app = app;
+        this.startedAt = Date.now();
+        this.lastSchedule = null; // What the main process was last sent, to skip repeats
+        this.dialog = null; // { modal, noteId } while the reminders dialog is open
+    }
+
+    get db() {
+        return this.app.notesManager && this.app.notesManager.db && this.app.notesManager.db.initialized
+            ? this.app.notesManager.db
+            : null;
+    }
+
+    initialize() {
+        document.getElementById('reminders-btn')?.addEventListener('click', () => this.showRemindersDialog());
+        document.getElementById('note-reminder-badge')?.addEventListener('click', () => this.showRemindersDialog());
+
+        ipcRenderer.on('reminder-fired', (event, { id, occurrence }) => this.handleReminderFired(id, occurrence));
+        ipcRenderer.on('reminder-open-note', (event, { noteId }) => this.openNote(noteId));
+
+        // Notification texts are prepared here, in the current language
+        window.addEventListener('languageChanged', () => {
+            this.schedule();
+            this.renderBadge();
+        });
+
+        this.schedule();
+    }
+
+    /**
+     * Hand the next occurrence of every reminder to the main process. Reminders of notes in
+     * the trash or the archive stay quiet until the note is back.
+     */
+    schedule() {
+        if (!this.db) return;
+
+        const now = new Date();
+        const entries = [];
+        for (const reminder of this.db.getReminders()) {
+            const note = this.db.data.notes[reminder.note_id];
+            if (!note || note.deleted_at || note.is_archived) continue;
+
+            const { missed, next } = getReminderSchedule(reminder, now);
+            const occurrence = missed || next;
+            if (!occurrence) continue;
+
+            entries.push({
+                id: reminder.id,
+                noteId: note.id,
+                title: note.title,
+                body: t(missed ? 'reminders.notificationMissed' : 'reminders.notificationBody',
+                    { time: this.formatOccurrence(occurrence) }),
+                fireAt: missed ? Math.max(missed.getTime(), this.startedAt + CATCH_UP_DELAY_MS) : next.getTime(),
+                occurrence: occurrence.toISOString()
+            });
+        }
+
+        const signature = JSON.stringify(entries);
+        if (signature === this.lastSchedule) return;
+        this.lastSchedule = signature;
+        ipcRenderer.send('reminders-schedule', entries);
+    }
+
+    // The main process showed a notification; record it so it is not shown again, here or elsewhere
+    handleReminderFired(id, occurrence) {
+        if (!this.db) return;
+        if (this.db.markReminderFired(id, occurrence)) {
+            this.app.refreshLocalSyncChecksum();
+        }
+        this.schedule();
+        this.renderBadge();
+        this.renderList();
+    }
+
+    async openNote(noteId) {
+        if (!this.db) return;
+        if (!this.db.getNote(noteId)) {
+            this.app.showNotification(t('reminders.noteNotFound'), 'warning');
+            return;
+        }
+
+        // The note would be invisible in the trash and archive views
+        if (this.app.currentFolder === 'trash' || this.app.currentFolder === 'archive') {
+            await this.app.switchFolder('all');
+        }
+        await this.app.openLinkedNote(noteId);
+    }
+
+    formatOccurrence(date) {
+        return this.app.formatLocalizedDateTime(date, true).trim();
+    }
+
+    // When the note's next reminder is due, or null when none is to come
+    getNextOccurrence(noteId) {
+        let next = null;
+        for (const reminder of this.db.getReminders(noteId)) {
+            const occurrence = getReminderSchedule(reminder).next;
+            if (occurrence && (!next || occurrence < next)) next = occurrence;
+        }
+        return next;
+    }
+
+    // Bell with the next reminder time in the editor header
+    renderBadge(note = this.app.currentNote) {
+        const badge = document.getElementById('note-reminder-badge');
+        if (!badge) return;
+
+        const next = note && this.db ? this.getNextOccurrence(note.id) : null;
+        badge.classList.toggle('hidden', !next);
+        if (!next) return;
+
+        const time = this.formatOccurrence(next);
+        badge.querySelector('.note-reminder-time').textContent = time;
+        badge.title = t('reminders.nextReminder', { time });
+    }
+
+    // =====================================================
+    // Reminders dialog
+    // =====================================================
+
+    showRemindersDialog() {
+        const note = this.app.currentNote;
+        if (!note || !this.db) return;
+
+        // Default to the next full hour
+        const start = new Date();
+        start.setHours(start.getHours() + 1, 0, 0, 0);
+        const pad = (value) => String(value).padStart(2, '0');
+        const defaultValue = `${start.getFullYear()}-${pad(start.getMonth() + 1)}-${pad(start.getDate())}T${pad(start.getHours())}:00`;
+
+        const content = `
+            <div class="reminders-dialog">
+                <div class="reminders-list" id="reminders-list"></div>
+                <div class="reminder-form">
+                    <div class="reminder-form-field">
+                        <label for="reminder-due">${t('reminders.when')}</label>
+                        <input type="datetime-local" id="reminder-due" class="filter-input" value="${defaultValue}">
+                    </div>
+                    <div class="reminder-form-field">
+                        <label for="reminder-repeat">${t('reminders.repeat')}</label>
+                        <select id="reminder-repeat" class="filter-input">
+                            <option value="">${t('reminders.repeatRules.none')}</option>
+                            ${REPEAT_RULES.map(rule => `<option value="${rule}">${t(`reminders.repeatRules.${rule}`)}</option>`).join('')}
+                        </select>
+                    </div>
+                    <button id="reminder-add-btn" class="btn-primary"><i class="fas fa-plus"></i> ${t('reminders.add')}</button>
+                </div>
+            </div>
+        `;
+
+        const modal = this.app.createModal(t('reminders.title'), content);
+        modal.classList.add('reminders-modal');
+        modal.querySelector('.modal-content').style.maxWidth = '520px';
+        this.dialog = { modal, noteId: note.id };
+
+        modal.querySelector('#reminder-add-btn').addEventListener('click', () => this.addReminder());
+        modal.querySelector('#reminders-list').addEventListener('click', (e) => {
+            const button = e.target.closest('.reminder-delete');
+            if (button) this.deleteReminder(button.closest('.reminder-item').dataset.id);
+        });
+
+        this.renderList();
+    }
+
+    renderList() {
+        if (!this.dialog || !this.dialog.modal.isConnected) {
+            this.dialog = null;
+            return;
+        }
+
+        const list = this.dialog.modal.querySelector('#reminders-list');
+        const reminders = this.db.getReminders(this.dialog.noteId);
+        if (reminders.length === 0) {
+            list.innerHTML = `<div class="reminders-empty">${t('reminders.empty')}</div>`;
+            return;
+        }
+
+        list.innerHTML = reminders.map(reminder => {
+            const { next } = getReminderSchedule(reminder);
+            const repeat = t(`reminders.repeatRules.${reminder.repeat || 'none'}`);
+            const status = next ? repeat : `${repeat} · ${t('reminders.delivered')}`;
+            return `
+                <div class="reminder-item${next ? '' : ' done'}" data-id="${this.app.escapeHtml(reminder.id)}">
+                    <i class="fas fa-bell"></i>
+                    <div class="reminder-info">
+                        <div class="reminder-time">${this.app.escapeHtml(this.formatOccurrence(next || new Date(reminder.due_at)))}</div>
+                        <div class="reminder-meta">${this.app.escapeHtml(status)}</div>
+                    </div>
+                    <button class="reminder-delete" title="${t('reminders.delete')}"><i class="fas fa-trash"></i></button>
+                </div>
+            `;
+        }).join('');
+    }
+
+    addReminder() {
+        const { modal, noteId } = this.dialog;
+        const value = modal.querySelector('#reminder-due').value;
+
+        try {
+            this.db.createReminder({
+                noteId,
+                dueAt: value ? new Date(value) : null,
+                repeat: modal.querySelector('#reminder-repeat').value || null
+            });
+        } catch (error) {
+            if (error.name !== 'ReminderError') {
+                console.error('[Reminders] Failed to add reminder:', error);
+                this.app.showNotification(t('reminders.saveFailed'), 'error');
+                return;
+            }
+            this.app.showNotification(t(`reminders.errors.${error.code}`, error.message, error.params), 'warning');
+            return;
+        }
+        this.afterRemindersChanged();
+    }
+
+    deleteReminder(id) {
+        this.db.deleteReminder(id);
+        this.afterRemindersChanged();
+    }
+
+    afterRemindersChanged() {
+        this.app.refreshLocalSyncChecksum();
+        this.schedule();
+        this.renderList();
+        this.renderBadge();
+    }
+}
+
+module.exports = RemindersManager;
@@ -0,0 +1,276 @@
+// Revision History Manager
+// Browse, diff and restore the revisions DatabaseManager keeps for each note
+
+const { t } = require('./shared');
+
+class RevisionHistoryManager {
+    constructor(app) {
+        this.app = app;
+        this.contextLines = 3; // Unchanged lines shown around each change in the diff
+        this.maxDiffCells = 1000000; // Upper bound for the LCS table before falling back to a block diff
+    }
+
+    get db() {
+        return this.app.notesManager ? this.app.notesManager.db : null;
+    }
+
+    async showRevisionHistory() {
+        const note = this.app.currentNote;
+        if (!note) {
+            this.app.showNotification(t('revisions.noNoteSelected', 'Open a note to view its history'), 'info');
+            return;
+        }
+        if (!this.db || !this.db.initialized) return;
+
+        // Save pending edits first so the diff compares against what is actually stored
+        if (this.app.notesManager.hasUnsavedChanges()) {
+            await this.app.saveCurrentNote(true);
+        }
+
+        const current = this.app.currentNote;
+        const revisions = this.db.getNoteRevisions(current.id);
+
+        let content;
+        if (revisions.length === 0) {
+            content = `
+                <div class="revision-history-empty">
+                    <i class="fas fa-history"></i>
+                    <p>${this.app.escapeHtml(t('revisions.empty', 'No previous revisions yet. A revision is kept each time this note is saved.'))}</p>
+                </div>
+            `;
+        } else {
+            const items = revisions.map((revision, index) => `
+                <button class="revision-item${index === 0 ? ' active' : ''}" data-revision-id="${this.app.escapeHtml(revision.id)}">
+                    <span class="revision-item-date">${this.app.escapeHtml(this.app.formatLocalizedDateTime(revision.note_updated_at || revision.created_at))}</span>
+                    <span class="revision-item-meta">${this.app.escapeHtml(revision.title || '')}</span>
+                </button>
+            `).join('');
+
+            content = `
+                <div class="revision-history">
+                    <div class="revision-list">${items}</div>
+                    <div class="revision-detail">
+                        <div class="revision-detail-header">
+                            <span class="revision-legend">
+                                <span class="revision-legend-removed">${this.app.escapeHtml(t('revisions.legendRevision', '− Only in revision'))}</span>
+                                <span class="revision-legend-added">${this.app.escapeHtml(t('revisions.legendCurrent', '+ Only in current note'))}</span>
+                            </span>
+                            <button class="btn-primary revision-restore-btn">
+                                <i class="fas fa-undo"></i> ${this.app.escapeHtml(t('revisions.restore', 'Restore'))}
+                            </button>
+                        </div>
+                        <div class="revision-diff"></div>
+                    </div>
+                </div>
+            `;
+        }
+
+        const modal = this.app.createModal(t('revisions.title', 'Revision History'), content, [
+            { text: t('modals.close', 'Close'), type: 'secondary', action: 'close' }
+        ]);
+        modal.querySelector('.modal-content').style.maxWidth = '900px';
+
+        if (revisions.length === 0) return;
+
+        let selected = null;
+        const select = (revisionId) => {
+            selected = this.renderRevision(modal, current, revisionId);
+            modal.querySelectorAll('.revision-item').forEach(item => {
+                item.classList.toggle('active', item.dataset.revisionId === revisionId);
+            });
+        };
+
+        modal.querySelectorAll('.revision-item').forEach(item => {
+            item.addEventListener('click', () => select(item.dataset.revisionId));
+        });
+
+        modal.querySelector('.revision-restore-btn').addEventListener('click', async () => {
+            if (!selected) return;
+            this.app.closeModal(modal);
+            await this.restoreRevision(current, selected.revision, selected.plaintext);
+        });
+
+        select(revisions[0].id);
+    }
+
+    // Render the diff between a revision and the current note; returns the selection or null
+    renderRevision(modal, note, revisionId) {
+        const diffContainer = modal.querySelector('.revision-diff');
+        const restoreBtn = modal.querySelector('.revision-restore-btn');
+        const revision = this.db.getNoteRevision(note.id, revisionId);
+        if (!revision) return null;
+
+        const plaintext = this.getRevisionContent(note, revision);
+        if (plaintext === null) {
+            diffContainer.innerHTML = `<div class="revision-diff-message">${this.app.escapeHtml(t('revisions.encryptedUnavailable', 'This revision was encrypted with a different password and cannot be shown.'))}</div>`;
+            restoreBtn.disabled = true;
+            return null;
+        }
+        restoreBtn.disabled = false;
+
+        let html = '';
+        if ((revision.title || '') !== (note.title || '')) {
+            html += `
+                <div class="revision-title-change">
+                    <span class="revision-diff-removed">${this.app.escapeHtml(revision.title || '')}</span>
+                    <i class="fas fa-arrow-right"></i>
+                    <span class="revision-diff-added">${this.app.escapeHtml(note.title || '')}</span>
+                </div>
+            `;
+        }
+
+        const diff = this.computeLineDiff(plaintext, note.content || '');
+        if (!diff.some(line => line.type !== 'same')) {
+            html += `<div class="revision-diff-message">${this.app.escapeHtml(t('revisions.noContentChanges', 'The content of this revision matches the current note.'))}</div>`;
+        } else {
+            html += this.renderDiff(diff);
+        }
+
+        diffContainer.innerHTML = html;
+        diffContainer.scrollTop = 0;
+        return { revision, plaintext };
+    }
+
+    // Plaintext of a revision, decrypting protected revisions with the cached note password
+    getRevisionContent(note, revision) {
+        if (!revision.password_protected) return revision.content || '';
+
+        const password = this.app.getCachedNotePassword(note.id);
+        if (!password || !revision.encrypted_content || !window.encryptionManager) return null;
+        try {
+            const envelope = JSON.parse(revision.encrypted_content);
+            const decrypted = window.encryptionManager.decryptData(envelope, password);
+            return decrypted.content || '';
+        } catch (error) {
+            console.warn('[RevisionHistory] Failed to decrypt revision:', error.message);
+            return null;
+        }
+    }
+
+    async restoreRevision(note, revision, plaintext) {
+        const dateStr = this.app.formatLocalizedDateTime(revision.note_updated_at || revision.created_at);
+        const confirmed = await this.app.showConfirmation(
+            t('revisions.restoreConfirmTitle', 'Restore Revision'),
+            t('revisions.restoreConfirmMessage', { date: dateStr })
+        );
+        if (!confirmed) return false;
+
+        if (!this.db.restoreRevision(note.id, revision.id)) {
+            this.app.showNotification(t('revisions.restoreFailed', 'Failed to restore revision'), 'error');
+            return false;
+        }
+
+        const restored = this.db.getNote(note.id);
+        if (!restored) return false;
+
+        // Protected notes are stored encrypted; keep the decrypted text in memory like a normal unlock
+        this.app.displayNote(revision.password_protected ? { ...restored, content: plaintext } : restored);
+        this.app.updateTabTitle(note.id, restored.title);
+
+        const searchInput = document.getElementById('search-input');
+        const searchQuery = searchInput ? (searchInput.value || '') : '';
+        await this.app.notesManager.renderNotesList(searchQuery, this.app.currentFolder);
+
+        this.app.showNotification(t('revisions.restored', 'Revision restored'), 'success');
+        return true;
+    }
+
+    /**
+     * Line-based diff using the longest common subsequence of lines.
+     * Common leading/trailing lines are trimmed first so typical edits stay cheap.
+     * @param {string} oldText - Revision text
+     * @param {string} newText - Current text
+     * @returns {Array<{type: 'same'|'removed'|'added', text: string}>}
+     */
+    computeLineDiff(oldText, newText) {
+        const oldLines = oldText.split('\n');
+        const newLines = newText.split('\n');
+
+        let start = 0;
+        while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) {
+            start++;
+        }
+        let oldEnd = oldLines.length;
+        let newEnd = newLines.length;
+        while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+            oldEnd--;
+            newEnd--;
+        }
+
+        const head = oldLines.slice(0, start).map(text => ({ type: 'same', text }));
+        const tail = oldLines.slice(oldEnd).map(text => ({ type: 'same', text }));
+        const a = oldLines.slice(start, oldEnd);
+        const b = newLines.slice(start, newEnd);
+
+        let middle;
+        if (a.length * b.length > this.maxDiffCells) {
+            // Too large to align line by line; show the changed block as a whole
+            middle = [
+                ...a.map(text => ({ type: 'removed', text })),
+                ...b.map(text => ({ type: 'added', text }))
+            ];
+        } else {
+            // lcs[i][j] = length of the LCS of a[i..] and b[j..]
+            const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+            for (let i = a.length - 1; i >= 0; i--) {
+                for (let j = b.length - 1; j >= 0; j--) {
+                    lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+                }
+            }
+
+            middle = [];
+            let i = 0;
+            let j = 0;
+            while (i < a.length && j < b.length) {
+                if (a[i] === b[j]) {
+                    middle.push({ type: 'same', text: a[i] });
+                    i++;
+                    j++;
+                } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+                    middle.push({ type: 'removed', text: a[i++] });
+                } else {
+                    middle.push({ type: 'added', text: b[j++] });
+                }
+            }
+            while (i < a.length) middle.push({ type: 'removed', text: a[i++] });
+            while (j < b.length) middle.push({ type: 'added', text: b[j++] });
+        }
+
+        return [...head, ...middle, ...tail];
+    }
+
+    // Render diff lines, folding long unchanged stretches away from the changes
+    renderDiff(diff) {
+        const visible = new Array(diff.length).fill(false);
+        diff.forEach((line, index) => {
+            if (line.type === 'same') return;
+            const from = Math.max(0, index - this.contextLines);
+            const to = Math.min(diff.length - 1, index + this.contextLines);
+            for (let k = from; k <= to; k++) visible[k] = true;
+        });
+
+        const signs = { same: ' ', removed: '−', added: '+' };
+        let html = '<div class="revision-diff-lines">';
+        let hidden = 0;
+        const flushHidden = () => {
+            if (hidden > 0) {
+                html += `<div class="revision-diff-fold">${this.app.escapeHtml(t('revisions.unchangedLines', { count: hidden }))}</div>`;
+                hidden = 0;
+            }
+        };
+
+        diff.forEach((line, index) => {
+            if (!visible[index]) {
+                hidden++;
+                return;
+            }
+            flushHidden();
+            html += `<div class="revision-diff-line revision-diff-${line.type}"><span class="revision-diff-sign">${signs[line.type]}</span><span class="revision-diff-text">${this.app.escapeHtml(line.text) || '&nbsp;'}</span></div>`;
+        });
+        flushHidden();
+
+        return html + '</div>';
+    }
+}
+
+module.exports = RevisionHistoryManager;
@@ -0,0 +1,304 @@
+// S3 Authentication Module for CogNotez
+// Keeps the S3-compatible bucket a workspace syncs with (MinIO, Backblaze B2, Wasabi, Garage, ...)
+// and signs the requests to it with AWS Signature Version 4. The settings, { endpoint, region,
+// bucket, prefix, accessKeyId, secretAccessKey }, are stored next to the Google Drive tokens in the
+// workspace's directory. Objects are addressed path-style (<endpoint>/<bucket>/<key>), which every
+// S3-compatible server accepts; the sync folder's objects are kept under `prefix` (see s3-sync.js).
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const SETTINGS_FILE = 's3-settings.json';
+const REQUEST_TIMEOUT_MS = 60 * 1000;
+// MinIO's default, and what most S3-compatible servers accept when they have no regions
+const DEFAULT_REGION = 'us-east-1';
+
+// Error codes double as i18n keys under "s3.errors."; `message` is the English fallback
+const ERROR_MESSAGES = {
+    invalidEndpoint: 'Enter the address of the S3 endpoint, starting with http:// or https://',
+    bucketRequired: 'Enter the name of the bucket to sync with',
+    keysRequired: 'Enter the access key ID and secret access key',
+    authFailed: 'The S3 server did not accept the access keys, or they may not use this bucket',
+    clockSkewed: 'The S3 server refused the request because this computer\'s clock is wrong',
+    bucketNotFound: 'The bucket {{bucket}} does not exist on the S3 server',
+    wrongRegion: 'The bucket is not in the region {{region}}. Enter the region your storage provider gives for it',
+    unreachable: 'Could not reach the S3 server: {{error}}',
+    requestFailed: 'The S3 server answered {{method}} {{name}} with HTTP status {{status}}',
+    notConnected: 'No S3 bucket is connected'
+};
+
+class S3Error extends Error {
+    /**
+     * @param {string} code - Error code (see ERROR_MESSAGES)
+     * @param {Object} params - { bucket, region, error, method, name, status, s3Code }
+     */
+    constructor(code, params = {}) {
+        const message = ERROR_MESSAGES[code].replace(/\{\{(\w+)\}\}/g, (_, key) =>
+            params[key] !== undefined ? String(params[key]) : '');
+        super(message);
+        this.name = 'S3Error';
+        this.code = code;
+        this.params = params;
+        this.status = params.status || null; // HTTP status, when the server answered
+    }
+}
+
+/**
+ * @param {string} endpoint
+ * @returns {string} The endpoint without a trailing slash, query or hash
+ * @throws {S3Error} invalidEndpoint
+ */
+function normalizeEndpoint(endpoint) {
+    let parsed;
+    try {
+        parsed = new URL(String(endpoint || '').trim());
+    } catch (error) {
+        throw new S3Error('invalidEndpoint');
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') throw new S3Error('invalidEndpoint');
+    parsed.hash = '';
+    parsed.search = '';
+    return parsed.toString().replace(/\/+$/, '');
+}
+
+/**
+ * Backblaze, Wasabi and AWS name the region in the endpoint (s3.eu-central-1.wasabisys.com)
+ * @param {string} endpoint - normalizeEndpoint() result
+ * @returns {string}
+ */
+function guessRegion(endpoint) {
+    const match = new URL(endpoint).hostname.match(/(?:^|\.)s3[.-]([a-z]{2}(?:-[a-z]+)+-\d+)\./);
+    return match ? match[1] : DEFAULT_REGION;
+}
+
+// "notes", "/notes/" and "notes//2026" become "notes/" and "notes/2026/"; no prefix stays ''
+function normalizePrefix(prefix) {
+    const segments = String(prefix || '').split('/').map(segment => segment.trim()).filter(Boolean);
+    return segments.length > 0 ? `${segments.join('/')}/` : '';
+}
+
+// encodeURIComponent leaves !'()* alone; Signature Version 4 wants them encoded
+function encodeRfc3986(value) {
+    return encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function sha256Hex(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+    return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+/**
+ * Sign a request with AWS Signature Version 4
+ * @param {Object} request
+ * @param {string} request.method
+ * @param {URL} request.url - Path already encoded; the query is read from url.searchParams
+ * @param {Object} request.headers - Lowercase names; host, x-amz-date and x-amz-content-sha256
+ *   are added
+ * @param {string} request.payloadHash - Hex SHA-256 of the body
+ * @param {Object} settings - { region, accessKeyId, secretAccessKey }
+ * @param {Date} [date]
+ * @returns {Object} The headers, with Authorization
+ */
+function signRequest({ method, url, headers, payloadHash }, settings, date = new Date()) {
+    const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const dateStamp = amzDate.slice(0, 8);
+    const signedHeaders = {
+        ...headers,
+        host: url.host,
+        'x-amz-date': amzDate,
+        'x-amz-content-sha256': payloadHash
+    };
+
+    const headerNames = Object.keys(signedHeaders).sort();
+    const canonicalHeaders = headerNames
+        .map(name => `${name}:${String(signedHeaders[name]).trim().replace(/\s+/g, ' ')}\n`)
+        .join('');
+    const canonicalQuery = [...url.searchParams.entries()]
+        .map(([key, value]) => [encodeRfc3986(key), encodeRfc3986(value)])
+        .sort(([a, aValue], [b, bValue]) => (a < b ? -1 : a > b ? 1 : aValue < bValue ? -1 : aValue > bValue ? 1 : 0))
+        .map(([key, value]) => `${key}=${value}`)
+        .join('&');
+    const canonicalRequest = [
+        method,
+        url.pathname,
+        canonicalQuery,
+        canonicalHeaders,
+        headerNames.join(';'),
+        payloadHash
+    ].join('\n');
+
+    const scope = `${dateStamp}/${settings.region}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+    const signingKey = ['s3', 'aws4_request'].reduce(hmac,
+        hmac(hmac(`AWS4${settings.secretAccessKey}`, dateStamp), settings.region));
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    delete signedHeaders.host; // Set by fetch, from the URL
+    signedHeaders.authorization = `AWS4-HMAC-SHA256 Credential=${settings.accessKeyId}/${scope}, ` +
+        `SignedHeaders=${headerNames.join(';')}, Signature=${signature}`;
+    return signedHeaders;
+}
+
+// Code of an S3 error response body (<Error><Code>NoSuchBucket</Code>...</Error>)
+function getErrorCode(xml) {
+    const match = /<Code>([^<]*)<\/Code>/.exec(xml || '');
+    return match ? match[1] : null;
+}
+
+class S3AuthManager {
+    /**
+     * @param {string} directory - The open workspace's directory (see workspace-registry.js)
+     */
+    constructor(directory) {
+        this.settingsPath = path.join(directory, SETTINGS_FILE);
+        this.settings = null;
+        this.isAuthenticated = false;
+
+        this._initPromise = this.initialize();
+    }
+
+    async initialize() {
+        try {
+            const saved = JSON.parse(await fs.readFile(this.settingsPath, 'utf8'));
+            if (saved && saved.endpoint && saved.bucket && saved.accessKeyId) {
+                this.settings = {
+                    endpoint: saved.endpoint,
+                    region: saved.region || guessRegion(saved.endpoint),
+                    bucket: saved.bucket,
+                    prefix: normalizePrefix(saved.prefix),
+                    accessKeyId: saved.accessKeyId,
+                    secretAccessKey: saved.secretAccessKey || ''
+                };
+                this.isAuthenticated = true;
+                console.log('[S3] Connected to bucket', this.settings.bucket, 'at', this.settings.endpoint);
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn('[S3] Could not read the S3 settings:', error.message);
+            }
+        }
+    }
+
+    /**
+     * Check the bucket with the given keys by listing the prefix, then remember them
+     * @param {{endpoint: string, region: string, bucket: string, prefix: string, accessKeyId: string, secretAccessKey: string}} settings
+     * @throws {S3Error} invalidEndpoint, bucketRequired, keysRequired, authFailed, clockSkewed,
+     *   bucketNotFound, wrongRegion or unreachable
+     */
+    async connect({ endpoint, region, bucket, prefix, accessKeyId, secretAccessKey }) {
+        const normalizedEndpoint = normalizeEndpoint(endpoint);
+        const settings = {
+            endpoint: normalizedEndpoint,
+            region: String(region || '').trim() || guessRegion(normalizedEndpoint),
+            bucket: String(bucket || '').trim(),
+            prefix: normalizePrefix(prefix),
+            accessKeyId: String(accessKeyId || '').trim(),
+            secretAccessKey: String(secretAccessKey || '').trim()
+        };
+        if (!settings.bucket) throw new S3Error('bucketRequired');
+        if (!settings.accessKeyId || !settings.secretAccessKey) throw new S3Error('keysRequired');
+
+        await this.request('GET', null, {
+            query: { 'list-type': '2', 'max-keys': '1', prefix: settings.prefix },
+            settings
+        });
+
+        // Written readable to this user only, since it holds the secret key
+        await fs.mkdir(path.dirname(this.settingsPath), { recursive: true });
+        await fs.writeFile(this.settingsPath, JSON.stringify(settings, null, 2), { encoding: 'utf8', mode: 0o600 });
+        this.settings = settings;
+        this.isAuthenticated = true;
+        console.log('[S3] Connected to bucket', settings.bucket, 'at', settings.endpoint);
+    }
+
+    async disconnect() {
+        try {
+            await fs.unlink(this.settingsPath);
+        } catch (error) {
+            if (error.code !== 'ENOENT') console.warn('[S3] Could not remove the S3 settings:', error.message);
+        }
+        this.settings = null;
+        this.isAuthenticated = false;
+        console.log('[S3] Disconnected');
+    }
+
+    getAuthStatus() {
+        return {
+            isAuthenticated: this.isAuthenticated,
+            hasCredentials: !!this.settings,
+            endpoint: this.settings ? this.settings.endpoint : null,
+            bucket: this.settings ? this.settings.bucket : null,
+            prefix: this.settings ? this.settings.prefix : null
+        };
+    }
+
+    /**
+     * Send a signed request to the bucket
+     * @param {string} method - HTTP method
+     * @param {string|null} key - Object key, not encoded; null addresses the bucket itself
+     * @param {Object} [options]
+     * @param {Object} [options.query]
+     * @param {Object} [options.headers]
+     * @param {string|Buffer} [options.body]
+     * @param {number[]} [options.allowedStatuses] - Error statuses returned instead of thrown
+     * @param {Object} [options.settings] - Bucket and keys to use instead of the connected ones
+     * @returns {Promise<Response>}
+     * @throws {S3Error} authFailed, clockSkewed, bucketNotFound, wrongRegion, requestFailed
+     *   (other error statuses) or unreachable
+     */
+    async request(method, key, { query = {}, headers = {}, body, allowedStatuses = [], settings = this.settings } = {}) {
+        if (!settings) throw new S3Error('notConnected');
+
+        const objectPath = key === null ? '' : `/${key.split('/').map(encodeRfc3986).join('/')}`;
+        const url = new URL(`${settings.endpoint}/${encodeRfc3986(settings.bucket)}${objectPath}`);
+        for (const [name, value] of Object.entries(query)) url.searchParams.set(name, value);
+
+        const lowercaseHeaders = {};
+        for (const [name, value] of Object.entries(headers)) lowercaseHeaders[name.toLowerCase()] = value;
+        const requestHeaders = signRequest({
+            method,
+            url,
+            headers: lowercaseHeaders,
+            payloadHash: sha256Hex(body || '')
+        }, settings);
+
+        let response;
+        try {
+            response = await fetch(url, {
+                method,
+                headers: requestHeaders,
+                body,
+                signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+            });
+        } catch (error) {
+            const s3Error = new S3Error('unreachable', { error: (error.cause && error.cause.message) || error.message });
+            s3Error.isOffline = true;
+            throw s3Error;
+        }
+
+        if (response.ok || allowedStatuses.includes(response.status)) {
+            return response;
+        }
+        // HEAD responses have no body to name the error
+        const s3Code = getErrorCode(await response.text().catch(() => ''));
+        const params = { method, name: key || settings.bucket, status: response.status, s3Code };
+        if (s3Code === 'RequestTimeTooSkewed') throw new S3Error('clockSkewed', params);
+        if (s3Code === 'AuthorizationHeaderMalformed' || s3Code === 'PermanentRedirect' || response.status === 301) {
+            throw new S3Error('wrongRegion', { ...params, region: settings.region });
+        }
+        if (s3Code === 'NoSuchBucket') throw new S3Error('bucketNotFound', { ...params, bucket: settings.bucket });
+        if (response.status === 401 || response.status === 403) throw new S3Error('authFailed', params);
+        throw new S3Error('requestFailed', params);
+    }
+}
+
+module.exports = {
+    S3Error,
+    S3AuthManager,
+    normalizeEndpoint,
+    signRequest
+};
@@ -0,0 +1,374 @@
+// S3 Sync Manager for CogNotez
+// Syncs notes data with an S3-compatible bucket (see s3-auth.js). Merging, encryption and media
+// sync are SyncManager's; this class only stores the files in the bucket, in the same layout as
+// the Google Drive folder, below the configured prefix:
+//   <prefix><sync folder>/cognotez_sync_manifest.json   (the manifest)
+//   <prefix><sync folder>/objects/<object name>         (one note, tag or AI conversation each)
+//   <prefix><sync folder>/media/<media file id>
+// Optimistic locking uses the data object's ETag: an upload after a merge is a conditional PUT
+// (If-Match), so the server refuses it when another device uploaded in between. Main process only.
+
+const crypto = require('crypto');
+const { SyncManager } = require('./sync-manager');
+const { S3Error } = require('./s3-auth');
+
+// Statuses worth retrying, as for Google Drive
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+const MAX_RETRIES = 3;
+const LIST_PAGE_SIZE = 1000;
+
+function decodeXmlText(text) {
+    return text
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, '\'')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * Read a ListObjectsV2 response
+ * @param {string} xml
+ * @returns {{objects: Array<{key: string, size: number, modifiedTime: string|null}>, nextContinuationToken: string|null}}
+ */
+function parseListObjects(xml) {
+    const getText = (element, name) => {
+        const match = new RegExp(`<${name}>([\\s\\S]*?)</${name}>`).exec(element);
+        return match ? decodeXmlText(match[1]) : null;
+    };
+
+    const objects = [];
+    const contentsPattern = /<Contents>([\s\S]*?)<\/Contents>/g;
+    let match;
+    while ((match = contentsPattern.exec(xml)) !== null) {
+        const modified = getText(match[1], 'LastModified');
+        objects.push({
+            key: getText(match[1], 'Key'),
+            size: parseInt(getText(match[1], 'Size'), 10) || 0,
+            modifiedTime: modified ? new Date(modified).toISOString() : null
+        });
+    }
+    const truncated = getText(xml, 'IsTruncated') === 'true';
+    return { objects, nextContinuationToken: truncated ? getText(xml, 'NextContinuationToken') : null };
+}
+
+class S3SyncManager extends SyncManager {
+    /**
+     * @param {S3AuthManager} authManager
+     * @param {Object|null} encryptionSettings
+     * @param {Object} [options] - See SyncManager; appFolderName is the sync folder
+     *   below the configured prefix
+     */
+    constructor(authManager, encryptionSettings = null, options = {}) {
+        super(authManager, encryptionSettings, options);
+    }
+
+    async initialize() {
+        try {
+            await this.ensureInitialized();
+            console.log('[S3Sync] Initialized successfully');
+        } catch (error) {
+            console.error('[S3Sync] Initialization failed:', error.message);
+        }
+    }
+
+    // Buckets have no folders to create, so there is nothing to do but check the connection
+    async ensureInitialized() {
+        if (!this.authManager || !this.authManager.isAuthenticated) {
+            throw new S3Error('notConnected');
+        }
+        if (!this.initialized) {
+            await this.ensureAppFolder();
+            this.initialized = true;
+        }
+        return this.initialized;
+    }
+
+    getFolderKey() {
+        return `${this.authManager.settings.prefix}${this.appFolderName}`;
+    }
+
+    getDataFileKey(fileName = this.backupFileName) {
+        return `${this.getFolderKey()}/${fileName}`;
+    }
+
+    getMediaFileKey(fileName) {
+        return `${this.getFolderKey()}/media/${fileName}`;
+    }
+
+    getObjectKey(name) {
+        return `${this.getFolderKey()}/objects/${name}`;
+    }
+
+    async withRetry(label, requestFn, retryCount = 0) {
+        try {
+            return await requestFn();
+        } catch (error) {
+            if (!RETRYABLE_STATUSES.includes(error.status) || retryCount >= MAX_RETRIES) throw error;
+            const retryDelay = 1000 * Math.pow(2, retryCount);
+            console.log(`[S3Sync] Retrying ${label} in ${retryDelay}ms (attempt ${retryCount + 1}/${MAX_RETRIES})`);
+            await new Promise(resolve => setTimeout(resolve, retryDelay));
+            return this.withRetry(label, requestFn, retryCount + 1);
+        }
+    }
+
+    async ensureAppFolder() {
+        this.appFolderId = this.appFolderName;
+        return true;
+    }
+
+    async getMediaFolderId() {
+        if (!this.mediaFolderId) {
+            this.mediaFolderId = `${this.getFolderKey()}/media`;
+        }
+        return this.mediaFolderId;
+    }
+
+    /**
+     * @param {string} key
+     * @returns {Promise<{etag: string|null, size: number, modifiedTime: string|null}|null>} null
+     *   when the object does not exist
+     */
+    async headObject(key) {
+        const response = await this.withRetry('HEAD', () =>
+            this.authManager.request('HEAD', key, { allowedStatuses: [404] }));
+        if (response.status === 404) return null;
+        const modified = response.headers.get('Last-Modified');
+        return {
+            etag: response.headers.get('ETag'),
+            size: parseInt(response.headers.get('Content-Length'), 10) || 0,
+            modifiedTime: modified ? new Date(modified).toISOString() : null
+        };
+    }
+
+    async findRemoteFile() {
+        try {
+            await this.ensureInitialized();
+            const key = this.getDataFileKey();
+            const object = await this.headObject(key);
+            if (!object) {
+                console.log('[S3Sync] No remote file found');
+                this.syncMetadata.remoteFileId = null;
+                return null;
+            }
+
+            this.syncMetadata.remoteFileId = key;
+            return { id: key, name: this.backupFileName, modifiedTime: object.modifiedTime, size: object.size };
+        } catch (error) {
+            console.error('[S3Sync] Failed to find remote file:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * @returns {Promise<string>} The data object's ETag
+     */
+    async getRemoteRevision() {
+        const object = await this.headObject(this.getDataFileKey());
+        if (!object || !object.etag) {
+            throw new Error('The remote data file has no ETag');
+        }
+        return object.etag;
+    }
+
+    createVersionConflictError() {
+        const conflictError = new Error('Version conflict: another device synced since last download');
+        conflictError.versionConflict = true;
+        return conflictError;
+    }
+
+    /**
+     * @param {Object} data
+     * @param {Object} [options] - expectedRemoteModifiedTime is the ETag the data object must
+     *   still have; see SyncManager.uploadData() for the rest
+     */
+    async uploadData(data, options = {}) {
+        await this.ensureInitialized();
+
+        const expectedEtag = options.expectedRemoteModifiedTime || null;
+        // Servers without conditional writes (older MinIO and Garage) ignore If-Match, so the
+        // ETag is compared before the upload as well. That leaves a moment in which another
+        // device's upload can still be overwritten on those servers, but not on the others.
+        if (expectedEtag && await this.getRemoteRevision() !== expectedEtag) {
+            throw this.createVersionConflictError();
+        }
+
+        const { jsonData, checksum, syncVersion } = this.encodeSyncData(data, options);
+        const key = this.getDataFileKey(options.filename);
+        const headers = { 'Content-Type': 'application/json' };
+        if (expectedEtag) headers['If-Match'] = expectedEtag;
+
+        // 409 is AWS's answer to two conditional writes of the same object at once
+        let attempts = 0;
+        const response = await this.withRetry('upload', () => {
+            attempts++;
+            return this.authManager.request('PUT', key, { headers, body: jsonData, allowedStatuses: [409, 412] });
+        });
+        let etag = response.headers.get('ETag');
+        if (response.status === 409 || response.status === 412) {
+            await response.arrayBuffer().catch(() => { });
+            // A retried PUT is refused when the failed attempt was stored after all; the ETag of
+            // a single PUT is the MD5 of its body, so this device's own write is recognized
+            const current = attempts > 1 ? await this.headObject(key) : null;
+            const ownEtag = `"${crypto.createHash('md5').update(jsonData).digest('hex')}"`;
+            if (!current || current.etag !== ownEtag) {
+                console.warn('[S3Sync] Version conflict detected, the data object no longer has ETag', expectedEtag);
+                throw this.createVersionConflictError();
+            }
+            console.log('[S3Sync] An earlier attempt of the upload was stored');
+            etag = current.etag;
+        }
+
+        this.syncMetadata.remoteFileId = key;
+        this.syncMetadata.lastSync = new Date().toISOString();
+        this.syncMetadata.lastSyncVersion = data.metadata?.version || '1.0';
+        this.syncMetadata.remoteChecksum = checksum;
+        console.log('[S3Sync] Upload successful, syncVersion:', syncVersion);
+
+        return {
+            success: true,
+            fileId: key,
+            checksum: checksum,
+            size: Buffer.byteLength(jsonData),
+            modifiedTime: etag,
+            syncVersion: syncVersion
+        };
+    }
+
+    async downloadData() {
+        await this.ensureInitialized();
+        if (!this.syncMetadata.remoteFileId) {
+            throw new Error('No remote data file to download');
+        }
+
+        let response;
+        try {
+            response = await this.withRetry('download', () =>
+                this.authManager.request('GET', this.syncMetadata.remoteFileId));
+        } catch (error) {
+            if (error.status === 404) this.syncMetadata.remoteFileId = null;
+            throw error;
+        }
+
+        const downloadResult = this.decodeSyncData(await response.text());
+        console.log('[S3Sync] Download successful, size:', downloadResult.size);
+        return downloadResult;
+    }
+
+    async deleteRemoteData() {
+        try {
+            if (!this.syncMetadata.remoteFileId) return false;
+            await this.authManager.request('DELETE', this.syncMetadata.remoteFileId);
+            this.syncMetadata.remoteFileId = null;
+            return true;
+        } catch (error) {
+            console.error('[S3Sync] Failed to delete remote data:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * @param {string} folderPrefix - Key prefix ending in "/"
+     * @returns {Promise<Array<{id: string, name: string, size: string, modifiedTime: string|null}>>}
+     *   The objects right below it, named and identified by the rest of their key
+     */
+    async listFolder(folderPrefix) {
+        await this.ensureInitialized();
+        const files = [];
+        let continuationToken = null;
+
+        do {
+            const query = { 'list-type': '2', prefix: folderPrefix, 'max-keys': String(LIST_PAGE_SIZE) };
+            if (continuationToken) query['continuation-token'] = continuationToken;
+            const response = await this.withRetry('list', () =>
+                this.authManager.request('GET', null, { query }));
+            const page = parseListObjects(await response.text());
+
+            for (const object of page.objects) {
+                const name = object.key.slice(folderPrefix.length);
+                // Keys further down are not in this folder
+                if (!name || name.includes('/')) continue;
+                files.push({ id: name, name, size: String(object.size), modifiedTime: object.modifiedTime });
+            }
+            continuationToken = page.nextContinuationToken;
+        } while (continuationToken);
+
+        return files;
+    }
+
+    // Media files are addressed by name, which is also their id here
+
+    /**
+     * @returns {Promise<Array<{id: string, name: string, size: string, modifiedTime: string|null}>>}
+     *   In the shape of Google Drive's file list
+     */
+    async listMediaFiles() {
+        return this.listFolder(`${await this.getMediaFolderId()}/`);
+    }
+
+    // Objects keep the time they were uploaded, so the local modification time is not kept
+    async uploadMediaFile(fileName, fileData, mtime = null) {
+        await this.ensureInitialized();
+        await this.withRetry('media upload', () =>
+            this.authManager.request('PUT', this.getMediaFileKey(fileName), {
+                headers: { 'Content-Type': 'application/octet-stream' },
+                body: fileData
+            }));
+        console.log('[S3Sync] Uploaded media file:', fileName);
+        return true;
+    }
+
+    async downloadMediaFile(fileId) {
+        await this.ensureInitialized();
+        const response = await this.withRetry('media download', () =>
+            this.authManager.request('GET', this.getMediaFileKey(fileId)));
+        return Buffer.from(await response.arrayBuffer());
+    }
+
+    // S3 answers 204 whether or not the object existed
+    async deleteMediaFile(fileId) {
+        await this.ensureInitialized();
+        await this.authManager.request('DELETE', this.getMediaFileKey(fileId));
+        console.log('[S3Sync] Deleted media file:', fileId);
+        return true;
+    }
+
+    // Per-item objects are addressed by name as well
+
+    async listSyncObjects() {
+        return this.listFolder(`${this.getFolderKey()}/objects/`);
+    }
+
+    async uploadSyncObject(name, content) {
+        await this.ensureInitialized();
+        await this.withRetry('object upload', () =>
+            this.authManager.request('PUT', this.getObjectKey(name), {
+                headers: { 'Content-Type': 'application/json' },
+                body: content
+            }));
+    }
+
+    async downloadSyncObject(objectId) {
+        await this.ensureInitialized();
+        const response = await this.withRetry('object download', () =>
+            this.authManager.request('GET', this.getObjectKey(objectId)));
+        return response.text();
+    }
+
+    async deleteSyncObject(objectId) {
+        await this.ensureInitialized();
+        await this.authManager.request('DELETE', this.getObjectKey(objectId));
+    }
+
+    _formatSyncErrorMessage(error) {
+        if (error && error.name === 'S3Error') {
+            // The main process has no translations, so it keeps the English message
+            return typeof window !== 'undefined' && window.i18n
+                ? window.i18n.t(`s3.errors.${error.code}`, error.params)
+                : error.message;
+        }
+        return super._formatSyncErrorMessage(error);
+    }
+}
+
+module.exports = { S3SyncManager, parseListObjects };
@@ -0,0 +1,136 @@
+// Data file schema for CogNotez
+// metadata.schemaVersion is the layout version of the data. Data saved before it was introduced
+// has none and counts as version 0. Data is brought up to CURRENT_SCHEMA_VERSION one migration
+// at a time wherever it is read: loading the store, importing a file, restoring a backup and
+// downloading from sync. Data from a newer version of the app is refused, since this one cannot
+// know what it would lose by rewriting it. (metadata.version stays the fixed '1.0' label.)
+
+// Error codes double as i18n keys under "schema.errors."; `message` is the English fallback
+const ERROR_MESSAGES = {
+    newerSchema: 'This data was saved by a newer version of CogNotez (data format {{version}}, this version reads up to {{supported}}). Please update CogNotez.',
+    invalidData: 'The data is not in a CogNotez data format',
+    migrationFailed: 'Upgrading the data from format {{version}} failed: {{error}}'
+};
+
+class SchemaError extends Error {
+    /**
+     * @param {string} code - Error code (see ERROR_MESSAGES)
+     * @param {Object} params - { version, supported, error }
+     */
+    constructor(code, params = {}) {
+        const message = ERROR_MESSAGES[code].replace(/\{\{(\w+)\}\}/g, (_, key) =>
+            params[key] !== undefined ? String(params[key]) : '');
+        super(message);
+        this.name = 'SchemaError';
+        this.code = code;
+        this.params = params;
+    }
+}
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Ordered steps; each takes the data from version - 1 to `version` in place. Sections a version
+// did not have are left out rather than added empty: merging treats a missing section as
+// "unknown to the sender" and keeps the local one.
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Give every note a tag list, properties and ISO timestamps',
+        migrate(data) {
+            for (const note of Object.values(data.notes)) {
+                if (!isPlainObject(note)) continue;
+                if (!Array.isArray(note.tags)) note.tags = [];
+                if (!isPlainObject(note.properties)) note.properties = {};
+                // The first versions only wrote the Date fields
+                if (!note.created_at && note.created) note.created_at = new Date(note.created).toISOString();
+                if (!note.updated_at) note.updated_at = note.modified ? new Date(note.modified).toISOString() : note.created_at;
+            }
+        }
+    },
+    {
+        version: 2,
+        description: 'Key tag links by "<note id>_<tag id>"',
+        migrate(data) {
+            if (!isPlainObject(data.note_tags)) return;
+            // Tagging without a database wrote keys with a trailing space, which merging
+            // never matched against the real ones
+            const noteTags = {};
+            for (const noteTag of Object.values(data.note_tags)) {
+                if (!isPlainObject(noteTag) || !noteTag.note_id || !noteTag.tag_id) continue;
+                noteTags[`${noteTag.note_id}_${noteTag.tag_id}`] = noteTag;
+            }
+            data.note_tags = noteTags;
+        }
+    }
+];
+
+const CURRENT_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * @param {Object} data
+ * @returns {number} The data's schema version, 0 for data saved before versioning
+ * @throws {SchemaError} invalidData when the version is not a whole number
+ */
+function getSchemaVersion(data) {
+    const version = data.metadata ? data.metadata.schemaVersion : undefined;
+    if (version === undefined || version === null) return 0;
+    if (!Number.isInteger(version) || version < 0) throw new SchemaError('invalidData');
+    return version;
+}
+
+/**
+ * Refuse data this version of the app cannot read
+ * @param {Object} data
+ * @returns {number} The data's schema version
+ * @throws {SchemaError} invalidData, or newerSchema for data from a newer version of the app
+ */
+function checkSchemaVersion(data) {
+    if (!isPlainObject(data) || !isPlainObject(data.notes)) throw new SchemaError('invalidData');
+    const version = getSchemaVersion(data);
+    if (version > CURRENT_SCHEMA_VERSION) {
+        throw new SchemaError('newerSchema', { version, supported: CURRENT_SCHEMA_VERSION });
+    }
+    return version;
+}
+
+/**
+ * Bring data up to the current schema version
+ * @param {Object} data - Left untouched; migrations work on a copy
+ * @param {Object} [options]
+ * @param {Function} [options.backup] - Called as backup(data, version) before each migration,
+ *   with the data as it is at that version; an exception aborts the migration
+ * @returns {{data: Object, fromVersion: number, toVersion: number, applied: number[]}} `data` is
+ *   the input itself when it was already current
+ * @throws {SchemaError} From checkSchemaVersion(), or migrationFailed
+ */
+function migrateData(data, { backup = null } = {}) {
+    const fromVersion = checkSchemaVersion(data);
+    const pending = MIGRATIONS.filter(migration => migration.version > fromVersion);
+    if (pending.length === 0) {
+        return { data, fromVersion, toVersion: fromVersion, applied: [] };
+    }
+
+    const migrated = JSON.parse(JSON.stringify(data));
+    let version = fromVersion;
+    for (const migration of pending) {
+        if (backup) backup(migrated, version);
+        try {
+            migration.migrate(migrated);
+        } catch (error) {
+            throw new SchemaError('migrationFailed', { version, error: error.message });
+        }
+        migrated.metadata = { ...(migrated.metadata || {}), schemaVersion: migration.version };
+        version = migration.version;
+    }
+
+    return { data: migrated, fromVersion, toVersion: version, applied: pending.map(migration => migration.version) };
+}
+
+module.exports = {
+    CURRENT_SCHEMA_VERSION,
+    MIGRATIONS,
+    SchemaError,
+    getSchemaVersion,
+    checkSchemaVersion,
+    migrateData
+};
@@ -0,0 +1,396 @@
+// Full-text search index for CogNotez
+// An in-memory inverted index over note titles, content and tags. Terms are normalized
+// (case, diacritics) and stemmed, queries tolerate typos and a trailing partial word, and
+// results are ranked with BM25. CJK text has no word separators, so it is indexed as bigrams.
+
+// Field weights: a hit in the title counts three times as much as one in the body
+const FIELD_WEIGHTS = { title: 3, tags: 2, content: 1 };
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+// Relative weight of a query term matched through a prefix or a typo correction
+const PREFIX_WEIGHT = 0.7;
+const FUZZY_WEIGHTS = [1, 0.5, 0.3];
+const MAX_EXPANSIONS = 50;
+// Tags are indexed as opaque terms so renaming a tag never leaves stale entries
+const TAG_TERM_PREFIX = '\u0001tag:';
+
+const WORD_PATTERN = /[\p{L}\p{N}\p{M}]+/gu;
+const CJK_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u;
+const VOWEL_PATTERN = /[aeiouy]/;
+
+/**
+ * Split text into index terms, keeping the position of each term in the original text
+ * @param {string} text - Text to tokenize
+ * @returns {Array<{term: string, raw: string, start: number, end: number}>}
+ */
+function tokenize(text) {
+    const tokens = [];
+    if (!text) return tokens;
+
+    for (const match of text.matchAll(WORD_PATTERN)) {
+        const word = match[0];
+        const start = match.index;
+
+        if (CJK_PATTERN.test(word)) {
+            const chars = Array.from(word.toLowerCase());
+            if (chars.length === 1) {
+                tokens.push({ term: chars[0], raw: chars[0], start, end: start + word.length });
+                continue;
+            }
+            let offset = start;
+            for (let i = 0; i < chars.length - 1; i++) {
+                const bigram = chars[i] + chars[i + 1];
+                tokens.push({ term: bigram, raw: bigram, start: offset, end: offset + bigram.length });
+                offset += chars[i].length;
+            }
+            continue;
+        }
+
+        const raw = normalizeWord(word);
+        if (raw) {
+            tokens.push({ term: stem(raw), raw, start, end: start + word.length });
+        }
+    }
+    return tokens;
+}
+
+// Lowercase and strip diacritics so "Café" matches "cafe"
+function normalizeWord(word) {
+    return word.toLowerCase().normalize('NFKD').replace(/\p{M}/gu, '');
+}
+
+/**
+ * Light English suffix stripping (a subset of the Porter stemmer, steps 1a-1c)
+ * so "notes", "noted" and "noting" share the term "note"
+ * @param {string} word - Normalized word
+ * @returns {string} Stem
+ */
+function stem(word) {
+    if (word.length <= 3 || !/^[a-z]+$/.test(word)) return word;
+
+    let w = word;
+    if (w.endsWith('sses')) w = w.slice(0, -2);
+    else if (w.endsWith('ies')) w = w.slice(0, -2);
+    else if (w.endsWith('s') && !w.endsWith('ss') && !w.endsWith('us') && !w.endsWith('is')) w = w.slice(0, -1);
+
+    if (w.endsWith('eed')) {
+        if (w.length > 4) w = w.slice(0, -1);
+    } else {
+        const suffix = w.endsWith('ing') ? 'ing' : (w.endsWith('ed') ? 'ed' : null);
+        const base = suffix ? w.slice(0, -suffix.length) : null;
+        if (base && base.length >= 2 && VOWEL_PATTERN.test(base)) {
+            w = base;
+            if (w.endsWith('at') || w.endsWith('bl') || w.endsWith('iz')) {
+                w += 'e';
+            } else if (/([^aeiouylsz])\1$/.test(w)) {
+                w = w.slice(0, -1);
+            } else if (w.length === 3 && /^[^aeiou][aeiouy][^aeiouwxy]$/.test(w)) {
+                w += 'e';
+            }
+        }
+    }
+
+    if (w.endsWith('y') && w.length > 2 && VOWEL_PATTERN.test(w.slice(0, -1))) {
+        w = w.slice(0, -1) + 'i';
+    }
+    return w;
+}
+
+// Optimal string alignment distance, giving up once it exceeds maxDistance
+function editDistance(a, b, maxDistance) {
+    if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+    let prevPrev = null;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let value = Math.min(prev[j] + 1, current[j - 1] + 1, prev[j - 1] + cost);
+            if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                value = Math.min(value, prevPrev[j - 2] + 1);
+            }
+            current.push(value);
+            rowMin = Math.min(rowMin, value);
+        }
+        if (rowMin > maxDistance) return maxDistance + 1;
+        prevPrev = prev;
+        prev = current;
+    }
+    return prev[b.length];
+}
+
+// Strip the most common markdown syntax so snippets read like the rendered note
+function toPlainText(markdown) {
+    return (markdown || '')
+        .replace(/```[^\n]*\n?/g, ' ')
+        .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/<[^>]+>/g, ' ')
+        .replace(/[#>*_~`|]+/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+class SearchIndex {
+    constructor() {
+        this.postings = new Map(); // term -> Map(docId -> weighted term frequency)
+        this.documents = new Map(); // docId -> { terms: Map(term -> weighted tf), rawTerms: Set, length }
+        // Words as written (normalized, not stemmed), for typo and prefix matching: stemming
+        // changes the words being compared, so "meetng" would be compared against "meet"
+        this.rawTerms = new Map(); // raw -> { term, documents: number of documents using it }
+        this.totalLength = 0;
+    }
+
+    get size() {
+        return this.documents.size;
+    }
+
+    has(id) {
+        return this.documents.has(id);
+    }
+
+    clear() {
+        this.postings.clear();
+        this.documents.clear();
+        this.rawTerms.clear();
+        this.totalLength = 0;
+    }
+
+    /**
+     * Add or replace a document
+     * @param {string} id - Document ID
+     * @param {{title?: string, content?: string, tags?: string[]}} fields - Text fields and tag IDs
+     */
+    addDocument(id, fields) {
+        this.removeDocument(id);
+
+        const terms = new Map();
+        const rawTerms = new Map();
+        let length = 0;
+        const add = (term, weight) => {
+            terms.set(term, (terms.get(term) || 0) + weight);
+            length += weight;
+        };
+
+        for (const token of tokenize(fields.title || '')) {
+            add(token.term, FIELD_WEIGHTS.title);
+            rawTerms.set(token.raw, token.term);
+        }
+        for (const token of tokenize(fields.content || '')) {
+            add(token.term, FIELD_WEIGHTS.content);
+            rawTerms.set(token.raw, token.term);
+        }
+        for (const tagId of fields.tags || []) add(TAG_TERM_PREFIX + tagId, FIELD_WEIGHTS.tags);
+
+        for (const [term, frequency] of terms) {
+            if (!this.postings.has(term)) this.postings.set(term, new Map());
+            this.postings.get(term).set(id, frequency);
+        }
+        for (const [raw, term] of rawTerms) {
+            const entry = this.rawTerms.get(raw);
+            if (entry) entry.documents++;
+            else this.rawTerms.set(raw, { term, documents: 1 });
+        }
+        this.documents.set(id, { terms, rawTerms: new Set(rawTerms.keys()), length });
+        this.totalLength += length;
+    }
+
+    removeDocument(id) {
+        const doc = this.documents.get(id);
+        if (!doc) return;
+
+        for (const term of doc.terms.keys()) {
+            const posting = this.postings.get(term);
+            if (!posting) continue;
+            posting.delete(id);
+            if (posting.size === 0) this.postings.delete(term);
+        }
+        for (const raw of doc.rawTerms) {
+            const entry = this.rawTerms.get(raw);
+            if (entry && --entry.documents === 0) this.rawTerms.delete(raw);
+        }
+        this.documents.delete(id);
+        this.totalLength -= doc.length;
+    }
+
+    /**
+     * Index terms a query token can match, with the weight of each match
+     * @param {{term: string, raw: string}} token - Query token
+     * @param {boolean} allowPrefix - Whether the token may be an unfinished word
+     * @returns {Map<string, number>} term -> weight
+     */
+    expandToken(token, allowPrefix) {
+        const expansions = new Map();
+        if (this.postings.has(token.term)) expansions.set(token.term, 1);
+
+        const cjk = CJK_PATTERN.test(token.raw);
+        const prefixEnabled = allowPrefix && token.raw.length >= (cjk ? 1 : 2);
+        const maxDistance = cjk || token.raw.length < 4 ? 0 : (token.raw.length >= 8 ? 2 : 1);
+        if (!prefixEnabled && maxDistance === 0) return expansions;
+
+        // Compared as written; several words can share one stem, which keeps its best match
+        for (const [raw, { term }] of this.rawTerms) {
+            const current = expansions.get(term) || 0;
+            if (current === 1) continue;
+
+            let weight = 0;
+            if (prefixEnabled && raw.startsWith(token.raw)) {
+                weight = PREFIX_WEIGHT;
+            } else if (maxDistance > 0) {
+                const distance = editDistance(token.raw, raw, maxDistance);
+                if (distance <= maxDistance) weight = FUZZY_WEIGHTS[distance];
+            }
+            if (weight > current) expansions.set(term, weight);
+        }
+
+        if (expansions.size > MAX_EXPANSIONS) {
+            // Keep the strongest and most common alternatives
+            const ranked = [...expansions.entries()].sort((a, b) =>
+                b[1] - a[1] || this.postings.get(b[0]).size - this.postings.get(a[0]).size);
+            return new Map(ranked.slice(0, MAX_EXPANSIONS));
+        }
+        return expansions;
+    }
+
+    /**
+     * Search the index. Every query word has to match (exactly, as a prefix of the
+     * last word, through a typo correction or through a tag) for a document to be returned.
+     * @param {string} query - Search text
+     * @param {Object} options - { matchTags(raw) -> tag IDs whose names match a query word,
+     *   allowPrefix: whether the last word may be unfinished (default: query ends in a word) }
+     * @returns {Array<{id: string, score: number, terms: Set<string>}>} Best match first
+     */
+    search(query, options = {}) {
+        const tokens = tokenize(query);
+        if (tokens.length === 0 || this.documents.size === 0) return [];
+
+        const docCount = this.documents.size;
+        const avgLength = this.totalLength / docCount || 1;
+        const allowPrefix = options.allowPrefix !== undefined
+            ? options.allowPrefix
+            : /[\p{L}\p{N}\p{M}]$/u.test(query);
+
+        let results = null; // docId -> { score, terms }
+        tokens.forEach((token, index) => {
+            const expansions = this.expandToken(token, allowPrefix && index === tokens.length - 1);
+            if (options.matchTags) {
+                for (const tagId of options.matchTags(token.raw)) {
+                    expansions.set(TAG_TERM_PREFIX + tagId, 1);
+                }
+            }
+
+            // Best score per document for this query word
+            const tokenScores = new Map();
+            for (const [term, weight] of expansions) {
+                const posting = this.postings.get(term);
+                if (!posting) continue;
+                const idf = Math.log(1 + (docCount - posting.size + 0.5) / (posting.size + 0.5));
+                for (const [docId, frequency] of posting) {
+                    const length = this.documents.get(docId).length;
+                    const score = weight * idf * (frequency * (K1 + 1)) /
+                        (frequency + K1 * (1 - B + B * length / avgLength));
+                    const best = tokenScores.get(docId);
+                    if (!best) {
+                        tokenScores.set(docId, { score, terms: [term] });
+                    } else {
+                        best.score = Math.max(best.score, score);
+                        best.terms.push(term);
+                    }
+                }
+            }
+
+            if (results === null) {
+                results = new Map();
+                for (const [docId, match] of tokenScores) {
+                    results.set(docId, { score: match.score, terms: new Set(match.terms) });
+                }
+                return;
+            }
+            for (const [docId, result] of results) {
+                const match = tokenScores.get(docId);
+                if (!match) {
+                    results.delete(docId);
+                    continue;
+                }
+                result.score += match.score;
+                match.terms.forEach(term => result.terms.add(term));
+            }
+        });
+
+        return [...results.entries()]
+            .map(([id, result]) => ({ id, score: result.score, terms: result.terms }))
+            .sort((a, b) => b.score - a.score);
+    }
+
+    /**
+     * Ranges of text matching the given index terms
+     * @param {string} text - Text to scan
+     * @param {Set<string>} terms - Matched index terms (from a search result)
+     * @returns {Array<[number, number]>} Sorted, merged [start, end) ranges
+     */
+    static findHighlights(text, terms) {
+        const ranges = [];
+        for (const token of tokenize(text)) {
+            if (!terms.has(token.term)) continue;
+            const last = ranges[ranges.length - 1];
+            if (last && token.start <= last[1]) {
+                last[1] = Math.max(last[1], token.end);
+            } else {
+                ranges.push([token.start, token.end]);
+            }
+        }
+        return ranges;
+    }
+
+    /**
+     * Excerpt of the text around the densest cluster of hits
+     * @param {string} content - Note content (markdown)
+     * @param {Set<string>} terms - Matched index terms
+     * @param {number} maxLength - Maximum snippet length in characters
+     * @returns {{text: string, highlights: Array<[number, number]>}}
+     */
+    static createSnippet(content, terms, maxLength = 160) {
+        const text = toPlainText(content);
+        const hits = SearchIndex.findHighlights(text, terms);
+        if (hits.length === 0) {
+            const truncated = text.length > maxLength;
+            return { text: truncated ? text.slice(0, maxLength) + '…' : text, highlights: [] };
+        }
+
+        // Start from the hit that has the most other hits within the window
+        let best = 0;
+        let bestCount = 0;
+        for (let i = 0; i < hits.length; i++) {
+            let count = 0;
+            for (let j = i; j < hits.length && hits[j][1] <= hits[i][0] + maxLength; j++) count++;
+            if (count > bestCount) {
+                best = i;
+                bestCount = count;
+            }
+        }
+
+        let start = Math.max(0, hits[best][0] - Math.floor(maxLength / 5));
+        if (start > 0) {
+            const space = text.indexOf(' ', start);
+            if (space !== -1 && space < hits[best][0]) start = space + 1;
+        }
+        let end = Math.min(text.length, start + maxLength);
+        if (end < text.length) {
+            const space = text.lastIndexOf(' ', end);
+            if (space > hits[best][1]) end = space;
+        }
+
+        const prefix = start > 0 ? '…' : '';
+        const suffix = end < text.length ? '…' : '';
+        const highlights = hits
+            .filter(([hitStart, hitEnd]) => hitStart >= start && hitEnd <= end)
+            .map(([hitStart, hitEnd]) => [hitStart - start + prefix.length, hitEnd - start + prefix.length]);
+
+        return { text: prefix + text.slice(start, end) + suffix, highlights };
+    }
+}
+
+module.exports = { SearchIndex, tokenize, stem };
@@ -0,0 +1,433 @@
+// Structured search query language for CogNotez
+// Parses queries such as `tag:work AND -tag:done has:image created:>2026-01-01 "exact phrase"`
+// into a syntax tree and evaluates it against notes.
+//
+//   query    := or
+//   or       := and ( OR and )*
+//   and      := unary ( [AND] unary )*      (adjacent terms are combined with AND)
+//   unary    := ( NOT | - ) unary | primary
+//   primary  := ( query ) | term
+//   term     := [field:] ( word | "phrase" | /regex/flags | comparison )
+//
+// Bare words are matched through the full-text index; everything else is evaluated here.
+
+const { isSameOrDescendantPath } = require('./tag-paths');
+
+const FIELDS = {
+    tag: 'text',
+    title: 'text',
+    content: 'text',
+    has: 'keyword',
+    is: 'keyword',
+    created: 'date',
+    updated: 'date',
+    words: 'number'
+};
+
+const FIELD_ALIASES = { tags: 'tag', body: 'content', modified: 'updated' };
+
+const HAS_VALUES = {
+    image: note => /!\[[^\]]*\]\([^)]*\)|<img\s/i.test(readableContent(note)),
+    video: note => /<video\s|<iframe\s/i.test(readableContent(note)),
+    media: note => /!\[[^\]]*\]\([^)]*\)|<img\s|<video\s|<iframe\s/i.test(readableContent(note)),
+    link: note => /(^|[^!])\[[^\]]*\]\([^)]+\)|https?:\/\//i.test(readableContent(note)),
+    code: note => /```|`[^`\n]+`/.test(readableContent(note)),
+    task: note => /^\s*[-*+] \[[ xX]\]/m.test(readableContent(note)),
+    tag: note => Array.isArray(note.tags) && note.tags.length > 0
+};
+HAS_VALUES.tags = HAS_VALUES.tag;
+
+const IS_VALUES = {
+    pinned: note => note.pinned === true,
+    protected: note => note.password_protected === true,
+    shared: note => !!(note.collaboration && note.collaboration.is_shared),
+    untagged: note => !Array.isArray(note.tags) || note.tags.length === 0
+};
+
+// Error codes double as i18n keys under "searchQuery."; `message` is the English fallback
+const ERROR_MESSAGES = {
+    unterminatedPhrase: 'Missing closing quote for the phrase at position {{position}}',
+    unterminatedRegex: 'Missing closing "/" for the regular expression at position {{position}}',
+    invalidRegex: 'Invalid regular expression {{text}} at position {{position}}: {{reason}}',
+    unknownField: 'Unknown field "{{text}}" at position {{position}}',
+    missingValue: '"{{text}}" at position {{position}} needs a value',
+    invalidValue: 'Unsupported value "{{text}}" at position {{position}}',
+    invalidDate: 'Invalid date "{{text}}" at position {{position}} (use YYYY-MM-DD)',
+    invalidNumber: 'Invalid number "{{text}}" at position {{position}}',
+    unexpectedToken: 'Unexpected "{{text}}" at position {{position}}',
+    missingTerm: 'Expected a search term after "{{text}}" at position {{position}}',
+    missingParen: 'Missing ")" for the "(" at position {{position}}',
+    emptyGroup: 'Empty parentheses at position {{position}}'
+};
+
+class SearchQueryError extends Error {
+    /**
+     * @param {string} code - Error code (see ERROR_MESSAGES)
+     * @param {Object} params - { text, position (1-based), reason }
+     */
+    constructor(code, params = {}) {
+        const message = ERROR_MESSAGES[code].replace(/\{\{(\w+)\}\}/g, (_, key) =>
+            params[key] !== undefined ? String(params[key]) : '');
+        super(message);
+        this.name = 'SearchQueryError';
+        this.code = code;
+        this.params = params;
+    }
+}
+
+function readableContent(note) {
+    return note.password_protected ? '' : (note.content || '');
+}
+
+// Split the query into parentheses, operators and terms, keeping source positions
+function lex(query) {
+    const tokens = [];
+    let i = 0;
+
+    const readDelimited = (delimiter, code) => {
+        const start = i;
+        i++;
+        let text = '';
+        while (i < query.length && query[i] !== delimiter) {
+            if (query[i] === '\\' && i + 1 < query.length) {
+                // Keep escapes in regexes, unescape quotes in phrases
+                text += delimiter === '/' && query[i + 1] !== '/' ? query[i] + query[i + 1] : query[i + 1];
+                i += 2;
+                continue;
+            }
+            text += query[i++];
+        }
+        if (i >= query.length) {
+            throw new SearchQueryError(code, { position: start + 1 });
+        }
+        i++;
+        return text;
+    };
+
+    const readValue = () => {
+        const start = i;
+        if (query[i] === '"') {
+            return { kind: 'phrase', value: readDelimited('"', 'unterminatedPhrase'), start };
+        }
+        if (query[i] === '/') {
+            const pattern = readDelimited('/', 'unterminatedRegex');
+            let flags = '';
+            while (i < query.length && /[imsu]/.test(query[i])) flags += query[i++];
+            let regex;
+            try {
+                // Always case-insensitive, like the rest of the search
+                regex = new RegExp(pattern, flags.includes('i') ? flags : flags + 'i');
+            } catch (error) {
+                throw new SearchQueryError('invalidRegex', {
+                    text: query.slice(start, i),
+                    position: start + 1,
+                    reason: error.message.replace(/^Invalid regular expression: \/.*\/\w*: /, '')
+                });
+            }
+            return { kind: 'regex', value: pattern, regex, start };
+        }
+        while (i < query.length && !/[\s()"]/.test(query[i])) i++;
+        return { kind: 'word', value: query.slice(start, i), start };
+    };
+
+    while (i < query.length) {
+        const ch = query[i];
+        if (/\s/.test(ch)) {
+            i++;
+            continue;
+        }
+        if (ch === '(' || ch === ')') {
+            tokens.push({ type: ch, text: ch, start: i, end: i + 1 });
+            i++;
+            continue;
+        }
+        if (ch === '-' && i + 1 < query.length && !/[\s)]/.test(query[i + 1])) {
+            tokens.push({ type: 'NOT', text: '-', start: i, end: i + 1 });
+            i++;
+            continue;
+        }
+
+        const start = i;
+        const fieldMatch = /^([A-Za-z]+):(?!\/\/)/.exec(query.slice(i));
+        if (fieldMatch) {
+            const name = fieldMatch[1].toLowerCase();
+            const field = FIELD_ALIASES[name] || name;
+            if (!FIELDS[field]) {
+                throw new SearchQueryError('unknownField', { text: fieldMatch[0], position: start + 1 });
+            }
+            i += fieldMatch[0].length;
+            if (i >= query.length || /[\s()]/.test(query[i])) {
+                throw new SearchQueryError('missingValue', { text: fieldMatch[0], position: start + 1 });
+            }
+            const value = readValue();
+            tokens.push({ type: 'TERM', field, ...value, text: query.slice(start, i), start, end: i });
+            continue;
+        }
+
+        const value = readValue();
+        const text = query.slice(start, i);
+        if (value.kind === 'word' && (text === 'AND' || text === 'OR' || text === 'NOT')) {
+            tokens.push({ type: text, text, start, end: i });
+        } else {
+            tokens.push({ type: 'TERM', field: null, ...value, text, start, end: i });
+        }
+    }
+    return tokens;
+}
+
+/**
+ * Date interval [start, end) for YYYY, YYYY-MM, YYYY-MM-DD, "today" or "yesterday" (local time)
+ * @returns {{start: number, end: number}|null}
+ */
+function parseDateInterval(text, now = new Date()) {
+    const lower = text.toLowerCase();
+    if (lower === 'today' || lower === 'yesterday') {
+        const day = new Date(now.getFullYear(), now.getMonth(), now.getDate() - (lower === 'yesterday' ? 1 : 0));
+        return { start: day.getTime(), end: new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1).getTime() };
+    }
+
+    const match = /^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/.exec(text);
+    if (!match) return null;
+    const year = parseInt(match[1], 10);
+    const month = match[2] ? parseInt(match[2], 10) - 1 : null;
+    const day = match[3] ? parseInt(match[3], 10) : null;
+    if (month !== null && (month < 0 || month > 11)) return null;
+
+    if (month === null) {
+        return { start: new Date(year, 0, 1).getTime(), end: new Date(year + 1, 0, 1).getTime() };
+    }
+    if (day === null) {
+        return { start: new Date(year, month, 1).getTime(), end: new Date(year, month + 1, 1).getTime() };
+    }
+    const date = new Date(year, month, day);
+    if (date.getMonth() !== month || date.getDate() !== day) return null;
+    return { start: date.getTime(), end: new Date(year, month, day + 1).getTime() };
+}
+
+// Turn the value of a date or number field into a predicate on a number
+function parseComparison(token) {
+    const field = token.field;
+    const match = /^(>=|<=|>|<|=)?(.*)$/.exec(token.value);
+    const op = match[1] || '=';
+    const raw = match[2];
+    const position = token.start + 1;
+
+    if (FIELDS[field] === 'number') {
+        const range = /^(\d+)\.\.(\d+)$/.exec(raw);
+        if (range && op === '=') {
+            const [min, max] = [parseInt(range[1], 10), parseInt(range[2], 10)];
+            return value => value >= min && value <= max;
+        }
+        if (!/^\d+$/.test(raw)) {
+            throw new SearchQueryError('invalidNumber', { text: token.text, position });
+        }
+        const number = parseInt(raw, 10);
+        return {
+            '>': value => value > number,
+            '>=': value => value >= number,
+            '<': value => value < number,
+            '<=': value => value <= number,
+            '=': value => value === number
+        }[op];
+    }
+
+    const parts = op === '=' && raw.includes('..') ? raw.split('..') : null;
+    if (parts) {
+        const from = parts[0] ? parseDateInterval(parts[0]) : { start: -Infinity };
+        const to = parts[1] ? parseDateInterval(parts[1]) : { end: Infinity };
+        if (!from || !to || parts.length !== 2) {
+            throw new SearchQueryError('invalidDate', { text: token.text, position });
+        }
+        return time => time >= from.start && time < to.end;
+    }
+
+    const interval = parseDateInterval(raw);
+    if (!interval) {
+        throw new SearchQueryError('invalidDate', { text: token.text, position });
+    }
+    return {
+        '>': time => time >= interval.end,
+        '>=': time => time >= interval.start,
+        '<': time => time < interval.start,
+        '<=': time => time < interval.end,
+        '=': time => time >= interval.start && time < interval.end
+    }[op];
+}
+
+// Validate field values up front so errors point at the offending term
+function buildTerm(token) {
+    const node = {
+        type: 'term',
+        field: token.field,
+        kind: token.kind,
+        value: token.value,
+        regex: token.regex || null,
+        text: token.text,
+        start: token.start,
+        end: token.end
+    };
+    const fieldType = token.field ? FIELDS[token.field] : null;
+
+    if (fieldType === 'keyword') {
+        const values = token.field === 'has' ? HAS_VALUES : IS_VALUES;
+        const key = String(token.value).toLowerCase();
+        if (token.kind !== 'word' || !values[key]) {
+            throw new SearchQueryError('invalidValue', { text: token.text, position: token.start + 1 });
+        }
+        node.test = values[key];
+    } else if (fieldType === 'date' || fieldType === 'number') {
+        if (token.kind !== 'word') {
+            throw new SearchQueryError('invalidValue', { text: token.text, position: token.start + 1 });
+        }
+        node.compare = parseComparison(token);
+    }
+    return node;
+}
+
+/**
+ * Parse a query into a syntax tree
+ * @param {string} query - Query text
+ * @returns {Object|null} Root node, or null for an empty query
+ * @throws {SearchQueryError} With the position of the part that failed
+ */
+function parseSearchQuery(query) {
+    const tokens = lex(query || '');
+    if (tokens.length === 0) return null;
+    let pos = 0;
+
+    const peek = () => tokens[pos];
+    const startsTerm = (token) => token && (token.type === 'TERM' || token.type === '(' || token.type === 'NOT');
+
+    const expectTermAfter = (operator) => {
+        if (!startsTerm(peek())) {
+            throw new SearchQueryError('missingTerm', { text: operator.text, position: operator.start + 1 });
+        }
+    };
+
+    const parseOr = () => {
+        const children = [parseAnd()];
+        while (peek() && peek().type === 'OR') {
+            const operator = tokens[pos++];
+            expectTermAfter(operator);
+            children.push(parseAnd());
+        }
+        return children.length === 1 ? children[0] : { type: 'or', children };
+    };
+
+    const parseAnd = () => {
+        const children = [parseUnary()];
+        while (peek() && (peek().type === 'AND' || startsTerm(peek()))) {
+            if (peek().type === 'AND') {
+                const operator = tokens[pos++];
+                expectTermAfter(operator);
+            }
+            children.push(parseUnary());
+        }
+        return children.length === 1 ? children[0] : { type: 'and', children };
+    };
+
+    const parseUnary = () => {
+        const token = peek();
+        if (token && token.type === 'NOT') {
+            pos++;
+            expectTermAfter(token);
+            return { type: 'not', child: parseUnary() };
+        }
+        return parsePrimary();
+    };
+
+    const parsePrimary = () => {
+        const token = peek();
+        if (!token) {
+            const last = tokens[tokens.length - 1];
+            throw new SearchQueryError('missingTerm', { text: last.text, position: last.start + 1 });
+        }
+        if (token.type === '(') {
+            pos++;
+            if (peek() && peek().type === ')') {
+                throw new SearchQueryError('emptyGroup', { position: token.start + 1 });
+            }
+            const node = parseOr();
+            if (!peek() || peek().type !== ')') {
+                throw new SearchQueryError('missingParen', { position: token.start + 1 });
+            }
+            pos++;
+            return node;
+        }
+        if (token.type === 'TERM') {
+            pos++;
+            return buildTerm(token);
+        }
+        throw new SearchQueryError('unexpectedToken', { text: token.text, position: token.start + 1 });
+    };
+
+    const root = parseOr();
+    if (pos < tokens.length) {
+        const token = tokens[pos];
+        throw new SearchQueryError('unexpectedToken', { text: token.text, position: token.start + 1 });
+    }
+    return root;
+}
+
+/**
+ * Collect the terms of a tree, optionally skipping negated ones
+ * @param {Object} node - Syntax tree
+ * @param {boolean} positiveOnly - Skip terms under NOT
+ * @returns {Array<Object>} Term nodes
+ */
+function collectTerms(node, positiveOnly = false) {
+    if (!node) return [];
+    if (node.type === 'term') return [node];
+    if (node.type === 'not') return positiveOnly ? [] : collectTerms(node.child, positiveOnly);
+    return node.children.flatMap(child => collectTerms(child, positiveOnly));
+}
+
+function textMatches(node, text) {
+    if (node.kind === 'regex') return node.regex.test(text);
+    return text.toLowerCase().includes(String(node.value).toLowerCase());
+}
+
+/**
+ * Evaluate a tree against a note
+ * @param {Object} node - Syntax tree from parseSearchQuery
+ * @param {Object} note - Note
+ * @param {Object} context - { matchWord(termNode, note) -> boolean, tagNames(note) -> string[] }
+ * @returns {boolean}
+ */
+function evaluateSearchQuery(node, note, context) {
+    switch (node.type) {
+        case 'and':
+            return node.children.every(child => evaluateSearchQuery(child, note, context));
+        case 'or':
+            return node.children.some(child => evaluateSearchQuery(child, note, context));
+        case 'not':
+            return !evaluateSearchQuery(node.child, note, context);
+    }
+
+    switch (node.field) {
+        case 'tag':
+            // A parent tag also matches notes tagged with its sub-tags
+            return context.tagNames(note).some(name => node.kind === 'regex'
+                ? node.regex.test(name)
+                : isSameOrDescendantPath(name, String(node.value)));
+        case 'title':
+            return textMatches(node, note.title || '');
+        case 'content':
+            return textMatches(node, readableContent(note));
+        case 'has':
+        case 'is':
+            return node.test(note);
+        case 'created':
+            return node.compare(new Date(note.created_at).getTime());
+        case 'updated':
+            return node.compare(new Date(note.updated_at || note.created_at).getTime());
+        case 'words':
+            return node.compare(note.word_count || 0);
+    }
+
+    // Bare terms search title and content
+    if (node.kind === 'word') return context.matchWord(node, note);
+    return textMatches(node, note.title || '') || textMatches(node, readableContent(note));
+}
+
+module.exports = { parseSearchQuery, evaluateSearchQuery, collectTerms, SearchQueryError };
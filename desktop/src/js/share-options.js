@@ -164,7 +164,7 @@ function showShareOptions(app) {
                             noteData.collaboration = result.updatedCollaboration;
                             // Update timestamp so sync knows this version is newer
                             noteData.updated_at = new Date().toISOString();
-                            app.notesManager.db.saveToLocalStorage();
+                            app.notesManager.db.persist({ notes: [app.currentNote.id] });
                             app.currentNote = app.notesManager.db.getNote(app.currentNote.id);
                         }
                     }
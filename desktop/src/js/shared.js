@@ -1,5 +1,6 @@
 // Shared helpers for markdown rendering, sanitization, and i18n wrapper
-const { marked } = require('marked');
+const { marked, Marked } = require('marked');
+const { WIKI_LINK_SOURCE } = require('./note-links');
 
 marked.setOptions({
     breaks: true,
@@ -8,6 +9,42 @@ marked.setOptions({
     mangle: false
 });
 
+// Note content additionally understands [[wiki links]]. They render as anchors without an
+// href that carry the raw target; the preview resolves and wires them up (see BacklinksManager)
+const WIKI_LINK_START_PATTERN = new RegExp('^' + WIKI_LINK_SOURCE);
+const noteMarked = new Marked({ breaks: true, gfm: true }, {
+    extensions: [{
+        name: 'wikiLink',
+        level: 'inline',
+        start(src) {
+            const index = src.indexOf('[[');
+            return index === -1 ? undefined : index;
+        },
+        tokenizer(src) {
+            const match = WIKI_LINK_START_PATTERN.exec(src);
+            if (!match || !match[1].trim()) return undefined;
+            return {
+                type: 'wikiLink',
+                raw: match[0],
+                target: match[1].trim(),
+                alias: match[2] ? match[2].trim() : null
+            };
+        },
+        renderer(token) {
+            return `<a class="wiki-link" data-wiki-target="${escapeHTML(token.target)}"` +
+                `${token.alias ? ' data-wiki-alias="true"' : ''}>${escapeHTML(token.alias || token.target)}</a>`;
+        }
+    }]
+});
+
+function escapeHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
 function t(key, fallbackOrParams, params) {
     const hasFallback = typeof fallbackOrParams === 'string';
     const fallback = hasFallback ? fallbackOrParams : undefined;
@@ -90,11 +127,19 @@ function renderMarkdown(text) {
     return sanitizeHTML(rendered);
 }
 
+// Render note content, including [[wiki links]]
+function renderNoteMarkdown(text) {
+    if (!text) return '';
+    const rendered = noteMarked.parse(text);
+    return sanitizeHTML(rendered);
+}
+
 module.exports = {
     t,
     sanitizeHTML,
     setSafeInnerHTML,
     renderMarkdown,
+    renderNoteMarkdown,
     SAFE_URI_PATTERN,
     UNSAFE_STYLE_PATTERN
 };
@@ -0,0 +1,1750 @@
+// Sync Manager for CogNotez
+// The provider-independent part of syncing: merging local and remote data, sync versions,
+// end-to-end encryption and media sync. Each sync provider's manager (see sync-providers.js)
+// extends it and implements the storage methods at the end of the class.
+//
+// Remotely, every note, tag and AI conversation is an object of its own, named after its content
+// checksum, and the sync file is a manifest listing them with the rest of the data. A sync only
+// transfers the items whose checksum changed, along with the manifest. The manifest has a name
+// of its own: versions before it read and write the whole data as LEGACY_SYNC_FILE, and would
+// take a manifest for a library without notes.
+
+const crypto = require('crypto');
+const encryptionManager = require('./encryption');
+const { mergeReminder } = require('./note-reminders');
+const { checkSchemaVersion, migrateData } = require('./schema-migrations');
+
+// Check if we're in Electron main process or renderer process
+const isMainProcess = typeof window === 'undefined';
+
+const LEGACY_SYNC_FILE = 'cognotez_sync_backup.json';
+// Sections stored as one remote object per item; the others stay in the manifest
+const OBJECT_SECTIONS = ['notes', 'ai_conversations', 'tags'];
+// Objects no manifest refers to are removed once they are this old, since a device that listed
+// them just before may be about to refer to them again, or its manifest may still be on the way
+// (a folder kept in step by Syncthing)
+const UNREFERENCED_OBJECT_GRACE_MS = 24 * 60 * 60 * 1000;
+
+class SyncManager {
+    /**
+     * @param {Object} authManager - The provider's connection (see sync-providers.js)
+     * @param {Object|null} encryptionSettings
+     * @param {Object} [options] - Of the open workspace (see workspace-registry.js)
+     * @param {string} [options.appFolderName] - Remote folder holding the sync file and media
+     * @param {string} [options.mediaDirectory] - Local media directory (main process)
+     */
+    constructor(authManager, encryptionSettings = null, options = {}) {
+        this.authManager = authManager;
+        this.appFolderId = null;
+        this.syncMetadata = {
+            lastSync: null,
+            lastSyncVersion: null,
+            remoteFileId: null,
+            localChecksum: null,
+            remoteChecksum: null
+        };
+
+        this.syncInProgress = false;
+        this.appFolderName = options.appFolderName || 'CogNotez_Backup';
+        this.mediaDirectory = options.mediaDirectory || null;
+        this.backupFileName = 'cognotez_sync_manifest.json';
+        this.initialized = false;
+
+        // Encryption settings
+        this.encryptionEnabled = encryptionSettings?.enabled || false;
+        this.encryptionPassphrase = encryptionSettings?.passphrase || null;
+        this.encryptionSalt = encryptionSettings?.saltBase64 || null;
+        this.encryptionIterations = encryptionSettings?.iterations || 210000;
+
+        this.initialize();
+    }
+
+    /**
+     * Update encryption settings
+     * @param {Object} settings - Encryption settings
+     */
+    updateEncryptionSettings(settings) {
+        this.encryptionEnabled = settings?.enabled || false;
+        this.encryptionPassphrase = settings?.passphrase || null;
+        this.encryptionSalt = settings?.saltBase64 || this.encryptionSalt;
+        this.encryptionIterations = settings?.iterations || this.encryptionIterations;
+
+        console.log('[Sync] Encryption settings updated:', {
+            enabled: this.encryptionEnabled,
+            hasPassphrase: !!this.encryptionPassphrase,
+            hasSalt: !!this.encryptionSalt
+        });
+    }
+
+    /**
+     * Get current encryption status
+     * @returns {Object} - Encryption status info
+     */
+    getEncryptionStatus() {
+        return {
+            enabled: this.encryptionEnabled,
+            hasPassphrase: !!this.encryptionPassphrase,
+            hasSalt: !!this.encryptionSalt,
+            iterations: this.encryptionIterations
+        };
+    }
+
+    // Build a content-only snapshot for checksum comparisons (exclude sync state and volatile metadata)
+    createContentOnlySnapshot(data) {
+        const metadata = data.metadata || {};
+        const snapshot = {
+            notes: data.notes || {},
+            ai_conversations: data.ai_conversations || {},
+            tags: data.tags || {},
+            note_tags: data.note_tags || {},
+            tombstones: data.tombstones || {},
+            saved_searches: data.saved_searches || {},
+            property_definitions: data.property_definitions || {},
+            reminders: data.reminders || {},
+            metadata: {
+                ...metadata,
+                exportVersion: metadata.exportVersion || '1.0'
+            }
+        };
+        // Remove exportedAt/exportedForSync and any sync object if present
+        delete snapshot.metadata.exportedAt;
+        delete snapshot.metadata.exportedForSync;
+        delete snapshot.sync;
+        return snapshot;
+    }
+
+    calculateContentChecksum(dataObject) {
+        const contentSnapshot = this.createContentOnlySnapshot(dataObject);
+        const str = JSON.stringify(contentSnapshot);
+        // Simple 32-bit rolling hash to match DatabaseManager.calculateChecksum
+        let hash = 0;
+        for (let i = 0; i < str.length; i++) {
+            const char = str.charCodeAt(i);
+            hash = ((hash << 5) - hash) + char;
+            hash = hash & hash;
+        }
+        return hash.toString(16);
+    }
+
+    /**
+     * Generate a unique device identifier for tracking which device performed a sync.
+     * Uses a combination of machine ID and random suffix for uniqueness.
+     */
+    _getDeviceIdentifier() {
+        // Use a cached device ID if available
+        if (this._deviceId) {
+            return this._deviceId;
+        }
+
+        // Try to get a persistent device identifier
+        let deviceId = 'unknown';
+        try {
+            if (isMainProcess) {
+                // Main process - use machine-id or hostname
+                const os = require('os');
+                const hostname = os.hostname();
+                deviceId = `${hostname}-${crypto.randomBytes(4).toString('hex')}`;
+            } else if (typeof window !== 'undefined' && window.localStorage) {
+                // Renderer process - use or create a persistent ID in localStorage
+                let storedId = window.localStorage.getItem('cognotez_device_id');
+                if (!storedId) {
+                    storedId = `browser-${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 8)}`;
+                    window.localStorage.setItem('cognotez_device_id', storedId);
+                }
+                deviceId = storedId;
+            }
+        } catch (error) {
+            console.warn('[Sync] Could not get device identifier:', error.message);
+            deviceId = `fallback-${Date.now().toString(36)}`;
+        }
+
+        this._deviceId = deviceId;
+        return deviceId;
+    }
+
+    /**
+     * Turn data into the JSON stored remotely: stamped with its sync version and encrypted when
+     * encryption is enabled
+     * @param {Object} data
+     * @param {Object} options - uploadData() options; syncVersion overrides the next version,
+     *   and with objects (see uploadSyncData()) only the manifest of the data is stored
+     * @returns {{jsonData: string, checksum: string, syncVersion: number}}
+     */
+    encodeSyncData(data, options = {}) {
+        // Include syncVersion in the data being uploaded
+        const newSyncVersion = options.syncVersion || (data._syncMeta?.syncVersion || 0) + 1;
+        const dataWithVersion = {
+            ...(options.objects ? this.createManifest(data, options.objects) : data),
+            _syncMeta: {
+                syncVersion: newSyncVersion,
+                uploadedAt: new Date().toISOString(),
+                uploadedBy: this._getDeviceIdentifier()
+            }
+        };
+
+        console.log('[Sync] Uploading with syncVersion:', newSyncVersion);
+
+        // Encrypt data if encryption is enabled
+        let dataToUpload = dataWithVersion;
+        if (this.encryptionEnabled) {
+            if (!this.encryptionPassphrase) {
+                throw new Error('Encryption is enabled but no passphrase is set');
+            }
+
+            try {
+                // IMPORTANT: Encrypt dataWithVersion (not data) to include _syncMeta
+                dataToUpload = encryptionManager.encryptData(dataWithVersion, this.encryptionPassphrase, {
+                    saltBase64: this.encryptionSalt,
+                    iterations: this.encryptionIterations
+                });
+                console.log('[Sync] Data encrypted successfully');
+            } catch (error) {
+                console.error('[Sync] Encryption failed:', error);
+                throw new Error(`Encryption failed: ${error.message}`);
+            }
+        }
+
+        const jsonData = JSON.stringify(dataToUpload, null, 2);
+        // Content-only checksum for robust equality across devices, of the whole data even
+        // when only its manifest is stored
+        const checksum = this.calculateContentChecksum(data);
+
+        return { jsonData, checksum, syncVersion: newSyncVersion };
+    }
+
+    /**
+     * Read the JSON stored remotely, decrypting it when it is encrypted
+     * @param {string} jsonData
+     * @returns {{data: Object, checksum: string, size: number, isEncrypted: boolean}}
+     * @throws {Error} With encryptionRequired when there is no passphrase or it does not fit,
+     *   or a SchemaError for data from a newer version of the app
+     */
+    decodeSyncData(jsonData) {
+        // Parse JSON with error handling
+        let parsed;
+        let isEncrypted = false;
+        try {
+            parsed = JSON.parse(jsonData);
+            isEncrypted = encryptionManager.isEncrypted(parsed);
+        } catch (parseError) {
+            console.error('[Sync] Failed to parse downloaded JSON data:', parseError);
+            throw new Error(`Downloaded data is not valid JSON: ${parseError.message}`);
+        }
+
+        // Check if data is encrypted and decrypt if necessary
+        if (isEncrypted) {
+            console.log('[Sync] Downloaded data is encrypted, attempting decryption...');
+
+            if (!this.encryptionPassphrase) {
+                const err = new Error('Downloaded data is encrypted and requires a passphrase');
+                err.encryptionRequired = true;
+                throw err;
+            }
+
+            try {
+                const decryptedData = encryptionManager.decryptData(parsed, this.encryptionPassphrase);
+                parsed = decryptedData;
+                console.log('[Sync] Data decrypted successfully');
+            } catch (error) {
+                console.error('[Sync] Decryption failed:', error);
+                const err = new Error(`Decryption failed: ${error.message}. This may indicate an incorrect passphrase or corrupted data.`);
+                err.encryptionRequired = true;
+                throw err;
+            }
+        } else {
+            console.log('[Sync] Downloaded data is not encrypted');
+        }
+
+        // Data uploaded by a newer version of the app must neither be merged nor overwritten
+        checkSchemaVersion(parsed);
+
+        const checksum = this.calculateContentChecksum(parsed);
+
+        return {
+            data: parsed,
+            checksum: checksum,
+            size: jsonData.length,
+            isEncrypted: isEncrypted
+        };
+    }
+
+    // =====================================================
+    // Manifest and per-item objects
+    // =====================================================
+
+    /**
+     * SHA-256 rather than calculateContentChecksum(): the checksum names the item's object, so
+     * an edit that kept the 32-bit hash would never be uploaded
+     * @param {Object} item
+     * @returns {string} Content checksum of the item alone
+     */
+    calculateItemChecksum(item) {
+        return crypto.createHash('sha256').update(JSON.stringify(item)).digest('hex');
+    }
+
+    /**
+     * Remote name of an item's object. Names depend on the encryption key as well, so turning
+     * encryption on or changing the passphrase uploads every item again instead of keeping
+     * objects only readable with the old key.
+     * @param {string} section
+     * @param {string} id
+     * @param {string} checksum - calculateItemChecksum()
+     * @returns {string}
+     */
+    getObjectName(section, id, checksum) {
+        const keyFingerprint = this.encryptionEnabled && this.encryptionPassphrase && this.encryptionSalt
+            ? encryptionManager.getKeyFingerprint(this.encryptionPassphrase, {
+                saltBase64: this.encryptionSalt,
+                iterations: this.encryptionIterations
+            })
+            : '';
+        // Hashed again so an unencrypted checksum of an encrypted item is never revealed
+        const hash = crypto.createHash('sha256')
+            .update(JSON.stringify([section, id, checksum, keyFingerprint]))
+            .digest('hex');
+        return `${section}_${hash}.json`;
+    }
+
+    /**
+     * The data as stored in the sync file: every section but the items of OBJECT_SECTIONS, which
+     * `objects` refers to instead
+     * @param {Object} data
+     * @param {Object} objects - { <section>: { <id>: { checksum, name } } }
+     * @returns {Object}
+     */
+    createManifest(data, objects) {
+        const manifest = { ...data, objects };
+        for (const section of OBJECT_SECTIONS) delete manifest[section];
+        // Keeps the manifest data to checkSchemaVersion(), so one from a newer version is refused
+        // before any object is read
+        manifest.notes = {};
+        return manifest;
+    }
+
+    /**
+     * @param {Object} item
+     * @returns {string} The object's content, encrypted when encryption is enabled
+     */
+    encodeSyncObject(item) {
+        if (!this.encryptionEnabled) return JSON.stringify(item);
+        if (!this.encryptionPassphrase) {
+            throw new Error('Encryption is enabled but no passphrase is set');
+        }
+        return JSON.stringify(encryptionManager.encryptData(item, this.encryptionPassphrase, {
+            saltBase64: this.encryptionSalt,
+            iterations: this.encryptionIterations
+        }));
+    }
+
+    /**
+     * @param {string} content
+     * @returns {Object} The item
+     * @throws {Error} With encryptionRequired when it is encrypted and there is no passphrase
+     */
+    decodeSyncObject(content) {
+        const parsed = JSON.parse(content);
+        if (!encryptionManager.isEncrypted(parsed)) return parsed;
+        if (!this.encryptionPassphrase) {
+            const err = new Error('Downloaded data is encrypted and requires a passphrase');
+            err.encryptionRequired = true;
+            throw err;
+        }
+        return encryptionManager.decryptData(parsed, this.encryptionPassphrase);
+    }
+
+    /**
+     * Upload data as per-item objects and a manifest. Only objects missing remotely are
+     * uploaded; the manifest goes through uploadData(), so optimistic locking works as before.
+     * Objects the new manifest no longer refers to are removed afterwards.
+     * @param {Object} data
+     * @param {Object} [options] - uploadData() options
+     * @returns {Promise<Object>} uploadData() result, with objectsUploaded and objectsDeleted
+     */
+    async uploadSyncData(data, options = {}) {
+        await this.ensureInitialized();
+
+        const objects = {};
+        const wanted = [];
+        for (const section of OBJECT_SECTIONS) {
+            if (!data[section]) continue;
+            objects[section] = {};
+            for (const [id, item] of Object.entries(data[section])) {
+                const checksum = this.calculateItemChecksum(item);
+                const name = this.getObjectName(section, id, checksum);
+                objects[section][id] = { checksum, name };
+                wanted.push({ name, item });
+            }
+        }
+
+        // Listed before the manifest is replaced, so objects another device uploads meanwhile
+        // are not taken for unreferenced ones
+        const remoteObjects = await this.listSyncObjects();
+        const remoteNames = new Set(remoteObjects.map(object => object.name));
+
+        let objectsUploaded = 0;
+        for (const { name, item } of wanted) {
+            if (remoteNames.has(name)) continue;
+            await this.uploadSyncObject(name, this.encodeSyncObject(item));
+            remoteNames.add(name);
+            objectsUploaded++;
+        }
+        console.log('[Sync] Uploaded', objectsUploaded, 'of', wanted.length, 'objects');
+
+        const uploadResult = await this.uploadData(data, { ...options, objects });
+
+        const referenced = new Set(wanted.map(object => object.name));
+        const cutoff = Date.now() - UNREFERENCED_OBJECT_GRACE_MS;
+        let objectsDeleted = 0;
+        for (const object of remoteObjects) {
+            if (referenced.has(object.name)) continue;
+            if (object.modifiedTime && new Date(object.modifiedTime).getTime() > cutoff) continue;
+            try {
+                await this.deleteSyncObject(object.id);
+                objectsDeleted++;
+            } catch (error) {
+                // Tried again after the next upload
+                console.warn('[Sync] Could not delete unreferenced object:', object.name, error.message);
+            }
+        }
+        if (objectsDeleted > 0) console.log('[Sync] Deleted', objectsDeleted, 'unreferenced objects');
+
+        return { ...uploadResult, objectsUploaded, objectsDeleted };
+    }
+
+    /**
+     * Download the remote data, whole again. Items unchanged from `localData` are taken from it
+     * instead of being downloaded. Without a manifest, the sync file of older versions is read.
+     * @param {Object|null} [localData]
+     * @returns {Promise<Object>} downloadData() result, its data and checksum those of the whole
+     *   data; legacy is set when it is the older versions' sync file
+     */
+    async downloadSyncData(localData = null) {
+        if (!this.syncMetadata.remoteFileId) {
+            const legacyResult = await this.downloadLegacyData();
+            if (legacyResult) return legacyResult;
+        }
+        return this.assembleSyncData(await this.downloadData(), localData);
+    }
+
+    /**
+     * Run `fn` with the provider methods working on LEGACY_SYNC_FILE instead of the manifest
+     * @param {Function} fn - async
+     */
+    async withLegacySyncFile(fn) {
+        const { backupFileName } = this;
+        const { remoteFileId } = this.syncMetadata;
+        this.backupFileName = LEGACY_SYNC_FILE;
+        this.syncMetadata.remoteFileId = null;
+        try {
+            return await fn();
+        } finally {
+            this.backupFileName = backupFileName;
+            this.syncMetadata.remoteFileId = remoteFileId;
+        }
+    }
+
+    /**
+     * The sync file of versions before per-item objects. It is read until the first manifest is
+     * written and never written itself, so devices not updated yet keep their own.
+     * @returns {Promise<Object|null>} downloadData() result with legacy set, null when there is none
+     */
+    async downloadLegacyData() {
+        return this.withLegacySyncFile(async () => {
+            if (!await this.findRemoteFile()) return null;
+            console.log('[Sync] No manifest yet, reading the sync file of older versions');
+            return { ...await this.downloadData(), legacy: true };
+        });
+    }
+
+    /**
+     * Replace a decoded manifest with the data it describes
+     * @param {Object} downloadResult - decodeSyncData() result, updated in place
+     * @param {Object|null} localData - Items are taken from here when their checksum matches
+     * @returns {Promise<Object>} downloadResult, with objectsDownloaded
+     * @throws {Error} With remoteIncomplete when an object the manifest refers to is missing or
+     *   does not match, which a later sync may find in place
+     */
+    async assembleSyncData(downloadResult, localData = null) {
+        const manifest = downloadResult.data;
+        if (!manifest.objects) return downloadResult;
+
+        const data = { ...manifest };
+        delete data.objects;
+        let remoteObjectIds = null;
+        let objectsDownloaded = 0;
+
+        for (const section of OBJECT_SECTIONS) {
+            const entries = manifest.objects[section];
+            // Left out, like a section the uploading version did not know
+            if (!entries) {
+                delete data[section];
+                continue;
+            }
+
+            data[section] = {};
+            for (const [id, { checksum, name }] of Object.entries(entries)) {
+                const localItem = localData?.[section]?.[id];
+                if (localItem && this.calculateItemChecksum(localItem) === checksum) {
+                    // A copy, since merging may change the remote side's items
+                    data[section][id] = JSON.parse(JSON.stringify(localItem));
+                    continue;
+                }
+
+                if (!remoteObjectIds) {
+                    remoteObjectIds = new Map((await this.listSyncObjects()).map(object => [object.name, object.id]));
+                }
+                const item = remoteObjectIds.has(name)
+                    ? this.decodeSyncObject(await this.downloadSyncObject(remoteObjectIds.get(name)))
+                    : null;
+                if (!item || this.calculateItemChecksum(item) !== checksum) {
+                    const err = new Error(`Remote data is incomplete: the object ${name} is missing or out of date. Try again once all devices have finished syncing.`);
+                    err.remoteIncomplete = true;
+                    throw err;
+                }
+                data[section][id] = item;
+                objectsDownloaded++;
+            }
+        }
+
+        console.log('[Sync] Downloaded', objectsDownloaded, 'objects');
+        downloadResult.data = data;
+        downloadResult.checksum = this.calculateContentChecksum(data);
+        downloadResult.objectsDownloaded = objectsDownloaded;
+        return downloadResult;
+    }
+
+    async sync(options = {}) {
+        let progressCallback = () => { };
+        try {
+            // Check if sync is already in progress BEFORE async initialization to prevent race conditions
+            if (this.syncInProgress) {
+                throw new Error('Sync already in progress');
+            }
+
+            // Set flag immediately to prevent concurrent sync attempts
+            this.syncInProgress = true;
+
+            // Ensure the sync manager is fully initialized before proceeding
+            await this.ensureInitialized();
+
+            console.log('[Sync] Starting sync process');
+
+            // Progress callback support
+            progressCallback = typeof options.onProgress === 'function' ? options.onProgress : (() => { });
+
+            progressCallback({ status: 'initializing', message: 'Preparing sync...' });
+
+            const result = {
+                success: false,
+                action: null,
+                conflicts: [],
+                stats: {
+                    uploaded: 0,
+                    downloaded: 0,
+                    conflicts: 0,
+                    mediaFilesUploaded: 0,
+                    mediaFilesDownloaded: 0
+                }
+            };
+
+            progressCallback({ status: 'checking_remote', message: 'Checking for remote data...' });
+
+            // Ensure we have the latest remote file info
+            await this.findRemoteFile();
+
+            progressCallback({ status: 'analyzing_local', message: 'Analyzing local data...' });
+
+            // Get local data
+            const localData = options.localData || await this.getLocalData();
+            const localChecksum = this.calculateContentChecksum(localData);
+            // Track local checksum for status reporting
+            this.syncMetadata.localChecksum = localChecksum;
+
+            console.log('[Sync] Local data summary:', {
+                notesCount: Object.keys(localData.notes || {}).length,
+                conversationsCount: Object.keys(localData.ai_conversations || {}).length,
+                checksum: localChecksum.substring(0, 16) + '...'
+            });
+
+            let remoteData = null;
+            let remoteChecksum = null;
+            let remoteModifiedTime = null; // Track for optimistic locking
+            let remoteIsLegacy = false;
+
+            // Download remote data if it exists, or the older versions' sync file until there is
+            // a manifest
+            if (this.syncMetadata.remoteFileId || await this.withLegacySyncFile(() => this.findRemoteFile())) {
+                progressCallback({ status: 'downloading', message: 'Downloading remote data...' });
+                try {
+                    // Get remote file's modifiedTime for optimistic locking
+                    if (this.syncMetadata.remoteFileId) {
+                        try {
+                            remoteModifiedTime = await this.getRemoteRevision();
+                            console.log('[Sync] Remote file modifiedTime:', remoteModifiedTime);
+                        } catch (modifiedTimeError) {
+                            console.warn('[Sync] Could not get remote modifiedTime:', modifiedTimeError.message);
+                        }
+                    }
+
+                    const downloadResult = await this.downloadSyncData(localData);
+                    remoteData = downloadResult.data;
+                    remoteIsLegacy = !!downloadResult.legacy;
+                    remoteChecksum = downloadResult.checksum;
+                    this.syncMetadata.remoteChecksum = remoteChecksum;
+
+                    console.log('[Sync] Remote data summary:', {
+                        notesCount: Object.keys(remoteData.notes || {}).length,
+                        conversationsCount: Object.keys(remoteData.ai_conversations || {}).length,
+                        checksum: remoteChecksum ? remoteChecksum.substring(0, 16) + '...' : 'none',
+                        syncVersion: remoteData._syncMeta?.syncVersion || 'none'
+                    });
+                } catch (error) {
+                    console.warn('[Sync] Could not download remote data:', error.message);
+                    if (error && (error.encryptionRequired || error.remoteIncomplete || error.name === 'SchemaError')) {
+                        // Propagate encryption requirement so caller can prompt user, and never
+                        // treat data from a newer app version or with objects yet to arrive
+                        // as missing
+                        throw error;
+                    }
+                    progressCallback({ status: 'error', message: 'Failed to download remote data' });
+                }
+            }
+
+            // Handle media file synchronization
+            progressCallback({ status: 'syncing_media', message: 'Synchronizing media files...' });
+            const mediaSyncResult = await this.syncMediaFiles(localData, remoteData, progressCallback);
+            result.stats.mediaFilesUploaded = mediaSyncResult.uploaded;
+            result.stats.mediaFilesDownloaded = mediaSyncResult.downloaded;
+
+            // Determine sync strategy
+            progressCallback({ status: 'analyzing_changes', message: 'Analyzing data changes...' });
+            console.log('[Sync] Comparing data - remoteData exists:', !!remoteData);
+
+            // Track the syncVersion that was uploaded (for persistence)
+            let uploadedSyncVersion = null;
+            
+            if (!remoteData) {
+                // First time sync - upload local data
+                progressCallback({ status: 'uploading', message: 'Uploading data...' });
+                console.log('[Sync] First time sync - uploading local data');
+                console.log('[Sync] Uploading data with', Object.keys(localData.notes || {}).length, 'notes');
+                const uploadResult = await this.uploadSyncData(localData);
+                uploadedSyncVersion = uploadResult.syncVersion;
+                result.action = 'upload';
+                result.stats.uploaded = 1;
+                result.success = true;
+
+            } else if (!remoteIsLegacy && !this.hasLocalChanges(localData, remoteData)) {
+                // No local changes - download remote data. Data from the older versions' sync
+                // file is merged instead, so that the manifest gets written.
+                progressCallback({ status: 'applying_remote', message: 'Applying remote data...' });
+                console.log('[Sync] No local changes - downloading remote data');
+                await this.applyRemoteData(remoteData);
+                result.action = 'download';
+                result.remoteData = remoteData; // Include remote data in result to avoid redundant download
+                result.stats.downloaded = 1;
+                result.success = true;
+                // After applying remote data, local content now matches remote
+                this.syncMetadata.localChecksum = this.syncMetadata.remoteChecksum;
+
+            } else {
+                // Both have changes - handle conflicts
+                progressCallback({ status: 'resolving_conflicts', message: 'Resolving data conflicts...' });
+                console.log('[Sync] Both local and remote have changes - resolving conflicts');
+                console.log('[Sync] Local notes:', Object.keys(localData.notes || {}).length);
+                console.log('[Sync] Remote notes:', Object.keys(remoteData.notes || {}).length);
+                console.log('[Sync] Conflict detection - hasLocalChanges:', this.hasLocalChanges(localData, remoteData));
+                // CRITICAL: Use ONLY this device's last sync time, NOT cloud's global lastSync
+                // Using cloud's lastSync would cause data loss for offline-created notes
+                // Example: Device A synced at 7 AM, creates note at 8 AM offline
+                //          Device B syncs at 8:30 AM
+                //          Device A syncs at 9 AM - note created at 8 AM would be wrongly
+                //          treated as "deleted" because 8 AM < 8:30 AM (cloud's lastSync)
+                // 
+                // FIX: Also use options.lastSync (from database) if internal lastSync is null
+                // This handles app restart scenarios where this.syncMetadata is reset
+                const internalLastSync = this.syncMetadata.lastSync 
+                    ? new Date(this.syncMetadata.lastSync).getTime() 
+                    : (options.lastSync ? new Date(options.lastSync).getTime() : null);
+                const effectiveLastSync = internalLastSync ? new Date(internalLastSync).toISOString() : null;
+                
+                // Track remote syncVersion for optimistic locking
+                const remoteSyncVersion = remoteData?._syncMeta?.syncVersion || 0;
+                // Get last seen remote syncVersion from options (passed from database)
+                const lastSeenRemoteSyncVersion = options.lastSeenRemoteSyncVersion || 0;
+
+                console.log('[Sync] Using device-specific lastSync:', effectiveLastSync);
+                console.log('[Sync] Remote syncVersion:', remoteSyncVersion, 'Last seen:', lastSeenRemoteSyncVersion);
+                console.log('[Sync] This prevents treating offline-created notes as deletions');
+                const conflictResult = await this.resolveConflicts(localData, this.migrateRemoteData(remoteData, options), options.strategy || 'merge', effectiveLastSync, {
+                    remoteSyncVersion: remoteSyncVersion,
+                    lastSeenRemoteSyncVersion: lastSeenRemoteSyncVersion
+                });
+
+                if (conflictResult.resolved) {
+                    // Upload merged data with version conflict detection and retry
+                    progressCallback({ status: 'uploading', message: 'Uploading merged data...' });
+                    console.log('[Sync] Uploading merged data after conflict resolution');
+
+                    // =====================================================
+                    // OPTIMISTIC LOCKING: Upload with version check and retry on conflict
+                    // =====================================================
+                    const maxVersionRetries = 3;
+                    let versionRetryCount = 0;
+                    let uploadSuccess = false;
+                    let currentMergedData = conflictResult.mergedData;
+                    let currentRemoteModifiedTime = remoteModifiedTime;
+                    let currentRemoteSyncVersion = remoteSyncVersion;
+
+                    while (!uploadSuccess && versionRetryCount < maxVersionRetries) {
+                        try {
+                            const nextSyncVersion = currentRemoteSyncVersion + 1;
+                            const uploadResult = await this.uploadSyncData(currentMergedData, {
+                                expectedRemoteModifiedTime: currentRemoteModifiedTime,
+                                syncVersion: nextSyncVersion
+                            });
+                            uploadedSyncVersion = uploadResult.syncVersion;
+                            uploadSuccess = true;
+                            console.log('[Sync] Upload successful on attempt', versionRetryCount + 1, 'syncVersion:', uploadedSyncVersion);
+
+                        } catch (uploadError) {
+                            if (uploadError.versionConflict) {
+                                versionRetryCount++;
+                                console.warn(`[Sync] Version conflict on attempt ${versionRetryCount}, retrying...`);
+
+                                if (versionRetryCount >= maxVersionRetries) {
+                                    console.error('[Sync] Max version conflict retries exceeded');
+                                    throw new Error('Sync conflict: another device is syncing. Please try again in a few seconds.');
+                                }
+
+                                // Exponential backoff before retry
+                                const backoffDelay = 1000 * Math.pow(2, versionRetryCount - 1);
+                                console.log(`[Sync] Waiting ${backoffDelay}ms before retry...`);
+                                await new Promise(resolve => setTimeout(resolve, backoffDelay));
+
+                                // Re-download remote data and re-merge
+                                progressCallback({ status: 'resolving_version_conflict', message: 'Another device synced, re-merging...' });
+
+                                // Get new remote modifiedTime, of the sync file the other device
+                                // created if there was none
+                                if (!this.syncMetadata.remoteFileId) await this.findRemoteFile();
+                                currentRemoteModifiedTime = await this.getRemoteRevision();
+
+                                // Re-download and re-merge
+                                const newDownloadResult = await this.downloadSyncData(localData);
+                                const newRemoteData = newDownloadResult.data;
+
+                                const newRemoteSyncVersion = newRemoteData._syncMeta?.syncVersion || 0;
+                                currentRemoteSyncVersion = newRemoteSyncVersion; // Update for next retry
+                                console.log('[Sync] Re-merging with new remote data (syncVersion:', newRemoteSyncVersion, ')');
+
+                                // Re-resolve conflicts with new remote data
+                                // Use the NEW remote syncVersion for the retry
+                                const newConflictResult = await this.resolveConflicts(localData, this.migrateRemoteData(newRemoteData, options), options.strategy || 'merge', effectiveLastSync, {
+                                    remoteSyncVersion: newRemoteSyncVersion,
+                                    lastSeenRemoteSyncVersion: lastSeenRemoteSyncVersion
+                                });
+                                currentMergedData = newConflictResult.mergedData;
+
+                            } else {
+                                // Non-version-conflict error, propagate
+                                throw uploadError;
+                            }
+                        }
+                    }
+
+                    result.action = 'merge';
+                    result.mergedData = currentMergedData; // Include merged data in result
+                    result.stats.uploaded = 1;
+                    result.stats.versionRetries = versionRetryCount;
+                    result.success = true;
+                } else {
+                    progressCallback({ status: 'conflict_detected', message: 'Manual conflict resolution needed' });
+                    console.log('[Sync] Conflicts detected and not auto-resolved');
+                    result.action = 'conflict';
+                    result.conflicts = conflictResult.conflicts;
+                    result.stats.conflicts = conflictResult.conflicts.length;
+                }
+            }
+
+            // Update sync metadata
+            this.syncMetadata.lastSync = new Date().toISOString();
+            this.syncMetadata.localChecksum = localChecksum;
+            
+            // Track remote syncVersion for future conflict detection
+            // Use uploadedSyncVersion if we uploaded, otherwise use downloaded remoteData's syncVersion
+            const finalRemoteSyncVersion = uploadedSyncVersion || remoteData?._syncMeta?.syncVersion || 0;
+            
+            // Include sync metadata in result for database persistence
+            // This ensures lastSync and remoteSyncVersion are saved across app restarts
+            result.syncMetadata = {
+                lastSync: this.syncMetadata.lastSync,
+                localChecksum: localChecksum,
+                remoteChecksum: this.syncMetadata.remoteChecksum,
+                remoteFileId: this.syncMetadata.remoteFileId,
+                remoteSyncVersion: finalRemoteSyncVersion
+            };
+            
+            console.log('[Sync] Final remoteSyncVersion to persist:', finalRemoteSyncVersion, 
+                '(uploaded:', uploadedSyncVersion, ', downloaded:', remoteData?._syncMeta?.syncVersion, ')');
+
+            progressCallback({
+                status: 'completed',
+                message: `Sync completed: ${result.action}`,
+                result: result
+            });
+
+            console.log('[Sync] Sync completed:', result);
+            console.log('[Sync] Sync metadata to persist:', result.syncMetadata);
+            return result;
+
+        } catch (error) {
+            console.error('[Sync] Sync failed:', error);
+            progressCallback({
+                status: 'error',
+                message: this._formatSyncErrorMessage(error),
+                error: error
+            });
+            throw error;
+        } finally {
+            this.syncInProgress = false;
+        }
+    }
+
+    /**
+     * Bring remote data from an older app version up to the current schema before it is merged.
+     * The remote data is only compared as downloaded, so its outdated schema version counts as a
+     * local change and the merged, migrated data is uploaded in its place.
+     * @param {Object} data
+     * @param {Object} options - sync() options; backupBeforeMigration(data, version) is called
+     *   before each migration
+     */
+    migrateRemoteData(data, options = {}) {
+        return migrateData(data, { backup: options.backupBeforeMigration || null }).data;
+    }
+
+    _formatSyncErrorMessage(error) {
+        try {
+            // Also called in the main process, where there is no window
+            const t = (key, fallback, params = {}) => typeof window !== 'undefined' && window.i18n ? window.i18n.t(key, params) : fallback;
+
+            if (!error) return t('settings.sync.syncFailedUnknown', 'Sync failed due to an unknown error');
+            if (error.encryptionRequired) {
+                return t('settings.sync.syncFailedEncryptionRequired', 'Cloud data is encrypted. Enter your E2EE passphrase to continue.');
+            }
+            if (error.name === 'SchemaError') {
+                return t(`schema.errors.${error.code}`, error.message, error.params);
+            }
+
+            // Network-related errors
+            if (error.message && (
+                error.message.includes('Failed to fetch') ||
+                error.message.includes('NetworkError') ||
+                error.message.includes('ENOTFOUND') ||
+                error.message.includes('ETIMEDOUT') ||
+                error.message.includes('network')
+            )) {
+                return t('settings.sync.syncFailedNoInternet', 'No internet connection. Sync requires an active internet connection. Will retry when online.');
+            }
+
+            return t('settings.sync.syncFailedGeneric', `Sync failed: ${error.message || 'Unexpected error'}`, { error: error.message || 'Unexpected error' });
+        } catch (_) {
+            const t = (key, fallback) => typeof window !== 'undefined' && window.i18n ? window.i18n.t(key) : fallback;
+            return t('settings.sync.syncFailedUnknown', 'Sync failed due to an unknown error');
+        }
+    }
+
+    async resolveConflicts(localData, remoteData, strategy = 'merge', lastSyncIso = null, options = {}) {
+        const conflicts = [];
+        const mergedData = JSON.parse(JSON.stringify(localData)); // Deep clone
+        
+        // Extract syncVersion info for smarter deletion inference
+        const remoteSyncVersion = options.remoteSyncVersion || remoteData?._syncMeta?.syncVersion || 0;
+        const lastSeenRemoteSyncVersion = options.lastSeenRemoteSyncVersion || 0;
+        const isNewRemoteVersion = remoteSyncVersion > lastSeenRemoteSyncVersion;
+
+        console.log('[Sync] Starting conflict resolution with strategy:', strategy);
+        console.log('[Sync] lastSyncIso:', lastSyncIso);
+        console.log('[Sync] remoteSyncVersion:', remoteSyncVersion, 'lastSeenRemoteSyncVersion:', lastSeenRemoteSyncVersion);
+        console.log('[Sync] isNewRemoteVersion:', isNewRemoteVersion);
+        console.log('[Sync] Local notes count:', Object.keys(localData.notes || {}).length);
+        console.log('[Sync] Remote notes count:', Object.keys(remoteData.notes || {}).length);
+
+        try {
+            // Compare notes
+            const localNotes = localData.notes || {};
+            const remoteNotes = remoteData.notes || {};
+
+            const allNoteIds = new Set([...Object.keys(localNotes), ...Object.keys(remoteNotes)]);
+
+            const lastSyncTime = lastSyncIso ? new Date(lastSyncIso).getTime() : null;
+            for (const noteId of allNoteIds) {
+                const localNote = localNotes[noteId];
+                const remoteNote = remoteNotes[noteId];
+
+                if (!localNote && remoteNote) {
+                    // Note missing locally but exists in remote.
+                    // 
+                    // IMPROVED DELETION INFERENCE:
+                    // Old logic: If remoteModifiedTime <= lastSyncTime, treat as local deletion.
+                    // Problem: This fails when Device A creates a note offline at T2, Device B syncs at T3,
+                    //          then Device A syncs. Device B would see remoteModifiedTime=T2 <= lastSync=T3
+                    //          and wrongly delete the note.
+                    //
+                    // New logic: Use syncVersion as primary indicator.
+                    // - If remote syncVersion > lastSeenRemoteSyncVersion, the remote has new data we haven't seen
+                    // - In this case, notes in remote that we don't have locally are NEW, not deleted
+                    // - Only if we've seen this exact syncVersion before AND remoteModifiedTime <= lastSyncTime,
+                    //   can we safely assume it was deleted locally
+                    //
+                    const remoteModifiedTime = new Date(remoteNote.updated_at || remoteNote.modified || remoteNote.created_at).getTime();
+                    console.log(`[Sync] Note ${noteId} missing locally, remote modified: ${new Date(remoteModifiedTime).toISOString()}, lastSync: ${lastSyncTime ? new Date(lastSyncTime).toISOString() : 'none'}`);
+                    
+                    // If remote has a new syncVersion we haven't seen, treat missing local notes as NEW from remote
+                    if (isNewRemoteVersion) {
+                        console.log(`[Sync] Remote syncVersion is newer (${remoteSyncVersion} > ${lastSeenRemoteSyncVersion}) - treating as new remote note`);
+                        mergedData.notes[noteId] = remoteNote;
+                        continue;
+                    }
+                    
+                    // Only if we've seen this syncVersion before, use timestamp-based deletion inference
+                    if (lastSyncTime && remoteModifiedTime <= lastSyncTime) {
+                        console.log(`[Sync] Same syncVersion and remoteModified <= lastSync - treating as local deletion`);
+                        // Respect local deletion: do nothing (omit from merged)
+                        continue;
+                    }
+                    console.log(`[Sync] Treating as new remote note - adding to merged data`);
+                    // Otherwise, treat as new remote note (added elsewhere) and keep it
+                    mergedData.notes[noteId] = remoteNote;
+                } else if (localNote && !remoteNote) {
+                    // Remote missing the note. If we have lastSync and local wasn't
+                    // modified after lastSync, treat this as a remote deletion and drop it.
+                    const localModifiedTime = new Date(localNote.updated_at || localNote.modified || localNote.created_at).getTime();
+                    if (lastSyncTime && localModifiedTime <= lastSyncTime) {
+                        // Respect remote deletion: remove from merged if present
+                        if (mergedData.notes[noteId]) {
+                            delete mergedData.notes[noteId];
+                        }
+                        continue;
+                    }
+                    // Otherwise, it's a new/updated local note since last sync; keep it
+                    continue;
+                } else if (localNote && remoteNote) {
+                    // Both have the note - check for conflicts
+                    const localModified = new Date(localNote.updated_at || localNote.modified);
+                    const remoteModified = new Date(remoteNote.updated_at || remoteNote.modified);
+
+                    // Check if content actually differs (prevents false overwrites)
+                    const contentChanged = JSON.stringify(localNote.content) !== JSON.stringify(remoteNote.content) ||
+                        JSON.stringify(localNote.title) !== JSON.stringify(remoteNote.title);
+
+                    // Check if collaboration data differs (important for share revocation)
+                    const localCollaboration = localNote.collaboration || {};
+                    const remoteCollaboration = remoteNote.collaboration || {};
+                    const collaborationChanged = JSON.stringify(localCollaboration.google_drive_file_id) !== JSON.stringify(remoteCollaboration.google_drive_file_id) ||
+                        JSON.stringify(localCollaboration.is_shared) !== JSON.stringify(remoteCollaboration.is_shared);
+
+                    if (localModified > remoteModified) {
+                        // Local is newer - keep local content but merge collaboration data if remote revoked
+                        // This ensures share revocations sync even when local content is newer
+                        if (collaborationChanged && remoteCollaboration.google_drive_file_id === null && remoteCollaboration.is_shared === false) {
+                            // Remote revoked the share - update collaboration data even though local is newer
+                            console.log('[Sync] Merging collaboration revocation from remote (local content is newer):', localNote.title);
+                            if (!mergedData.notes[noteId].collaboration) {
+                                mergedData.notes[noteId].collaboration = {};
+                            }
+                            mergedData.notes[noteId].collaboration.is_shared = false;
+                            mergedData.notes[noteId].collaboration.google_drive_file_id = null;
+                            mergedData.notes[noteId].collaboration.google_drive_share_link = null;
+                        }
+                        continue;
+                    } else if (remoteModified > localModified) {
+                        // Remote timestamp is newer, but check for content conflicts
+                        if (contentChanged && lastSyncTime) {
+                            // Both versions have changes since last sync - potential offline edit conflict
+                            const localChangedSinceSync = localModified.getTime() > lastSyncTime;
+                            const remoteChangedSinceSync = remoteModified.getTime() > lastSyncTime;
+
+                            if (localChangedSinceSync && remoteChangedSinceSync) {
+                                // Both edited since last sync - this is a real conflict
+                                console.log('[Sync] Real conflict detected - both devices edited since last sync:', localNote.title);
+                                conflicts.push({
+                                    type: 'note',
+                                    id: noteId,
+                                    title: localNote.title,
+                                    localModified: localModified,
+                                    remoteModified: remoteModified,
+                                    reason: 'both_edited_offline'
+                                });
+
+                                // For safety, keep local content but merge collaboration data if remote revoked
+                                if (collaborationChanged && remoteCollaboration.google_drive_file_id === null && remoteCollaboration.is_shared === false) {
+                                    console.log('[Sync] Merging collaboration revocation from remote (content conflict):', localNote.title);
+                                    if (!mergedData.notes[noteId].collaboration) {
+                                        mergedData.notes[noteId].collaboration = {};
+                                    }
+                                    mergedData.notes[noteId].collaboration.is_shared = false;
+                                    mergedData.notes[noteId].collaboration.google_drive_file_id = null;
+                                    mergedData.notes[noteId].collaboration.google_drive_share_link = null;
+                                }
+
+                                // Remote version is not lost - it's still in cloud
+                                console.log('[Sync] Keeping local version to prevent data loss');
+                                continue;
+                            }
+                        }
+                        // Remote is newer and no conflict detected - use remote
+                        mergedData.notes[noteId] = remoteNote;
+                    } else {
+                        // Same modification time - check content
+                        if (contentChanged) {
+                            console.log('[Sync] Content conflict detected for note:', localNote.title);
+                            conflicts.push({
+                                type: 'note',
+                                id: noteId,
+                                title: localNote.title,
+                                localModified: localModified,
+                                remoteModified: remoteModified,
+                                reason: 'same_timestamp_different_content'
+                            });
+
+                            // For merge strategy, keep local version but merge collaboration data
+                            if (strategy === 'local') {
+                                if (collaborationChanged && remoteCollaboration.google_drive_file_id === null && remoteCollaboration.is_shared === false) {
+                                    console.log('[Sync] Merging collaboration revocation from remote (same timestamp):', localNote.title);
+                                    if (!mergedData.notes[noteId].collaboration) {
+                                        mergedData.notes[noteId].collaboration = {};
+                                    }
+                                    mergedData.notes[noteId].collaboration.is_shared = false;
+                                    mergedData.notes[noteId].collaboration.google_drive_file_id = null;
+                                    mergedData.notes[noteId].collaboration.google_drive_share_link = null;
+                                }
+                                continue;
+                            } else if (strategy === 'remote') {
+                                mergedData.notes[noteId] = remoteNote;
+                            }
+                            // For 'merge', we keep local as default but merge collaboration
+                            if (collaborationChanged && remoteCollaboration.google_drive_file_id === null && remoteCollaboration.is_shared === false) {
+                                console.log('[Sync] Merging collaboration revocation from remote (merge strategy):', localNote.title);
+                                if (!mergedData.notes[noteId].collaboration) {
+                                    mergedData.notes[noteId].collaboration = {};
+                                }
+                                mergedData.notes[noteId].collaboration.is_shared = false;
+                                mergedData.notes[noteId].collaboration.google_drive_file_id = null;
+                                mergedData.notes[noteId].collaboration.google_drive_share_link = null;
+                            }
+                        } else if (collaborationChanged) {
+                            // Content is same but collaboration changed - merge collaboration data
+                            if (remoteCollaboration.google_drive_file_id === null && remoteCollaboration.is_shared === false) {
+                                console.log('[Sync] Merging collaboration revocation from remote (same content):', localNote.title);
+                                if (!mergedData.notes[noteId].collaboration) {
+                                    mergedData.notes[noteId].collaboration = {};
+                                }
+                                mergedData.notes[noteId].collaboration.is_shared = false;
+                                mergedData.notes[noteId].collaboration.google_drive_file_id = null;
+                                mergedData.notes[noteId].collaboration.google_drive_share_link = null;
+                            } else if (remoteCollaboration.google_drive_file_id && remoteCollaboration.is_shared) {
+                                // Remote shared the note - update collaboration data
+                                console.log('[Sync] Merging collaboration share from remote (same content):', localNote.title);
+                                if (!mergedData.notes[noteId].collaboration) {
+                                    mergedData.notes[noteId].collaboration = {};
+                                }
+                                mergedData.notes[noteId].collaboration.is_shared = remoteCollaboration.is_shared;
+                                mergedData.notes[noteId].collaboration.google_drive_file_id = remoteCollaboration.google_drive_file_id;
+                                mergedData.notes[noteId].collaboration.google_drive_share_link = remoteCollaboration.google_drive_share_link;
+                            }
+                        }
+                    }
+                }
+            }
+
+            // Carry tombstones so notes permanently deleted on one device are not resurrected
+            this.applyTombstones(mergedData, localData, remoteData);
+
+            // Merge saved searches - the most recently changed side wins, deletions included
+            // (mirrors DatabaseManager.mergeSavedSearches)
+            if (remoteData.saved_searches) {
+                if (!mergedData.saved_searches) {
+                    mergedData.saved_searches = {};
+                }
+                for (const [searchId, remoteSearch] of Object.entries(remoteData.saved_searches)) {
+                    const localSearch = mergedData.saved_searches[searchId];
+                    if (!localSearch || new Date(remoteSearch.updated_at) > new Date(localSearch.updated_at)) {
+                        mergedData.saved_searches[searchId] = remoteSearch;
+                    }
+                }
+                console.log('[Sync] Merged saved_searches:', Object.keys(mergedData.saved_searches).length);
+            }
+
+            // Merge property definitions the same way (mirrors DatabaseManager.mergePropertyDefinitions)
+            if (remoteData.property_definitions) {
+                if (!mergedData.property_definitions) {
+                    mergedData.property_definitions = {};
+                }
+                for (const [propertyId, remoteDefinition] of Object.entries(remoteData.property_definitions)) {
+                    const localDefinition = mergedData.property_definitions[propertyId];
+                    if (!localDefinition || new Date(remoteDefinition.updated_at) > new Date(localDefinition.updated_at)) {
+                        mergedData.property_definitions[propertyId] = remoteDefinition;
+                    }
+                }
+                console.log('[Sync] Merged property_definitions:', Object.keys(mergedData.property_definitions).length);
+            }
+
+            // Merge reminders; a delivered occurrence stays delivered (mirrors DatabaseManager.mergeReminders)
+            if (remoteData.reminders) {
+                if (!mergedData.reminders) {
+                    mergedData.reminders = {};
+                }
+                for (const [reminderId, remoteReminder] of Object.entries(remoteData.reminders)) {
+                    mergedData.reminders[reminderId] = mergeReminder(mergedData.reminders[reminderId], remoteReminder);
+                }
+                console.log('[Sync] Merged reminders:', Object.keys(mergedData.reminders).length);
+            }
+
+            // Merge tags - respect local deletions
+            // Local tags are the source of truth. We keep all local tags and only add remote tags
+            // that don't conflict with local state. This ensures local deletions are preserved.
+            if (remoteData.tags) {
+                if (!mergedData.tags) {
+                    mergedData.tags = {};
+                }
+
+                // Get all tag IDs that are currently used in notes (local state)
+                const usedTagIds = new Set();
+                Object.values(mergedData.notes || {}).forEach(note => {
+                    if (note.tags && Array.isArray(note.tags)) {
+                        note.tags.forEach(tagId => usedTagIds.add(tagId));
+                    }
+                });
+                if (mergedData.note_tags) {
+                    Object.values(mergedData.note_tags).forEach(noteTag => {
+                        if (noteTag.tag_id) usedTagIds.add(noteTag.tag_id);
+                    });
+                }
+
+                // Only add remote tags that are actually used in notes or already exist locally
+                // This prevents re-adding tags that were intentionally deleted
+                for (const [tagId, remoteTag] of Object.entries(remoteData.tags)) {
+                    if (mergedData.tags[tagId] || usedTagIds.has(tagId)) {
+                        mergedData.tags[tagId] = remoteTag;
+                    }
+                }
+                console.log('[Sync] Merged tags (respecting local deletions):', Object.keys(mergedData.tags).length);
+            }
+
+            // Merge note_tags associations - respect local state
+            // Only merge associations for notes that exist in merged data
+            if (remoteData.note_tags) {
+                if (!mergedData.note_tags) {
+                    mergedData.note_tags = {};
+                }
+
+                const existingNoteIds = new Set(Object.keys(mergedData.notes || {}));
+
+                // Only add remote note_tags if the note still exists
+                for (const [noteTagKey, remoteNoteTag] of Object.entries(remoteData.note_tags)) {
+                    if (existingNoteIds.has(remoteNoteTag.note_id)) {
+                        // Only add if not already in local or if local doesn't have it
+                        if (!mergedData.note_tags[noteTagKey]) {
+                            mergedData.note_tags[noteTagKey] = remoteNoteTag;
+                        }
+                    }
+                }
+                console.log('[Sync] Merged note_tags (respecting local state):', Object.keys(mergedData.note_tags).length);
+            }
+
+            // Merge AI conversations - respect local deletions
+            // Local AI conversation state is the source of truth. Only add remote conversations
+            // for notes that still exist and if they don't conflict with local deletions.
+            if (remoteData.ai_conversations) {
+                if (!mergedData.ai_conversations) {
+                    mergedData.ai_conversations = {};
+                }
+
+                const existingNoteIds = new Set(Object.keys(mergedData.notes || {}));
+
+                // Only add remote conversations if:
+                // 1. The conversation doesn't exist locally (new from remote)
+                // 2. The associated note still exists
+                // This prevents re-adding conversations that were intentionally cleared
+                for (const [convId, remoteConv] of Object.entries(remoteData.ai_conversations)) {
+                    const noteExists = !remoteConv.note_id || existingNoteIds.has(remoteConv.note_id);
+                    if (!mergedData.ai_conversations[convId] && noteExists) {
+                        mergedData.ai_conversations[convId] = remoteConv;
+                    }
+                }
+                console.log('[Sync] Merged ai_conversations (respecting local deletions):', Object.keys(mergedData.ai_conversations).length);
+            }
+
+            console.log('[Sync] Conflict resolution complete:', {
+                conflictsFound: conflicts.length,
+                resolved: conflicts.length === 0 || strategy !== 'manual',
+                strategy: strategy
+            });
+
+            return {
+                resolved: conflicts.length === 0 || strategy !== 'manual',
+                mergedData: mergedData,
+                conflicts: conflicts
+            };
+
+        } catch (error) {
+            console.error('[Sync] Conflict resolution failed:', error);
+            return {
+                resolved: false,
+                mergedData: localData, // Fallback to local data
+                conflicts: conflicts,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Merge tombstones (permanently deleted notes) from both sides into mergedData and apply them.
+     * Mirrors DatabaseManager.applyTombstones: a note untouched since the deletion is moved to
+     * the trash, or removed if it was already trashed before the deletion; later edits win.
+     */
+    applyTombstones(mergedData, localData, remoteData) {
+        const tombstones = { ...(localData.tombstones || {}) };
+        for (const [noteId, tombstone] of Object.entries(remoteData.tombstones || {})) {
+            if (!tombstones[noteId] || new Date(tombstone.deleted_at) > new Date(tombstones[noteId].deleted_at)) {
+                tombstones[noteId] = tombstone;
+            }
+        }
+
+        for (const [noteId, tombstone] of Object.entries(tombstones)) {
+            const note = mergedData.notes[noteId];
+            if (!note) continue;
+
+            const deletedTime = new Date(tombstone.deleted_at).getTime();
+            if (new Date(note.updated_at || note.created_at).getTime() > deletedTime) {
+                console.log('[Sync] Note edited after it was deleted elsewhere - keeping it:', note.title);
+                delete tombstones[noteId];
+                continue;
+            }
+
+            if (!note.deleted_at) {
+                console.log('[Sync] Moving note deleted on another device to trash:', note.title);
+                mergedData.notes[noteId] = { ...note, deleted_at: tombstone.deleted_at };
+            } else if (new Date(note.deleted_at).getTime() < deletedTime) {
+                console.log('[Sync] Removing trashed note deleted on another device:', note.title);
+                delete mergedData.notes[noteId];
+                for (const [convId, conv] of Object.entries(mergedData.ai_conversations || {})) {
+                    if (conv.note_id === noteId) delete mergedData.ai_conversations[convId];
+                }
+                for (const [key, noteTag] of Object.entries(mergedData.note_tags || {})) {
+                    if (noteTag.note_id === noteId) delete mergedData.note_tags[key];
+                }
+            }
+        }
+
+        mergedData.tombstones = tombstones;
+    }
+
+    hasLocalChanges(localData, remoteData) {
+        // Check if local has meaningful content that would be lost by downloading remote data
+        // This prevents treating empty local data as "changes" when remote has content
+
+        const localNotesCount = Object.keys(localData.notes || {}).length;
+        const localConversationsCount = Object.keys(localData.ai_conversations || {}).length;
+        const remoteNotesCount = Object.keys(remoteData.notes || {}).length;
+        const remoteConversationsCount = Object.keys(remoteData.ai_conversations || {}).length;
+
+        // If local is empty but remote has data, don't treat this as "local changes"
+        const localIsEmpty = localNotesCount === 0 && localConversationsCount === 0;
+        const remoteHasData = remoteNotesCount > 0 || remoteConversationsCount > 0;
+
+        if (localIsEmpty && remoteHasData) {
+            return false; // No local changes - just download remote data
+        }
+
+        // Compare content only, excluding export-specific metadata
+        // This prevents false positives due to export timestamps
+        const { exportedForSync, exportedAt, ...localMetadata } = localData.metadata || {};
+        const localContent = {
+            notes: localData.notes,
+            ai_conversations: localData.ai_conversations,
+            tags: localData.tags,
+            note_tags: localData.note_tags,
+            tombstones: localData.tombstones || {},
+            saved_searches: localData.saved_searches || {},
+            property_definitions: localData.property_definitions || {},
+            reminders: localData.reminders || {},
+            metadata: {
+                ...localMetadata,
+                exportVersion: localData.metadata?.exportVersion || '1.0'
+            }
+            // Exclude sync object entirely as it contains sync-specific state
+        };
+
+        const { exportedForSync: remoteExportedForSync, exportedAt: remoteExportedAt, ...remoteMetadata } = remoteData.metadata || {};
+        const remoteContent = {
+            notes: remoteData.notes,
+            ai_conversations: remoteData.ai_conversations,
+            tags: remoteData.tags,
+            note_tags: remoteData.note_tags,
+            tombstones: remoteData.tombstones || {},
+            saved_searches: remoteData.saved_searches || {},
+            property_definitions: remoteData.property_definitions || {},
+            reminders: remoteData.reminders || {},
+            metadata: {
+                ...remoteMetadata,
+                exportVersion: remoteData.metadata?.exportVersion || '1.0'
+            }
+            // Exclude sync object entirely as it contains sync-specific state
+        };
+
+        const localStr = JSON.stringify(localContent);
+        const remoteStr = JSON.stringify(remoteContent);
+
+        return localStr !== remoteStr;
+    }
+
+    async getLocalData() {
+        // This method is only used when localData is not provided via options
+        // In the main sync flow, localData is passed from the database manager
+        console.warn('[Sync] getLocalData called but localData should be provided via options');
+        return {
+            notes: {},
+            ai_conversations: {},
+            settings: {},
+            tags: {},
+            note_tags: {},
+            metadata: {
+                version: '1.0',
+                exportedAt: new Date().toISOString()
+            }
+        };
+    }
+
+    async applyRemoteData(remoteData) {
+        // Note: Data application is handled by the main process after sync completion
+        // This method is kept for interface consistency but actual data import
+        // happens in main.js via databaseManager.importDataFromSync()
+        console.log('[Sync] Remote data will be applied by main process database manager');
+    }
+
+    calculateChecksum(data) {
+        // Legacy helper (not used for content equality)
+        return crypto.createHash('md5').update(data).digest('hex');
+    }
+
+    getSyncStatus() {
+        return {
+            inProgress: this.syncInProgress,
+            lastSync: this.syncMetadata.lastSync,
+            hasRemoteFile: !!this.syncMetadata.remoteFileId,
+            localChecksum: this.syncMetadata.localChecksum,
+            remoteChecksum: this.syncMetadata.remoteChecksum
+        };
+    }
+
+    /**
+     * Extract media file IDs from note content
+     * @param {Object} data - Notes data object
+     * @returns {Set} Set of media file IDs found in notes
+     */
+    extractMediaFileIds(data) {
+        const mediaFileIds = new Set();
+
+        if (!data || !data.notes) {
+            return mediaFileIds;
+        }
+
+        // Pattern to match cognotez-media:// URLs
+        const mediaUrlPattern = /cognotez-media:\/\/([a-z0-9]+)/gi;
+
+        for (const note of Object.values(data.notes)) {
+            if (note.content) {
+                const matches = note.content.match(mediaUrlPattern);
+                if (matches) {
+                    for (const match of matches) {
+                        const fileId = match.replace('cognotez-media://', '');
+                        mediaFileIds.add(fileId);
+                    }
+                }
+            }
+        }
+
+        return mediaFileIds;
+    }
+
+    /**
+     * Synchronize media files between local and remote storage
+     * @param {Object} localData - Local notes data
+     * @param {Object} remoteData - Remote notes data (null if no remote data)
+     * @param {Function} progressCallback - Progress callback function
+     * @returns {Object} Sync results with uploaded and downloaded counts
+     */
+    async syncMediaFiles(localData, remoteData, progressCallback) {
+        const result = {
+            uploaded: 0,
+            downloaded: 0,
+            errors: []
+        };
+
+        try {
+            // Extract media file IDs from local data to determine what to upload
+            const localMediaIds = this.extractMediaFileIds(localData);
+
+            console.log('[Sync] Media sync - Local files:', localMediaIds.size);
+
+            // Get list of remote media files
+            let remoteMediaFiles = [];
+            try {
+                remoteMediaFiles = await this.listMediaFiles();
+                console.log('[Sync] Found', remoteMediaFiles.length, 'remote media files');
+
+                // Log remote file details for debugging
+                remoteMediaFiles.forEach(file => {
+                    console.log(`[Sync] Remote media file: ${file.name} (${file.size} bytes)`);
+                });
+            } catch (error) {
+                console.warn('[Sync] Could not list remote media files:', error.message);
+                // Continue with empty list - we'll handle missing files during download
+            }
+
+            // Create a map of remote file names to IDs for quick lookup
+            const remoteFileMap = new Map();
+            remoteMediaFiles.forEach(file => {
+                remoteFileMap.set(file.name, file.id);
+            });
+
+            // This is a simplified sync approach:
+            // 1. For files that exist locally but not remotely: upload them
+            // 2. For files that exist remotely but not locally: download them
+            // Note: In a full implementation, we'd also check modification times and handle conflicts
+
+            // Upload new local media files
+            for (const fileId of localMediaIds) {
+                const fileName = `${fileId}`; // Files are stored by ID without extension in our current system
+
+                if (!remoteFileMap.has(fileName)) {
+                    try {
+                        // Get file data from local storage
+                        let fileData = null;
+                        let fileExists = false;
+
+                        if (typeof window !== 'undefined' && window.RichMediaManager) {
+                            // We're in renderer process - use RichMediaManager
+                            try {
+                                fileData = await window.RichMediaManager.getMediaFile(fileId);
+                                fileExists = true;
+                            } catch (error) {
+                                console.warn(`[Sync] Media file ${fileId} not found in RichMediaManager:`, error.message);
+                                fileExists = false;
+                            }
+                        } else {
+                            // We're in main process - use direct file access
+                            const fs = require('fs').promises;
+                            const mediaDir = await this.getMediaDirectory();
+                            const filePath = `${mediaDir}/${fileName}`;
+
+                            try {
+                                await fs.access(filePath);
+                                fileData = await fs.readFile(filePath);
+                                fileExists = true;
+                            } catch (error) {
+                                console.warn(`[Sync] Could not read local media file ${fileName}:`, error.message);
+                                fileExists = false;
+                            }
+                        }
+
+                        if (fileExists && fileData) {
+                            await this.uploadMediaFile(fileName, fileData);
+                            result.uploaded++;
+                            console.log('[Sync] Uploaded media file:', fileName);
+                        } else {
+                            console.log(`[Sync] Skipping upload of ${fileName} - file not found locally`);
+                        }
+                    } catch (error) {
+                        console.error('[Sync] Failed to upload media file:', fileName, error);
+                        result.errors.push(`Upload failed for ${fileName}: ${error.message}`);
+                    }
+                }
+            }
+
+            // Download all remote media files that don't exist locally
+            for (const file of remoteMediaFiles) {
+                const fileName = file.name;
+                const fileId = fileName; // File name is the ID in our system
+
+                console.log(`[Sync] Processing remote media file: ${fileName} (${file.size} bytes)`);
+
+                // Check if file exists locally
+                let fileExistsLocally = false;
+
+                if (typeof window !== 'undefined' && window.RichMediaManager) {
+                    // Renderer process - check if RichMediaManager can access the file
+                    try {
+                        await window.RichMediaManager.getMediaFile(fileId);
+                        fileExistsLocally = true;
+                        console.log(`[Sync] File ${fileName} found in RichMediaManager`);
+                    } catch (error) {
+                        fileExistsLocally = false;
+                        console.log(`[Sync] File ${fileName} not found in RichMediaManager`);
+                    }
+                } else {
+                    // Main process - check file system
+                    try {
+                        const fs = require('fs').promises;
+                        const mediaDir = await this.getMediaDirectory();
+                        const filePath = `${mediaDir}/${fileName}`;
+
+                        // Check if media directory exists first
+                        try {
+                            await fs.access(mediaDir);
+                        } catch (dirError) {
+                            // Media directory doesn't exist yet
+                            console.log(`[Sync] Media directory doesn't exist: ${mediaDir}`);
+                            fileExistsLocally = false;
+                        }
+
+                        if (!fileExistsLocally) {
+                            await fs.access(filePath);
+                            fileExistsLocally = true;
+                            console.log(`[Sync] File ${fileName} found locally at: ${filePath}`);
+                        }
+                    } catch (error) {
+                        // File doesn't exist or other error
+                        console.log(`[Sync] Media file ${fileName} not found locally`);
+                        fileExistsLocally = false;
+                    }
+                }
+
+                if (!fileExistsLocally) {
+                    try {
+                        console.log(`[Sync] File ${fileName} not found locally, downloading...`);
+                        // Download the file
+                        const fileData = await this.downloadMediaFile(file.id);
+
+                        // Save to local storage
+                        if (isMainProcess) {
+                            // Main process - save directly to file system
+                            const fs = require('fs').promises;
+                            const mediaDir = await this.getMediaDirectory();
+                            const filePath = `${mediaDir}/${fileName}`;
+
+                            // Ensure media directory exists
+                            try {
+                                await fs.mkdir(mediaDir, { recursive: true });
+                                console.log(`[Sync] Created media directory: ${mediaDir}`);
+                            } catch (error) {
+                                // Directory might already exist, that's fine
+                                console.log(`[Sync] Media directory already exists or created: ${mediaDir}`);
+                            }
+
+                            await fs.writeFile(filePath, fileData);
+                            console.log(`[Sync] Saved downloaded media file to: ${filePath}`);
+
+                            // Register the file for cognotez-media:// access
+                            this.registerDownloadedMediaFile(fileId, fileName, fileData.byteLength || fileData.length);
+                        } else {
+                            // Renderer process - use RichMediaManager to save and register
+                            await window.RichMediaManager.saveDownloadedMediaFile(fileId, fileData);
+
+                            // Also register the file in the media database for cognotez-media:// access
+                            const mediaDir = await this.getMediaDirectory();
+                            const mediaRef = {
+                                id: fileId,
+                                name: fileName,
+                                type: 'application/octet-stream', // Will be updated when file is actually accessed
+                                size: fileData.byteLength || fileData.length,
+                                storageType: 'filesystem',
+                                path: `${mediaDir}/${fileName}`,
+                                createdAt: new Date().toISOString()
+                            };
+
+                            // Track this as a downloaded media file
+                            await window.RichMediaManager.trackDownloadedMedia(fileId, mediaRef);
+                        }
+
+                        result.downloaded++;
+                        console.log(`[Sync] Downloaded media file: ${fileName} (${fileData.byteLength || fileData.length} bytes)`);
+                    } catch (error) {
+                        console.error('[Sync] Failed to download media file:', fileName, error);
+                        result.errors.push(`Download failed for ${fileName}: ${error.message}`);
+                    }
+                } else {
+                    console.log(`[Sync] File ${fileName} already exists locally, skipping download`);
+                }
+            }
+
+            console.log('[Sync] Media sync completed:', result);
+            return result;
+
+        } catch (error) {
+            console.error('[Sync] Media sync failed:', error);
+            result.errors.push(`Media sync failed: ${error.message}`);
+            return result;
+        }
+    }
+
+    /**
+     * Get media directory path (main process only)
+     */
+    async getMediaDirectory() {
+        // Use the existing IPC handler to get media directory
+        if (typeof window !== 'undefined') {
+            // We're in renderer process - use IPC
+            const electron = require('electron');
+            return await electron.ipcRenderer.invoke('get-media-directory');
+        } else if (this.mediaDirectory) {
+            return this.mediaDirectory;
+        } else {
+            // We're in main process - return the path directly
+            const path = require('path');
+            const app = require('electron').app;
+            const mediaDir = path.join(app.getPath('userData'), 'media');
+            return mediaDir;
+        }
+    }
+
+    /**
+     * Register downloaded media file for cognotez-media:// access (main process)
+     * @param {string} fileId - Media file ID
+     * @param {string} fileName - Media file name
+     * @param {number} fileSize - Media file size
+     */
+    registerDownloadedMediaFile(fileId, fileName, fileSize) {
+        // In main process, we need to ensure the file is tracked for the renderer process
+        // For now, we'll log this and rely on the renderer to discover the file
+        console.log(`[Sync] Registered downloaded media file for renderer access: ${fileId} (${fileSize} bytes)`);
+
+        // The renderer process will discover this file when it tries to access it via cognotez-media://
+        // The RichMediaManager will handle the file discovery automatically
+    }
+
+    // =====================================================
+    // Storage, implemented by each provider's manager
+    // =====================================================
+
+    /**
+     * Connect to the remote storage; called by the constructor, so it must not throw. Managers
+     * that connect on first use in ensureInitialized() keep this one.
+     */
+    async initialize() { }
+
+    /**
+     * Called before every use of the remote storage
+     * @throws {Error} The provider's error when it cannot be used (not connected, unreachable)
+     */
+    async ensureInitialized() {
+        throw new Error(`${this.constructor.name} does not implement ensureInitialized()`);
+    }
+
+    /**
+     * Look up the sync file and set syncMetadata.remoteFileId to its id, or null
+     * @returns {Promise<{id: string, name: string, modifiedTime: string, size: number}|null>}
+     */
+    async findRemoteFile() {
+        throw new Error(`${this.constructor.name} does not implement findRemoteFile()`);
+    }
+
+    /**
+     * The sync file's current revision, passed to uploadData() as expectedRemoteModifiedTime
+     * so an upload fails when another device uploaded in between
+     * @returns {Promise<string>}
+     */
+    async getRemoteRevision() {
+        throw new Error(`${this.constructor.name} does not implement getRemoteRevision()`);
+    }
+
+    /**
+     * Write data to the sync file, encoded with encodeSyncData()
+     * @param {Object} data
+     * @param {Object} [options]
+     * @param {string} [options.expectedRemoteModifiedTime] - getRemoteRevision() result the sync
+     *   file must still have; otherwise an Error with versionConflict set is thrown
+     * @param {number} [options.syncVersion] - See encodeSyncData()
+     * @param {Object} [options.objects] - See encodeSyncData()
+     * @param {string} [options.filename] - Instead of the sync file
+     * @returns {Promise<{success: boolean, fileId: string, checksum: string, size: number, modifiedTime: string, syncVersion: number}>}
+     */
+    async uploadData(data, options = {}) {
+        throw new Error(`${this.constructor.name} does not implement uploadData()`);
+    }
+
+    /**
+     * Read the sync file found by findRemoteFile()
+     * @returns {Promise<Object>} decodeSyncData() result
+     */
+    async downloadData() {
+        throw new Error(`${this.constructor.name} does not implement downloadData()`);
+    }
+
+    /**
+     * @returns {Promise<boolean>} Whether a sync file was deleted
+     */
+    async deleteRemoteData() {
+        throw new Error(`${this.constructor.name} does not implement deleteRemoteData()`);
+    }
+
+    /**
+     * @returns {Promise<Array<{id: string, name: string, size: string, modifiedTime: string|null}>>}
+     *   The remote media files; name is the media file id used in notes
+     */
+    async listMediaFiles() {
+        throw new Error(`${this.constructor.name} does not implement listMediaFiles()`);
+    }
+
+    /**
+     * Create or replace a remote media file
+     * @param {string} fileName
+     * @param {Buffer} fileData
+     * @param {number|null} [mtime] - Local modification time, kept where the storage can
+     */
+    async uploadMediaFile(fileName, fileData, mtime = null) {
+        throw new Error(`${this.constructor.name} does not implement uploadMediaFile()`);
+    }
+
+    /**
+     * @param {string} fileId - id from listMediaFiles()
+     * @returns {Promise<Buffer>}
+     */
+    async downloadMediaFile(fileId) {
+        throw new Error(`${this.constructor.name} does not implement downloadMediaFile()`);
+    }
+
+    /**
+     * @param {string} fileId - id from listMediaFiles()
+     */
+    async deleteMediaFile(fileId) {
+        throw new Error(`${this.constructor.name} does not implement deleteMediaFile()`);
+    }
+
+    /**
+     * @returns {Promise<Array<{id: string, name: string, modifiedTime: string|null}>>}
+     *   The remote per-item objects (see uploadSyncData()); name is the one they were uploaded with
+     */
+    async listSyncObjects() {
+        throw new Error(`${this.constructor.name} does not implement listSyncObjects()`);
+    }
+
+    /**
+     * Create a remote per-item object. Its name depends on its content, so an existing one
+     * never has to be replaced.
+     * @param {string} name - getObjectName()
+     * @param {string} content
+     */
+    async uploadSyncObject(name, content) {
+        throw new Error(`${this.constructor.name} does not implement uploadSyncObject()`);
+    }
+
+    /**
+     * @param {string} objectId - id from listSyncObjects()
+     * @returns {Promise<string>}
+     */
+    async downloadSyncObject(objectId) {
+        throw new Error(`${this.constructor.name} does not implement downloadSyncObject()`);
+    }
+
+    /**
+     * @param {string} objectId - id from listSyncObjects()
+     */
+    async deleteSyncObject(objectId) {
+        throw new Error(`${this.constructor.name} does not implement deleteSyncObject()`);
+    }
+}
+
+module.exports = { SyncManager };
@@ -0,0 +1,195 @@
+// Sync Provider Registry for CogNotez
+// Every place that syncs, shows the sync status or connects an account goes through this list
+// instead of naming a provider. Loaded by both processes: the provider modules themselves are
+// only required by the factories, which run in the main process.
+//
+// A provider is two objects:
+//
+// The connection keeps the account or location the workspace syncs with and its settings file
+// in the workspace's directory (see webdav-auth.js for an example); createConnection(directory)
+// makes it:
+//   isAuthenticated   - true while connected
+//   _initPromise      - resolves once the stored settings are loaded
+//   connect(settings) - check `settings` (the provider's settingsFields) against the server and
+//                       store them; throws the provider's error class (errorName) when they fail.
+//                       OAuth providers connect through their own flow instead
+//   disconnect()      - forget the settings
+//   getAuthStatus()   - { isAuthenticated, ... }; the rest is passed to describe()
+//
+// The sync manager extends SyncManager (see sync-manager.js), which does the merging,
+// encryption, per-item objects and media sync, and implements its storage methods: uploadData,
+// downloadData, findRemoteFile, getRemoteRevision, deleteRemoteData, listSyncObjects,
+// uploadSyncObject, downloadSyncObject, deleteSyncObject, listMediaFiles, uploadMediaFile,
+// downloadMediaFile and deleteMediaFile.
+//
+// Text is given as [i18n key, English fallback].
+
+const SYNC_PROVIDERS = [
+    {
+        id: 'google-drive',
+        name: 'Google Drive',
+        icon: 'fab fa-google-drive',
+        authentication: 'oauth',
+        settingsFields: [],
+        text: {
+            title: ['settings.sync.title', 'Google Drive Sync Settings'],
+            connect: ['settings.sync.connectGoogleDrive', 'Connect Google Drive'],
+            connected: ['settings.sync.connectedSuccessfully', 'Successfully connected to Google Drive'],
+            disconnected: ['settings.sync.disconnectedSuccessfully', 'Successfully disconnected from Google Drive']
+        },
+        errorName: null,
+        errorSection: null,
+        // Reaching Google is checked before each sync (see network-utils.js)
+        network: 'internet',
+        // The OAuth client is set up when the window loads, so connecting and disconnecting
+        // offer a restart with these texts
+        restartOnConnect: ['modals.restartGoogleDriveConnect', 'Google Drive connection requires an app restart to sync properly.'],
+        restartOnDisconnect: ['modals.restartGoogleDriveDisconnect', 'Google Drive disconnection requires an app restart to complete.'],
+        // The connection (google-auth.js) is created by the main process, whose OAuth and
+        // sharing handlers use it as well
+        createSyncManager(connection, encryptionSettings, options) {
+            const { GoogleDriveSyncManager } = require('./google-drive-sync');
+            return new GoogleDriveSyncManager(connection, encryptionSettings, options);
+        },
+        describe() {
+            return null;
+        }
+    },
+    {
+        id: 'webdav',
+        name: 'WebDAV',
+        icon: 'fas fa-server',
+        authentication: 'settings',
+        settingsFields: [
+            { name: 'url', type: 'url', label: ['settings.sync.webdavUrlLabel', 'Server folder URL'], placeholder: 'https://cloud.example.com/remote.php/dav/files/me/' },
+            { name: 'username', type: 'text', label: ['settings.sync.webdavUsernameLabel', 'User name'], autocomplete: 'username' },
+            { name: 'password', type: 'password', label: ['settings.sync.webdavPasswordLabel', 'Password or app password'], autocomplete: 'current-password' }
+        ],
+        text: {
+            title: ['settings.sync.webdavTitle', 'WebDAV Sync Settings'],
+            connect: ['settings.sync.connectWebdav', 'Connect WebDAV Server'],
+            hint: ['settings.sync.webdavHint', 'Notes and media are synced to a folder inside this one. Nextcloud, ownCloud and most NAS devices offer WebDAV.'],
+            connected: ['settings.sync.webdavConnected', 'Connected to the WebDAV server'],
+            connectFailed: ['settings.sync.webdavConnectFailed', 'Could not connect to the WebDAV server'],
+            disconnected: ['settings.sync.webdavDisconnected', 'Disconnected from the WebDAV server'],
+            account: ['settings.sync.webdavConnectedAs', 'Connected to {{url}} as {{username}}']
+        },
+        errorName: 'WebDavError',
+        errorSection: 'webdav',
+        // Often on the local network, where reaching Google says nothing about it
+        network: 'local',
+        restartOnConnect: null,
+        restartOnDisconnect: null,
+        createConnection(directory) {
+            const { WebDavAuthManager } = require('./webdav-auth');
+            return new WebDavAuthManager(directory);
+        },
+        createSyncManager(connection, encryptionSettings, options) {
+            const { WebDavSyncManager } = require('./webdav-sync');
+            return new WebDavSyncManager(connection, encryptionSettings, options);
+        },
+        describe(authStatus) {
+            return { url: authStatus.url, username: authStatus.username };
+        }
+    },
+    {
+        id: 's3',
+        name: 'S3',
+        icon: 'fas fa-database',
+        authentication: 'settings',
+        settingsFields: [
+            { name: 'endpoint', type: 'url', label: ['settings.sync.s3EndpointLabel', 'Endpoint URL'], placeholder: 'https://s3.us-west-004.backblazeb2.com' },
+            { name: 'region', type: 'text', label: ['settings.sync.s3RegionLabel', 'Region (optional)'], placeholder: 'us-east-1' },
+            { name: 'bucket', type: 'text', label: ['settings.sync.s3BucketLabel', 'Bucket'] },
+            { name: 'prefix', type: 'text', label: ['settings.sync.s3PrefixLabel', 'Key prefix (optional)'], placeholder: 'cognotez/' },
+            { name: 'accessKeyId', type: 'text', label: ['settings.sync.s3AccessKeyIdLabel', 'Access key ID'], autocomplete: 'username' },
+            { name: 'secretAccessKey', type: 'password', label: ['settings.sync.s3SecretAccessKeyLabel', 'Secret access key'], autocomplete: 'current-password' }
+        ],
+        text: {
+            title: ['settings.sync.s3Title', 'S3 Sync Settings'],
+            connect: ['settings.sync.connectS3', 'Connect S3 Bucket'],
+            hint: ['settings.sync.s3Hint', 'Works with MinIO, Backblaze B2, Wasabi, Garage and other S3-compatible storage. Leave the region empty unless your provider names one.'],
+            connected: ['settings.sync.s3Connected', 'Connected to the S3 bucket'],
+            connectFailed: ['settings.sync.s3ConnectFailed', 'Could not connect to the S3 bucket'],
+            disconnected: ['settings.sync.s3Disconnected', 'Disconnected from the S3 bucket'],
+            account: ['settings.sync.s3ConnectedAs', 'Connected to the bucket {{bucket}} at {{endpoint}}']
+        },
+        errorName: 'S3Error',
+        errorSection: 's3',
+        // Self-hosted buckets (MinIO, Garage) are often on the local network
+        network: 'local',
+        restartOnConnect: null,
+        restartOnDisconnect: null,
+        createConnection(directory) {
+            const { S3AuthManager } = require('./s3-auth');
+            return new S3AuthManager(directory);
+        },
+        createSyncManager(connection, encryptionSettings, options) {
+            const { S3SyncManager } = require('./s3-sync');
+            return new S3SyncManager(connection, encryptionSettings, options);
+        },
+        describe(authStatus) {
+            return { endpoint: authStatus.endpoint, bucket: authStatus.bucket, prefix: authStatus.prefix };
+        }
+    },
+    {
+        id: 'folder',
+        name: 'Folder',
+        icon: 'fas fa-folder-open',
+        authentication: 'settings',
+        settingsFields: [
+            { name: 'directory', type: 'directory', label: ['settings.sync.folderLabel', 'Sync folder'] }
+        ],
+        text: {
+            name: ['settings.sync.providerFolder', 'Folder'],
+            title: ['settings.sync.folderTitle', 'Folder Sync Settings'],
+            connect: ['settings.sync.connectFolder', 'Sync With This Folder'],
+            hint: ['settings.sync.folderHint', 'Pick a folder that Syncthing or a similar tool keeps in step across your devices, or a mounted network share. No cloud account is needed.'],
+            connected: ['settings.sync.folderConnected', 'Syncing with the folder'],
+            connectFailed: ['settings.sync.folderConnectFailed', 'Could not sync with the folder'],
+            disconnected: ['settings.sync.folderDisconnected', 'Stopped syncing with the folder'],
+            account: ['settings.sync.folderConnectedAs', 'Syncing with {{directory}}']
+        },
+        errorName: 'FolderSyncError',
+        errorSection: 'folderSync',
+        // A missing folder is reported by the sync itself
+        network: 'none',
+        restartOnConnect: null,
+        restartOnDisconnect: null,
+        createConnection(directory) {
+            const { FolderSyncConnection } = require('./folder-sync');
+            return new FolderSyncConnection(directory);
+        },
+        createSyncManager(connection, encryptionSettings, options) {
+            const { FolderSyncManager } = require('./folder-sync');
+            return new FolderSyncManager(connection, encryptionSettings, options);
+        },
+        describe(authStatus) {
+            return { directory: authStatus.directory };
+        }
+    }
+];
+
+// Synced with while no other provider is connected
+const DEFAULT_SYNC_PROVIDER = 'google-drive';
+
+/**
+ * @param {string} id
+ * @returns {Object|null}
+ */
+function getSyncProviderById(id) {
+    return SYNC_PROVIDERS.find(provider => provider.id === id) || null;
+}
+
+/**
+ * The i18n key and parameters of a provider's error, for the renderer to translate
+ * @param {Error} error
+ * @returns {{section: string, code: string, params: Object}|null} null for errors that carry
+ *   their own message
+ */
+function getSyncProviderError(error) {
+    const provider = error && SYNC_PROVIDERS.find(p => p.errorName && p.errorName === error.name);
+    return provider ? { section: provider.errorSection, code: error.code, params: error.params } : null;
+}
+
+module.exports = { SYNC_PROVIDERS, DEFAULT_SYNC_PROVIDER, getSyncProviderById, getSyncProviderError };
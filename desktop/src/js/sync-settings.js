@@ -1,8 +1,67 @@
 /**
  * Sync Settings Module
- * Handles the Google Drive sync settings dialog for CogNotez
+ * Handles the sync settings dialog for CogNotez
  */
 
+const { SYNC_PROVIDERS, DEFAULT_SYNC_PROVIDER, getSyncProviderById } = require('./sync-providers');
+
+/**
+ * Translate one of a sync provider's texts (see sync-providers.js)
+ * @param {Array<string>} text - [i18n key, English fallback]
+ * @param {Object} params
+ * @returns {string}
+ */
+function providerText([key, fallback], params = {}) {
+    if (window.i18n) return window.i18n.t(key, params);
+    return fallback.replace(/\{\{(\w+)\}\}/g, (_, name) => params[name] !== undefined ? String(params[name]) : '');
+}
+
+/**
+ * @param {Object} provider - From sync-providers.js
+ * @returns {string}
+ */
+function getSyncProviderName(provider) {
+    return provider.text.name ? providerText(provider.text.name) : provider.name;
+}
+
+/**
+ * The settings form of a provider that is connected with settings; read-only while connected
+ * @param {Object} provider - From sync-providers.js
+ * @returns {string} HTML
+ */
+function renderProviderSettings(provider) {
+    const t = (key, fallback) => window.i18n ? window.i18n.t(key) : fallback;
+    const inputStyle = 'width: 100%; padding: 8px; border: 1px solid var(--border-color); border-radius: 4px; background: var(--input-bg); color: var(--text-color);';
+    const fields = provider.settingsFields.map(field => {
+        const id = `modal-${provider.id}-${field.name}`;
+        const attributes = [
+            field.placeholder ? `placeholder="${field.placeholder}"` : '',
+            field.autocomplete ? `autocomplete="${field.autocomplete}"` : ''
+        ].filter(Boolean).join(' ');
+        // Folders are typed in or picked with the system dialog
+        const input = field.type === 'directory'
+            ? `<div style="display: flex; gap: 8px;">
+                                        <input type="text" id="${id}" data-field="${field.name}" style="${inputStyle}">
+                                        <button class="sync-button sync-provider-browse-btn" data-browse-for="${id}" style="background: var(--surface-bg); color: var(--text-color); border: 1px solid var(--border-color); padding: 8px 16px; border-radius: 6px; cursor: pointer; font-size: 0.9rem; white-space: nowrap;">${t('settings.sync.chooseFolder', 'Choose...')}</button>
+                                    </div>`
+            : `<input type="${field.type}" id="${id}" data-field="${field.name}" ${attributes} style="${inputStyle}">`;
+        return `
+                                <div style="margin-bottom: 12px;">
+                                    <label for="${id}" style="display: block; margin-bottom: 4px; color: var(--text-primary); font-weight: 500;">${providerText(field.label)}</label>
+                                    ${input}
+                                </div>`;
+    }).join('');
+
+    return `
+                        <div id="modal-${provider.id}-settings" class="sync-provider-settings" data-provider="${provider.id}" style="display: none; background: var(--surface-bg); border-radius: 6px; padding: 16px; border: 1px solid var(--border-color);">
+                            <div class="sync-provider-form">${fields}
+                                <button class="sync-button sync-provider-connect-btn" style="background: var(--accent-color); color: white; border: none; padding: 8px 16px; border-radius: 6px; cursor: pointer; font-size: 0.9rem;">${providerText(provider.text.connect)}</button>
+                                <div style="font-size: 0.85rem; color: var(--text-secondary); margin-top: 12px;">${providerText(provider.text.hint)}</div>
+                            </div>
+                            <div class="sync-provider-account" style="display: none; font-size: 0.9rem; color: var(--text-secondary); word-break: break-all;"></div>
+                        </div>`;
+}
+
 /**
  * Shows the sync settings modal dialog
  * @param {Object} app - The CogNotezApp instance
@@ -13,10 +72,19 @@ function showSyncSettings(app) {
         const content = `
             <div style="max-width: 700px;">
                 <div style="margin-bottom: 24px;">
-                    <h4 style="margin: 0 0 16px 0; color: var(--text-primary);"><i class="fas fa-cloud"></i> ${t('settings.sync.title', 'Google Drive Sync Settings')}</h4>
+                    <h4 style="margin: 0 0 16px 0; color: var(--text-primary);"><i class="fas fa-cloud"></i> <span id="modal-sync-settings-title">${t('settings.sync.title', 'Google Drive Sync Settings')}</span></h4>
                 </div>
 
                 <div id="sync-settings-content">
+                    <!-- Provider Section -->
+                    <div class="sync-section" style="margin-bottom: 24px;">
+                        <h5 style="margin: 0 0 12px 0; color: var(--text-primary); font-size: 1rem;">${t('settings.sync.providerTitle', 'Sync Provider')}</h5>
+                        <div class="sync-provider-options" style="display: flex; flex-wrap: wrap; gap: 12px 24px; margin-bottom: 12px;">
+                            ${SYNC_PROVIDERS.map(provider => `<label style="display: flex; align-items: center; gap: 8px; cursor: pointer; color: var(--text-primary);"><input type="radio" name="sync-provider" value="${provider.id}"${provider.id === DEFAULT_SYNC_PROVIDER ? ' checked' : ''}> <i class="${provider.icon}"></i> ${getSyncProviderName(provider)}</label>`).join('')}
+                        </div>
+                        ${SYNC_PROVIDERS.filter(provider => provider.authentication === 'settings').map(renderProviderSettings).join('')}
+                    </div>
+
                     <!-- Status Section -->
                     <div class="sync-section" style="margin-bottom: 24px;">
                         <div id="sync-status-display">
@@ -27,9 +95,9 @@ function showSyncSettings(app) {
                                 </div>
                                 <div class="sync-last-sync" id="modal-sync-last-sync" style="font-size: 0.9rem; color: var(--text-secondary);"></div>
                                 <div class="sync-buttons" style="margin-top: 12px;">
-                                    <button id="modal-google-drive-connect-btn" class="sync-button" style="background: var(--accent-color); color: white; border: none; padding: 8px 16px; border-radius: 6px; cursor: pointer; font-size: 0.9rem; margin-right: 8px;">${t('settings.sync.connectGoogleDrive', 'Connect Google Drive')}</button>
-                                    <button id="modal-google-drive-disconnect-btn" class="sync-button" style="background: var(--surface-bg); color: var(--text-color); border: 1px solid var(--border-color); padding: 8px 16px; border-radius: 6px; cursor: pointer; font-size: 0.9rem; margin-right: 8px; display: none;">${t('settings.sync.disconnect', 'Disconnect')}</button>
-                                    <button id="modal-google-drive-sync-btn" class="sync-button" style="background: var(--surface-bg); color: var(--text-color); border: 1px solid var(--border-color); padding: 8px 16px; border-radius: 6px; cursor: pointer; font-size: 0.9rem;" disabled>${t('settings.sync.syncNow', 'Sync Now')}</button>
+                                    <button id="modal-sync-connect-btn" class="sync-button" style="background: var(--accent-color); color: white; border: none; padding: 8px 16px; border-radius: 6px; cursor: pointer; font-size: 0.9rem; margin-right: 8px;">${t('settings.sync.connectGoogleDrive', 'Connect Google Drive')}</button>
+                                    <button id="modal-sync-disconnect-btn" class="sync-button" style="background: var(--surface-bg); color: var(--text-color); border: 1px solid var(--border-color); padding: 8px 16px; border-radius: 6px; cursor: pointer; font-size: 0.9rem; margin-right: 8px; display: none;">${t('settings.sync.disconnect', 'Disconnect')}</button>
+                                    <button id="modal-sync-now-btn" class="sync-button" style="background: var(--surface-bg); color: var(--text-color); border: 1px solid var(--border-color); padding: 8px 16px; border-radius: 6px; cursor: pointer; font-size: 0.9rem;" disabled>${t('settings.sync.syncNow', 'Sync Now')}</button>
                                 </div>
                             </div>
                         </div>
@@ -73,7 +141,7 @@ function showSyncSettings(app) {
                                     <input type="checkbox" id="modal-encryption-enabled" style="margin-right: 12px;">
                                     <div>
                                         <label for="modal-encryption-enabled" style="cursor: pointer; color: var(--text-primary); font-weight: 500;">${t('settings.sync.enableEncryption', 'Enable End-to-End Encryption')}</label>
-                                        <div class="sync-option-description" style="font-size: 0.85rem; color: var(--text-secondary); margin-top: 4px;">${t('settings.sync.encryptionDescription', 'Encrypt your data before uploading to Google Drive. Your data will only be accessible with your passphrase.')}</div>
+                                        <div class="sync-option-description" style="font-size: 0.85rem; color: var(--text-secondary); margin-top: 4px;">${t('settings.sync.encryptionDescription', 'Encrypt your data before uploading it to your sync provider. Your data will only be accessible with your passphrase.')}</div>
                                     </div>
                                 </div>
 
@@ -111,7 +179,7 @@ function showSyncSettings(app) {
                     </div>
 
                     <!-- Setup Section -->
-                    <div class="sync-section">
+                    <div class="sync-section" id="modal-google-setup-section">
                         <h5 style="margin: 0 0 12px 0; color: var(--text-primary); font-size: 1rem;">${t('settings.sync.setupInstructions', 'Setup Instructions')}</h5>
                         <div class="sync-setup-section" style="background: var(--surface-bg); border-radius: 6px; padding: 16px; border: 1px solid var(--border-color);">
                             <div class="sync-setup-steps" style="counter-reset: step-counter;">
@@ -375,6 +443,59 @@ async function initializeModalEncryptionHandlers(app, modal) {
     }
 }
 
+/**
+ * Show the settings of one sync provider in the modal
+ * @param {HTMLElement} modal - The modal DOM element
+ * @param {string} providerId - One of sync-providers.js
+ * @param {Object} status - From getSyncStatus(); the connected provider's settings are read-only
+ */
+function showSyncProvider(modal, providerId, status = {}) {
+    const provider = getSyncProviderById(providerId) || getSyncProviderById(DEFAULT_SYNC_PROVIDER);
+    const connected = !!status.isAuthenticated;
+
+    modal.dataset.syncProvider = provider.id;
+    modal.querySelector('#modal-sync-settings-title').textContent = providerText(provider.text.title);
+    modal.querySelectorAll('.sync-provider-settings').forEach(settings => {
+        const shown = settings.dataset.provider === provider.id;
+        settings.style.display = shown ? 'block' : 'none';
+        settings.querySelector('.sync-provider-form').style.display = connected ? 'none' : 'block';
+
+        const account = settings.querySelector('.sync-provider-account');
+        if (shown && connected && status.account && provider.text.account) {
+            account.style.display = 'block';
+            account.textContent = providerText(provider.text.account, status.account);
+        } else {
+            account.style.display = 'none';
+        }
+    });
+    // Google's OAuth client has to be set up first
+    modal.querySelector('#modal-google-setup-section').style.display = provider.id === 'google-drive' ? '' : 'none';
+
+    // Providers connected with settings have their own connect button in the form
+    const connectBtn = modal.querySelector('#modal-sync-connect-btn');
+    connectBtn.textContent = providerText(provider.text.connect);
+    if (!connected) {
+        connectBtn.style.display = provider.authentication === 'oauth' ? 'inline-block' : 'none';
+    }
+}
+
+/**
+ * After a provider was connected or disconnected: refresh the status, or close the modal and
+ * offer a restart when the provider needs one
+ * @param {Object} app - The CogNotezApp instance
+ * @param {HTMLElement} modal - The modal DOM element
+ * @param {string} restartMessage - Shown in the restart dialog; null when no restart is needed
+ */
+async function afterSyncProviderChange(app, modal, restartMessage) {
+    await app.updateModalSyncStatus(modal);
+    await app.updateSyncStatus(); // Update main UI
+
+    if (restartMessage) {
+        app.closeModal(modal);
+        setTimeout(() => app.showRestartDialog(restartMessage), 500);
+    }
+}
+
 /**
  * Initialize sync handlers for the sync settings modal
  * @param {Object} app - The CogNotezApp instance
@@ -386,28 +507,72 @@ async function initializeModalSyncHandlers(app, modal) {
         await app.updateModalSyncStatus(modal);
 
         // Setup event listeners for modal buttons
-        const connectBtn = modal.querySelector('#modal-google-drive-connect-btn');
-        const disconnectBtn = modal.querySelector('#modal-google-drive-disconnect-btn');
-        const syncBtn = modal.querySelector('#modal-google-drive-sync-btn');
+        const connectBtn = modal.querySelector('#modal-sync-connect-btn');
+        const disconnectBtn = modal.querySelector('#modal-sync-disconnect-btn');
+        const syncBtn = modal.querySelector('#modal-sync-now-btn');
         const importBtn = modal.querySelector('#modal-import-credentials-btn');
         const autoSyncCheckbox = modal.querySelector('#modal-auto-sync');
         const startupSyncCheckbox = modal.querySelector('#modal-sync-on-startup');
 
-        // Encryption controls
-        const encryptionEnabledCheckbox = modal.querySelector('#modal-encryption-enabled');
-        const encryptionPassphraseInput = modal.querySelector('#modal-encryption-passphrase');
-        const encryptionPassphraseConfirmInput = modal.querySelector('#modal-encryption-passphrase-confirm');
-        const encryptionSaveBtn = modal.querySelector('#modal-encryption-save-btn');
-        const encryptionCancelBtn = modal.querySelector('#modal-encryption-cancel-btn');
-        const encryptionPassphraseSection = modal.querySelector('#encryption-passphrase-section');
-        const encryptionStatus = modal.querySelector('#encryption-status');
-        const encryptionIndicator = modal.querySelector('#encryption-indicator');
-        const encryptionStatusText = modal.querySelector('#encryption-status-text');
-        const encryptionDescription = modal.querySelector('#encryption-description');
-        const encryptionValidation = modal.querySelector('#encryption-validation');
+        // Provider choice, only offered while no provider is connected
+        modal.querySelectorAll('input[name="sync-provider"]').forEach(radio => {
+            radio.addEventListener('change', () => {
+                if (radio.checked) showSyncProvider(modal, radio.value);
+            });
+        });
 
-        // Connect button
+        // Folder fields' browse buttons
+        modal.querySelectorAll('.sync-provider-browse-btn').forEach(browseBtn => {
+            browseBtn.addEventListener('click', async () => {
+                const { ipcRenderer } = require('electron');
+                const result = await ipcRenderer.invoke('show-open-dialog', {
+                    properties: ['openDirectory', 'createDirectory']
+                });
+                if (!result.canceled && result.filePaths.length > 0) {
+                    modal.querySelector(`#${browseBtn.dataset.browseFor}`).value = result.filePaths[0];
+                }
+            });
+        });
+
+        // Connect buttons of the providers that are connected with settings
+        modal.querySelectorAll('.sync-provider-settings').forEach(settingsElement => {
+            const provider = getSyncProviderById(settingsElement.dataset.provider);
+            const providerConnectBtn = settingsElement.querySelector('.sync-provider-connect-btn');
+            providerConnectBtn.addEventListener('click', async () => {
+                const t = (key, fallback) => window.i18n ? window.i18n.t(key) : fallback;
+                const inputs = settingsElement.querySelectorAll('[data-field]');
+                try {
+                    providerConnectBtn.disabled = true;
+                    providerConnectBtn.textContent = t('settings.sync.statusConnecting', 'Connecting...');
+
+                    const settings = {};
+                    inputs.forEach(input => { settings[input.dataset.field] = input.value; });
+                    const result = await app.backendAPI.connectSyncProvider(provider.id, settings);
+
+                    if (result.success) {
+                        // Secrets are not kept in the form
+                        inputs.forEach(input => { if (input.type === 'password') input.value = ''; });
+                        app.showNotification(providerText(provider.text.connected), 'success');
+                        await afterSyncProviderChange(app, modal, provider.restartOnConnect && providerText(provider.restartOnConnect));
+                    } else {
+                        const error = result.error || {};
+                        app.showNotification(error.code && provider.errorSection
+                            ? providerText([`${provider.errorSection}.errors.${error.code}`, error.message], error.params)
+                            : (error.message || providerText(provider.text.connectFailed)), 'error');
+                    }
+                } catch (error) {
+                    console.error(`[Sync] Failed to connect sync provider '${provider.id}':`, error);
+                    app.showNotification(providerText(provider.text.connectFailed), 'error');
+                } finally {
+                    providerConnectBtn.disabled = false;
+                    providerConnectBtn.textContent = providerText(provider.text.connect);
+                }
+            });
+        });
+
+        // Connect button, for providers that connect through OAuth
         connectBtn.addEventListener('click', async () => {
+            const provider = getSyncProviderById(modal.dataset.syncProvider);
             try {
                 connectBtn.disabled = true;
                 const t = (key, fallback) => window.i18n ? window.i18n.t(key) : fallback;
@@ -416,17 +581,8 @@ async function initializeModalSyncHandlers(app, modal) {
                 const result = await app.backendAPI.connectGoogleDrive();
 
                 if (result.success) {
-                    const t = (key, fallback) => window.i18n ? window.i18n.t(key) : fallback;
-                    app.showNotification(result.message || t('settings.sync.connectedSuccessfully', 'Successfully connected to Google Drive'), 'success');
-                    await app.updateModalSyncStatus(modal);
-                    await app.updateSyncStatus(); // Update main UI
-
-                    // Close the sync settings modal and show restart dialog
-                    app.closeModal(modal);
-                    setTimeout(() => {
-                        const t = (key) => window.i18n ? window.i18n.t(key) : key;
-                        app.showRestartDialog(t('modals.restartGoogleDriveConnect'));
-                    }, 500);
+                    app.showNotification(result.message || providerText(provider.text.connected), 'success');
+                    await afterSyncProviderChange(app, modal, provider.restartOnConnect && providerText(provider.restartOnConnect));
                 } else {
                     // Don't show notification here - let the IPC error event handler do it
                     // This prevents duplicate notifications
@@ -438,37 +594,28 @@ async function initializeModalSyncHandlers(app, modal) {
                 console.error('[Sync] Failed to connect Google Drive:', error);
             } finally {
                 connectBtn.disabled = false;
-                const t = (key, fallback) => window.i18n ? window.i18n.t(key) : fallback;
-                connectBtn.textContent = t('settings.sync.connectGoogleDrive', 'Connect Google Drive');
+                connectBtn.textContent = providerText(provider.text.connect);
             }
         });
 
         // Disconnect button
         disconnectBtn.addEventListener('click', async () => {
+            const provider = getSyncProviderById(modal.dataset.syncProvider);
             try {
                 disconnectBtn.disabled = true;
                 const t = (key, fallback) => window.i18n ? window.i18n.t(key) : fallback;
                 disconnectBtn.textContent = t('settings.sync.statusDisconnecting', 'Disconnecting...');
 
-                const result = await app.backendAPI.disconnectGoogleDrive();
+                const result = await app.backendAPI.disconnectSyncProvider(provider.id);
 
                 if (result.success) {
-                    const t = (key, fallback) => window.i18n ? window.i18n.t(key) : fallback;
-                    app.showNotification(t('settings.sync.disconnectedSuccessfully', 'Successfully disconnected from Google Drive'), 'success');
-                    await app.updateModalSyncStatus(modal);
-                    await app.updateSyncStatus(); // Update main UI
-
-                    // Close the sync settings modal and show restart dialog
-                    app.closeModal(modal);
-                    setTimeout(() => {
-                        const t = (key) => window.i18n ? window.i18n.t(key) : key;
-                        app.showRestartDialog(t('modals.restartGoogleDriveDisconnect'));
-                    }, 500);
+                    app.showNotification(providerText(provider.text.disconnected), 'success');
+                    await afterSyncProviderChange(app, modal, provider.restartOnDisconnect && providerText(provider.restartOnDisconnect));
                 } else {
-                    app.showNotification(result.error || 'Failed to disconnect from Google Drive', 'error');
+                    app.showNotification(result.error || t('settings.sync.failedToDisconnect', 'Failed to disconnect'), 'error');
                 }
             } catch (error) {
-                console.error('[Sync] Failed to disconnect Google Drive:', error);
+                console.error(`[Sync] Failed to disconnect sync provider '${provider.id}':`, error);
                 const t = (key) => window.i18n ? window.i18n.t(key) : key;
                 app.showNotification(t('settings.sync.failedToDisconnect'), 'error');
             } finally {
@@ -497,7 +644,7 @@ async function initializeModalSyncHandlers(app, modal) {
                 const syncMetadata = (app.notesManager && app.notesManager.db) ? app.notesManager.db.getSyncMetadata() : {};
                 const lastSync = syncMetadata.lastSync || null;
                 const lastSeenRemoteSyncVersion = syncMetadata.remoteSyncVersion || 0;
-                const result = await app.backendAPI.syncWithGoogleDrive({ localData, localChecksum, lastSync, lastSeenRemoteSyncVersion });
+                const result = await app.backendAPI.runSync({ localData, localChecksum, lastSync, lastSeenRemoteSyncVersion });
 
                 if (result.success) {
                     // Success notification handled by sync-completed event
@@ -511,7 +658,11 @@ async function initializeModalSyncHandlers(app, modal) {
                 }
             } catch (error) {
                 console.error('[Sync] Manual sync failed:', error);
-                // Error notification handled by sync-completed event
+                if (error.name === 'SchemaError') {
+                    // Refused before reaching the main process, so no sync-completed event follows
+                    app.showNotification(app.getSchemaErrorMessage(error), 'error');
+                }
+                // Otherwise the error notification is handled by the sync-completed event
             } finally {
                 syncBtn.disabled = false;
                 const t = (key) => window.i18n ? window.i18n.t(key) : key;
@@ -628,14 +779,14 @@ async function updateModalSyncStatus(app, modal) {
     try {
         if (!app.backendAPI) return;
 
-        const status = await app.backendAPI.getGoogleDriveSyncStatus();
+        const status = await app.backendAPI.getSyncStatus();
 
         const indicator = modal.querySelector('#modal-sync-indicator');
         const statusText = modal.querySelector('#modal-sync-status-text');
         const lastSync = modal.querySelector('#modal-sync-last-sync');
-        const connectBtn = modal.querySelector('#modal-google-drive-connect-btn');
-        const disconnectBtn = modal.querySelector('#modal-google-drive-disconnect-btn');
-        const syncBtn = modal.querySelector('#modal-google-drive-sync-btn');
+        const connectBtn = modal.querySelector('#modal-sync-connect-btn');
+        const disconnectBtn = modal.querySelector('#modal-sync-disconnect-btn');
+        const syncBtn = modal.querySelector('#modal-sync-now-btn');
         const autoSyncCheckbox = modal.querySelector('#modal-auto-sync');
         const startupSyncCheckbox = modal.querySelector('#modal-sync-on-startup');
 
@@ -686,6 +837,14 @@ async function updateModalSyncStatus(app, modal) {
             }
         }
 
+        // The provider is fixed while connected
+        const provider = status.isAuthenticated ? status.provider : (modal.dataset.syncProvider || DEFAULT_SYNC_PROVIDER);
+        modal.querySelectorAll('input[name="sync-provider"]').forEach(radio => {
+            radio.checked = radio.value === provider;
+            radio.disabled = !!status.isAuthenticated;
+        });
+        showSyncProvider(modal, provider, status);
+
         // Update last sync time
         if (status.lastSync) {
             const lastSyncDate = new Date(status.lastSync);
@@ -707,6 +866,6 @@ async function updateModalSyncStatus(app, modal) {
     }
 }
 
-module.exports = { showSyncSettings, initializeModalEncryptionHandlers, initializeModalSyncHandlers, updateModalSyncStatus };
+module.exports = { showSyncSettings, initializeModalEncryptionHandlers, initializeModalSyncHandlers, updateModalSyncStatus, getSyncProviderName };
 
 
@@ -0,0 +1,533 @@
+// Table View Manager
+// Spreadsheet-like view of the notes shown in the sidebar (folder, smart folder or search),
+// with sortable columns, property columns and inline editing of simple fields
+
+const { t } = require('./shared');
+const { comparePropertyValues } = require('./property-types');
+
+// Built-in columns; properties add 'property:<id>' columns after these
+const BUILT_IN_COLUMNS = ['title', 'tags', 'created', 'updated', 'wordCount', 'pinned'];
+const DEFAULT_COLUMNS = ['title', 'tags', 'updated', 'wordCount'];
+const STORAGE_KEY = 'notesTableColumns';
+
+class TableViewManager {
+    constructor(app) {
+        this.app = app;
+        this.active = false;
+        this.holdRows = false; // Keep the rows in place while an inline edit refreshes the sidebar
+        this.settings = this.loadSettings(); // { [folder]: { columns, sortBy, sortOrder } }
+    }
+
+    get db() {
+        return this.app.notesManager && this.app.notesManager.db && this.app.notesManager.db.initialized
+            ? this.app.notesManager.db
+            : null;
+    }
+
+    initialize() {
+        const columnsBtn = document.getElementById('table-columns-btn');
+        if (columnsBtn) {
+            columnsBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.toggleColumnMenu();
+            });
+        }
+
+        const closeBtn = document.getElementById('table-view-close');
+        if (closeBtn) {
+            closeBtn.addEventListener('click', () => this.close());
+        }
+
+        document.addEventListener('click', (e) => {
+            const menu = document.getElementById('table-columns-menu');
+            if (menu && !menu.classList.contains('hidden') && !menu.contains(e.target)) {
+                menu.classList.add('hidden');
+            }
+        });
+    }
+
+    toggle() {
+        if (this.active) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    open() {
+        if (!this.db) {
+            this.app.showNotification(t('notifications.databaseNotAvailable'), 'error');
+            return;
+        }
+
+        // The table takes the place of the board view
+        this.app.boardViewManager.hide();
+        this.active = true;
+        document.getElementById('editor-container')?.classList.add('hidden');
+        const placeholder = document.getElementById('no-note-placeholder');
+        if (placeholder) {
+            placeholder.style.display = 'none';
+            placeholder.classList.add('hidden');
+        }
+        document.getElementById('notes-table-view')?.classList.remove('hidden');
+        document.getElementById('table-view-btn')?.classList.add('active');
+        this.render();
+    }
+
+    // Leave the table and go back to the open note (or the placeholder)
+    close() {
+        this.hide();
+        if (this.app.currentNote) {
+            this.app.showNoteEditor();
+        } else {
+            this.app.showNoNotePlaceholder();
+        }
+    }
+
+    hide() {
+        if (!this.active) return;
+        this.active = false;
+        document.getElementById('notes-table-view')?.classList.add('hidden');
+        document.getElementById('table-columns-menu')?.classList.add('hidden');
+        document.getElementById('table-view-btn')?.classList.remove('active');
+    }
+
+    // =====================================================
+    // Column settings
+    // =====================================================
+
+    loadSettings() {
+        try {
+            return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+        } catch (error) {
+            console.warn('[TableView] Ignoring unreadable column settings:', error);
+            return {};
+        }
+    }
+
+    saveSettings() {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(this.settings));
+    }
+
+    get folderKey() {
+        return this.app.currentFolder || 'all';
+    }
+
+    // Settings of the current folder; columns of deleted properties are dropped
+    getFolderSettings() {
+        const saved = this.settings[this.folderKey] || {};
+        const available = this.getAvailableColumns();
+        const columns = (saved.columns || this.getDefaultColumns()).filter(column => available.includes(column));
+        if (!columns.includes('title')) columns.unshift('title');
+
+        let sortBy = saved.sortBy || null;
+        if (sortBy && !available.includes(sortBy)) sortBy = null;
+        return { columns, sortBy, sortOrder: saved.sortOrder === 'desc' ? 'desc' : 'asc' };
+    }
+
+    updateFolderSettings(changes) {
+        this.settings[this.folderKey] = { ...this.getFolderSettings(), ...changes };
+        this.saveSettings();
+    }
+
+    getAvailableColumns() {
+        const properties = this.db ? this.db.getPropertyDefinitions().map(definition => `property:${definition.id}`) : [];
+        return [...BUILT_IN_COLUMNS, ...properties];
+    }
+
+    getDefaultColumns() {
+        const properties = this.db ? this.db.getPropertyDefinitions().map(definition => `property:${definition.id}`) : [];
+        return [...DEFAULT_COLUMNS, ...properties];
+    }
+
+    getPropertyDefinition(column) {
+        return column.startsWith('property:') && this.db
+            ? this.db.getPropertyDefinition(column.slice('property:'.length))
+            : null;
+    }
+
+    getColumnLabel(column) {
+        const definition = this.getPropertyDefinition(column);
+        if (definition) return definition.name;
+        return t(`tableView.columns.${column}`, column);
+    }
+
+    toggleColumnMenu() {
+        const menu = document.getElementById('table-columns-menu');
+        if (!menu) return;
+        if (!menu.classList.contains('hidden')) {
+            menu.classList.add('hidden');
+            return;
+        }
+
+        const { columns } = this.getFolderSettings();
+        menu.innerHTML = '';
+        for (const column of this.getAvailableColumns()) {
+            const label = document.createElement('label');
+            label.className = 'table-columns-option';
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = columns.includes(column);
+            checkbox.disabled = column === 'title';
+            checkbox.addEventListener('change', () => this.setColumnVisible(column, checkbox.checked));
+
+            const name = document.createElement('span');
+            name.textContent = this.getColumnLabel(column);
+            label.append(checkbox, name);
+            menu.appendChild(label);
+        }
+        menu.classList.remove('hidden');
+    }
+
+    setColumnVisible(column, visible) {
+        const { columns } = this.getFolderSettings();
+        const next = visible
+            // Keep the order of the column menu
+            ? this.getAvailableColumns().filter(name => name === column || columns.includes(name))
+            : columns.filter(name => name !== column);
+        this.updateFolderSettings({ columns: next });
+        this.render();
+    }
+
+    // Click-to-sort cycles ascending, descending, then back to the list order
+    cycleSort(column) {
+        const { sortBy, sortOrder } = this.getFolderSettings();
+        if (sortBy !== column) {
+            this.updateFolderSettings({ sortBy: column, sortOrder: 'asc' });
+        } else if (sortOrder === 'asc') {
+            this.updateFolderSettings({ sortOrder: 'desc' });
+        } else {
+            this.updateFolderSettings({ sortBy: null, sortOrder: 'asc' });
+        }
+        this.render();
+    }
+
+    // =====================================================
+    // Rendering
+    // =====================================================
+
+    render() {
+        if (!this.active || this.holdRows) return;
+        const container = document.getElementById('notes-table-container');
+        if (!container) return;
+
+        // Re-rendering should not lose the cell being edited
+        const focused = document.activeElement && container.contains(document.activeElement)
+            ? document.activeElement.closest('td')
+            : null;
+        const focusKey = focused ? { noteId: focused.parentElement.dataset.noteId, column: focused.dataset.column } : null;
+
+        const { columns, sortBy, sortOrder } = this.getFolderSettings();
+        const notes = this.sortNotes(this.app.notesManager.currentNotes || [], sortBy, sortOrder);
+        this.renderTitle(notes.length);
+
+        container.innerHTML = '';
+        if (notes.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'notes-table-empty';
+            empty.textContent = t('tableView.empty', 'No notes to show');
+            container.appendChild(empty);
+            return;
+        }
+
+        const table = document.createElement('table');
+        table.className = 'notes-table';
+
+        const headRow = document.createElement('tr');
+        for (const column of columns) {
+            const th = document.createElement('th');
+            th.dataset.column = column;
+            const button = document.createElement('button');
+            button.className = 'notes-table-sort';
+            button.textContent = this.getColumnLabel(column);
+            if (sortBy === column) {
+                th.classList.add('sorted');
+                th.setAttribute('aria-sort', sortOrder === 'asc' ? 'ascending' : 'descending');
+                const icon = document.createElement('i');
+                icon.className = sortOrder === 'asc' ? 'fas fa-sort-up' : 'fas fa-sort-down';
+                button.appendChild(icon);
+            }
+            button.addEventListener('click', () => this.cycleSort(column));
+            th.appendChild(button);
+            headRow.appendChild(th);
+        }
+        const thead = document.createElement('thead');
+        thead.appendChild(headRow);
+
+        const tbody = document.createElement('tbody');
+        for (const note of notes) {
+            const row = document.createElement('tr');
+            row.dataset.noteId = note.id;
+            if (this.app.currentNote && this.app.currentNote.id === note.id) row.classList.add('active');
+            for (const column of columns) {
+                row.appendChild(this.createCell(note, column));
+            }
+            tbody.appendChild(row);
+        }
+
+        table.append(thead, tbody);
+        container.appendChild(table);
+
+        if (focusKey) {
+            const cell = container.querySelector(`tr[data-note-id="${CSS.escape(focusKey.noteId)}"] td[data-column="${CSS.escape(focusKey.column)}"]`);
+            cell?.querySelector('input')?.focus();
+        }
+    }
+
+    renderTitle(count) {
+        const title = document.getElementById('table-view-title');
+        const countElement = document.getElementById('table-view-count');
+        if (title) title.textContent = this.getFolderName();
+        if (countElement) countElement.textContent = t('tableView.noteCount', { count });
+    }
+
+    getFolderName() {
+        const folder = this.folderKey;
+        if (this.app.advancedSearchManager?.isOpen && this.app.advancedSearchManager.hasActiveFilters()) {
+            return t('advancedSearch.title', 'Advanced Search');
+        }
+        if (folder === 'all') return t('sidebar.allNotes', 'All Notes');
+        if (folder === 'untagged') return t('sidebar.untagged', 'Untagged');
+        if (folder === 'trash') return t('sidebar.trash', 'Trash');
+        if (folder === 'archive') return t('sidebar.archive', 'Archive');
+        const savedSearchId = this.app.notesManager.getSavedSearchId(folder);
+        if (savedSearchId) {
+            const savedSearch = this.db && this.db.getSavedSearch(savedSearchId);
+            return savedSearch ? savedSearch.name : t('sidebar.smartFolders', 'Smart Folders');
+        }
+        return this.app.notesManager.getTagName(folder);
+    }
+
+    sortNotes(notes, sortBy, sortOrder) {
+        if (!sortBy) return notes;
+        const direction = sortOrder === 'desc' ? -1 : 1;
+        const definition = this.getPropertyDefinition(sortBy);
+        const valueOf = (note) => this.getSortValue(note, sortBy);
+
+        return [...notes].sort((a, b) => {
+            if (definition) {
+                const aValue = valueOf(a);
+                const bValue = valueOf(b);
+                // Empty values stay last in both directions
+                if (aValue === null || bValue === null) return comparePropertyValues(definition.type, aValue, bValue);
+                return direction * comparePropertyValues(definition.type, aValue, bValue);
+            }
+            const aValue = valueOf(a);
+            const bValue = valueOf(b);
+            if (typeof aValue === 'string') {
+                return direction * aValue.localeCompare(bValue, undefined, { sensitivity: 'base', numeric: true });
+            }
+            return direction * (aValue - bValue);
+        });
+    }
+
+    getSortValue(note, column) {
+        switch (column) {
+            case 'title':
+                return note.title || '';
+            case 'tags':
+                return (note.tags || []).map(tagId => this.app.notesManager.getTagName(tagId)).join(', ');
+            case 'created':
+                return new Date(note.created_at).getTime() || 0;
+            case 'updated':
+                return new Date(note.updated_at).getTime() || 0;
+            case 'wordCount':
+                return this.app.notesManager.getWordCount(note);
+            case 'pinned':
+                return note.pinned ? 1 : 0;
+            default: {
+                const definition = this.getPropertyDefinition(column);
+                const value = definition ? (note.properties || {})[definition.id] : null;
+                return value === undefined ? null : value;
+            }
+        }
+    }
+
+    createCell(note, column) {
+        const cell = document.createElement('td');
+        cell.dataset.column = column;
+        // Notes in the trash or the archive can be looked at but not changed
+        const editable = !note.deleted_at && !note.is_archived;
+
+        switch (column) {
+            case 'title':
+                cell.appendChild(this.createTitleCell(note, editable));
+                break;
+            case 'tags':
+                for (const tagId of note.tags || []) {
+                    const tag = document.createElement('span');
+                    tag.className = 'notes-table-tag';
+                    tag.textContent = this.app.notesManager.getTagName(tagId);
+                    cell.appendChild(tag);
+                }
+                break;
+            case 'created':
+            case 'updated':
+                cell.className = 'notes-table-date';
+                cell.textContent = this.app.formatLocalizedDateTime(column === 'created' ? note.created_at : note.updated_at, false);
+                break;
+            case 'wordCount':
+                cell.className = 'notes-table-number';
+                // Encrypted content cannot be counted
+                cell.textContent = note.password_protected ? '—' : this.app.notesManager.getWordCount(note);
+                break;
+            case 'pinned': {
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.checked = !!note.pinned;
+                checkbox.disabled = !editable;
+                checkbox.setAttribute('aria-label', t('tableView.columns.pinned', 'Pinned'));
+                checkbox.addEventListener('change', () => this.togglePinned(note, checkbox));
+                cell.appendChild(checkbox);
+                break;
+            }
+            default: {
+                const definition = this.getPropertyDefinition(column);
+                if (definition) cell.appendChild(this.createPropertyEditor(note, definition, editable));
+            }
+        }
+        return cell;
+    }
+
+    createTitleCell(note, editable) {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'notes-table-title';
+
+        if (note.password_protected) {
+            const lock = document.createElement('i');
+            lock.className = 'fas fa-lock note-lock-icon';
+            lock.title = t('notes.passwordProtected');
+            wrapper.appendChild(lock);
+        }
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'notes-table-input';
+        input.value = note.title || '';
+        input.disabled = !editable;
+        input.setAttribute('aria-label', t('tableView.columns.title', 'Title'));
+        this.commitOnEnter(input);
+        input.addEventListener('change', () => this.renameNote(note, input));
+        wrapper.appendChild(input);
+
+        if (editable) {
+            const open = document.createElement('button');
+            open.className = 'notes-table-open';
+            open.title = t('tableView.openNote', 'Open note');
+            open.innerHTML = '<i class="fas fa-arrow-right"></i>';
+            open.addEventListener('click', () => this.openNote(note.id));
+            wrapper.appendChild(open);
+        }
+        return wrapper;
+    }
+
+    createPropertyEditor(note, definition, editable) {
+        const properties = this.app.propertiesManager;
+        const value = (note.properties || {})[definition.id];
+        const input = properties.createValueInput(definition, value);
+        input.classList.add('notes-table-input');
+        input.disabled = !editable;
+
+        const fragment = document.createDocumentFragment();
+        fragment.appendChild(input);
+        if (definition.type === 'select') {
+            fragment.appendChild(properties.createOptionsList(definition, input, `table-options-${note.id}-${definition.id}`));
+        }
+        if (input.type !== 'checkbox') this.commitOnEnter(input);
+        input.addEventListener('change', () => this.setProperty(note, definition, input));
+        return fragment;
+    }
+
+    commitOnEnter(input) {
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                input.blur();
+            } else if (e.key === 'Escape') {
+                // Undo the edit in progress
+                input.value = input.defaultValue;
+                input.blur();
+            }
+        });
+        input.defaultValue = input.value;
+    }
+
+    // =====================================================
+    // Inline editing
+    // =====================================================
+
+    async renameNote(note, input) {
+        const title = input.value.trim();
+        if (!title) {
+            input.value = note.title;
+            return;
+        }
+        if (title === note.title) return;
+
+        this.db.updateNote(note.id, { title });
+        note.title = title;
+        input.defaultValue = title;
+
+        // Keep the open editor and its tab in step
+        if (this.app.currentNote && this.app.currentNote.id === note.id) {
+            this.app.currentNote.title = title;
+            const titleInput = document.getElementById('note-title');
+            if (titleInput) titleInput.value = title;
+        }
+        this.app.updateTabTitle(note.id, title);
+        await this.refreshSidebar();
+    }
+
+    async togglePinned(note, checkbox) {
+        // Pinning goes through the notes manager so the pin limit still applies
+        this.holdRows = true;
+        try {
+            await this.app.notesManager.togglePinNote(note.id);
+        } finally {
+            this.holdRows = false;
+        }
+        const stored = this.db.data.notes[note.id];
+        note.pinned = !!(stored && stored.pinned);
+        checkbox.checked = note.pinned;
+    }
+
+    async setProperty(note, definition, input) {
+        const value = input.type === 'checkbox' ? input.checked : input.value;
+        const attached = note.properties && definition.id in note.properties;
+        // An empty cell of a note without the property stays without it
+        if (!attached && (value === '' || value === false)) return;
+
+        if (!this.db.setNoteProperty(note.id, definition.id, value)) return;
+        note.properties = { ...this.db.data.notes[note.id].properties };
+
+        const stored = note.properties[definition.id];
+        if (input.type !== 'checkbox') {
+            input.value = stored === null || stored === undefined ? '' : String(stored);
+            input.defaultValue = input.value;
+        }
+
+        if (this.app.currentNote && this.app.currentNote.id === note.id) {
+            this.app.propertiesManager.syncCurrentNote();
+            this.app.renderProperties();
+        }
+        await this.refreshSidebar();
+    }
+
+    // Update the sidebar list without reordering the table under the user's cursor
+    async refreshSidebar() {
+        const searchInput = document.getElementById('search-input');
+        this.holdRows = true;
+        try {
+            await this.app.notesManager.renderNotesList(searchInput ? (searchInput.value || '') : '', this.app.currentFolder);
+        } finally {
+            this.holdRows = false;
+        }
+    }
+
+    async openNote(noteId) {
+        await this.app.switchToNoteWithWarning(noteId);
+    }
+}
+
+module.exports = TableViewManager;
@@ -2,10 +2,14 @@
 // Tag & Folder Manager - Extracted from app.js
 // Manages tag CRUD, folder navigation, and tag-note associations
 
+const { t } = require('./shared');
+const { getParentPath, getLeafName } = require('./tag-paths');
+
 class TagFolderManager {
     constructor(app) {
         this.app = app;
         this.currentFolder = localStorage.getItem('currentFolder') || 'all';
+        this.collapsedTags = new Set(JSON.parse(localStorage.getItem('collapsedTagFolders') || '[]'));
     }
 
     // Helper method to display tags in the note editor header
@@ -174,8 +178,7 @@ class TagFolderManager {
             // Check if tag already exists
             let existingTag = null;
             if (this.app.notesManager.db && this.app.notesManager.db.initialized) {
-                const allTags = this.app.notesManager.db.getAllTags();
-                existingTag = allTags.find(t => t.name.toLowerCase() === tagName.toLowerCase());
+                existingTag = this.app.notesManager.db.findTagByName(tagName);
             }
 
             let tagId;
@@ -219,23 +222,32 @@ class TagFolderManager {
         }
     }
 
-    // Add existing tag to note
-    async addTagToNote(tagId) {
-        if (!this.app.currentNote) return;
+    /**
+     * Add an existing tag to a note
+     * @param {string} tagId
+     * @param {Object} [options]
+     * @param {string} [options.noteId] - Another note than the open one (e.g. a board card)
+     * @param {boolean} [options.notify=true] - Show the "tag added" notification
+     * @returns {Promise<boolean>} Whether the tag was added
+     */
+    async addTagToNote(tagId, { noteId = null, notify = true } = {}) {
+        const note = this.getTargetNote(noteId);
+        if (!note) return false;
 
         const t = (key, fallback) => window.i18n ? window.i18n.t(key) : fallback;
-        const currentTags = this.app.currentNote.tags || [];
+        const currentTags = note.tags || [];
+        if (currentTags.includes(tagId)) return true;
         if (currentTags.length >= 3) {
             this.app.showNotification(t('tags.maxTagsReached', 'Maximum 3 tags per note reached'), 'warning');
-            return;
+            return false;
         }
 
         const updatedTags = [...currentTags, tagId];
 
         try {
             if (this.app.notesManager.db && this.app.notesManager.db.initialized) {
-                await this.app.notesManager.db.updateNote(this.app.currentNote.id, { tags: updatedTags });
-                this.app.currentNote = await this.app.notesManager.db.getNote(this.app.currentNote.id);
+                await this.app.notesManager.db.updateNote(note.id, { tags: updatedTags });
+                this.reloadCurrentNote(note.id);
             } else {
                 this.app.currentNote.tags = updatedTags;
 
@@ -244,7 +256,7 @@ class TagFolderManager {
                     this.app.notesManager.db.data = this.app.notesManager.db.data || {};
                     this.app.notesManager.db.data.note_tags = this.app.notesManager.db.data.note_tags || {};
 
-                    const noteTagKey = `${this.app.currentNote.id}_${tagId} `;
+                    const noteTagKey = `${this.app.currentNote.id}_${tagId}`;
                     this.app.notesManager.db.data.note_tags[noteTagKey] = {
                         note_id: this.app.currentNote.id,
                         tag_id: tagId
@@ -254,60 +266,89 @@ class TagFolderManager {
                 this.app.saveNotes();
             }
 
-            // Update UI
-            this.displayNoteTags(this.app.currentNote);
-            await this.app.notesManager.renderNotesList('', this.currentFolder);
-
-            // Refresh the tag manager and folder navigation
-            this.refreshTagManager();
-            await this.renderTagFolders();
-
-            this.app.showNotification(t('notifications.tagAdded', 'Tag added successfully'), 'success');
+            await this.afterNoteTagsChanged(note.id);
+            if (notify) {
+                this.app.showNotification(t('notifications.tagAdded', 'Tag added successfully'), 'success');
+            }
+            return true;
         } catch (error) {
             console.error('Error adding tag to note:', error);
             this.app.showNotification(t('tags.addTagFailed', 'Failed to add tag'), 'error');
+            return false;
         }
     }
 
-    // Remove tag from note
-    async removeTagFromNote(tagId) {
-        if (!this.app.currentNote) return;
+    /**
+     * Remove a tag from a note
+     * @param {string} tagId
+     * @param {Object} [options] - As for addTagToNote()
+     * @returns {Promise<boolean>} Whether the tag was removed
+     */
+    async removeTagFromNote(tagId, { noteId = null, notify = true } = {}) {
+        const note = this.getTargetNote(noteId);
+        if (!note) return false;
 
-        const updatedTags = (this.app.currentNote.tags || []).filter(id => id !== tagId);
+        const updatedTags = (note.tags || []).filter(id => id !== tagId);
 
         try {
             if (this.app.notesManager.db && this.app.notesManager.db.initialized) {
-                await this.app.notesManager.db.updateNote(this.app.currentNote.id, { tags: updatedTags });
-                this.app.currentNote = await this.app.notesManager.db.getNote(this.app.currentNote.id);
+                await this.app.notesManager.db.updateNote(note.id, { tags: updatedTags });
+                this.reloadCurrentNote(note.id);
             } else {
                 this.app.currentNote.tags = updatedTags;
 
                 // Also remove note_tags relationship in fallback mode
                 if (this.app.notesManager.db && this.app.notesManager.db.data && this.app.notesManager.db.data.note_tags) {
-                    const noteTagKey = `${this.app.currentNote.id}_${tagId} `;
+                    const noteTagKey = `${this.app.currentNote.id}_${tagId}`;
                     delete this.app.notesManager.db.data.note_tags[noteTagKey];
                 }
 
                 this.app.saveNotes();
             }
 
-            // Update UI
-            this.displayNoteTags(this.app.currentNote);
-            await this.app.notesManager.renderNotesList('', this.currentFolder);
-
-            // Refresh the tag manager and folder navigation
-            this.refreshTagManager();
-            await this.renderTagFolders();
-
-            const t = (key) => window.i18n ? window.i18n.t(key) : key;
-            this.app.showNotification(t('notifications.tagRemoved'), 'success');
+            await this.afterNoteTagsChanged(note.id);
+            if (notify) {
+                const t = (key) => window.i18n ? window.i18n.t(key) : key;
+                this.app.showNotification(t('notifications.tagRemoved'), 'success');
+            }
+            return true;
         } catch (error) {
             console.error('Error removing tag from note:', error);
             const t = (key) => window.i18n ? window.i18n.t(key) : key;
             this.app.showNotification(t('notifications.tagRemoveFailed'), 'error');
+            return false;
+        }
+    }
+
+    // The note a tag change applies to: the open note unless another one is given. Other notes
+    // can only be changed through the database.
+    getTargetNote(noteId) {
+        const current = this.app.currentNote;
+        if (!noteId || (current && current.id === noteId)) return current || null;
+        const db = this.app.notesManager.db;
+        return db && db.initialized ? db.getNote(noteId) : null;
+    }
+
+    reloadCurrentNote(noteId) {
+        if (this.app.currentNote && this.app.currentNote.id === noteId) {
+            this.app.currentNote = this.app.notesManager.db.getNote(noteId);
         }
     }
 
+    async afterNoteTagsChanged(noteId) {
+        if (this.app.currentNote && this.app.currentNote.id === noteId) {
+            this.displayNoteTags(this.app.currentNote);
+        }
+        await this.app.notesManager.renderNotesList('', this.currentFolder);
+
+        // Refresh the tag manager and folder navigation
+        this.refreshTagManager();
+        await this.renderTagFolders();
+
+        // Let the sync UI show the change as ready to sync
+        this.app.refreshLocalSyncChecksum();
+    }
+
     // Refresh the tag manager UI
     refreshTagManager() {
         const modal = document.getElementById('tag-manager-modal');
@@ -348,12 +389,18 @@ class TagFolderManager {
             const folderItem = e.target.closest('.folder-item');
             const tagFolderItem = e.target.closest('.tag-folder-item');
             const createFolderBtn = e.target.closest('#create-folder-btn');
+            const expandBtn = e.target.closest('.tag-folder-expand');
 
             if (createFolderBtn) {
                 this.showCreateTagDialog();
                 return;
             }
 
+            if (expandBtn) {
+                this.toggleTagFolderExpanded(expandBtn.dataset.tagId);
+                return;
+            }
+
             if (folderItem) {
                 const folder = folderItem.dataset.folder;
                 await this.switchFolder(folder);
@@ -363,13 +410,17 @@ class TagFolderManager {
             }
         });
 
-        // Right-click context menu for tag folders
+        // Right-click context menu for tag folders and smart folders
         foldersContainer.addEventListener('contextmenu', (e) => {
             const tagFolderItem = e.target.closest('.tag-folder-item');
+            const savedSearchItem = e.target.closest('.saved-search-item');
             if (tagFolderItem) {
                 e.preventDefault();
                 const tagId = tagFolderItem.dataset.tagId;
                 this.showTagFolderContextMenu(tagId, e.clientX, e.clientY);
+            } else if (savedSearchItem) {
+                e.preventDefault();
+                this.showSavedSearchContextMenu(savedSearchItem.dataset.savedSearchId, e.clientX, e.clientY);
             }
         });
 
@@ -474,6 +525,8 @@ class TagFolderManager {
     }
 
     async renderTagFolders() {
+        this.renderSavedSearchFolders();
+
         const tagFoldersList = document.getElementById('tag-folders-list');
         if (!tagFoldersList) return;
 
@@ -489,32 +542,24 @@ class TagFolderManager {
                 return;
             }
 
-            // Get note counts for each tag
+            // Get the notes of each tag
             let allNotes = [];
             if (this.app.notesManager && this.app.notesManager.db && this.app.notesManager.db.initialized) {
                 allNotes = await this.app.notesManager.db.getAllNotes();
             }
 
-            const tagCounts = {};
+            const tagNotes = {};
             allNotes.forEach(note => {
                 if (note.tags && note.tags.length > 0) {
                     note.tags.forEach(tagId => {
-                        tagCounts[tagId] = (tagCounts[tagId] || 0) + 1;
+                        (tagNotes[tagId] = tagNotes[tagId] || new Set()).add(note.id);
                     });
                 }
             });
 
-            tagFoldersList.innerHTML = tags.map(tag => {
-                const count = tagCounts[tag.id] || 0;
-                const isActive = this.currentFolder === tag.id;
-                return `
-                    <div class="tag-folder-item${isActive ? ' active' : ''}" data-tag-id="${tag.id}">
-                        <div class="tag-folder-color" style="background: ${tag.color || '#BDABE3'}"></div>
-                        <span class="tag-folder-name">${this.app.escapeHtml(tag.name)}</span>
-                        <span class="tag-folder-count">${count}</span>
-                    </div>
-                `;
-            }).join('');
+            tagFoldersList.innerHTML = this.app.notesManager.db.getTagTree()
+                .map(node => this.renderTagFolderNode(node, tagNotes, 0).html)
+                .join('');
 
             // Update main folder counts
             if (this.app.notesManager) {
@@ -530,14 +575,169 @@ class TagFolderManager {
         }
     }
 
-    showCreateTagDialog() {
+    /**
+     * HTML of a tag and its sub-tags. Counts are rolled up: a tag counts each note tagged with
+     * it or with any tag below it once.
+     * @returns {{html: string, noteIds: Set<string>}}
+     */
+    renderTagFolderNode(node, tagNotes, depth) {
+        const { tag, label } = node;
+        const noteIds = new Set(tagNotes[tag.id] || []);
+        const childrenHtml = node.children.map(child => {
+            const rendered = this.renderTagFolderNode(child, tagNotes, depth + 1);
+            rendered.noteIds.forEach(id => noteIds.add(id));
+            return rendered.html;
+        }).join('');
+
+        const hasChildren = node.children.length > 0;
+        const collapsed = hasChildren && this.collapsedTags.has(tag.id);
+        const isActive = this.currentFolder === tag.id;
+        const expander = hasChildren
+            ? `<button class="tag-folder-expand${collapsed ? ' collapsed' : ''}" data-tag-id="${tag.id}" title="${this.app.escapeHtml(t('tags.toggleSubTags', 'Show or hide sub-tags'))}"><i class="fas fa-chevron-down"></i></button>`
+            : '<span class="tag-folder-expand-spacer"></span>';
+
+        const html = `
+            <div class="tag-folder-node">
+                <div class="tag-folder-item${isActive ? ' active' : ''}" data-tag-id="${tag.id}" title="${this.app.escapeHtml(tag.name)}" style="--tag-depth: ${depth}">
+                    ${expander}
+                    <div class="tag-folder-color" style="background: ${tag.color || '#BDABE3'}"></div>
+                    <span class="tag-folder-name">${this.app.escapeHtml(label)}</span>
+                    <span class="tag-folder-count">${noteIds.size}</span>
+                </div>
+                ${hasChildren ? `<div class="tag-folder-children${collapsed ? ' collapsed' : ''}">${childrenHtml}</div>` : ''}
+            </div>
+        `;
+        return { html, noteIds };
+    }
+
+    toggleTagFolderExpanded(tagId) {
+        const collapsed = !this.collapsedTags.has(tagId);
+        if (collapsed) {
+            this.collapsedTags.add(tagId);
+        } else {
+            this.collapsedTags.delete(tagId);
+        }
+        localStorage.setItem('collapsedTagFolders', JSON.stringify([...this.collapsedTags]));
+
+        const item = document.querySelector(`.tag-folder-item[data-tag-id="${tagId}"]`);
+        if (item) {
+            item.querySelector('.tag-folder-expand')?.classList.toggle('collapsed', collapsed);
+            item.nextElementSibling?.classList.toggle('collapsed', collapsed);
+        }
+    }
+
+    // Smart folders: saved advanced searches, listed above the tags. Their counts are
+    // filled in by NotesManager.updateFolderCounts()
+    renderSavedSearchFolders() {
+        const savedSearchesList = document.getElementById('saved-searches-list');
+        const divider = document.getElementById('saved-searches-divider');
+        if (!savedSearchesList) return;
+
+        const db = this.app.notesManager && this.app.notesManager.db;
+        const savedSearches = db && db.initialized ? db.getSavedSearches() : [];
+
+        if (divider) divider.classList.toggle('hidden', savedSearches.length === 0);
+        savedSearchesList.innerHTML = savedSearches.map(savedSearch => {
+            const folder = `saved-search:${savedSearch.id}`;
+            const isActive = this.currentFolder === folder;
+            return `
+                <div class="folder-item saved-search-item${isActive ? ' active' : ''}" data-folder="${folder}" data-saved-search-id="${savedSearch.id}">
+                    <i class="fas fa-search folder-icon"></i>
+                    <span class="folder-name">${this.app.escapeHtml(savedSearch.name)}</span>
+                    <span class="folder-count">0</span>
+                </div>
+            `;
+        }).join('');
+    }
+
+    showSavedSearchContextMenu(savedSearchId, x, y) {
+        // Remove existing context menu
+        const existingMenu = document.querySelector('.tag-folder-context-menu');
+        if (existingMenu) existingMenu.remove();
+
+        const menu = document.createElement('div');
+        menu.className = 'tag-folder-context-menu context-menu';
+        menu.style.cssText = `
+            position: fixed;
+            left: ${x}px;
+            top: ${y}px;
+            z-index: 1000;
+            background: var(--bg-primary);
+            border: 1px solid var(--border-color);
+            border-radius: 8px;
+            box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
+            padding: 4px;
+            min-width: 150px;
+        `;
+
+        menu.innerHTML = `
+            <div class="context-menu-item" data-action="edit"><i class="fas fa-sliders-h"></i> ${t('savedSearches.editFilters', 'Edit Filters')}</div>
+            <div class="context-menu-item" data-action="delete" style="color: #dc3545;"><i class="fas fa-trash"></i> ${t('savedSearches.delete', 'Delete')}</div>
+        `;
+
+        document.body.appendChild(menu);
+
+        menu.addEventListener('click', async (e) => {
+            const action = e.target.closest('.context-menu-item')?.dataset.action;
+            menu.remove();
+            if (action === 'edit' && this.app.advancedSearchManager) {
+                await this.app.advancedSearchManager.editSavedSearch(savedSearchId);
+            } else if (action === 'delete') {
+                await this.deleteSavedSearchFolder(savedSearchId);
+            }
+        });
+
+        // Close on click outside
+        const closeMenu = (e) => {
+            if (!menu.contains(e.target)) {
+                menu.remove();
+                document.removeEventListener('click', closeMenu);
+            }
+        };
+        setTimeout(() => document.addEventListener('click', closeMenu), 0);
+    }
+
+    async deleteSavedSearchFolder(savedSearchId) {
+        const db = this.app.notesManager && this.app.notesManager.db;
+        const savedSearch = db && db.initialized ? db.getSavedSearch(savedSearchId) : null;
+        if (!savedSearch) return;
+
+        const confirmed = await this.app.showConfirmation(
+            t('savedSearches.deleteTitle', 'Delete Smart Folder'),
+            t('savedSearches.deleteConfirm', { name: savedSearch.name })
+        );
+        if (!confirmed) return;
+
+        try {
+            db.deleteSavedSearch(savedSearchId);
+            if (this.app.advancedSearchManager && this.app.advancedSearchManager.editingSavedSearchId === savedSearchId) {
+                this.app.advancedSearchManager.editingSavedSearchId = null;
+            }
+
+            if (this.currentFolder === `saved-search:${savedSearchId}`) {
+                await this.switchFolder('all');
+            }
+            await this.renderTagFolders();
+            this.app.showNotification(t('savedSearches.deleted', { name: savedSearch.name }), 'success');
+        } catch (error) {
+            console.error('Error deleting saved search:', error);
+            this.app.showNotification(t('savedSearches.deleteFailed', 'Failed to delete the smart folder'), 'error');
+        }
+    }
+
+    // parentTagId prefills the name so the new tag is created as its sub-tag
+    showCreateTagDialog(parentTagId = null) {
         const t = (key) => window.i18n ? window.i18n.t(key) : key;
+        const db = this.app.notesManager && this.app.notesManager.db;
+        const parent = parentTagId && db && db.initialized ? db.data.tags[parentTagId] : null;
         const content = `
             <div class="create-tag-form">
                 <div class="form-group" style="margin-bottom: 16px;">
                     <label for="new-folder-tag-name" style="display: block; margin-bottom: 6px; font-weight: 500;">${t('tags.tagName')}</label>
                     <input type="text" id="new-folder-tag-name" placeholder="${t('placeholder.enterTagName')}"
-                           class="filter-input" style="width: 100%; padding: 10px 12px; border-radius: 6px;">
+                           class="filter-input" style="width: 100%; padding: 10px 12px; border-radius: 6px;"
+                           value="${parent ? this.app.escapeHtml(parent.name + '/') : ''}">
+                    <small class="filter-hint">${t('tags.nestHint')}</small>
                 </div>
                 <div class="form-group">
                     <label style="display: block; margin-bottom: 6px; font-weight: 500;">Tag Color</label>
@@ -555,7 +755,7 @@ class TagFolderManager {
             </div>
         `;
 
-        const modal = this.app.createModal(t('modals.createNewTag'), content, [
+        const modal = this.app.createModal(parent ? t('tags.newSubTag') : t('modals.createNewTag'), content, [
             { text: t('modals.create'), type: 'primary', action: 'create', callback: () => this.createTagFromDialog() },
             { text: t('modals.cancel'), type: 'secondary', action: 'cancel' }
         ]);
@@ -577,7 +777,10 @@ class TagFolderManager {
         // Focus the input
         setTimeout(() => {
             const input = document.getElementById('new-folder-tag-name');
-            if (input) input.focus();
+            if (input) {
+                input.focus();
+                input.setSelectionRange(input.value.length, input.value.length);
+            }
         }, 100);
 
         // Handle Enter key to create
@@ -609,8 +812,7 @@ class TagFolderManager {
         try {
             if (this.app.notesManager && this.app.notesManager.db && this.app.notesManager.db.initialized) {
                 // Check if tag with same name exists
-                const existingTags = this.app.notesManager.db.getAllTags();
-                if (existingTags.some(t => t.name.toLowerCase() === tagName.toLowerCase())) {
+                if (this.app.notesManager.db.findTagByName(tagName)) {
                     const t = (key) => window.i18n ? window.i18n.t(key) : key;
                     this.app.showNotification(t('notifications.tagAlreadyExists'), 'warning');
                     return;
@@ -652,8 +854,10 @@ class TagFolderManager {
         `;
 
         menu.innerHTML = `
-            <div class="context-menu-item" data-action="rename"><i class="fas fa-edit"></i> Rename</div>
-            <div class="context-menu-item" data-action="delete" style="color: #dc3545;"><i class="fas fa-trash"></i> Delete</div>
+            <div class="context-menu-item" data-action="add-child"><i class="fas fa-plus"></i> ${t('tags.newSubTag', 'New Sub-tag')}</div>
+            <div class="context-menu-item" data-action="rename"><i class="fas fa-edit"></i> ${t('tags.rename', 'Rename')}</div>
+            <div class="context-menu-item" data-action="move"><i class="fas fa-folder-open"></i> ${t('tags.moveTo', 'Move to...')}</div>
+            <div class="context-menu-item" data-action="delete" style="color: #dc3545;"><i class="fas fa-trash"></i> ${t('tags.delete', 'Delete')}</div>
         `;
 
         document.body.appendChild(menu);
@@ -661,12 +865,16 @@ class TagFolderManager {
         // Handle menu item clicks
         menu.addEventListener('click', async (e) => {
             const action = e.target.closest('.context-menu-item')?.dataset.action;
-            if (action === 'rename') {
-                await this.renameTagFolder(tagId);
+            menu.remove();
+            if (action === 'add-child') {
+                this.showCreateTagDialog(tagId);
+            } else if (action === 'rename') {
+                this.renameTagFolder(tagId);
+            } else if (action === 'move') {
+                this.moveTagFolder(tagId);
             } else if (action === 'delete') {
                 await this.deleteTagFolder(tagId);
             }
-            menu.remove();
         });
 
         // Close on click outside
@@ -679,28 +887,100 @@ class TagFolderManager {
         setTimeout(() => document.addEventListener('click', closeMenu), 0);
     }
 
-    async renameTagFolder(tagId) {
-        if (!this.app.notesManager || !this.app.notesManager.db) return;
+    // Rename the last level of a tag; its sub-tags follow
+    renameTagFolder(tagId) {
+        const db = this.app.notesManager && this.app.notesManager.db;
+        const tag = db && db.initialized ? db.data.tags[tagId] : null;
+        if (!tag) return;
 
-        const tag = this.app.notesManager.db.data.tags[tagId];
+        const parentPath = getParentPath(tag.name);
+        const content = `
+            <div class="form-group">
+                <label for="rename-tag-name" style="display: block; margin-bottom: 6px; font-weight: 500;">${t('tags.tagName')}</label>
+                <input type="text" id="rename-tag-name" class="filter-input" style="width: 100%;" value="${this.app.escapeHtml(getLeafName(tag.name))}">
+                ${parentPath ? `<small class="filter-hint">${this.app.escapeHtml(t('tags.insideParent', { name: parentPath }))}</small>` : ''}
+            </div>
+        `;
+
+        const modal = this.app.createModal(t('tags.renameTag', 'Rename Tag'), content, [
+            { text: t('modals.cancel'), type: 'secondary', action: 'cancel' },
+            {
+                text: t('tags.rename', 'Rename'), type: 'primary', action: 'rename', callback: () => {
+                    const leaf = modal.querySelector('#rename-tag-name').value;
+                    this.applyTagRename(tagId, parentPath ? `${parentPath}/${leaf}` : leaf);
+                }
+            }
+        ]);
+        modal.querySelector('.modal-content').style.maxWidth = '420px';
+
+        const input = modal.querySelector('#rename-tag-name');
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                modal.querySelector('[data-action="rename"]')?.click();
+            }
+        });
+        setTimeout(() => input.select(), 100);
+    }
+
+    // Move a tag (and its sub-tags) under another tag or to the top level
+    moveTagFolder(tagId) {
+        const db = this.app.notesManager && this.app.notesManager.db;
+        const tag = db && db.initialized ? db.data.tags[tagId] : null;
         if (!tag) return;
 
-        const t = (key, params = {}) => window.i18n ? window.i18n.t(key, params) : key;
-        const promptText = t('tags.enterTagNamePrompt');
-        const newName = prompt(promptText, tag.name);
-        if (!newName || newName.trim() === '' || newName.trim() === tag.name) return;
+        const subtree = db.getTagSubtreeIds(tagId);
+        const currentParent = getParentPath(tag.name);
+        const parents = db.getAllTags().filter(candidate => !subtree.has(candidate.id));
+        const options = [`<option value="">${this.app.escapeHtml(t('tags.topLevel', 'Top level'))}</option>`]
+            .concat(parents.map(parent => {
+                const selected = currentParent && parent.name.toLowerCase() === currentParent.toLowerCase() ? ' selected' : '';
+                return `<option value="${parent.id}"${selected}>${this.app.escapeHtml(parent.name)}</option>`;
+            }))
+            .join('');
+
+        const content = `
+            <div class="form-group">
+                <label for="move-tag-parent" style="display: block; margin-bottom: 6px; font-weight: 500;">${t('tags.moveInto', { name: tag.name })}</label>
+                <select id="move-tag-parent" class="filter-select" style="width: 100%;">${options}</select>
+            </div>
+        `;
+
+        const modal = this.app.createModal(t('tags.moveTag', 'Move Tag'), content, [
+            { text: t('modals.cancel'), type: 'secondary', action: 'cancel' },
+            {
+                text: t('tags.move', 'Move'), type: 'primary', action: 'move', callback: () => {
+                    const parent = db.data.tags[modal.querySelector('#move-tag-parent').value];
+                    const leaf = getLeafName(tag.name);
+                    this.applyTagRename(tagId, parent ? `${parent.name}/${leaf}` : leaf);
+                }
+            }
+        ]);
+        modal.querySelector('.modal-content').style.maxWidth = '420px';
+    }
+
+    async applyTagRename(tagId, newName) {
+        const db = this.app.notesManager.db;
+        const oldName = db.data.tags[tagId] ? db.data.tags[tagId].name : '';
 
         try {
-            this.app.notesManager.db.data.tags[tagId].name = newName.trim();
-            this.app.notesManager.db.saveToLocalStorage();
-            const t = (key) => window.i18n ? window.i18n.t(key) : key;
-            this.app.showNotification(t('notifications.tagAdded'), 'success');
-            await this.renderTagFolders();
-            await this.app.notesManager.renderNotesList('', this.currentFolder);
+            if (db.renameTag(tagId, newName).length === 0) return;
         } catch (error) {
+            if (error.name === 'TagError') {
+                this.app.showNotification(t(`tags.errors.${error.code}`, error.message, error.params), 'warning');
+                return;
+            }
             console.error('Error renaming tag:', error);
-            const t = (key) => window.i18n ? window.i18n.t(key) : key;
             this.app.showNotification(t('notifications.failedToRenameTag'), 'error');
+            return;
+        }
+
+        this.app.showNotification(t('notifications.tagRenamed', { from: oldName, to: db.data.tags[tagId].name }), 'success');
+        await this.renderTagFolders();
+        const searchQuery = document.getElementById('search-input')?.value || '';
+        await this.app.notesManager.renderNotesList(searchQuery, this.currentFolder);
+        if (this.app.currentNote) {
+            this.displayNoteTags(this.app.currentNote);
         }
     }
 
@@ -710,28 +990,34 @@ class TagFolderManager {
         const tag = this.app.notesManager.db.data.tags[tagId];
         if (!tag) return;
 
+        // Sub-tags are deleted along with their parent
+        const tagIds = this.app.notesManager.db.getTagSubtreeIds(tagId);
         const t = (key, params = {}) => window.i18n ? window.i18n.t(key, params) : key;
-        const confirmText = t('tags.deleteTagConfirm', { name: tag.name });
+        const confirmText = tagIds.size > 1
+            ? t('tags.deleteTagWithSubTagsConfirm', { name: tag.name, count: tagIds.size - 1 })
+            : t('tags.deleteTagConfirm', { name: tag.name });
         const confirmDelete = confirm(confirmText);
         if (!confirmDelete) return;
 
         try {
-            // Remove tag from all notes
+            // Remove the tags from all notes
             const notes = await this.app.notesManager.db.getAllNotes();
             for (const note of notes) {
-                if (note.tags && note.tags.includes(tagId)) {
-                    const updatedTags = note.tags.filter(t => t !== tagId);
+                if (note.tags && note.tags.some(id => tagIds.has(id))) {
+                    const updatedTags = note.tags.filter(id => !tagIds.has(id));
                     await this.app.notesManager.db.updateNote(note.id, { tags: updatedTags });
                 }
             }
 
-            // Delete the tag itself
-            delete this.app.notesManager.db.data.tags[tagId];
+            // Delete the tags themselves
+            tagIds.forEach(id => {
+                delete this.app.notesManager.db.data.tags[id];
+            });
 
             // Remove from note_tags associations
             const noteTagsToDelete = [];
             Object.keys(this.app.notesManager.db.data.note_tags || {}).forEach(key => {
-                if (this.app.notesManager.db.data.note_tags[key].tag_id === tagId) {
+                if (tagIds.has(this.app.notesManager.db.data.note_tags[key].tag_id)) {
                     noteTagsToDelete.push(key);
                 }
             });
@@ -739,10 +1025,10 @@ class TagFolderManager {
                 delete this.app.notesManager.db.data.note_tags[key];
             });
 
-            this.app.notesManager.db.saveToLocalStorage();
+            this.app.notesManager.db.persist({ tags: [...tagIds], note_tags: noteTagsToDelete });
 
-            // If we were viewing this tag, switch back to all notes
-            if (this.currentFolder === tagId) {
+            // If we were viewing one of these tags, switch back to all notes
+            if (tagIds.has(this.currentFolder)) {
                 await this.switchFolder('all');
             }
 
@@ -0,0 +1,101 @@
+// Nested tags for CogNotez
+// A tag's place in the hierarchy is its name: "work/clientA/invoices" is a child of
+// "work/clientA", which is a child of "work". Parents are real tags, created on demand.
+
+const TAG_SEPARATOR = '/';
+
+// Error codes double as i18n keys under "tags.errors."; `message` is the English fallback
+const ERROR_MESSAGES = {
+    nameRequired: 'Please enter a tag name',
+    nameTaken: 'A tag called "{{name}}" already exists',
+    moveIntoSelf: 'A tag cannot be moved into itself or one of its sub-tags',
+    notFound: 'The tag no longer exists'
+};
+
+class TagError extends Error {
+    /**
+     * @param {string} code - Error code (see ERROR_MESSAGES)
+     * @param {Object} params - { name }
+     */
+    constructor(code, params = {}) {
+        const message = ERROR_MESSAGES[code].replace(/\{\{(\w+)\}\}/g, (_, key) =>
+            params[key] !== undefined ? String(params[key]) : '');
+        super(message);
+        this.name = 'TagError';
+        this.code = code;
+        this.params = params;
+    }
+}
+
+/**
+ * Tidy a tag path: trim every level and drop empty ones ("  work // a " -> "work/a")
+ */
+function normalizeTagPath(name) {
+    return String(name || '')
+        .split(TAG_SEPARATOR)
+        .map(segment => segment.trim())
+        .filter(Boolean)
+        .join(TAG_SEPARATOR);
+}
+
+function getParentPath(path) {
+    const index = path.lastIndexOf(TAG_SEPARATOR);
+    return index === -1 ? null : path.slice(0, index);
+}
+
+function getLeafName(path) {
+    return path.slice(path.lastIndexOf(TAG_SEPARATOR) + 1);
+}
+
+// Paths of all ancestors, outermost first: "a/b/c" -> ["a", "a/b"]
+function getAncestorPaths(path) {
+    const segments = path.split(TAG_SEPARATOR);
+    return segments.slice(0, -1).map((_, index) => segments.slice(0, index + 1).join(TAG_SEPARATOR));
+}
+
+// True when `path` is `ancestor` itself or lies below it (case-insensitive, like tag names)
+function isSameOrDescendantPath(path, ancestor) {
+    const a = path.toLowerCase();
+    const b = ancestor.toLowerCase();
+    return a === b || a.startsWith(b + TAG_SEPARATOR);
+}
+
+/**
+ * Arrange tags as a tree. A tag whose parent does not exist (e.g. it arrived by sync without
+ * it) hangs under its nearest existing ancestor and keeps the rest of its path as its label.
+ * @param {Array<{id, name}>} tags
+ * @returns {Array<{tag, label, children}>} Root nodes; siblings sorted by label
+ */
+function buildTagTree(tags) {
+    const byPath = new Map(tags.map(tag => [tag.name.toLowerCase(), { tag, label: tag.name, children: [] }]));
+    const roots = [];
+
+    for (const node of byPath.values()) {
+        const path = node.tag.name;
+        const parentPath = getAncestorPaths(path).reverse().find(ancestor => byPath.has(ancestor.toLowerCase()));
+        if (parentPath) {
+            node.label = path.slice(parentPath.length + 1);
+            byPath.get(parentPath.toLowerCase()).children.push(node);
+        } else {
+            roots.push(node);
+        }
+    }
+
+    const sortNodes = (nodes) => {
+        nodes.sort((a, b) => a.label.localeCompare(b.label, undefined, { sensitivity: 'base', numeric: true }));
+        nodes.forEach(node => sortNodes(node.children));
+        return nodes;
+    };
+    return sortNodes(roots);
+}
+
+module.exports = {
+    TAG_SEPARATOR,
+    TagError,
+    normalizeTagPath,
+    getParentPath,
+    getLeafName,
+    getAncestorPaths,
+    isSameOrDescendantPath,
+    buildTagTree
+};
@@ -0,0 +1,189 @@
+// Task View Manager
+// Lists the "- [ ]" tasks of all notes in one place (see DatabaseManager.getTasks), filtered by
+// tag and due date. Ticking a task here rewrites the checkbox in its note.
+
+const { t } = require('./shared');
+const { TaskError, setTaskChecked } = require('./note-tasks');
+const { normalizePropertyValue } = require('./property-types');
+
+class TaskViewManager {
+    constructor(app) {
+        this.app = app;
+        this.filters = { status: 'open', tagId: null, due: 'any' };
+        this.view = null; // { modal, list, tasks } while the view is open
+    }
+
+    get db() {
+        return this.app.notesManager && this.app.notesManager.db && this.app.notesManager.db.initialized
+            ? this.app.notesManager.db
+            : null;
+    }
+
+    async showTaskView() {
+        if (!this.db) return;
+
+        // Save pending edits so tasks typed in the open note show up
+        if (this.app.notesManager.hasUnsavedChanges()) {
+            await this.app.saveCurrentNote(true);
+        }
+
+        const option = (value, label, selected) =>
+            `<option value="${this.app.escapeHtml(value)}"${value === selected ? ' selected' : ''}>${this.app.escapeHtml(label)}</option>`;
+        const tags = this.db.getAllTags();
+        if (this.filters.tagId && !tags.some(tag => tag.id === this.filters.tagId)) {
+            this.filters.tagId = null;
+        }
+
+        const content = `
+            <div class="task-view">
+                <div class="task-toolbar">
+                    <select id="task-status-filter" class="task-filter-select">
+                        ${option('open', t('tasks.statusOpen'), this.filters.status)}
+                        ${option('done', t('tasks.statusDone'), this.filters.status)}
+                        ${option('all', t('tasks.statusAll'), this.filters.status)}
+                    </select>
+                    <select id="task-tag-filter" class="task-filter-select">
+                        ${option('', t('tasks.allTags'), this.filters.tagId || '')}
+                        ${tags.map(tag => option(tag.id, tag.name, this.filters.tagId)).join('')}
+                    </select>
+                    <select id="task-due-filter" class="task-filter-select">
+                        ${option('any', t('tasks.dueAny'), this.filters.due)}
+                        ${option('overdue', t('tasks.dueOverdue'), this.filters.due)}
+                        ${option('today', t('tasks.dueToday'), this.filters.due)}
+                        ${option('week', t('tasks.dueWeek'), this.filters.due)}
+                        ${option('none', t('tasks.dueNone'), this.filters.due)}
+                    </select>
+                    <span class="task-count" id="task-count"></span>
+                </div>
+                <div class="task-list" id="task-list"></div>
+                <div class="task-hint">${t('tasks.hint')}</div>
+            </div>
+        `;
+
+        const modal = this.app.createModal(t('tasks.title'), content);
+        modal.classList.add('task-modal');
+        modal.querySelector('.modal-content').style.maxWidth = '760px';
+        this.view = { modal, list: modal.querySelector('#task-list'), tasks: [] };
+
+        const bindFilter = (selector, key) => {
+            modal.querySelector(selector).addEventListener('change', (e) => {
+                this.filters[key] = e.target.value || null;
+                this.renderTasks();
+            });
+        };
+        bindFilter('#task-status-filter', 'status');
+        bindFilter('#task-tag-filter', 'tagId');
+        bindFilter('#task-due-filter', 'due');
+
+        this.view.list.addEventListener('change', (e) => {
+            if (!e.target.classList.contains('task-checkbox')) return;
+            const task = this.view.tasks[Number(e.target.closest('.task-item').dataset.index)];
+            this.toggleTask(task, e.target.checked);
+        });
+        this.view.list.addEventListener('click', (e) => {
+            const link = e.target.closest('.task-note-link');
+            if (link) this.openTask(this.view.tasks[Number(link.closest('.task-item').dataset.index)]);
+        });
+
+        this.renderTasks();
+    }
+
+    renderTasks() {
+        if (!this.view || !this.view.modal.isConnected) {
+            this.view = null;
+            return;
+        }
+
+        const tasks = this.db.getTasks(this.filters);
+        this.view.tasks = tasks;
+        this.view.modal.querySelector('#task-count').textContent = t('tasks.count', { count: tasks.length });
+
+        if (tasks.length === 0) {
+            this.view.list.innerHTML = `<div class="task-empty">${t('tasks.empty')}</div>`;
+            return;
+        }
+
+        const today = normalizePropertyValue('date', new Date());
+        this.view.list.innerHTML = tasks.map((task, index) => {
+            const classes = ['task-item'];
+            if (task.checked) classes.push('done');
+
+            let due = '';
+            if (task.due) {
+                const dueClass = task.due < today ? 'overdue' : task.due === today ? 'today' : '';
+                const label = this.app.formatLocalizedDateTime(`${task.due}T00:00:00`, false).trim();
+                due = `<span class="task-due ${dueClass}" title="${t('tasks.dueDate')}"><i class="far fa-calendar"></i> ${this.app.escapeHtml(label)}</span>`;
+            }
+            const priority = task.priority
+                ? `<span class="task-priority priority-${task.priority}">${t(`tasks.priority.${task.priority}`)}</span>`
+                : '';
+
+            return `
+                <div class="${classes.join(' ')}" data-index="${index}">
+                    <input type="checkbox" class="task-checkbox"${task.checked ? ' checked' : ''}>
+                    <div class="task-body">
+                        <div class="task-text">${this.app.escapeHtml(task.text)}</div>
+                        <div class="task-meta">
+                            ${priority}${due}
+                            <button class="task-note-link" title="${t('tasks.openNote')}"><i class="fas fa-file-alt"></i> ${this.app.escapeHtml(task.noteTitle)}</button>
+                        </div>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Tick or untick a task in its note. The open note is changed in the editor and saved, so
+     * unsaved edits there are kept; other notes are updated in the database directly.
+     */
+    async toggleTask(task, checked) {
+        try {
+            if (this.app.currentNote && this.app.currentNote.id === task.noteId) {
+                const editor = document.getElementById('note-editor');
+                editor.value = setTaskChecked(editor.value, task, checked);
+                await this.app.saveCurrentNote(true);
+                if (this.app.previewMode === 'preview' || this.app.previewMode === 'split') {
+                    this.app.renderMarkdownPreview();
+                }
+            } else {
+                const note = this.db.getNote(task.noteId);
+                if (!note) throw new TaskError('notFound');
+                if (note.password_protected) throw new TaskError('noteLocked');
+
+                const content = setTaskChecked(note.content, task, checked);
+                this.db.updateNote(note.id, { content, preview: this.app.generatePreview(content) });
+                this.app.refreshLocalSyncChecksum();
+
+                const searchQuery = document.getElementById('search-input')?.value || '';
+                if (!this.app.notesManager.updateNoteInList(note.id, searchQuery, this.app.currentFolder)) {
+                    await this.app.notesManager.renderNotesList(searchQuery, this.app.currentFolder);
+                }
+            }
+        } catch (error) {
+            if (error.name !== 'TaskError') console.error('[Tasks] Failed to update task:', error);
+            const message = error.name === 'TaskError'
+                ? t(`tasks.errors.${error.code}`, error.message)
+                : t('tasks.updateFailed');
+            this.app.showNotification(message, 'error');
+        }
+        this.renderTasks();
+    }
+
+    // Open the task's note with the task's line selected in the editor
+    async openTask(task) {
+        this.app.closeModal(this.view.modal);
+        this.view = null;
+        await this.app.openLinkedNote(task.noteId);
+
+        if (!this.app.currentNote || this.app.currentNote.id !== task.noteId || this.app.previewMode === 'preview') return;
+        const editor = document.getElementById('note-editor');
+        const lines = editor.value.split('\n');
+        if (task.line >= lines.length) return;
+        const start = lines.slice(0, task.line).reduce((sum, line) => sum + line.length + 1, 0);
+        editor.focus();
+        editor.setSelectionRange(start, start + lines[task.line].length);
+    }
+}
+
+module.exports = TaskViewManager;
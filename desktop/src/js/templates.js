@@ -39,8 +39,9 @@ class TemplatesManager {
 
 
 
-    // Helper function to process template content and apply translations
-    processTemplateContent(content) {
+    // Helper function to process template content and apply translations.
+    // options.date is the date filled in for {{date}} (default: now), e.g. a daily note's day.
+    processTemplateContent(content, options = {}) {
         if (!content || typeof content !== 'string') return content;
 
         const tc = (key, params) => t(`templates.templateContent.${key}`, params);
@@ -72,7 +73,7 @@ class TemplatesManager {
 
         // Handle date formatting: {{date}} or {{date:format}}
         processed = processed.replace(/\{\{date(?::([^}]+))?\}\}/g, (match, format) => {
-            return this.app.formatLocalizedDateTime(new Date(), format === 'false' ? false : true);
+            return this.app.formatLocalizedDateTime(options.date || new Date(), format === 'false' ? false : true);
         });
 
         return processed;
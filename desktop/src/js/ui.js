@@ -616,6 +616,7 @@ class UIManager {
     showKeyboardShortcuts() {
         const shortcuts = [
             { key: 'Ctrl+N', description: t('keyboard.newNote', 'New Note') },
+            { key: 'Ctrl+D', description: t('keyboard.openTodaysNote', "Open Today's Note") },
             { key: 'Ctrl+S', description: t('keyboard.saveNote', 'Save Note') },
             { key: 'Ctrl+O', description: t('keyboard.openNote', 'Open Note') },
             { key: 'Ctrl+/', description: t('keyboard.focusSearch', 'Focus Search') },
@@ -0,0 +1,268 @@
+// Virtual List
+// Keeps only the rows near the viewport in the DOM; two spacers stand in for the rest, so a
+// list of 10k notes costs about as much as one screenful. Rows may differ in height: each is
+// measured once it has been on screen and estimated from the measured average until then.
+
+const DEFAULT_ROW_HEIGHT = 64;
+
+// Rows rendered beyond each edge of the viewport, in pixels, so fast scrolling shows no blanks
+const OVERSCAN_PX = 400;
+
+class VirtualList {
+    /**
+     * @param {HTMLElement} container - Element holding the rows; it or one of its ancestors scrolls
+     * @param {Object} options
+     * @param {Function} options.renderItem - item => HTMLElement
+     * @param {Function} options.getKey - item => string, stable across refreshes
+     * @param {number} [options.estimatedHeight] - Row height assumed before anything is measured
+     */
+    constructor(container, { renderItem, getKey, estimatedHeight = DEFAULT_ROW_HEIGHT }) {
+        this.container = container;
+        this.renderItem = renderItem;
+        this.getKey = getKey;
+        this.estimatedHeight = estimatedHeight;
+
+        this.items = [];
+        this.indexByKey = new Map();
+        this.offsets = [0]; // offsets[i] is the top of row i, offsets[items.length] the total height
+        this.heights = new Map(); // key -> measured height, including margins and the flex gap
+        this.measuredTotal = 0;
+        this.rows = new Map(); // key -> rendered element
+        this.range = { start: 0, end: 0 };
+        this.frame = null;
+        this.message = null; // element shown below the rows, see showMessage()
+
+        this.topSpacer = this.createSpacer();
+        this.bottomSpacer = this.createSpacer();
+
+        // Any scrolling ancestor counts: on narrow windows the whole sidebar scrolls, not the list
+        document.addEventListener('scroll', (e) => {
+            if (e.target === document || e.target.contains(this.container)) this.scheduleRender();
+        }, true);
+        window.addEventListener('resize', () => this.scheduleRender());
+        if (typeof ResizeObserver !== 'undefined') {
+            new ResizeObserver(() => this.scheduleRender()).observe(this.container);
+        }
+    }
+
+    createSpacer() {
+        const spacer = document.createElement('div');
+        spacer.className = 'virtual-list-spacer';
+        spacer.setAttribute('aria-hidden', 'true');
+        return spacer;
+    }
+
+    /**
+     * Replace the list contents. The row at the top of the viewport stays put unless
+     * `resetScroll` is set, so refreshing the same view does not jump.
+     * @param {Array} items
+     * @param {Object} [options]
+     * @param {HTMLElement|null} [options.header] - Element shown above the rows (e.g. a toolbar)
+     * @param {boolean} [options.resetScroll] - Scroll back to the top instead
+     */
+    setItems(items, { header = null, resetScroll = false } = {}) {
+        const anchor = resetScroll ? null : this.captureAnchor();
+
+        this.items = items;
+        this.indexByKey = new Map(items.map((item, index) => [this.getKey(item), index]));
+        this.rows.clear();
+        this.range = { start: 0, end: 0 };
+        this.computeOffsets();
+
+        // Give the spacers their full height first so the browser does not clamp scrollTop
+        this.applySpacers();
+        this.container.replaceChildren(...(header ? [header] : []), this.topSpacer, this.bottomSpacer);
+        this.message = null;
+
+        if (resetScroll) {
+            this.container.scrollTop = 0;
+        } else if (anchor && this.indexByKey.has(anchor.key)) {
+            const top = this.topSpacer.getBoundingClientRect().top + this.offsets[this.indexByKey.get(anchor.key)];
+            this.container.scrollTop += top - anchor.top;
+        }
+
+        this.render();
+    }
+
+    /**
+     * Show an element below the rows, e.g. why the list is empty. The next setItems() drops it.
+     * @param {HTMLElement|null} element - Null removes the current one
+     */
+    showMessage(element) {
+        if (this.message) this.message.remove();
+        this.message = element;
+        if (element) this.bottomSpacer.after(element);
+    }
+
+    /**
+     * Re-render one item in place, e.g. after it was saved. The caller makes sure its position
+     * in the list did not change; use setItems() otherwise.
+     * @returns {boolean} False when the item is not in the list
+     */
+    updateItem(item) {
+        const key = this.getKey(item);
+        const index = this.indexByKey.get(key);
+        if (index === undefined) return false;
+
+        this.items[index] = item;
+        const row = this.rows.get(key);
+        if (row) {
+            const replacement = this.renderItem(item);
+            row.replaceWith(replacement);
+            this.rows.set(key, replacement);
+            this.measureRows();
+            this.scheduleRender();
+        }
+        return true;
+    }
+
+    scheduleRender() {
+        if (this.frame !== null) return;
+        this.frame = requestAnimationFrame(() => {
+            this.frame = null;
+            this.render();
+        });
+    }
+
+    // Bring the rendered rows in line with the viewport. Measuring may show the estimates were
+    // off and shift the range, so repeat a few times until it settles.
+    render() {
+        // Someone else (the legacy localStorage list) replaced the contents
+        if (!this.topSpacer.isConnected) return;
+
+        for (let pass = 0; pass < 3; pass++) {
+            const { start, end } = this.getVisibleRange();
+            if (start === this.range.start && end === this.range.end && this.rows.size === end - start) break;
+            this.renderRange(start, end);
+            this.measureRows();
+        }
+    }
+
+    renderRange(start, end) {
+        for (const [key, row] of this.rows) {
+            const index = this.indexByKey.get(key);
+            if (index < start || index >= end) {
+                row.remove();
+                this.rows.delete(key);
+            }
+        }
+
+        // Rows already in place stay untouched, so hover and focus survive scrolling
+        let previous = this.topSpacer;
+        for (let index = start; index < end; index++) {
+            const key = this.getKey(this.items[index]);
+            if (!this.rows.has(key)) this.rows.set(key, this.renderItem(this.items[index]));
+            const row = this.rows.get(key);
+            if (previous.nextSibling !== row) previous.after(row);
+            previous = row;
+        }
+
+        this.range = { start, end };
+        this.applySpacers();
+    }
+
+    // Record the real height of every rendered row; rows above the viewport that grew or shrank
+    // would push the visible ones around, so scrollTop is corrected by the same amount
+    measureRows() {
+        if (this.rows.size === 0) return;
+
+        const anchor = this.captureAnchor();
+        const rowGap = parseFloat(getComputedStyle(this.container).rowGap) || 0;
+        let changed = false;
+
+        for (const [key, row] of this.rows) {
+            // A row that is not laid out (hidden list) tells nothing
+            const rect = row.getBoundingClientRect();
+            if (rect.height === 0) continue;
+
+            const style = getComputedStyle(row);
+            const height = rect.height + (parseFloat(style.marginTop) || 0) + (parseFloat(style.marginBottom) || 0) + rowGap;
+
+            const previous = this.heights.get(key);
+            if (previous === height) continue;
+            this.measuredTotal += height - (previous || 0);
+            this.heights.set(key, height);
+            changed = true;
+        }
+
+        // The spacers sit in the same flex column; cancel the gap they would add
+        this.topSpacer.style.marginBottom = `-${rowGap}px`;
+        this.bottomSpacer.style.marginTop = `-${rowGap}px`;
+
+        if (!changed) return;
+        this.computeOffsets();
+        this.applySpacers();
+
+        const row = anchor && this.rows.get(anchor.key);
+        if (row) {
+            this.container.scrollTop += row.getBoundingClientRect().top - anchor.top;
+        }
+    }
+
+    computeOffsets() {
+        const estimate = this.heights.size > 0 ? this.measuredTotal / this.heights.size : this.estimatedHeight;
+        const offsets = new Array(this.items.length + 1);
+        offsets[0] = 0;
+        for (let index = 0; index < this.items.length; index++) {
+            const height = this.heights.get(this.getKey(this.items[index]));
+            offsets[index + 1] = offsets[index] + (height === undefined ? estimate : height);
+        }
+        this.offsets = offsets;
+    }
+
+    applySpacers() {
+        const total = this.offsets[this.items.length];
+        this.topSpacer.style.height = `${this.offsets[this.range.start]}px`;
+        this.bottomSpacer.style.height = `${total - this.offsets[this.range.end]}px`;
+    }
+
+    // Indexes [start, end) of the rows that overlap the visible part of the list, plus overscan
+    getVisibleRange() {
+        const count = this.items.length;
+        if (count === 0) return { start: 0, end: 0 };
+
+        const bounds = this.container.getBoundingClientRect();
+        const visibleTop = Math.max(bounds.top, 0);
+        const visibleBottom = Math.min(bounds.bottom, window.innerHeight);
+        const origin = this.topSpacer.getBoundingClientRect().top;
+
+        const from = visibleTop - origin - OVERSCAN_PX;
+        const to = Math.max(visibleBottom, visibleTop) - origin + OVERSCAN_PX;
+
+        const start = Math.min(this.findIndexAt(from), count - 1);
+        const end = Math.max(this.findIndexAt(to) + 1, start + 1);
+        return { start, end: Math.min(end, count) };
+    }
+
+    // Index of the row covering `offset` (binary search over the row tops)
+    findIndexAt(offset) {
+        let low = 0;
+        let high = this.items.length - 1;
+        while (low < high) {
+            const middle = (low + high + 1) >> 1;
+            if (this.offsets[middle] <= offset) {
+                low = middle;
+            } else {
+                high = middle - 1;
+            }
+        }
+        return low;
+    }
+
+    // The first rendered row that is at least partly visible, with its position on screen
+    captureAnchor() {
+        if (!this.topSpacer.isConnected) return null;
+
+        const visibleTop = Math.max(this.container.getBoundingClientRect().top, 0);
+        for (let index = this.range.start; index < this.range.end; index++) {
+            const key = this.getKey(this.items[index]);
+            const row = this.rows.get(key);
+            if (!row) continue;
+            const rect = row.getBoundingClientRect();
+            if (rect.bottom > visibleTop) return { key, top: rect.top };
+        }
+        return null;
+    }
+}
+
+module.exports = VirtualList;
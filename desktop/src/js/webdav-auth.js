@@ -0,0 +1,181 @@
+// WebDAV Authentication Module for CogNotez
+// Keeps the WebDAV server a workspace syncs with (Nextcloud, ownCloud, Apache mod_dav, ...) and
+// makes the HTTP requests to it. The settings, { url, username, password }, are stored next to
+// the Google Drive tokens in the workspace's directory. `url` is a folder on the server; the
+// sync folder is created inside it (see webdav-sync.js).
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const SETTINGS_FILE = 'webdav-settings.json';
+const REQUEST_TIMEOUT_MS = 60 * 1000;
+
+// Error codes double as i18n keys under "webdav.errors."; `message` is the English fallback
+const ERROR_MESSAGES = {
+    invalidUrl: 'Enter the address of a WebDAV folder, starting with http:// or https://',
+    authFailed: 'The WebDAV server did not accept the user name or password',
+    notFound: 'The folder {{url}} does not exist on the WebDAV server',
+    notWebDav: 'The server at {{url}} does not answer as a WebDAV server',
+    unreachable: 'Could not reach the WebDAV server: {{error}}',
+    requestFailed: 'The WebDAV server answered {{method}} {{name}} with HTTP status {{status}}',
+    notConnected: 'No WebDAV server is connected'
+};
+
+class WebDavError extends Error {
+    /**
+     * @param {string} code - Error code (see ERROR_MESSAGES)
+     * @param {Object} params - { url, error, method, name, status }
+     */
+    constructor(code, params = {}) {
+        const message = ERROR_MESSAGES[code].replace(/\{\{(\w+)\}\}/g, (_, key) =>
+            params[key] !== undefined ? String(params[key]) : '');
+        super(message);
+        this.name = 'WebDavError';
+        this.code = code;
+        this.params = params;
+        this.status = params.status || null; // HTTP status, when the server answered
+    }
+}
+
+/**
+ * @param {string} url
+ * @returns {string} The URL with a trailing slash, so relative paths resolve inside the folder
+ * @throws {WebDavError} invalidUrl
+ */
+function normalizeServerUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(String(url || '').trim());
+    } catch (error) {
+        throw new WebDavError('invalidUrl');
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') throw new WebDavError('invalidUrl');
+    parsed.hash = '';
+    parsed.search = '';
+    if (!parsed.pathname.endsWith('/')) parsed.pathname += '/';
+    return parsed.toString();
+}
+
+class WebDavAuthManager {
+    /**
+     * @param {string} directory - The open workspace's directory (see workspace-registry.js)
+     */
+    constructor(directory) {
+        this.settingsPath = path.join(directory, SETTINGS_FILE);
+        this.settings = null;
+        this.isAuthenticated = false;
+
+        this._initPromise = this.initialize();
+    }
+
+    async initialize() {
+        try {
+            const saved = JSON.parse(await fs.readFile(this.settingsPath, 'utf8'));
+            if (saved && saved.url && saved.username) {
+                this.settings = { url: saved.url, username: saved.username, password: saved.password || '' };
+                this.isAuthenticated = true;
+                console.log('[WebDAV] Connected to', this.settings.url);
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn('[WebDAV] Could not read the WebDAV settings:', error.message);
+            }
+        }
+    }
+
+    /**
+     * Check the server and folder with the given account, then remember them
+     * @param {{url: string, username: string, password: string}} settings
+     * @throws {WebDavError} invalidUrl, authFailed, notFound, notWebDav or unreachable
+     */
+    async connect({ url, username, password }) {
+        const settings = { url: normalizeServerUrl(url), username: String(username || ''), password: String(password || '') };
+
+        const response = await this.request('PROPFIND', '', { depth: 0, settings, allowedStatuses: [404, 405, 501] });
+        if (response.status === 404) throw new WebDavError('notFound', { url: settings.url });
+        if (response.status !== 207) throw new WebDavError('notWebDav', { url: settings.url });
+
+        // Written readable to this user only, since it holds the password
+        await fs.mkdir(path.dirname(this.settingsPath), { recursive: true });
+        await fs.writeFile(this.settingsPath, JSON.stringify(settings, null, 2), { encoding: 'utf8', mode: 0o600 });
+        this.settings = settings;
+        this.isAuthenticated = true;
+        console.log('[WebDAV] Connected to', settings.url);
+    }
+
+    async disconnect() {
+        try {
+            await fs.unlink(this.settingsPath);
+        } catch (error) {
+            if (error.code !== 'ENOENT') console.warn('[WebDAV] Could not remove the WebDAV settings:', error.message);
+        }
+        this.settings = null;
+        this.isAuthenticated = false;
+        console.log('[WebDAV] Disconnected');
+    }
+
+    getAuthStatus() {
+        return {
+            isAuthenticated: this.isAuthenticated,
+            hasCredentials: !!this.settings,
+            url: this.settings ? this.settings.url : null,
+            username: this.settings ? this.settings.username : null
+        };
+    }
+
+    /**
+     * Send a request to the server
+     * @param {string} method - HTTP or WebDAV method
+     * @param {string} relativePath - Below the configured folder, '/'-separated and not encoded;
+     *   a trailing '/' addresses a collection
+     * @param {Object} [options]
+     * @param {Object} [options.headers]
+     * @param {string|Buffer} [options.body]
+     * @param {number} [options.depth] - Depth header of PROPFIND
+     * @param {number[]} [options.allowedStatuses] - Error statuses returned instead of thrown
+     * @param {Object} [options.settings] - Account to use instead of the connected one
+     * @returns {Promise<Response>}
+     * @throws {WebDavError} authFailed (401, 403), requestFailed (other error statuses) or unreachable
+     */
+    async request(method, relativePath, { headers = {}, body, depth, allowedStatuses = [], settings = this.settings } = {}) {
+        if (!settings) throw new WebDavError('notConnected');
+
+        const encodedPath = relativePath.split('/').map(encodeURIComponent).join('/');
+        const url = new URL(encodedPath, settings.url);
+        const requestHeaders = {
+            Authorization: `Basic ${Buffer.from(`${settings.username}:${settings.password}`).toString('base64')}`,
+            ...headers
+        };
+        if (depth !== undefined) requestHeaders.Depth = String(depth);
+
+        let response;
+        try {
+            response = await fetch(url, {
+                method,
+                headers: requestHeaders,
+                body,
+                signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+            });
+        } catch (error) {
+            const webDavError = new WebDavError('unreachable', { error: (error.cause && error.cause.message) || error.message });
+            webDavError.isOffline = true;
+            throw webDavError;
+        }
+
+        if (response.ok || response.status === 207 || allowedStatuses.includes(response.status)) {
+            return response;
+        }
+        // Let the connection be reused
+        await response.arrayBuffer().catch(() => { });
+        if (response.status === 401 || response.status === 403) {
+            throw new WebDavError('authFailed', { status: response.status });
+        }
+        throw new WebDavError('requestFailed', { method, name: relativePath || '/', status: response.status });
+    }
+}
+
+module.exports = {
+    WebDavError,
+    WebDavAuthManager,
+    normalizeServerUrl
+};
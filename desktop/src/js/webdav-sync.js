@@ -0,0 +1,388 @@
+// WebDAV Sync Manager for CogNotez
+// Syncs notes data with a WebDAV server (see webdav-auth.js). Merging, encryption and media
+// sync are SyncManager's; this class only stores the files on the server, in the same layout as
+// the Google Drive folder:
+//   <sync folder>/cognotez_sync_manifest.json   (the manifest)
+//   <sync folder>/objects/<object name>         (one note, tag or AI conversation each)
+//   <sync folder>/media/<media file id>
+// Optimistic locking uses the data file's ETag: an upload after a merge is sent with If-Match,
+// and the first upload with If-None-Match, so the server refuses it when another device
+// uploaded in between. Main process only.
+
+const { SyncManager } = require('./sync-manager');
+const { WebDavError } = require('./webdav-auth');
+
+// Statuses worth retrying, as for Google Drive
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+const MAX_RETRIES = 3;
+
+// Text of an XML element in any namespace prefix (D:, d:, lp1:, none)
+function getElementText(xml, name) {
+    const match = xml.match(new RegExp(`<(?:[\\w-]+:)?${name}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:[\\w-]+:)?${name}>`, 'i'));
+    if (!match) return null;
+    return match[1].trim()
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, '\'')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * Read a PROPFIND multistatus response
+ * @param {string} xml
+ * @returns {Array<{name: string, isCollection: boolean, size: number, modifiedTime: string|null, etag: string|null}>}
+ */
+function parseMultiStatus(xml) {
+    const entries = [];
+    const responsePattern = /<(?:[\w-]+:)?response[\s>]([\s\S]*?)<\/(?:[\w-]+:)?response>/gi;
+    let match;
+    while ((match = responsePattern.exec(xml)) !== null) {
+        const response = match[1];
+        const href = getElementText(response, 'href');
+        if (!href) continue;
+
+        let name = href.replace(/\/+$/, '').split('/').pop();
+        try {
+            name = decodeURIComponent(name);
+        } catch (error) {
+            // Keep the name as sent
+        }
+        const modified = getElementText(response, 'getlastmodified');
+        entries.push({
+            name,
+            isCollection: /<(?:[\w-]+:)?collection\b/i.test(response),
+            size: parseInt(getElementText(response, 'getcontentlength'), 10) || 0,
+            modifiedTime: modified ? new Date(modified).toISOString() : null,
+            etag: getElementText(response, 'getetag')
+        });
+    }
+    return entries;
+}
+
+class WebDavSyncManager extends SyncManager {
+    /**
+     * @param {WebDavAuthManager} authManager
+     * @param {Object|null} encryptionSettings
+     * @param {Object} [options] - See SyncManager; appFolderName is the sync folder
+     *   inside the configured server folder
+     */
+    constructor(authManager, encryptionSettings = null, options = {}) {
+        super(authManager, encryptionSettings, options);
+    }
+
+    async initialize() {
+        try {
+            await this.ensureInitialized();
+            console.log('[WebDAVSync] Initialized successfully');
+        } catch (error) {
+            console.error('[WebDAVSync] Initialization failed:', error.message);
+        }
+    }
+
+    // Tried again on every use, so a server that was unreachable at startup is picked up later
+    async ensureInitialized() {
+        if (!this.initialized) {
+            if (!this.authManager || !this.authManager.isAuthenticated) {
+                throw new WebDavError('notConnected');
+            }
+            await this.ensureAppFolder();
+            this.initialized = true;
+        }
+        return this.initialized;
+    }
+
+    getDataFilePath(fileName = this.backupFileName) {
+        return `${this.appFolderName}/${fileName}`;
+    }
+
+    getMediaFilePath(fileName) {
+        return `${this.appFolderName}/media/${fileName}`;
+    }
+
+    getObjectPath(name) {
+        return `${this.appFolderName}/objects/${name}`;
+    }
+
+    async withRetry(label, requestFn, retryCount = 0) {
+        try {
+            return await requestFn();
+        } catch (error) {
+            if (!RETRYABLE_STATUSES.includes(error.status) || retryCount >= MAX_RETRIES) throw error;
+            const retryDelay = 1000 * Math.pow(2, retryCount);
+            console.log(`[WebDAVSync] Retrying ${label} in ${retryDelay}ms (attempt ${retryCount + 1}/${MAX_RETRIES})`);
+            await new Promise(resolve => setTimeout(resolve, retryDelay));
+            return this.withRetry(label, requestFn, retryCount + 1);
+        }
+    }
+
+    // MKCOL answers 405 when the collection already exists
+    async createCollection(relativePath) {
+        await this.authManager.request('MKCOL', relativePath, { allowedStatuses: [405] });
+    }
+
+    async ensureAppFolder() {
+        await this.createCollection(`${this.appFolderName}/`);
+        this.appFolderId = this.appFolderName;
+        return true;
+    }
+
+    async getMediaFolderId() {
+        if (!this.mediaFolderId) {
+            await this.createCollection(`${this.appFolderName}/media/`);
+            this.mediaFolderId = `${this.appFolderName}/media`;
+        }
+        return this.mediaFolderId;
+    }
+
+    async getObjectsFolderId() {
+        if (!this.objectsFolderId) {
+            await this.createCollection(`${this.appFolderName}/objects/`);
+            this.objectsFolderId = `${this.appFolderName}/objects`;
+        }
+        return this.objectsFolderId;
+    }
+
+    /**
+     * @param {string} relativePath
+     * @param {number} depth - 0 for the resource itself, 1 for a collection's members as well
+     * @returns {Promise<Array|null>} parseMultiStatus() entries, null when the resource does not exist
+     */
+    async propfind(relativePath, depth) {
+        const response = await this.withRetry('PROPFIND', () =>
+            this.authManager.request('PROPFIND', relativePath, { depth, allowedStatuses: [404] }));
+        if (response.status === 404) return null;
+        return parseMultiStatus(await response.text());
+    }
+
+    async findRemoteFile() {
+        try {
+            await this.ensureInitialized();
+            const filePath = this.getDataFilePath();
+            const entries = await this.propfind(filePath, 0);
+            if (!entries || entries.length === 0) {
+                console.log('[WebDAVSync] No remote file found');
+                this.syncMetadata.remoteFileId = null;
+                return null;
+            }
+
+            const file = entries[0];
+            this.syncMetadata.remoteFileId = filePath;
+            return { id: filePath, name: file.name, modifiedTime: file.modifiedTime, size: file.size };
+        } catch (error) {
+            console.error('[WebDAVSync] Failed to find remote file:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * @returns {Promise<string>} The data file's ETag
+     */
+    async getRemoteRevision() {
+        const entries = await this.propfind(this.getDataFilePath(), 0);
+        if (!entries || entries.length === 0 || !entries[0].etag) {
+            throw new Error('The remote data file has no ETag');
+        }
+        return entries[0].etag;
+    }
+
+    createVersionConflictError() {
+        const conflictError = new Error('Version conflict: another device synced since last download');
+        conflictError.versionConflict = true;
+        return conflictError;
+    }
+
+    /**
+     * Whether the data file holds what this device uploaded
+     * @param {string} filePath
+     * @param {string} jsonData - The uploaded body
+     * @param {string|null} etag - The PUT response's ETag; without one the content is compared
+     * @returns {Promise<boolean>}
+     */
+    async holdsUpload(filePath, jsonData, etag) {
+        if (etag) {
+            const entries = await this.propfind(filePath, 0);
+            return !!entries && entries.length > 0 && entries[0].etag === etag;
+        }
+        const response = await this.withRetry('download', () =>
+            this.authManager.request('GET', filePath, { allowedStatuses: [404] }));
+        const content = await response.text();
+        return response.status !== 404 && content === jsonData;
+    }
+
+    /**
+     * @param {Object} data
+     * @param {Object} [options] - expectedRemoteModifiedTime is the ETag the data file must still
+     *   have; without it and a known data file, the upload may only create one. See
+     *   SyncManager.uploadData() for the rest
+     */
+    async uploadData(data, options = {}) {
+        await this.ensureInitialized();
+
+        const expectedEtag = options.expectedRemoteModifiedTime || null;
+        // If-Match never matches a weak ETag, so the ETag is compared before the upload and the
+        // file checked after it instead. Another device's upload in the moment between the
+        // compare and the PUT is still overwritten; one after it is reported as a conflict.
+        const weakEtag = !!expectedEtag && expectedEtag.startsWith('W/');
+        if (weakEtag && await this.getRemoteRevision() !== expectedEtag) {
+            throw this.createVersionConflictError();
+        }
+
+        const { jsonData, checksum, syncVersion } = this.encodeSyncData(data, options);
+        const filePath = this.getDataFilePath(options.filename);
+        const headers = { 'Content-Type': 'application/json' };
+        if (expectedEtag && !weakEtag) {
+            headers['If-Match'] = expectedEtag;
+        } else if (!expectedEtag && !this.syncMetadata.remoteFileId) {
+            // Two devices syncing for the first time at once must not overwrite each other
+            headers['If-None-Match'] = '*';
+        }
+
+        let attempts = 0;
+        const response = await this.withRetry('upload', () => {
+            attempts++;
+            return this.authManager.request('PUT', filePath, { headers, body: jsonData, allowedStatuses: [412] });
+        });
+        let etag = response.headers.get('ETag');
+        if (response.status === 412) {
+            await response.arrayBuffer().catch(() => { });
+            // A retried PUT is refused when the failed attempt was stored after all, in which
+            // case the file holds exactly what this device sent
+            if (attempts === 1 || !await this.holdsUpload(filePath, jsonData, null)) {
+                console.warn('[WebDAVSync] Version conflict detected, the data file no longer has ETag', expectedEtag);
+                throw this.createVersionConflictError();
+            }
+            console.log('[WebDAVSync] An earlier attempt of the upload was stored');
+            etag = null;
+        } else if (weakEtag && !await this.holdsUpload(filePath, jsonData, etag)) {
+            console.warn('[WebDAVSync] Version conflict detected, the data file changed during the upload');
+            throw this.createVersionConflictError();
+        }
+
+        this.syncMetadata.remoteFileId = filePath;
+        this.syncMetadata.lastSync = new Date().toISOString();
+        this.syncMetadata.lastSyncVersion = data.metadata?.version || '1.0';
+        this.syncMetadata.remoteChecksum = checksum;
+        console.log('[WebDAVSync] Upload successful, syncVersion:', syncVersion);
+
+        return {
+            success: true,
+            fileId: filePath,
+            checksum: checksum,
+            size: Buffer.byteLength(jsonData),
+            modifiedTime: etag,
+            syncVersion: syncVersion
+        };
+    }
+
+    async downloadData() {
+        await this.ensureInitialized();
+        if (!this.syncMetadata.remoteFileId) {
+            throw new Error('No remote data file to download');
+        }
+
+        let response;
+        try {
+            response = await this.withRetry('download', () =>
+                this.authManager.request('GET', this.syncMetadata.remoteFileId));
+        } catch (error) {
+            if (error.status === 404) this.syncMetadata.remoteFileId = null;
+            throw error;
+        }
+
+        const downloadResult = this.decodeSyncData(await response.text());
+        console.log('[WebDAVSync] Download successful, size:', downloadResult.size);
+        return downloadResult;
+    }
+
+    async deleteRemoteData() {
+        try {
+            if (!this.syncMetadata.remoteFileId) return false;
+            await this.authManager.request('DELETE', this.syncMetadata.remoteFileId, { allowedStatuses: [404] });
+            this.syncMetadata.remoteFileId = null;
+            return true;
+        } catch (error) {
+            console.error('[WebDAVSync] Failed to delete remote data:', error.message);
+            return false;
+        }
+    }
+
+    // Media files are addressed by name, which is also their id here
+
+    /**
+     * @returns {Promise<Array<{id: string, name: string, size: string, modifiedTime: string|null}>>}
+     *   In the shape of Google Drive's file list
+     */
+    async listMediaFiles() {
+        const mediaFolder = await this.getMediaFolderId();
+        const entries = await this.propfind(`${mediaFolder}/`, 1) || [];
+        return entries
+            .filter(entry => !entry.isCollection)
+            .map(entry => ({ id: entry.name, name: entry.name, size: String(entry.size), modifiedTime: entry.modifiedTime }));
+    }
+
+    async uploadMediaFile(fileName, fileData, mtime = null) {
+        await this.getMediaFolderId();
+        const headers = { 'Content-Type': 'application/octet-stream' };
+        // Nextcloud and ownCloud keep the local modification time; other servers ignore the header
+        if (mtime) headers['X-OC-Mtime'] = String(Math.floor(mtime / 1000));
+
+        await this.withRetry('media upload', () =>
+            this.authManager.request('PUT', this.getMediaFilePath(fileName), { headers, body: fileData }));
+        console.log('[WebDAVSync] Uploaded media file:', fileName);
+        return true;
+    }
+
+    async downloadMediaFile(fileId) {
+        const response = await this.withRetry('media download', () =>
+            this.authManager.request('GET', this.getMediaFilePath(fileId)));
+        return Buffer.from(await response.arrayBuffer());
+    }
+
+    async deleteMediaFile(fileId) {
+        await this.authManager.request('DELETE', this.getMediaFilePath(fileId), { allowedStatuses: [404] });
+        console.log('[WebDAVSync] Deleted media file:', fileId);
+        return true;
+    }
+
+    // Per-item objects are addressed by name as well
+
+    async listSyncObjects() {
+        const objectsFolder = await this.getObjectsFolderId();
+        const entries = await this.propfind(`${objectsFolder}/`, 1) || [];
+        return entries
+            .filter(entry => !entry.isCollection)
+            .map(entry => ({ id: entry.name, name: entry.name, modifiedTime: entry.modifiedTime }));
+    }
+
+    async uploadSyncObject(name, content) {
+        await this.getObjectsFolderId();
+        await this.withRetry('object upload', () =>
+            this.authManager.request('PUT', this.getObjectPath(name), {
+                headers: { 'Content-Type': 'application/json' },
+                body: content
+            }));
+    }
+
+    async downloadSyncObject(objectId) {
+        const response = await this.withRetry('object download', () =>
+            this.authManager.request('GET', this.getObjectPath(objectId)));
+        return response.text();
+    }
+
+    async deleteSyncObject(objectId) {
+        await this.authManager.request('DELETE', this.getObjectPath(objectId), { allowedStatuses: [404] });
+    }
+
+    _formatSyncErrorMessage(error) {
+        if (error && error.name === 'WebDavError') {
+            // The main process has no translations, so it keeps the English message
+            return typeof window !== 'undefined' && window.i18n
+                ? window.i18n.t(`webdav.errors.${error.code}`, error.params)
+                : error.message;
+        }
+        return super._formatSyncErrorMessage(error);
+    }
+}
+
+module.exports = { WebDavSyncManager, parseMultiStatus };
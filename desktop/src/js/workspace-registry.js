@@ -0,0 +1,189 @@
+// Workspace registry for CogNotez
+// A workspace is a separate set of notes with its own store, media directory, Google Drive
+// account and sync settings, and encryption passphrase (sync and encryption settings live in
+// its store). The registry, "workspaces.json" in the userData directory, lists the workspaces
+// and which one is open. The default workspace keeps its files directly in userData, where they
+// were before workspaces existed; every other one has a directory under "workspaces/".
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_WORKSPACE_ID = 'default';
+const REGISTRY_FILE = 'workspaces.json';
+const WORKSPACES_DIRECTORY = 'workspaces';
+const MAX_NAME_LENGTH = 60;
+
+// Google Drive folder of the default workspace; the others sync to "<this>_<name>" so two
+// workspaces on one Google account never share a sync file or media folder
+const DEFAULT_SYNC_FOLDER = 'CogNotez_Backup';
+
+// Error codes double as i18n keys under "workspaces.errors."; `message` is the English fallback
+const ERROR_MESSAGES = {
+    nameRequired: 'Please enter a workspace name',
+    nameTooLong: 'Workspace names can be at most {{max}} characters long',
+    nameTaken: 'A workspace named "{{name}}" already exists',
+    notFound: 'The workspace no longer exists',
+    deleteActive: 'Switch to another workspace before deleting this one',
+    deleteDefault: 'The default workspace cannot be deleted',
+    syncInProgress: 'Wait for the sync to finish before switching workspaces',
+    saveFailed: 'The open workspace could not be saved, so it stays open: {{error}}'
+};
+
+class WorkspaceError extends Error {
+    /**
+     * @param {string} code - Error code (see ERROR_MESSAGES)
+     * @param {Object} params - { name, max }
+     */
+    constructor(code, params = {}) {
+        const message = ERROR_MESSAGES[code].replace(/\{\{(\w+)\}\}/g, (_, key) =>
+            params[key] !== undefined ? String(params[key]) : '');
+        super(message);
+        this.name = 'WorkspaceError';
+        this.code = code;
+        this.params = params;
+    }
+}
+
+// The same name on another device gives the same folder, so its workspace syncs with this one
+function getSyncFolderName(name, id) {
+    const slug = name.normalize('NFKC').toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, '-')
+        .replace(/^-+|-+$/g, '');
+    return `${DEFAULT_SYNC_FOLDER}_${slug || id}`;
+}
+
+class WorkspaceRegistry {
+    /**
+     * @param {string} userDataPath - Electron's userData directory
+     */
+    constructor(userDataPath) {
+        this.userDataPath = userDataPath;
+        this.filePath = path.join(userDataPath, REGISTRY_FILE);
+        this.workspaces = []; // [{ id, name, syncFolder, created_at }]; the default one has name null
+        this.activeId = DEFAULT_WORKSPACE_ID;
+        this.load();
+    }
+
+    load() {
+        let saved = null;
+        try {
+            if (fs.existsSync(this.filePath)) {
+                saved = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            }
+        } catch (error) {
+            // The workspace directories are untouched; only the list has to be set up again
+            console.warn('[Workspaces] Failed to read the workspace list, opening the default workspace:', error.message);
+        }
+
+        this.workspaces = (saved && Array.isArray(saved.workspaces) ? saved.workspaces : [])
+            .filter(workspace => workspace && typeof workspace.id === 'string' && typeof workspace.syncFolder === 'string');
+        if (!this.get(DEFAULT_WORKSPACE_ID)) {
+            this.workspaces.unshift({ id: DEFAULT_WORKSPACE_ID, name: null, syncFolder: DEFAULT_SYNC_FOLDER, created_at: null });
+        }
+        this.activeId = saved && this.get(saved.activeId) ? saved.activeId : DEFAULT_WORKSPACE_ID;
+    }
+
+    // Written to a temporary file first, so a crash never leaves a half-written list
+    save() {
+        fs.mkdirSync(this.userDataPath, { recursive: true });
+        const tempPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify({ activeId: this.activeId, workspaces: this.workspaces }, null, 2), 'utf8');
+        fs.renameSync(tempPath, this.filePath);
+    }
+
+    get(id) {
+        return this.workspaces.find(workspace => workspace.id === id) || null;
+    }
+
+    getActive() {
+        return this.get(this.activeId);
+    }
+
+    /**
+     * @returns {Array<{id: string, name: string|null, active: boolean, isDefault: boolean}>}
+     */
+    list() {
+        return this.workspaces.map(workspace => ({
+            id: workspace.id,
+            name: workspace.name,
+            active: workspace.id === this.activeId,
+            isDefault: workspace.id === DEFAULT_WORKSPACE_ID
+        }));
+    }
+
+    // Where the workspace keeps its store, media and Google Drive tokens
+    getDirectory(id = this.activeId) {
+        if (id === DEFAULT_WORKSPACE_ID) return this.userDataPath;
+        return path.join(this.userDataPath, WORKSPACES_DIRECTORY, id);
+    }
+
+    /**
+     * @param {string} name
+     * @param {string|null} exceptId - Workspace being renamed, which may keep its own name
+     * @returns {string} The trimmed name
+     * @throws {WorkspaceError} nameRequired, nameTooLong or nameTaken
+     */
+    validateName(name, exceptId = null) {
+        const trimmed = String(name || '').replace(/\s+/g, ' ').trim();
+        if (!trimmed) throw new WorkspaceError('nameRequired');
+        if (trimmed.length > MAX_NAME_LENGTH) throw new WorkspaceError('nameTooLong', { max: MAX_NAME_LENGTH });
+
+        const lower = trimmed.toLowerCase();
+        if (this.workspaces.some(workspace => workspace.id !== exceptId && workspace.name && workspace.name.toLowerCase() === lower)) {
+            throw new WorkspaceError('nameTaken', { name: trimmed });
+        }
+        return trimmed;
+    }
+
+    create(name) {
+        const id = `ws-${Date.now().toString(36)}${Math.random().toString(36).substring(2, 6)}`;
+        const validName = this.validateName(name);
+
+        let syncFolder = getSyncFolderName(validName, id);
+        if (this.workspaces.some(workspace => workspace.syncFolder === syncFolder)) {
+            syncFolder = `${syncFolder}-${id}`;
+        }
+
+        const workspace = { id, name: validName, syncFolder, created_at: new Date().toISOString() };
+        fs.mkdirSync(this.getDirectory(id), { recursive: true });
+        this.workspaces.push(workspace);
+        this.save();
+        return workspace;
+    }
+
+    // The sync folder keeps its name, so the workspace stays linked to its synced data
+    rename(id, name) {
+        const workspace = this.get(id);
+        if (!workspace) throw new WorkspaceError('notFound');
+        workspace.name = this.validateName(name, id);
+        this.save();
+        return workspace;
+    }
+
+    /**
+     * Take a workspace off the list
+     * @returns {string} Its directory, for the caller to dispose of
+     * @throws {WorkspaceError} notFound, deleteDefault or deleteActive
+     */
+    remove(id) {
+        if (!this.get(id)) throw new WorkspaceError('notFound');
+        if (id === DEFAULT_WORKSPACE_ID) throw new WorkspaceError('deleteDefault');
+        if (id === this.activeId) throw new WorkspaceError('deleteActive');
+
+        this.workspaces = this.workspaces.filter(workspace => workspace.id !== id);
+        this.save();
+        return this.getDirectory(id);
+    }
+
+    setActive(id) {
+        if (!this.get(id)) throw new WorkspaceError('notFound');
+        this.activeId = id;
+        this.save();
+    }
+}
+
+module.exports = {
+    DEFAULT_WORKSPACE_ID,
+    WorkspaceError,
+    WorkspaceRegistry
+};
@@ -0,0 +1,216 @@
+// Workspaces Manager
+// The workspace switcher in the header and the dialog to create, rename and delete workspaces
+// (see workspace-registry.js). Switching is done by the main process, which reloads the window
+// with the other workspace's notes.
+
+const { ipcRenderer } = require('electron');
+const { t } = require('./shared');
+
+class WorkspacesManager {
+    constructor(app) {
+        this.app = app;
+        this.workspaces = []; // From the main process: [{ id, name, active, isDefault }]
+        this.dialog = null; // The workspaces dialog while it is open
+    }
+
+    async initialize() {
+        const menu = document.getElementById('workspace-menu');
+        document.getElementById('workspace-btn')?.addEventListener('click', (e) => {
+            e.stopPropagation();
+            menu.classList.toggle('hidden');
+        });
+        menu?.addEventListener('click', (e) => {
+            const item = e.target.closest('.header-overflow-item');
+            if (!item) return;
+            menu.classList.add('hidden');
+            if (item.dataset.action === 'manage') {
+                this.showWorkspacesDialog();
+            } else {
+                this.switchTo(item.dataset.id);
+            }
+        });
+        document.addEventListener('click', (e) => {
+            if (menu && !menu.contains(e.target)) menu.classList.add('hidden');
+        });
+
+        // The default workspace's name is translated
+        window.addEventListener('languageChanged', () => this.render());
+
+        await this.refresh();
+    }
+
+    async refresh() {
+        try {
+            this.workspaces = await ipcRenderer.invoke('workspaces-list');
+        } catch (error) {
+            console.error('[Workspaces] Failed to load workspaces:', error);
+            this.workspaces = [];
+        }
+        this.render();
+    }
+
+    getName(workspace) {
+        return workspace.name || t('workspaces.defaultName');
+    }
+
+    showError(error) {
+        const message = error.code
+            ? t(`workspaces.errors.${error.code}`, error.message, error.params)
+            : t('workspaces.failed', { error: error.message });
+        this.app.showNotification(message, 'error');
+    }
+
+    render() {
+        const active = this.workspaces.find(workspace => workspace.active);
+        const label = document.getElementById('workspace-btn-label');
+        if (label) label.textContent = active ? this.getName(active) : '';
+
+        const menu = document.getElementById('workspace-menu');
+        if (menu) {
+            menu.innerHTML = `
+                ${this.workspaces.map(workspace => `
+                    <button class="header-overflow-item workspace-menu-item${workspace.active ? ' active' : ''}" data-id="${this.app.escapeHtml(workspace.id)}">
+                        <i class="fas ${workspace.active ? 'fa-check' : 'fa-layer-group'}"></i>
+                        <span>${this.app.escapeHtml(this.getName(workspace))}</span>
+                    </button>
+                `).join('')}
+                <div class="header-overflow-separator"></div>
+                <button class="header-overflow-item" data-action="manage">
+                    <i class="fas fa-cog"></i> <span>${t('workspaces.manage')}</span>
+                </button>
+            `;
+        }
+
+        this.renderList();
+    }
+
+    /**
+     * Open another workspace. The window reloads, so the open note is saved first.
+     */
+    async switchTo(id) {
+        const workspace = this.workspaces.find(item => item.id === id);
+        if (!workspace || workspace.active) return;
+
+        if (this.app.notesManager.hasUnsavedChanges()) {
+            await this.app.saveCurrentNote(true);
+        }
+
+        // Tag folders and saved searches of this workspace do not exist in the other one
+        const currentFolder = localStorage.getItem('currentFolder');
+        localStorage.setItem('currentFolder', 'all');
+
+        const result = await ipcRenderer.invoke('workspaces-switch', id);
+        if (!result.success) {
+            if (currentFolder !== null) localStorage.setItem('currentFolder', currentFolder);
+            this.showError(result.error);
+        }
+    }
+
+    // =====================================================
+    // Workspaces dialog
+    // =====================================================
+
+    showWorkspacesDialog() {
+        const content = `
+            <div class="workspaces-dialog">
+                <div class="workspaces-list" id="workspaces-list"></div>
+                <div class="workspace-form">
+                    <input type="text" id="workspace-name" class="filter-input" maxlength="60" placeholder="${t('workspaces.namePlaceholder')}">
+                    <button id="workspace-create-btn" class="btn-primary"><i class="fas fa-plus"></i> ${t('workspaces.create')}</button>
+                </div>
+                <div class="workspaces-hint">${t('workspaces.hint')}</div>
+            </div>
+        `;
+
+        const modal = this.app.createModal(t('workspaces.title'), content);
+        modal.classList.add('workspaces-modal');
+        modal.querySelector('.modal-content').style.maxWidth = '520px';
+        this.dialog = modal;
+
+        const nameInput = modal.querySelector('#workspace-name');
+        modal.querySelector('#workspace-create-btn').addEventListener('click', () => this.createWorkspace(nameInput));
+        nameInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.createWorkspace(nameInput);
+        });
+        modal.querySelector('#workspaces-list').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+            const id = button.closest('.workspace-item').dataset.id;
+            if (button.dataset.action === 'open') this.switchTo(id);
+            if (button.dataset.action === 'rename') this.renameWorkspace(id);
+            if (button.dataset.action === 'delete') this.deleteWorkspace(id);
+        });
+
+        this.renderList();
+        nameInput.focus();
+    }
+
+    renderList() {
+        if (!this.dialog || !this.dialog.isConnected) {
+            this.dialog = null;
+            return;
+        }
+
+        const action = (name, icon, title) =>
+            `<button class="workspace-action" data-action="${name}" title="${title}"><i class="fas ${icon}"></i></button>`;
+
+        this.dialog.querySelector('#workspaces-list').innerHTML = this.workspaces.map(workspace => `
+            <div class="workspace-item${workspace.active ? ' active' : ''}" data-id="${this.app.escapeHtml(workspace.id)}">
+                <i class="fas fa-layer-group"></i>
+                <div class="workspace-info">
+                    <div class="workspace-name">${this.app.escapeHtml(this.getName(workspace))}</div>
+                    ${workspace.active ? `<div class="workspace-meta">${t('workspaces.current')}</div>` : ''}
+                </div>
+                ${workspace.active ? '' : action('open', 'fa-sign-in-alt', t('workspaces.open'))}
+                ${action('rename', 'fa-pen', t('workspaces.rename'))}
+                ${workspace.active || workspace.isDefault ? '' : action('delete', 'fa-trash', t('workspaces.delete'))}
+            </div>
+        `).join('');
+    }
+
+    async createWorkspace(nameInput) {
+        const result = await ipcRenderer.invoke('workspaces-create', nameInput.value);
+        if (!result.success) {
+            this.showError(result.error);
+            return;
+        }
+        this.app.showNotification(t('workspaces.created', { name: nameInput.value.trim() }), 'success');
+        nameInput.value = '';
+        await this.refresh();
+    }
+
+    async renameWorkspace(id) {
+        const workspace = this.workspaces.find(item => item.id === id);
+        if (!workspace) return;
+
+        const name = await this.app.showInputPrompt(t('workspaces.rename'), t('workspaces.renamePrompt'),
+            this.getName(workspace), t('workspaces.namePlaceholder'));
+        if (name === null || name === this.getName(workspace)) return;
+
+        const result = await ipcRenderer.invoke('workspaces-rename', { id, name });
+        if (!result.success) {
+            this.showError(result.error);
+            return;
+        }
+        await this.refresh();
+    }
+
+    async deleteWorkspace(id) {
+        const workspace = this.workspaces.find(item => item.id === id);
+        if (!workspace) return;
+
+        const confirmed = await this.app.showConfirmation(t('workspaces.delete'),
+            t('workspaces.deleteConfirm', { name: this.getName(workspace) }));
+        if (!confirmed) return;
+
+        const result = await ipcRenderer.invoke('workspaces-delete', id);
+        if (!result.success) {
+            this.showError(result.error);
+            return;
+        }
+        this.app.showNotification(t('workspaces.deleted', { name: this.getName(workspace) }), 'success');
+        await this.refresh();
+    }
+}
+
+module.exports = WorkspacesManager;